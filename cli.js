@@ -1,6 +1,8 @@
 // cli.js
 const Database = require('better-sqlite3');
+const TokenQueries = require('./lib/token-queries');
 const db = new Database('db/agent.db');
+const queries = new TokenQueries(db);
 
 const cmd = process.argv[2] || 'recent';
 
@@ -10,6 +12,28 @@ function validateNumber(input, defaultValue = 20) {
     return isNaN(num) || num <= 0 ? defaultValue : num;
 }
 
+// Split "--name value", "--name=value" and bare "--flag" options from positional args
+function parseFlags(args) {
+    const positional = [];
+    const flags = {};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const eq = arg.indexOf('=');
+        if (eq !== -1) {
+            flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+        } else if (args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            flags[arg.slice(2)] = args[++i];
+        } else {
+            flags[arg.slice(2)] = true;
+        }
+    }
+    return { positional, flags };
+}
+
 function showRecent(limit = 20) {
     const validatedLimit = validateNumber(limit, 20);
     const rows = db.prepare(`
@@ -415,20 +439,14 @@ function showHolders(mint, limit = 20) {
     const validatedLimit = validateNumber(limit, 20);
     
     // First check if token exists
-    const token = db.prepare('SELECT mint, symbol, name, holders_count, fresh_wallets_count FROM tokens WHERE mint = ?').get(mint);
+    const token = queries.getToken(mint);
     if (!token) {
         console.log(`❌ Token not found: ${mint}`);
         return;
     }
     
     // Get holders with classifications
-    const holders = db.prepare(`
-        SELECT owner, amount, last_seen_at, wallet_age_days, is_inception, is_sniper, is_bundler, is_insider
-        FROM holders
-        WHERE mint = ?
-        ORDER BY CAST(amount AS INTEGER) DESC
-        LIMIT ?
-    `).all(mint, validatedLimit);
+    const holders = queries.getHolders(mint, { limit: validatedLimit }).rows;
     
     if (holders.length === 0) {
         console.log(`🔍 No holders found for ${mint}`);
@@ -524,14 +542,7 @@ function showScore(mint) {
     }
     
     // Get latest health score
-    const latest = db.prepare(`
-        SELECT h.*, t.symbol, t.name
-        FROM holders_history h
-        JOIN tokens t ON h.mint = t.mint
-        WHERE h.mint = ?
-        ORDER BY datetime(h.snapshot_time) DESC
-        LIMIT 1
-    `).get(mint);
+    const latest = queries.getLatestHealth(mint);
     
     if (!latest) {
         console.log(`❌ No score data found for ${mint}`);
@@ -539,16 +550,7 @@ function showScore(mint) {
     }
     
     // Get wallet type breakdown
-    const walletTypes = db.prepare(`
-        SELECT 
-            SUM(is_inception) as inception_count,
-            SUM(is_sniper) as sniper_count,
-            SUM(is_bundler) as bundler_count,
-            SUM(is_insider) as insider_count,
-            COUNT(*) as total_holders
-        FROM holders
-        WHERE mint = ?
-    `).get(mint);
+    const walletTypes = queries.getWalletTypeCounts(mint);
     
     const score = latest.health_score;
     const scoreEmoji = score >= 80 ? '🟢' : score >= 60 ? '🟡' : score >= 40 ? '🟠' : '🔴';
@@ -572,6 +574,8 @@ function showScore(mint) {
     console.log(`   Insider: ${walletTypes.insider_count || 0}`);
     console.log(`   Fresh: ${(walletTypes.total_holders || 0) - (walletTypes.inception_count || 0)}`);
     console.log('');
+    printCreatorSummary(mint);
+    console.log('');
     console.log('🔗 Links:');
     console.log(`   Dexscreener: https://dexscreener.com/solana/${mint}`);
     console.log(`   Birdeye: https://birdeye.so/token/${mint}`);
@@ -580,6 +584,28 @@ function showScore(mint) {
     console.log(`   Copy: \`${mint}\``);
 }
 
+// Creator track record lines shared by score and predict
+function printCreatorSummary(mint) {
+    const creator = db.prepare(`
+        SELECT cl.creator, cl.creator_score_at_launch, p.reputation_score, p.launches,
+               p.cluster_launches, p.rugged, p.winners, p.dead
+        FROM creator_launches cl
+        JOIN creator_profiles p ON p.creator = cl.creator
+        WHERE cl.mint = ?
+    `).get(mint);
+
+    if (!creator) {
+        console.log('👤 Creator: no profile yet (run: node cli.js creator-profiles)');
+        return;
+    }
+
+    const score = creator.creator_score_at_launch;
+    const emoji = score >= 60 ? '🔴' : score >= 40 ? '🟠' : score >= 20 ? '🟡' : '🟢';
+    console.log(`👤 Creator: ${creator.creator.slice(0, 8)}…${creator.creator.slice(-8)}`);
+    console.log(`${emoji} Creator Reputation: ${score.toFixed(1)}/100 at launch (now ${creator.reputation_score.toFixed(1)}, higher = worse)`);
+    console.log(`   Launches: ${creator.launches} (+${creator.cluster_launches} by its cluster) | Rugged: ${creator.rugged} | 2x: ${creator.winners} | Dead: ${creator.dead}`);
+}
+
 function showTopTokens(limit = 20) {
     const validatedLimit = validateNumber(limit, 20);
     
@@ -776,12 +802,22 @@ function showBundlers(mint) {
     }
     
     // Get token info
-    const token = db.prepare('SELECT mint, symbol FROM tokens WHERE mint = ?').get(mint);
+    const token = db.prepare('SELECT mint, symbol, bundle_supply_pct, bundles_checked_at FROM tokens WHERE mint = ?').get(mint);
     
     if (!token) {
         console.log(`❌ Token not found: ${mint}`);
         return;
     }
+
+    // Launch bundles: buys in the pool block found by the sniper detector
+    const launchBundles = db.prepare(`
+        SELECT bundle_id, bundler, slot, MIN(tx_index) as start_index, detection,
+               bundle_supply_pct, tip_lamports, COUNT(DISTINCT recipient) as buyers
+        FROM bundle_events
+        WHERE mint = ? AND bundle_id IS NOT NULL
+        GROUP BY bundle_id
+        ORDER BY slot, start_index
+    `).all(mint);
     
     // Get bundler data - funders who funded multiple recipients who bought this token
     const bundlers = db.prepare(`
@@ -801,6 +837,16 @@ function showBundlers(mint) {
     
     console.log(`🔗 Bundlers for ${formatTokenDisplay(token.symbol, mint)}`);
     console.log('─'.repeat(60));
+
+    if (token.bundles_checked_at) {
+        console.log(`📦 Launch bundles: ${launchBundles.length} holding ${(token.bundle_supply_pct || 0).toFixed(2)}% of supply`);
+        launchBundles.forEach(bundle => {
+            const tip = bundle.tip_lamports > 0 ? ` | tip ${(bundle.tip_lamports / 1e9).toFixed(4)} SOL` : '';
+            console.log(`   slot ${bundle.slot} #${bundle.start_index} | ${bundle.detection} | ${(bundle.bundle_supply_pct || 0).toFixed(2)}%${tip}`);
+            console.log(`   └─ payer ${bundle.bundler.slice(0, 8)}…${bundle.bundler.slice(-8)} → ${bundle.buyers} buyers`);
+        });
+        console.log('');
+    }
     
     if (bundlers.length === 0) {
         console.log('No bundlers found for this token');
@@ -875,7 +921,7 @@ function showInsiderDetails(mint) {
     
     if (insiders.length === 0) {
         console.log('No insiders found for this token');
-        return;
+        console.log('');
     }
     
     insiders.forEach((insider, index) => {
@@ -891,29 +937,67 @@ function showInsiderDetails(mint) {
         console.log('');
     });
     
+    printDumpTimeline(mint);
+    
     console.log(`Copy mint: \`${mint}\``);
 }
 
+// Sells and transfers out by the dev, insider and bundler wallets, oldest first
+function printDumpTimeline(mint) {
+    const { getDumpTimeline, summarizeDumpWindows } = require('./lib/dump-detector');
+    const token = db.prepare('SELECT dev_dump_pct, insider_dump_pct, dump_checked_at FROM tokens WHERE mint = ?').get(mint);
+    const events = getDumpTimeline(db, mint);
+    
+    console.log('📉 Dump Timeline (dev / insider / bundler outflows)');
+    console.log('─'.repeat(80));
+    
+    if (!token.dump_checked_at) {
+        console.log('Not watched yet (run: node cli.js dump-monitor)');
+        console.log('');
+        return;
+    }
+    if (events.length === 0) {
+        console.log('No sells or transfers out by watched wallets');
+        console.log('');
+        return;
+    }
+    
+    const short = wallet => wallet ? `${wallet.slice(0, 8)}…${wallet.slice(-8)}` : 'unknown';
+    const pct = value => value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}%`;
+    let devCumulative = 0;
+    let insiderCumulative = 0;
+    
+    events.forEach(event => {
+        if (event.kind !== 'internal' && event.supply_pct !== null) {
+            if (event.role === 'dev') devCumulative += event.supply_pct;
+            else insiderCumulative += event.supply_pct;
+        }
+        const icon = event.kind === 'sell' ? '💸' : event.kind === 'internal' ? '🔁' : '➡️';
+        const detail = event.kind === 'sell'
+            ? `sold for ${(event.sol_received || 0).toFixed(3)} SOL`
+            : `${event.kind === 'internal' ? 'moved' : 'sent'} to ${short(event.destination)}`;
+        const cumulative = event.role === 'dev' ? devCumulative : insiderCumulative;
+        const alerted = event.alerted_at ? ' 🚨' : '';
+        
+        console.log(`${event.ts.replace('T', ' ').slice(0, 19)} ${icon} ${event.role.padEnd(7)} ${short(event.wallet)} ${pct(event.supply_pct)} ${detail} (cum ${pct(cumulative)})${alerted}`);
+    });
+    
+    const latest = events[events.length - 1].ts;
+    const windows = role => summarizeDumpWindows(events.filter(e => role === 'dev' ? e.role === 'dev' : e.role !== 'dev'), latest);
+    const dev = windows('dev');
+    const insider = windows('insider');
+    console.log('');
+    console.log(`Dev dumped: ${pct(token.dev_dump_pct)} total | ${pct(dev['5m'])} 5m | ${pct(dev['1h'])} 1h | ${pct(dev['24h'])} 24h`);
+    console.log(`Insiders/bundlers dumped: ${pct(token.insider_dump_pct)} total | ${pct(insider['5m'])} 5m | ${pct(insider['1h'])} 1h | ${pct(insider['24h'])} 24h`);
+    console.log(`(windows end at the latest outflow, ${latest.replace('T', ' ').slice(0, 19)})`);
+    console.log('');
+}
+
 // --- Task 9 Alert System Functions ---
 
 function showAlerts(limit = 20) {
     const validatedLimit = validateNumber(limit, 20);
-    const rows = db.prepare(`
-        SELECT 
-            a.id,
-            a.mint,
-            t.symbol,
-            a.alert_type,
-            a.alert_level,
-            a.message,
-            a.triggered_at,
-            a.status,
-            a.metadata
-        FROM alerts a
-        LEFT JOIN tokens t ON a.mint = t.mint
-        ORDER BY datetime(a.triggered_at) DESC
-        LIMIT ?
-    `).all(validatedLimit);
+    const rows = queries.getAlerts({ limit: validatedLimit }).rows;
     
     if (rows.length === 0) {
         console.log('🔍 No alerts found');
@@ -949,28 +1033,14 @@ function showScoreHistory(mint) {
     }
     
     // Get token info
-    const token = db.prepare('SELECT mint, symbol, name FROM tokens WHERE mint = ?').get(mint);
+    const token = queries.getToken(mint);
     if (!token) {
         console.log(`❌ Token not found: ${mint}`);
         return;
     }
     
     // Get score history
-    const history = db.prepare(`
-        SELECT 
-            snapshot_time,
-            health_score,
-            holders_count,
-            fresh_pct,
-            sniper_pct,
-            insider_pct,
-            top10_share,
-            liquidity_usd
-        FROM score_history
-        WHERE mint = ?
-        ORDER BY datetime(snapshot_time) DESC
-        LIMIT 50
-    `).all(mint);
+    const history = queries.getScoreHistory(mint, { limit: 50 }).rows;
     
     if (history.length === 0) {
         console.log(`🔍 No score history found for ${mint}`);
@@ -1011,6 +1081,54 @@ function runAlertEngine() {
     });
 }
 
+function showAlertDeliveries(limit = 20) {
+    const validatedLimit = validateNumber(limit, 20);
+    const { AlertDelivery } = require('./lib/alert-delivery');
+    
+    let rows;
+    try {
+        rows = new AlertDelivery().getRecentDeliveries(validatedLimit);
+    } catch (error) {
+        console.log(`❌ Error fetching deliveries: ${error.message}`);
+        console.log('   Run: npm run cli -- migrate up');
+        return;
+    }
+    
+    if (rows.length === 0) {
+        console.log('🔍 No alert deliveries found');
+        return;
+    }
+    
+    console.log(`📬 Recent ${validatedLimit} alert deliveries:`);
+    console.log('');
+    
+    const formatted = rows.map(row => ({
+        'Alert': row.alert_id,
+        'Token': row.symbol || row.mint.substring(0, 8) + '...',
+        'Type': row.alert_type,
+        'Channel': row.channel,
+        'Status': row.status === 'delivered' ? '✅ delivered' : row.status === 'failed' ? '❌ failed' : '⏳ pending',
+        'Attempts': row.attempts,
+        'HTTP': row.response_status || '-',
+        'Updated': new Date(row.updated_at).toLocaleString(),
+        'Error': row.last_error ? row.last_error.substring(0, 40) : ''
+    }));
+    
+    console.table(formatted);
+}
+
+function runAlertRedeliver() {
+    console.log('🔄 Retrying failed alert deliveries...');
+    const { AlertDelivery } = require('./lib/alert-delivery');
+    new AlertDelivery().redeliverFailed().then(recovered => {
+        console.log(`✅ Redelivered ${recovered} alerts`);
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Redelivery failed:', error.message);
+        process.exit(1);
+    });
+}
+
 function runScoreSnapshot() {
     console.log('🔄 Running score snapshot worker...');
     const { mainLoop } = require('./workers/score-snapshot-worker');
@@ -1096,7 +1214,7 @@ function showPriceHistory(mint) {
     }
 
     console.log('─'.repeat(100));
-    console.log('Timestamp'.padEnd(20) + 'Price USD'.padEnd(12) + 'Price SOL'.padEnd(12) + 'Liquidity'.padEnd(12) + 'Granularity'.padEnd(10) + 'Status');
+    console.log('Timestamp'.padEnd(20) + 'Price USD'.padEnd(12) + 'Price SOL'.padEnd(12) + 'Liquidity'.padEnd(12) + 'Granularity'.padEnd(12) + 'Source'.padEnd(13) + 'Status');
     console.log('─'.repeat(100));
 
     history.forEach(record => {
@@ -1105,6 +1223,7 @@ function showPriceHistory(mint) {
         const priceSol = record.price_sol ? `${record.price_sol.toFixed(8)}` : 'N/A';
         const liquidity = record.liquidity_usd ? `$${(record.liquidity_usd / 1000).toFixed(1)}k` : 'N/A';
         const granularity = record.granularity || 'N/A';
+        const source = record.source || 'N/A';
         const status = record.status || 'N/A';
 
         console.log(
@@ -1112,7 +1231,8 @@ function showPriceHistory(mint) {
             priceUsd.padEnd(12) +
             priceSol.padEnd(12) +
             liquidity.padEnd(12) +
-            granularity.padEnd(10) +
+            granularity.padEnd(12) +
+            source.padEnd(13) +
             status
         );
     });
@@ -1282,7 +1402,13 @@ function showRugRisk(mint) {
         ? `Low (${rugData.lp_lock_provider || 'Unknown'})`
         : 'No';
     
-    console.log(`   LP: Burn ${burnStatus} • Lock: ${lockStatus} • Top1 ${(rugData.lp_owner_top1_pct * 100).toFixed(0)}% • Top5 ${(rugData.lp_owner_top5_pct * 100).toFixed(0)}%`);
+    const ownerPct = pct => pct !== null ? `${(pct * 100).toFixed(0)}%` : 'Unknown';
+    console.log(`   LP: Burn ${burnStatus} • Lock: ${lockStatus} • Top1 ${ownerPct(rugData.lp_owner_top1_pct)} • Top5 ${ownerPct(rugData.lp_owner_top5_pct)}`);
+    if (rugData.lp_locked_pct !== null && rugData.lp_locked_pct !== undefined) {
+        const nextUnlock = rugData.lp_next_unlock_at ? new Date(rugData.lp_next_unlock_at).toLocaleString() : 'unknown';
+        const fullUnlock = rugData.lp_unlock_complete_at ? new Date(rugData.lp_unlock_complete_at).toLocaleString() : 'unknown';
+        console.log(`   Locked ${(rugData.lp_locked_pct * 100).toFixed(0)}% of LP • Next unlock: ${nextUnlock} • Fully unlocked: ${fullUnlock}`);
+    }
     console.log('');
 
     // Liquidity Deltas with EMA notation
@@ -1295,13 +1421,34 @@ function showRugRisk(mint) {
     // Authority Safety
     console.log('🛡️  Authority Safety:');
     console.log(`   Authorities: mint_revoked=${rugData.authorities_revoked === 1 ? 'Yes' : 'No'}, freeze_revoked=${rugData.authorities_revoked === 1 ? 'Yes' : 'No'}`);
+    if (rugData.token_program === 'token-2022') {
+        const extensions = rugData.token_extensions ? JSON.parse(rugData.token_extensions) : [];
+        console.log(`   Token-2022 extensions: ${extensions.length > 0 ? extensions.join(', ') : 'none'}`);
+        if (rugData.transfer_fee_bps !== null) {
+            console.log(`   Transfer fee: ${(rugData.transfer_fee_bps / 100).toFixed(2)}%${rugData.transfer_fee_authority ? ' (mutable)' : ''}`);
+        }
+        if (rugData.permanent_delegate) console.log(`   Permanent delegate: ${rugData.permanent_delegate}`);
+        if (rugData.transfer_hook_program) console.log(`   Transfer hook: ${rugData.transfer_hook_program}`);
+        if (rugData.default_account_state) console.log(`   Default account state: ${rugData.default_account_state}`);
+    }
     console.log('');
 
+    // Buy/sell simulation (honeypot check)
+    if (rugData.sell_simulation_status) {
+        const pct = value => value === null ? 'N/A' : `${(value * 100).toFixed(1)}%`;
+        console.log('🍯 Sell Simulation:');
+        console.log(`   Status: ${rugData.sell_simulation_status} • Buy tax ${pct(rugData.sell_simulation_buy_tax)} • Sell tax ${pct(rugData.sell_simulation_sell_tax)} • Round trip loss ${pct(rugData.sell_simulation_round_trip_loss)}`);
+        if (rugData.sell_simulation_error) console.log(`   Error: ${rugData.sell_simulation_error}`);
+        console.log(`   Simulated: ${new Date(rugData.sell_simulation_at).toLocaleString()}`);
+        console.log('');
+    }
+
     // Enhanced Rug Score with breakdown
     console.log('🎯 Rug Risk Score:');
     if (rugData.rug_breakdown) {
         const breakdown = JSON.parse(rugData.rug_breakdown);
-        console.log(`   RugScore: ${rugData.rug_risk_score || 'N/A'} (LP:${breakdown.lp_safety}, Auth:${breakdown.authorities}, Drains:${breakdown.drains}, Concentration:${breakdown.concentration})`);
+        const floorText = breakdown.hard_floor ? `, Floor:${breakdown.hard_floor}` : '';
+        console.log(`   RugScore: ${rugData.rug_risk_score || 'N/A'} (LP:${breakdown.lp_safety}, Auth:${breakdown.authorities}, Drains:${breakdown.drains}, Concentration:${breakdown.concentration}${floorText})`);
     } else {
         console.log(`   RugScore: ${rugData.rug_risk_score || 'N/A'}/100`);
     }
@@ -1325,6 +1472,55 @@ function showRugRisk(mint) {
     console.log(`   Copy: \`${mint}\``);
 }
 
+
+async function showPools(args) {
+    const { positional, flags } = parseFlags(args);
+    const mint = positional[0];
+    if (!mint) {
+        console.log('❌ Usage: node cli.js pools <MINT> [--discover]');
+        console.log('   Example: node cli.js pools So11111111111111111111111111111111111111112 --discover');
+        return;
+    }
+
+    if (flags.discover) {
+        const { PoolDiscovery, savePools } = require('./lib/pool-discovery');
+        const discovery = new PoolDiscovery();
+        if (!discovery.rpc.isConfigured()) {
+            console.log('❌ Set SOLANA_RPC_URL or HELIUS_API_KEY (or SOLANA_RPC_FIXTURES for recorded accounts)');
+            process.exit(1);
+        }
+        try {
+            const pools = await discovery.findPools(mint);
+            savePools(db, mint, pools);
+            console.log(`🔎 Discovered ${pools.length} pool(s) on-chain`);
+        } catch (error) {
+            console.log(`❌ Pool discovery failed: ${error.message}`);
+            process.exit(1);
+        }
+    }
+
+    const token = db.prepare('SELECT symbol, pool_address, pools_checked_at FROM tokens WHERE mint = ?').get(mint);
+    const pools = db.prepare('SELECT * FROM pools WHERE mint = ? ORDER BY updated_at DESC').all(mint);
+
+    console.log(`🏊 Pools for ${token?.symbol || mint}${token?.pools_checked_at ? ` • checked ${new Date(token.pools_checked_at).toLocaleString()}` : ''}:`);
+    if (pools.length === 0) {
+        console.log('   No pools stored (run with --discover)');
+        return;
+    }
+
+    const formatReserve = value => value === null ? 'N/A' : value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+    console.table(pools.map(p => ({
+        'Primary': p.address === token?.pool_address ? '⭐' : '',
+        'DEX': p.dex,
+        'Pool': p.address,
+        'Quote': p.quote_mint === 'So11111111111111111111111111111111111111112' ? 'SOL' : p.quote_mint.slice(0, 8) + '...',
+        'Base Reserve': formatReserve(p.base_reserve),
+        'Quote Reserve': formatReserve(p.quote_reserve),
+        'LP Mint': p.lp_mint || '-',
+        'LP Supply': formatReserve(p.lp_supply),
+        'Status': p.status
+    })));
+}
 function showLiquidityWatch(mint) {
     if (!mint) {
         console.log('❌ Usage: node cli.js watch-liq <MINT>');
@@ -1486,6 +1682,78 @@ function runEnhancedRugRiskScorer() {
     });
 }
 
+function runSellSimulation() {
+    console.log('🔄 Running sell simulation worker...');
+    const { mainLoop } = require('./workers/sell-simulation-worker');
+    mainLoop().then(() => {
+        console.log('✅ Sell simulation worker completed');
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Sell simulation worker failed:', error.message);
+        process.exit(1);
+    });
+}
+
+function runSafetyWatcher() {
+    console.log('🔄 Running safety watcher worker...');
+    const { mainLoop } = require('./workers/safety-watcher-worker');
+    mainLoop().then(() => {
+        console.log('✅ Safety watcher worker completed');
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Safety watcher worker failed:', error.message);
+        process.exit(1);
+    });
+}
+
+function runDumpMonitor() {
+    console.log('🔄 Running dump monitor worker...');
+    const { mainLoop } = require('./workers/dump-monitor-worker');
+    mainLoop().then(() => {
+        console.log('✅ Dump monitor worker completed');
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Dump monitor worker failed:', error.message);
+        process.exit(1);
+    });
+}
+
+function runDriftMonitor() {
+    console.log('🔄 Running drift monitor worker...');
+    const { mainLoop } = require('./workers/drift-monitor-worker');
+    mainLoop().then(() => {
+        console.log('✅ Drift monitor worker completed');
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Drift monitor worker failed:', error.message);
+        process.exit(1);
+    });
+}
+
+function runCreatorProfiles() {
+    console.log('🔄 Running creator profile worker...');
+    const { mainLoop } = require('./workers/creator-profile-worker');
+    mainLoop().then(() => {
+        console.log('✅ Creator profile worker completed');
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Creator profile worker failed:', error.message);
+        process.exit(1);
+    });
+}
+
+function runWalletCluster() {
+    console.log('🔄 Running wallet cluster worker...');
+    const { mainLoop } = require('./workers/wallet-cluster-worker');
+    mainLoop().then(() => {
+        console.log('✅ Wallet cluster worker completed');
+        process.exit(0);
+    }).catch(error => {
+        console.error('❌ Wallet cluster worker failed:', error.message);
+        process.exit(1);
+    });
+}
+
 function showWalletReputation(wallet) {
     if (!wallet) {
         console.log('❌ Usage: node cli.js wallet <WALLET>');
@@ -1493,22 +1761,7 @@ function showWalletReputation(wallet) {
     }
 
     try {
-        const reputation = db.prepare(`
-            SELECT 
-                wallet,
-                snipes_total,
-                snipes_success,
-                bundles_total,
-                recipients_total,
-                insider_hits,
-                rug_involved,
-                reputation_score,
-                score_breakdown,
-                last_seen_at,
-                updated_at
-            FROM wallet_reputation
-            WHERE wallet = ?
-        `).get(wallet);
+        const reputation = queries.getWalletReputation(wallet);
 
         if (!reputation) {
             console.log(`❌ No reputation data found for wallet: ${wallet}`);
@@ -1587,6 +1840,142 @@ function showWalletTop(limit = 10) {
     }
 }
 
+function showWalletCluster(walletOrClusterId) {
+    if (!walletOrClusterId) {
+        console.log('❌ Usage: node cli.js cluster <WALLET|CLUSTER_ID>');
+        return;
+    }
+
+    try {
+        const { getWalletCluster } = require('./lib/wallet-clusters');
+        const result = getWalletCluster(db, walletOrClusterId);
+
+        if (!result) {
+            console.log(`❌ No cluster found for: ${walletOrClusterId}`);
+            console.log('   Run: node cli.js wallet-cluster');
+            return;
+        }
+
+        const { cluster, members, tokens } = result;
+        console.log(`🕸️  Wallet Cluster: ${cluster.cluster_id}`);
+        console.log(`👛 Wallets: ${cluster.size} | 🪙 Tokens touched: ${cluster.token_count}`);
+        console.log(`🕒 Funded: ${cluster.first_funded_at || 'unknown'} → ${cluster.last_funded_at || 'unknown'}`);
+        console.log(`🔄 Updated: ${cluster.updated_at}`);
+
+        if (cluster.funders.length > 0) {
+            console.log(`\n💸 Funders:`);
+            cluster.funders.forEach(funder => {
+                console.log(`   ${funder.wallet} (${funder.transfers} transfers${funder.hub ? ', hub' : ''})`);
+            });
+        }
+
+        console.log(`\n👛 Members:`);
+        members.forEach(member => {
+            const marker = member.wallet === walletOrClusterId ? '👉' : '  ';
+            const via = member.funded_by ? `${member.joined_via} ← ${member.funded_by.slice(0, 8)}...` : member.joined_via;
+            console.log(`${marker} ${member.wallet} | ${via} | held ${member.tokens_held} tokens`);
+        });
+
+        if (tokens.length > 0) {
+            console.log(`\n🪙 Tokens:`);
+            tokens.forEach(token => {
+                const risk = token.rug_risk_score !== null && token.rug_risk_score !== undefined ? ` | rug ${token.rug_risk_score}` : '';
+                console.log(`   ${token.symbol || token.mint.slice(0, 8)} (${token.mint})`);
+                console.log(`      ${token.wallets} wallets as ${token.roles} | first ${token.first_activity_at || 'unknown'}${risk}`);
+            });
+        }
+    } catch (error) {
+        console.log(`❌ Error fetching wallet cluster: ${error.message}`);
+    }
+}
+
+function showCreatorProfile(walletOrMint) {
+    if (!walletOrMint) {
+        console.log('❌ Usage: node cli.js creator <WALLET|MINT>');
+        return;
+    }
+
+    try {
+        const { getCreatorProfile } = require('./lib/creator-profiles');
+        const result = getCreatorProfile(db, walletOrMint);
+
+        if (!result) {
+            console.log(`❌ No creator profile found for: ${walletOrMint}`);
+            console.log('   Run: node cli.js creator-profiles');
+            return;
+        }
+
+        const { profile, launches, clusterLaunches } = result;
+        const breakdown = profile.score_breakdown;
+        const outcomeEmoji = { rugged: '💀', winner_2x: '🚀', dead: '📉', survived: '✅', pending: '⏳' };
+        const printLaunch = launch => {
+            const ret = launch.ret_24h !== null ? ` | 24h ${(launch.ret_24h * 100).toFixed(0)}%` : '';
+            console.log(`   ${outcomeEmoji[launch.outcome] || '•'} ${launch.symbol || launch.mint.slice(0, 8)} (${launch.mint}) | ${launch.launched_at}${ret}`);
+        };
+
+        console.log(`👤 Creator Profile: ${profile.creator}`);
+        console.log(`📊 Creator Reputation: ${profile.reputation_score.toFixed(1)}/100 (higher = worse track record)`);
+        console.log(`🚀 Launches: ${profile.launches} | 💀 Rugged: ${profile.rugged} | 🟢 2x: ${profile.winners} | 📉 Dead: ${profile.dead} | ⏳ Pending: ${profile.pending}`);
+        console.log(`🕒 First: ${profile.first_launch_at} | Last: ${profile.last_launch_at}`);
+        if (profile.cluster_id) {
+            console.log(`🕸️  Cluster: ${profile.cluster_id} (${profile.cluster_launches} launches by other wallets)`);
+        }
+        console.log(`\n📋 Score Breakdown:`);
+        console.log(`   S_rug: ${breakdown.S_rug} | S_serial: ${breakdown.S_serial} | S_reward: ${breakdown.S_reward}`);
+        console.log(`   Resolved: ${breakdown.resolved} | Bad: ${breakdown.bad} | Launches 7d: ${breakdown.launches_7d}`);
+
+        console.log(`\n🪙 Launches:`);
+        launches.slice(0, 20).forEach(printLaunch);
+        if (launches.length > 20) console.log(`   ... and ${launches.length - 20} more`);
+
+        if (clusterLaunches.length > 0) {
+            console.log(`\n🕸️  Cluster launches:`);
+            clusterLaunches.slice(0, 10).forEach(printLaunch);
+            if (clusterLaunches.length > 10) console.log(`   ... and ${clusterLaunches.length - 10} more`);
+        }
+    } catch (error) {
+        console.log(`❌ Error fetching creator profile: ${error.message}`);
+    }
+}
+
+function manageKnownServices(action, args) {
+    const { getKnownServices, addKnownService, removeKnownService, CATEGORIES } = require('./lib/known-services');
+
+    try {
+        if (action === 'add') {
+            const [wallet, category, ...name] = args;
+            if (!wallet || !category) {
+                console.log(`❌ Usage: node cli.js known-services add <WALLET> <${CATEGORIES.join('|')}> [NAME]`);
+                return;
+            }
+            addKnownService(db, wallet, category, name.join(' ') || null);
+            console.log(`✅ ${wallet} registered as ${category}`);
+            return;
+        }
+
+        if (action === 'remove') {
+            if (!args[0]) {
+                console.log('❌ Usage: node cli.js known-services remove <WALLET>');
+                return;
+            }
+            console.log(removeKnownService(db, args[0])
+                ? `✅ Removed ${args[0]}`
+                : `❌ ${args[0]} is not a manual entry (registry entries live in config/known-services.json)`);
+            return;
+        }
+
+        const services = [...getKnownServices(db).values()]
+            .sort((a, b) => a.category.localeCompare(b.category) || (a.name || '').localeCompare(b.name || ''));
+        console.log(`🏦 Known services (${services.length}) - neutral funders for bundler, insider, cluster and reputation checks`);
+        console.log('');
+        for (const service of services) {
+            console.log(`${service.category.padEnd(13)} ${service.wallet} ${service.name || ''} [${service.source}]`);
+        }
+    } catch (error) {
+        console.log(`❌ Error managing known services: ${error.message}`);
+    }
+}
+
 function showWalletClassesWithReputation(mint) {
     if (!mint) {
         console.log('❌ Usage: node cli.js classes <MINT>');
@@ -1749,27 +2138,7 @@ function showPredict(mint) {
     }
 
     try {
-        const token = db.prepare(`
-            SELECT 
-                t.mint, t.symbol, t.name, t.health_score, t.liquidity_usd,
-                t.prob_2x_24h, t.prob_rug_24h, t.model_id_win, t.model_id_rug,
-                tp_win.explainability as explain_win,
-                tp_rug.explainability as explain_rug
-            FROM tokens t
-            LEFT JOIN token_predictions tp_win ON t.mint = tp_win.mint 
-                AND tp_win.target = '2x_24h' 
-                AND tp_win.ts = (
-                    SELECT MAX(ts) FROM token_predictions tp2 
-                    WHERE tp2.mint = t.mint AND tp2.target = '2x_24h'
-                )
-            LEFT JOIN token_predictions tp_rug ON t.mint = tp_rug.mint 
-                AND tp_rug.target = 'rug_24h' 
-                AND tp_rug.ts = (
-                    SELECT MAX(ts) FROM token_predictions tp3 
-                    WHERE tp3.mint = t.mint AND tp3.target = 'rug_24h'
-                )
-            WHERE t.mint = ?
-        `).get(mint);
+        const token = queries.getPrediction(mint);
 
         if (!token) {
             console.log(`❌ Token not found: ${mint}`);
@@ -1805,6 +2174,20 @@ function showPredict(mint) {
             console.log('🟢 ProbRug 24h: Not available');
         }
 
+        // Latest shadow score per challenger
+        const shadows = db.prepare(`
+            SELECT target, model_id, prob FROM token_predictions p
+            WHERE mint = ? AND shadow = 1
+              AND ts = (SELECT MAX(ts) FROM token_predictions WHERE mint = p.mint AND model_id = p.model_id)
+            ORDER BY target
+        `).all(mint);
+        for (const shadow of shadows) {
+            console.log(`👥 Shadow ${shadow.target}: ${(shadow.prob * 100).toFixed(1)}% (${shadow.model_id})`);
+        }
+
+        console.log('');
+        printCreatorSummary(mint);
+
         console.log('');
         console.log('🔗 Links:');
         console.log(`   Dexscreener: https://dexscreener.com/solana/${mint}`);
@@ -1818,6 +2201,92 @@ function showPredict(mint) {
     }
 }
 
+function showDrift(target) {
+    try {
+        const runs = db.prepare(`
+            SELECT * FROM drift_runs r
+            WHERE id = (SELECT MAX(id) FROM drift_runs WHERE target = r.target)
+              AND (? IS NULL OR target = ?)
+            ORDER BY target
+        `).all(target || null, target || null);
+
+        if (runs.length === 0) {
+            console.log('📭 No drift runs yet (run: node cli.js drift-monitor)');
+            return;
+        }
+
+        const fmt = value => (value === null || value === undefined ? '-' : value.toFixed(3));
+        const icon = { ok: '✅', drift: '🚨', insufficient_data: '⏳' };
+        for (const run of runs) {
+            console.log(`${icon[run.status] || ''} ${run.target} drift vs ${run.model_id}: ${run.status}`);
+            console.log(`   Window ${run.window_start.substring(0, 16)} → ${run.window_end.substring(0, 16)} • ${run.live_tokens} tokens, ${run.live_predictions} scores`);
+            console.log(`   Drifted features: ${run.drifted_features} • Prediction PSI ${fmt(run.prediction_psi)}, KS ${fmt(run.prediction_ks)}`);
+            if (run.retrain_suggested) console.log('   💡 Retrain suggested: node cli.js train --cv');
+
+            const metrics = db.prepare(`
+                SELECT * FROM drift_metrics WHERE run_id = ?
+                ORDER BY kind = 'prediction' DESC, COALESCE(psi, 0) DESC
+            `).all(run.id);
+            if (metrics.length > 0) {
+                console.table(metrics.slice(0, 12).map(m => ({
+                    'Kind': m.kind,
+                    'Name': m.name,
+                    'PSI': fmt(m.psi),
+                    'KS': fmt(m.ks),
+                    'Missing (ref → live)': `${(m.reference_missing_rate * 100).toFixed(0)}% → ${m.live_missing_rate === null ? '-' : (m.live_missing_rate * 100).toFixed(0) + '%'}`,
+                    'Drifted': m.drifted ? '⚠️' : ''
+                })));
+            }
+            console.log('');
+        }
+    } catch (error) {
+        console.log(`❌ Error fetching drift: ${error.message}`);
+    }
+}
+
+function showFeatures(mint) {
+    if (!mint) {
+        console.log('❌ Usage: node cli.js features <MINT>');
+        return;
+    }
+
+    try {
+        const vectors = db.prepare(`
+            SELECT fv.snapshot_ts, fv.schema_version, fv.feature_values, fv.missing_mask, fv.computed_at, fv.point_in_time, fs.names
+            FROM feature_vectors fv
+            JOIN feature_schemas fs ON fs.version = fv.schema_version
+            WHERE fv.mint = ?
+            ORDER BY fv.schema_version DESC
+        `).all(mint);
+
+        if (vectors.length === 0) {
+            console.log(`📭 No stored feature vector for ${mint} (written when the token is scored or a model is trained)`);
+            return;
+        }
+
+        for (const vector of vectors) {
+            const names = JSON.parse(vector.names);
+            const values = JSON.parse(vector.feature_values);
+            const mask = JSON.parse(vector.missing_mask);
+            const provisional = vector.computed_at < vector.snapshot_ts;
+
+            console.log(`🧮 Features of ${mint} at ${vector.snapshot_ts} (schema v${vector.schema_version})`);
+            const timing = provisional
+                ? ' - before the snapshot, recomputed on the next read'
+                : vector.point_in_time ? ' - point-in-time' : ' - after the snapshot tolerance, left out of training';
+            console.log(`   Computed ${vector.computed_at}${timing}`);
+            console.log(`   Missing: ${mask.filter(Boolean).length} of ${names.length}`);
+            console.table(names.map((name, i) => ({
+                'Feature': name,
+                'Value': mask[i] ? '-' : Number(values[i].toFixed(4)),
+                'Missing': mask[i] ? '⚠️  yes' : ''
+            })));
+        }
+    } catch (error) {
+        console.log(`❌ Error fetching features: ${error.message}`);
+    }
+}
+
 function showBacktestLast() {
     try {
         const backtest = db.prepare(`
@@ -1862,6 +2331,325 @@ function showBacktestLast() {
     }
 }
 
+function showSupervisorStatus() {
+    const fs = require('fs');
+    const statusFile = 'data/supervisor-status.json';
+    
+    if (!fs.existsSync(statusFile)) {
+        console.log('🔍 No supervisor status found');
+        console.log('   Start the pipeline with: npm run supervisor');
+        return;
+    }
+    
+    const status = JSON.parse(fs.readFileSync(statusFile, 'utf8'));
+    const ageSec = Math.round((Date.now() - new Date(status.updated_at).getTime()) / 1000);
+    
+    console.log(`🧭 Supervisor (pid ${status.pid}) • updated ${ageSec}s ago`);
+    if (ageSec > 60) {
+        console.log('⚠️  Status is stale - the supervisor may not be running');
+    }
+    console.log('');
+    
+    const stateIcon = {
+        running: '🟢',
+        idle: '🔵',
+        waiting: '🟡',
+        backoff: '🔴',
+        stopped: '⚫'
+    };
+    
+    const formatted = status.workers.map(w => ({
+        'Worker': w.name,
+        'State': `${stateIcon[w.state] || '❔'} ${w.state}`,
+        'Runs': w.runs,
+        'Fails': w.failures,
+        'Last Run': w.last_run_at ? new Date(w.last_run_at).toLocaleTimeString() : '-',
+        'Last OK': w.last_success_at ? new Date(w.last_success_at).toLocaleTimeString() : '-',
+        'Next': w.next_run_at ? new Date(w.next_run_at).toLocaleTimeString() : '-',
+        'Last Error': w.last_error ? w.last_error.substring(0, 40) : ''
+    }));
+    
+    console.table(formatted);
+}
+
+function runMigrate(action = 'status', arg) {
+    const { Migrator } = require('./db/migrator');
+    const migrator = new Migrator({ db });
+    const label = m => `${String(m.version).padStart(3, '0')}_${m.name}`;
+    
+    if (action === 'up') {
+        const target = arg ? parseInt(arg) : null;
+        const applied = migrator.up(target);
+        if (applied.length === 0) {
+            console.log(`✅ Schema is up to date (version ${migrator.currentVersion()})`);
+            return;
+        }
+        applied.forEach(m => console.log(`⬆️  Applied ${label(m)}`));
+        console.log(`✅ Schema at version ${migrator.currentVersion()}`);
+    } else if (action === 'down') {
+        const steps = validateNumber(arg, 1);
+        const reverted = migrator.down(steps);
+        if (reverted.length === 0) {
+            console.log('🔍 No applied migrations to roll back');
+            return;
+        }
+        reverted.forEach(m => console.log(`⬇️  Rolled back ${label(m)}`));
+        console.log(`✅ Schema at version ${migrator.currentVersion()}`);
+    } else if (action === 'status') {
+        const rows = migrator.status();
+        const pending = rows.filter(r => !r.applied_at).length;
+        
+        console.log(`🗄️  Schema version ${migrator.currentVersion()} of ${migrator.latestVersion()} • ${pending} pending`);
+        console.log('');
+        console.table(rows.map(r => ({
+            'Migration': label(r),
+            'Status': r.applied_at ? '✅ applied' : '⏳ pending',
+            'Applied At': r.applied_at ? new Date(r.applied_at).toLocaleString() : '-'
+        })));
+        
+        if (pending > 0) {
+            console.log('   Run: npm run cli -- migrate up');
+        }
+    } else {
+        console.log(`❌ Unknown migrate action: ${action} (use status, up or down)`);
+    }
+}
+
+async function runReplay(args) {
+    const { positional, flags } = parseFlags(args);
+    const file = positional[0];
+    if (!file) {
+        console.log('❌ Usage: node cli.js replay <FILE> [--since ISO] [--until ISO] [--source NAME] [--dry-run] [--run-workers [a,b]]');
+        console.log('   Example: node cli.js replay data/intake/new_tokens.jsonl --since 2025-01-01 --run-workers');
+        process.exit(1);
+    }
+    
+    const { assertSchemaCurrent } = require('./db/migrator');
+    const { replayIntake } = require('./lib/intake-replay');
+    
+    // Check the worker list before touching the database
+    let supervisor = null;
+    let only = null;
+    if (flags['run-workers']) {
+        const { Supervisor } = require('./lib/supervisor');
+        const configPath = process.env.SUPERVISOR_CONFIG || require('path').join(__dirname, 'config', 'pipeline.json');
+        supervisor = new Supervisor(Supervisor.loadConfig(configPath));
+        only = typeof flags['run-workers'] === 'string' ? flags['run-workers'].split(',').map(s => s.trim()) : null;
+        const unknown = (only || []).filter(name => !supervisor.workers.has(name));
+        if (unknown.length > 0) {
+            console.log(`❌ Unknown or disabled worker(s): ${unknown.join(', ')}`);
+            process.exit(1);
+        }
+    }
+    
+    let result;
+    try {
+        assertSchemaCurrent(db, 'replay');
+        result = replayIntake(db, file, {
+            since: flags.since,
+            until: flags.until,
+            source: typeof flags.source === 'string' ? flags.source : null,
+            dryRun: !!flags['dry-run']
+        });
+    } catch (error) {
+        console.error(`❌ Replay failed: ${error.message}`);
+        process.exit(1);
+    }
+    
+    console.log(`🔁 Replay of ${file}${flags['dry-run'] ? ' (dry run)' : ''}`);
+    console.table([{
+        'Lines': result.lines,
+        'Matched': result.matched,
+        'Legacy': result.legacy,
+        'Filtered': result.filtered,
+        'Invalid': result.invalid,
+        'Inserted': flags['dry-run'] ? '-' : result.inserted,
+        'Duplicates': flags['dry-run'] ? '-' : result.duplicates,
+        'Mints': flags['dry-run'] ? '-' : result.mints.length
+    }]);
+    if (result.legacy > 0) {
+        console.log(`   ${result.legacy} line(s) predate payload archiving and were rebuilt from the summary only`);
+    }
+    
+    if (!supervisor || flags['dry-run']) return;
+    if (result.inserted === 0) {
+        console.log('🔍 Nothing new was inserted - skipping downstream workers');
+        return;
+    }
+    
+    console.log(`⚙️  Running downstream workers once${only ? `: ${only.join(', ')}` : ''}...`);
+    const results = await supervisor.runOnce({ only });
+    console.table(results.map(r => ({
+        'Worker': r.name,
+        'Result': r.ok ? '✅ ok' : r.skipped ? '⏭️  skipped' : '❌ failed',
+        'Duration': `${r.durationMs}ms`,
+        'Error': r.error ? r.error.substring(0, 60) : ''
+    })));
+    process.exit(results.every(r => r.ok) ? 0 : 1);
+}
+
+// Per-fold walk-forward metrics of the winning hyperparameters for one target
+function printFoldReport(label, result) {
+    console.log(`\n📈 ${label}: ${result.modelId} (${result.modelType}, ${result.status})`);
+    if (!result.cv) {
+        console.log('   No walk-forward folds (not enough labelled history) - trained with default parameters');
+        console.log(`   Holdout AUROC ${result.metrics.auroc.toFixed(3)} • AUPRC ${result.metrics.auprc.toFixed(3)} • Brier ${result.metrics.brier.toFixed(3)}`);
+        return;
+    }
+    
+    const { cv } = result;
+    const day = ts => ts ? ts.split('T')[0] : '-';
+    const rows = cv.folds.map(f => ({
+        'Fold': f.fold,
+        'Train': f.train_size,
+        'Val': f.val_size,
+        'Val +': f.val_positives,
+        'Val Window': `${day(f.val_start)} → ${day(f.val_end)}`,
+        'AUROC': f.auroc.toFixed(3),
+        'AUPRC': f.auprc.toFixed(3),
+        'Brier': f.brier.toFixed(3)
+    }));
+    rows.push({
+        'Fold': 'Mean',
+        'Train': '',
+        'Val': '',
+        'Val +': '',
+        'Val Window': '',
+        'AUROC': cv.mean.auroc.toFixed(3),
+        'AUPRC': cv.mean.auprc.toFixed(3),
+        'Brier': cv.mean.brier.toFixed(3)
+    });
+    console.table(rows);
+    
+    console.log(`   Search: ${cv.search}, ${cv.candidates.length} candidate(s), embargo ${cv.embargo_hours}h`);
+    console.log(`   Best params: ${Object.entries(cv.params).map(([k, v]) => `${k}=${v}`).join(', ')}`);
+    console.log(`   Holdout AUROC ${result.metrics.auroc.toFixed(3)} • AUPRC ${result.metrics.auprc.toFixed(3)} • Brier ${result.metrics.brier.toFixed(3)}`);
+}
+
+async function runTrain(args) {
+    const { flags } = parseFlags(args);
+    if (flags.search && !['grid', 'random', 'none'].includes(flags.search)) {
+        console.log('❌ Usage: node cli.js train [--cv] [--folds N] [--search grid|random|none] [--iter N] [--embargo HOURS]');
+        process.exit(1);
+    }
+    console.log(`🔄 Training models${flags.cv ? ' with walk-forward cross-validation' : ''}...`);
+    const ModelTrainerWorker = require('./workers/model-trainer-worker');
+    const trainer = new ModelTrainerWorker({
+        embargoHours: flags.embargo !== undefined ? Number(flags.embargo) || 0 : undefined
+    });
+    const result = await trainer.train({
+        cv: !!flags.cv,
+        folds: flags.folds ? validateNumber(flags.folds, 5) : undefined,
+        search: typeof flags.search === 'string' ? flags.search : undefined,
+        iterations: flags.iter ? validateNumber(flags.iter, 10) : undefined
+    });
+    
+    if (!result || !result.winner || !result.rug) {
+        console.error('❌ Model training failed (see logs)');
+        process.exit(1);
+    }
+    
+    printFoldReport('2x in 24h', result.winner);
+    printFoldReport('Rug in 24h', result.rug);
+    console.log('\n✅ Models registered; run the probability scorer to use them');
+    process.exit(0);
+}
+
+function manageModels(action, args) {
+    const registry = require('./lib/model-registry');
+    const fmt = (value, digits = 3) => (typeof value === 'number' ? value.toFixed(digits) : '-');
+    const { positional, flags } = parseFlags(args);
+
+    try {
+        if (action === 'promote') {
+            if (!positional[0]) {
+                console.log('❌ Usage: node cli.js model promote <MODEL_ID> [--force] [--reason TEXT]');
+                return;
+            }
+            const { model, previous, gate } = registry.promoteModel(db, positional[0], {
+                force: !!flags.force,
+                reason: typeof flags.reason === 'string' ? flags.reason : null
+            });
+            console.log(`✅ ${model.model_id} is now the ${model.target} champion${previous ? ` (retired ${previous})` : ''}`);
+            if (gate.champion) {
+                console.log(`   Gate (${gate.basis.replace('_', ' ')}): AUROC ${fmt(gate.model.auroc)} vs ${fmt(gate.champion.auroc)}, Brier ${fmt(gate.model.brier)} vs ${fmt(gate.champion.brier)}`);
+            }
+            if (!gate.passed) console.log(`   ⚠️  Forced past: ${gate.reasons.join('; ')}`);
+            console.log('   The probability scorer picks it up on its next run');
+            return;
+        }
+
+        if (action === 'rollback') {
+            const target = positional[0];
+            if (!['2x_24h', 'rug_24h'].includes(target)) {
+                console.log('❌ Usage: node cli.js model rollback <2x_24h|rug_24h> [--reason TEXT]');
+                return;
+            }
+            const { model, demoted } = registry.rollbackModel(db, target, typeof flags.reason === 'string' ? flags.reason : null);
+            console.log(`↩️  ${target} champion rolled back: ${demoted} → ${model.model_id}`);
+            return;
+        }
+
+        if (action === 'diff') {
+            if (positional.length < 2) {
+                console.log('❌ Usage: node cli.js model diff <MODEL_A> <MODEL_B>');
+                return;
+            }
+            const diff = registry.diffModels(db, positional[0], positional[1]);
+            const { a, b } = diff;
+            console.log(`🔀 ${a.model_id} vs ${b.model_id}`);
+            console.table([
+                { '': 'Target', A: a.target, B: b.target },
+                { '': 'Type', A: a.model_type, B: b.model_type },
+                { '': 'Status', A: a.status, B: b.status },
+                { '': 'Train window', A: a.train_window, B: b.train_window },
+                ...diff.metrics.map(m => ({ '': `Holdout ${m.name}`, A: fmt(m.a), B: fmt(m.b) })),
+                ...(a.cv_metrics || b.cv_metrics ? [{ '': 'CV mean AUROC', A: fmt(a.cv_metrics?.mean.auroc), B: fmt(b.cv_metrics?.mean.auroc) }] : [])
+            ]);
+            if (diff.hyperparams.length > 0) {
+                console.log('⚙️  Hyperparameters that differ:');
+                for (const p of diff.hyperparams) console.log(`   ${p.name}: ${p.a ?? '-'} → ${p.b ?? '-'}`);
+            }
+            if (diff.features.onlyA.length > 0) console.log(`➖ Only in A: ${diff.features.onlyA.join(', ')}`);
+            if (diff.features.onlyB.length > 0) console.log(`➕ Only in B: ${diff.features.onlyB.join(', ')}`);
+            if (diff.live) {
+                console.log(diff.live.scored > 0
+                    ? `📡 Live on ${diff.live.scored} labelled snapshots both scored: AUROC ${fmt(diff.live.a.auroc)} vs ${fmt(diff.live.b.auroc)}, Brier ${fmt(diff.live.a.brier)} vs ${fmt(diff.live.b.brier)}`
+                    : '📡 No labelled snapshots scored by both models yet');
+            }
+            return;
+        }
+
+        if (action && action !== 'list') {
+            console.log(`❌ Unknown model action: ${action} (use list, promote, rollback or diff)`);
+            return;
+        }
+
+        const target = positional[0] || null;
+        const models = registry.listModels(db, target);
+        if (models.length === 0) {
+            console.log('📭 No models registered yet (run: node cli.js train)');
+            return;
+        }
+        const icon = { champion: '👑', shadow: '👥', candidate: '🧪', retired: '💤' };
+        console.log(`🧠 Model registry${target ? ` (${target})` : ''}`);
+        console.table(models.map(m => ({
+            'Model': m.model_id,
+            'Target': m.target,
+            'Type': m.model_type,
+            'Status': `${icon[m.status] || ''} ${m.status}`,
+            'AUROC': fmt(m.metrics.auroc),
+            'AUPRC': fmt(m.metrics.auprc),
+            'Brier': fmt(m.metrics.brier),
+            'vs Champion': m.metrics.champion ? `${fmt(m.metrics.champion.auroc)} (${m.metrics.champion.model_id})` : '-',
+            'CV AUROC': fmt(m.cv_metrics?.mean.auroc),
+            'Created': m.created_at ? new Date(m.created_at).toLocaleString() : '-'
+        })));
+    } catch (error) {
+        console.log(`❌ ${error.message}`);
+    }
+}
+
 function showHelp() {
     console.log(`
 🚀 Memecoin Agent CLI
@@ -1874,12 +2662,22 @@ Commands:
   Wallet Intelligence (Task 12):
   wallet <WALLET>      Show wallet reputation details
   wallet-top [N]       Show top worst actors by reputation (default: 10)
+  cluster <WALLET|ID>  Show the wallet's funding cluster and every token it touched
+  wallet-cluster       Rebuild wallet clusters from funding edges
+  creator <WALLET|MINT> Show a creator's launches, outcomes and reputation
+  creator-profiles     Rebuild creator launch history and reputation
+  known-services [add <WALLET> <CATEGORY> [NAME] | remove <WALLET>]  List/edit exchange, bridge, router wallets
   classes <MINT>       Show wallet classes with high-rep counts
   bad-actors <MINT>    Show high-rep bad actors for a token
   
   Advanced Scoring (Task 13):
   predict <MINT>       Show probability predictions for a token
+  features <MINT>      Show the stored feature vector and missing mask for a token
+  drift [TARGET]       Show the latest feature/prediction drift (PSI, KS) per target
+  drift-monitor        Compare live features and scores with the training reference
   backtest-last        Show latest backtest results and metrics
+  model [list [TARGET] | promote <ID> [--force] | rollback <TARGET> | diff <A> <B>]  Champion/shadow model registry
+  train [--cv] [--folds N] [--search grid|random|none] [--iter N] [--embargo H]  Train models, --cv prints walk-forward fold report
   events <MINT>        Show events for specific token
   holders <MINT> [N]   Show top holders for specific token (default: 20)
   momentum <MINT> [N]  Show holder growth momentum over time (default: 20)
@@ -1900,6 +2698,8 @@ Commands:
   alerts [N]           Show recent alerts (default: 20)
   score-history <MINT> Show score history for specific token
   alert-engine         Run alert engine worker
+  deliveries [N]       Show alert delivery status per channel (default: 20)
+  alert-redeliver      Retry failed alert deliveries
   score-snapshot       Run score snapshot worker
   backtest             Show backtest results and metrics
   backtest-retune      Run backtest re-tuning
@@ -1915,11 +2715,15 @@ Commands:
   
   🚨 Task 11 Rug Checks & Safety:
   rug <MINT>           Show rug risk analysis for specific token
+  pools <MINT> [--discover]  Show on-chain pools (--discover scans Raydium/PumpSwap/Meteora/Orca/pump.fun now)
   watch-liq <MINT>     Stream liquidity monitoring with deltas
   candidates-risk [N]  Show high-risk tokens ranked by RugScore
   pool-introspector    Run pool introspector worker
   liquidity-monitor    Run liquidity drain monitor worker
   rug-risk-scorer      Run rug risk scorer worker
+  safety-watcher       Re-check mint/freeze authority and LP locks, alert on regressions
+  dump-monitor         Watch dev/insider/bundler wallets for sells, alert on dumps
+  sell-simulation      Simulate a buy and a sell per located pool (honeypot check)
   
   🔍 Wallet Profiling (Task 8):
   profiling            Show wallet profiling dashboard
@@ -1928,7 +2732,7 @@ Commands:
   discord-alert <MINT> Generate Discord/Telegram alert for token
   classes <MINT>       Show wallet class breakdown for token
   bundlers <MINT>      Show bundler funder → recipients mapping
-  insider-details <MINT> Show insider details with 2-of-3 rule evidence
+  insider-details <MINT> Show insider details with 2-of-3 rule evidence and dump timeline
   candidates [N]       Show candidate tokens ranked by quality
   profiling-pool       Run pool locator worker
   profiling-sniper     Run sniper detector worker
@@ -1937,6 +2741,16 @@ Commands:
   profiling-health     Run health score calculator
   profiling-history    Run history snapshot worker
   
+  🧭 Supervisor:
+  supervisor-status    Show per-worker state, last run and last error
+  
+  🗄️  Database:
+  migrate status       Show applied and pending schema migrations
+  migrate up [VERSION] Apply pending migrations (optionally up to VERSION)
+  migrate down [N]     Roll back the last N migrations (default: 1)
+  replay <FILE> [--since ISO] [--until ISO] [--source NAME] [--dry-run] [--run-workers [a,b]]
+                       Re-ingest an intake JSONL archive (dedups against token_events)
+  
   help                 Show this help message
 
 Examples:
@@ -2066,6 +2880,10 @@ if (cmd === 'recent') {
     showScoreHistory(process.argv[3]);
 } else if (cmd === 'alert-engine') {
     runAlertEngine();
+} else if (cmd === 'deliveries') {
+    showAlertDeliveries(process.argv[3]);
+} else if (cmd === 'alert-redeliver') {
+    runAlertRedeliver();
 } else if (cmd === 'score-snapshot') {
     runScoreSnapshot();
 } else if (cmd === 'backtest') {
@@ -2089,6 +2907,8 @@ if (cmd === 'recent') {
     runReturnLabels();
 } else if (cmd === 'rug') {
     showRugRisk(process.argv[3]);
+} else if (cmd === 'pools') {
+    showPools(process.argv.slice(3));
 } else if (cmd === 'watch-liq') {
     showLiquidityWatch(process.argv[3]);
 } else if (cmd === 'candidates-risk') {
@@ -2104,8 +2924,24 @@ if (cmd === 'recent') {
     runEnhancedPoolIntrospector();
 } else if (cmd === 'enhanced-rug-risk-scorer') {
     runEnhancedRugRiskScorer();
+} else if (cmd === 'safety-watcher') {
+    runSafetyWatcher();
+} else if (cmd === 'dump-monitor') {
+    runDumpMonitor();
+} else if (cmd === 'sell-simulation') {
+    runSellSimulation();
 } else if (cmd === 'wallet') {
     showWalletReputation(process.argv[3]);
+} else if (cmd === 'cluster') {
+    showWalletCluster(process.argv[3]);
+} else if (cmd === 'creator') {
+    showCreatorProfile(process.argv[3]);
+} else if (cmd === 'creator-profiles') {
+    runCreatorProfiles();
+} else if (cmd === 'known-services') {
+    manageKnownServices(process.argv[3], process.argv.slice(4));
+} else if (cmd === 'wallet-cluster') {
+    runWalletCluster();
 } else if (cmd === 'wallet-top') {
     const limit = process.argv[3];
     showWalletTop(limit);
@@ -2115,8 +2951,24 @@ if (cmd === 'recent') {
     showBadActors(process.argv[3]);
 } else if (cmd === 'predict') {
     showPredict(process.argv[3]);
+} else if (cmd === 'drift') {
+    showDrift(process.argv[3]);
+} else if (cmd === 'drift-monitor') {
+    runDriftMonitor();
+} else if (cmd === 'features') {
+    showFeatures(process.argv[3]);
+} else if (cmd === 'model') {
+    manageModels(process.argv[3], process.argv.slice(4));
+} else if (cmd === 'train') {
+    runTrain(process.argv.slice(3));
 } else if (cmd === 'backtest-last') {
     showBacktestLast();
+} else if (cmd === 'supervisor-status') {
+    showSupervisorStatus();
+} else if (cmd === 'migrate') {
+    runMigrate(process.argv[3], process.argv[4]);
+} else if (cmd === 'replay') {
+    runReplay(process.argv.slice(3));
 } else if (cmd === 'help' || cmd === '--help' || cmd === '-h') {
     showHelp();
 } else {
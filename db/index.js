@@ -1,25 +1,26 @@
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('./migrator');
+const { UPSERT_TOKEN_SQL, INSERT_EVENT_SQL } = require('./statements');
 const db = new Database('db/agent.db');
+assertSchemaCurrent(db, 'db/index');
 
-const upsertToken = db.prepare(`
-INSERT INTO tokens (mint, symbol, name, decimals, creator, launch_tx, source, first_seen_at, last_updated_at)
-VALUES (@mint, @symbol, @name, @decimals, @creator, @launch_tx, @source, @first_seen_at, @last_updated_at)
-ON CONFLICT(mint) DO UPDATE SET
-  symbol=excluded.symbol,
-  name=excluded.name,
-  decimals=excluded.decimals,
-  creator=excluded.creator,
-  launch_tx=excluded.launch_tx,
-  source=excluded.source,
-  last_updated_at=excluded.last_updated_at
+const upsertToken = db.prepare(UPSERT_TOKEN_SQL);
+const insertEvent = db.prepare(INSERT_EVENT_SQL);
+
+const eventTotals = db.prepare(`
+SELECT COUNT(*) as total_events, COUNT(DISTINCT mint) as total_tokens, MAX(received_at) as last_received_at
+FROM token_events
 `);
 
-const insertEvent = db.prepare(`
-INSERT OR IGNORE INTO token_events (mint, type, source, received_at, raw_json, signature)
-VALUES (@mint, @type, @source, @received_at, @raw_json, @signature)
+const eventsBySource = db.prepare(`
+SELECT source, COUNT(*) as events, COUNT(DISTINCT mint) as tokens, MAX(received_at) as last_received_at
+FROM token_events
+GROUP BY source
+ORDER BY events DESC
 `);
 
 module.exports = {
   saveToken: (t) => upsertToken.run(t),
   saveEvent: (e) => insertEvent.run(e), // dedupe handled by unique index
+  getEventStats: () => ({ ...eventTotals.get(), by_source: eventsBySource.all() }),
 };
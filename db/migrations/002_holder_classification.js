@@ -0,0 +1,106 @@
+// 002 - Holder classification, scoring views and pool slot
+// (formerly migrate-holders*.js, migrate-holder-types.js, migrate-pool-slot.js)
+const { addColumn, dropColumn } = require('../migrator');
+
+function up(db) {
+  addColumn(db, 'holders', 'is_fresh', 'INTEGER DEFAULT 0');
+  addColumn(db, 'holders', 'holder_type', "TEXT DEFAULT 'unknown'");
+  addColumn(db, 'holders', 'funded_by', 'TEXT');
+  addColumn(db, 'tokens', 'slot', 'INTEGER');
+
+  db.exec(`
+    UPDATE holders SET holder_type =
+      CASE
+        WHEN is_inception = 1 THEN 'inception'
+        WHEN is_sniper = 1 THEN 'sniper'
+        WHEN is_bundler = 1 THEN 'bundler'
+        WHEN is_insider = 1 THEN 'insider'
+        ELSE 'fresh'
+      END
+    WHERE holder_type = 'unknown' OR holder_type IS NULL;
+
+    CREATE VIEW IF NOT EXISTS v_token_scores AS
+    SELECT
+      t.mint,
+      t.symbol,
+      t.name,
+      t.first_seen_at,
+      h.holders_count,
+      h.fresh_wallets_count,
+      h.inception_count,
+      h.sniper_count,
+      h.bundler_count,
+      h.insider_count,
+      h.fresh_ratio,
+      h.top10_share,
+      h.sniper_ratio,
+      h.health_score,
+      h.snapshot_time,
+      CASE
+        WHEN h.holders_count > 0 THEN ROUND((h.fresh_wallets_count * 100.0) / h.holders_count, 2)
+        ELSE 0
+      END as fresh_percentage,
+      CASE
+        WHEN h.holders_count > 0 THEN ROUND((h.sniper_count * 100.0) / h.holders_count, 2)
+        ELSE 0
+      END as sniper_percentage,
+      CASE
+        WHEN h.health_score >= 80 THEN 'excellent'
+        WHEN h.health_score >= 60 THEN 'good'
+        WHEN h.health_score >= 40 THEN 'fair'
+        ELSE 'poor'
+      END as health_grade
+    FROM tokens t
+    LEFT JOIN holders_history h ON t.mint = h.mint
+    WHERE h.snapshot_time = (
+      SELECT MAX(snapshot_time)
+      FROM holders_history h2
+      WHERE h2.mint = t.mint
+    );
+
+    CREATE VIEW IF NOT EXISTS v_momentum_curves AS
+    SELECT
+      mint,
+      snapshot_time,
+      holders_count,
+      fresh_wallets_count,
+      health_score,
+      fresh_ratio,
+      top10_share,
+      sniper_ratio,
+      LAG(holders_count) OVER (PARTITION BY mint ORDER BY snapshot_time) as prev_holders,
+      LAG(fresh_wallets_count) OVER (PARTITION BY mint ORDER BY snapshot_time) as prev_fresh,
+      CASE
+        WHEN LAG(holders_count) OVER (PARTITION BY mint ORDER BY snapshot_time) > 0
+        THEN ROUND(((holders_count - LAG(holders_count) OVER (PARTITION BY mint ORDER BY snapshot_time)) * 100.0) / LAG(holders_count) OVER (PARTITION BY mint ORDER BY snapshot_time), 2)
+        ELSE 0
+      END as holders_growth_rate,
+      CASE
+        WHEN LAG(fresh_wallets_count) OVER (PARTITION BY mint ORDER BY snapshot_time) > 0
+        THEN ROUND(((fresh_wallets_count - LAG(fresh_wallets_count) OVER (PARTITION BY mint ORDER BY snapshot_time)) * 100.0) / LAG(fresh_wallets_count) OVER (PARTITION BY mint ORDER BY snapshot_time), 2)
+        ELSE 0
+      END as fresh_growth_rate
+    FROM holders_history
+    ORDER BY mint, snapshot_time;
+
+    CREATE INDEX IF NOT EXISTS idx_holders_type ON holders (holder_type);
+    CREATE INDEX IF NOT EXISTS idx_holders_history_health_score_desc ON holders_history (health_score DESC, snapshot_time DESC);
+    CREATE INDEX IF NOT EXISTS idx_tokens_slot ON tokens (slot);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP VIEW IF EXISTS v_momentum_curves;
+    DROP VIEW IF EXISTS v_token_scores;
+    DROP INDEX IF EXISTS idx_holders_type;
+    DROP INDEX IF EXISTS idx_holders_history_health_score_desc;
+    DROP INDEX IF EXISTS idx_tokens_slot;
+  `);
+  dropColumn(db, 'tokens', 'slot');
+  dropColumn(db, 'holders', 'funded_by');
+  dropColumn(db, 'holders', 'holder_type');
+  dropColumn(db, 'holders', 'is_fresh');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,73 @@
+// 003 - Wallet class counts, pool fields and funding edges
+// (formerly migrate-wallet-classes.js, migrate-wallet-profiling.js, migrate-task8-final.js)
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['fresh_count', 'INTEGER DEFAULT 0'],
+  ['fresh_pct', 'REAL DEFAULT 0.0'],
+  ['inception_count', 'INTEGER DEFAULT 0'],
+  ['inception_pct', 'REAL DEFAULT 0.0'],
+  ['snipers_count', 'INTEGER DEFAULT 0'],
+  ['snipers_pct', 'REAL DEFAULT 0.0'],
+  ['bundled_count', 'INTEGER DEFAULT 0'],
+  ['bundled_pct', 'REAL DEFAULT 0.0'],
+  ['insiders_count', 'INTEGER DEFAULT 0'],
+  ['insiders_pct', 'REAL DEFAULT 0.0'],
+  ['others_count', 'INTEGER DEFAULT 0'],
+  ['others_pct', 'REAL DEFAULT 0.0'],
+  ['top10_share', 'REAL DEFAULT 0.0'],
+  ['sniper_count', 'INTEGER DEFAULT 0'],
+  ['sniper_pct', 'REAL'],
+  ['bundler_count', 'INTEGER DEFAULT 0'],
+  ['bundler_pct', 'REAL'],
+  ['insider_count', 'INTEGER DEFAULT 0'],
+  ['insider_pct', 'REAL'],
+  ['health_score', 'REAL DEFAULT 0'],
+  ['pool_created_at', 'TEXT'],
+  ['pool_signature', 'TEXT'],
+  ['pool_block', 'INTEGER'],
+  ['dev_wallet', 'TEXT']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS funding_edges (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      src_wallet TEXT NOT NULL,
+      dst_wallet TEXT NOT NULL,
+      amount_sol REAL,
+      timestamp TEXT,
+      signature TEXT,
+      UNIQUE(src_wallet, dst_wallet, signature)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_src ON funding_edges (src_wallet);
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_dst ON funding_edges (dst_wallet);
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_timestamp ON funding_edges (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_tokens_fresh_pct ON tokens (fresh_pct DESC);
+    CREATE INDEX IF NOT EXISTS idx_tokens_snipers_pct ON tokens (snipers_pct DESC);
+    CREATE INDEX IF NOT EXISTS idx_tokens_insiders_pct ON tokens (insiders_pct DESC);
+    CREATE INDEX IF NOT EXISTS idx_tokens_top10_share ON tokens (top10_share DESC);
+    CREATE INDEX IF NOT EXISTS idx_tokens_health_score ON tokens (health_score DESC);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_tokens_fresh_pct;
+    DROP INDEX IF EXISTS idx_tokens_snipers_pct;
+    DROP INDEX IF EXISTS idx_tokens_insiders_pct;
+    DROP INDEX IF EXISTS idx_tokens_top10_share;
+    DROP INDEX IF EXISTS idx_tokens_health_score;
+    DROP TABLE IF EXISTS funding_edges;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,117 @@
+// 004 - Alerts, alert rules and score history (formerly migrate-task9-alerts.js)
+
+const DEFAULT_RULES = [
+  {
+    rule_name: 'launch_alert',
+    alert_type: 'launch',
+    conditions: 'health_score >= 70 AND liquidity_usd >= 10000 AND holders_count >= 50',
+    thresholds: '{"health_min": 70, "liquidity_min": 10000, "holders_min": 50}',
+    debounce_minutes: 30,
+    sustain_minutes: 0,
+    hard_mute_conditions: '{"sniper_pct_max": 30, "insider_pct_max": 20, "top10_share_max": 0.6}'
+  },
+  {
+    rule_name: 'momentum_upgrade_alert',
+    alert_type: 'momentum_upgrade',
+    conditions: 'health_score >= 60 AND health_score < 80 AND fresh_pct >= 40',
+    thresholds: '{"health_min": 60, "health_max": 80, "fresh_pct_min": 40}',
+    debounce_minutes: 15,
+    sustain_minutes: 60,
+    hard_mute_conditions: '{"sniper_pct_max": 40, "insider_pct_max": 30, "top10_share_max": 0.7}'
+  },
+  {
+    rule_name: 'risk_alert',
+    alert_type: 'risk',
+    conditions: 'health_score < 40 OR sniper_pct > 50 OR insider_pct > 40 OR top10_share > 0.8',
+    thresholds: '{"health_max": 40, "sniper_pct_max": 50, "insider_pct_max": 40, "top10_share_max": 0.8}',
+    debounce_minutes: 5,
+    sustain_minutes: 0,
+    hard_mute_conditions: '{"liquidity_min": 1000, "holders_min": 10}'
+  }
+];
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint TEXT NOT NULL,
+      alert_type TEXT NOT NULL,
+      alert_level TEXT NOT NULL,
+      message TEXT NOT NULL,
+      triggered_at TEXT NOT NULL,
+      resolved_at TEXT,
+      status TEXT DEFAULT 'active',
+      metadata TEXT,
+      UNIQUE(mint, alert_type, triggered_at)
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_rules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rule_name TEXT UNIQUE NOT NULL,
+      alert_type TEXT NOT NULL,
+      conditions TEXT NOT NULL,
+      thresholds TEXT NOT NULL,
+      debounce_minutes INTEGER DEFAULT 0,
+      sustain_minutes INTEGER DEFAULT 0,
+      hard_mute_conditions TEXT,
+      is_active INTEGER DEFAULT 1,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint TEXT NOT NULL,
+      alert_type TEXT NOT NULL,
+      triggered_at TEXT NOT NULL,
+      resolved_at TEXT,
+      status TEXT DEFAULT 'active',
+      metadata TEXT,
+      UNIQUE(mint, alert_type, triggered_at)
+    );
+
+    CREATE TABLE IF NOT EXISTS score_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint TEXT NOT NULL,
+      snapshot_time TEXT NOT NULL,
+      health_score REAL,
+      holders_count INTEGER,
+      fresh_pct REAL,
+      sniper_pct REAL,
+      insider_pct REAL,
+      top10_share REAL,
+      liquidity_usd REAL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(mint, snapshot_time)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alerts_mint_type ON alerts (mint, alert_type);
+    CREATE INDEX IF NOT EXISTS idx_alerts_triggered_at ON alerts (triggered_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_alerts_status ON alerts (status);
+    CREATE INDEX IF NOT EXISTS idx_alert_history_mint_type ON alert_history (mint, alert_type);
+    CREATE INDEX IF NOT EXISTS idx_alert_history_triggered_at ON alert_history (triggered_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_score_history_mint_time ON score_history (mint, snapshot_time DESC);
+    CREATE INDEX IF NOT EXISTS idx_score_history_snapshot_time ON score_history (snapshot_time DESC);
+  `);
+
+  // Seed default rules without overwriting thresholds tuned on an existing database
+  const insertRule = db.prepare(`
+    INSERT OR IGNORE INTO alert_rules
+    (rule_name, alert_type, conditions, thresholds, debounce_minutes, sustain_minutes, hard_mute_conditions)
+    VALUES (@rule_name, @alert_type, @conditions, @thresholds, @debounce_minutes, @sustain_minutes, @hard_mute_conditions)
+  `);
+  for (const rule of DEFAULT_RULES) {
+    insertRule.run(rule);
+  }
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS score_history;
+    DROP TABLE IF EXISTS alert_history;
+    DROP TABLE IF EXISTS alert_rules;
+    DROP TABLE IF EXISTS alerts;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,78 @@
+// 006 - LP safety, rug risk scoring and liquidity drain columns (formerly migrate-task11-rug-checks.js)
+const { addColumn, dropColumn } = require('../migrator');
+
+// The old script added these in one multi-statement ALTER that aborted at the
+// first existing column, so most databases are missing some of them
+const TOKEN_COLUMNS = [
+  ['lp_token_mint', 'TEXT'],
+  ['lp_locked', 'INTEGER DEFAULT NULL'],
+  ['lp_burn_pct', 'REAL DEFAULT NULL'],
+  ['lp_locked_confidence', 'INTEGER DEFAULT NULL'],
+  ['lp_lock_provider', 'TEXT DEFAULT NULL'],
+  ['lp_owner_top1_pct', 'REAL DEFAULT NULL'],
+  ['lp_owner_top5_pct', 'REAL DEFAULT NULL'],
+  ['lp_owner_is_creator', 'INTEGER DEFAULT NULL'],
+  ['liquidity_usd_last', 'REAL DEFAULT NULL'],
+  ['liquidity_usd_5m_delta', 'REAL DEFAULT NULL'],
+  ['liquidity_usd_15m_delta', 'REAL DEFAULT NULL'],
+  ['rug_risk_score', 'REAL DEFAULT NULL'],
+  ['rug_flags', 'TEXT DEFAULT NULL'],
+  ['rug_breakdown', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lp_holders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      lp_mint TEXT NOT NULL,
+      owner TEXT NOT NULL,
+      amount REAL NOT NULL,
+      pct REAL NOT NULL,
+      timestamp TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(lp_mint, owner, timestamp)
+    );
+
+    CREATE TABLE IF NOT EXISTS rug_risk_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint TEXT NOT NULL,
+      timestamp TEXT NOT NULL,
+      rug_risk_score REAL NOT NULL,
+      rug_flags TEXT,
+      liquidity_usd REAL,
+      lp_owner_top1_pct REAL,
+      lp_owner_top5_pct REAL,
+      liquidity_usd_5m_delta REAL,
+      liquidity_usd_15m_delta REAL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  addColumn(db, 'lp_holders', 'rank', 'INTEGER');
+  addColumn(db, 'lp_holders', 'is_creator', 'INTEGER DEFAULT 0');
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_tokens_rug_risk_score ON tokens (rug_risk_score DESC);
+    CREATE INDEX IF NOT EXISTS idx_tokens_lp_token_mint ON tokens (lp_token_mint);
+    CREATE INDEX IF NOT EXISTS idx_lp_holders_lp_mint ON lp_holders (lp_mint, amount DESC);
+    CREATE INDEX IF NOT EXISTS idx_rug_risk_history_mint_time ON rug_risk_history (mint, timestamp DESC);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_tokens_rug_risk_score;
+    DROP INDEX IF EXISTS idx_tokens_lp_token_mint;
+    DROP TABLE IF EXISTS rug_risk_history;
+    DROP TABLE IF EXISTS lp_holders;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
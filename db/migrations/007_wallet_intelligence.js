@@ -0,0 +1,146 @@
+// 007 - Wallet network intelligence tables and bad actor counts
+// (formerly migrate-task12-wallet-intelligence.js)
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['sniper_bad_count', 'INTEGER DEFAULT 0'],
+  ['bundler_bad_count', 'INTEGER DEFAULT 0'],
+  ['insider_bad_count', 'INTEGER DEFAULT 0'],
+  ['bad_actor_score', 'INTEGER DEFAULT 0']
+];
+
+// funding_edges was created by 003 keyed on src_wallet/dst_wallet (bundler
+// detector, insider detector, cli), while edges-ingest and reputation-aggregate
+// use src/dst/ts/amount_lamports. Rebuild it with both column sets nullable so
+// either writer can insert.
+const FUNDING_EDGE_COLUMNS = [
+  'id', 'src_wallet', 'dst_wallet', 'amount_sol', 'timestamp',
+  'src', 'dst', 'ts', 'amount_lamports', 'signature', 'created_at'
+];
+
+function rebuildFundingEdges(db) {
+  const existing = db.prepare('PRAGMA table_info(funding_edges)').all().map(c => c.name);
+  if (existing.includes('src') && existing.includes('src_wallet')) return;
+
+  const shared = FUNDING_EDGE_COLUMNS.filter(c => existing.includes(c)).join(', ');
+  db.exec(`
+    CREATE TABLE funding_edges_new (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      src_wallet TEXT,
+      dst_wallet TEXT,
+      amount_sol REAL,
+      timestamp TEXT,
+      src TEXT,
+      dst TEXT,
+      ts TEXT,
+      amount_lamports INTEGER,
+      signature TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(src_wallet, dst_wallet, signature),
+      UNIQUE(src, dst, ts, signature)
+    );
+    ${existing.length > 0 ? `INSERT OR IGNORE INTO funding_edges_new (${shared}) SELECT ${shared} FROM funding_edges;` : ''}
+    DROP TABLE IF EXISTS funding_edges;
+    ALTER TABLE funding_edges_new RENAME TO funding_edges;
+
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_src ON funding_edges (src_wallet);
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_dst ON funding_edges (dst_wallet);
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_timestamp ON funding_edges (timestamp);
+  `);
+}
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS buy_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      ts TEXT NOT NULL,
+      method TEXT,
+      is_sniper INTEGER DEFAULT 0,
+      amount_lamports INTEGER,
+      signature TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(wallet, mint, ts, signature)
+    );
+
+    CREATE TABLE IF NOT EXISTS bundle_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      bundler TEXT NOT NULL,
+      recipient TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      ts TEXT NOT NULL,
+      signature TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(bundler, recipient, mint, ts, signature)
+    );
+
+    CREATE TABLE IF NOT EXISTS insider_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      wallet TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      ts TEXT NOT NULL,
+      reason_flags TEXT,
+      signature TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(wallet, mint, ts, signature)
+    );
+
+    CREATE TABLE IF NOT EXISTS wallet_reputation (
+      wallet TEXT PRIMARY KEY,
+      snipes_total INTEGER DEFAULT 0,
+      snipes_success INTEGER DEFAULT 0,
+      bundles_total INTEGER DEFAULT 0,
+      recipients_total INTEGER DEFAULT 0,
+      insider_hits INTEGER DEFAULT 0,
+      rug_involved INTEGER DEFAULT 0,
+      last_seen_at TEXT,
+      reputation_score REAL DEFAULT 0,
+      score_breakdown TEXT,
+      notes TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS wallet_tags (
+      wallet TEXT,
+      tag TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (wallet, tag)
+    );
+  `);
+
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+  rebuildFundingEdges(db);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_src_dst_ts ON funding_edges (src, dst, ts);
+    CREATE INDEX IF NOT EXISTS idx_funding_edges_dst_ts ON funding_edges (dst, ts);
+    CREATE INDEX IF NOT EXISTS idx_buy_events_wallet_ts ON buy_events (wallet, ts);
+    CREATE INDEX IF NOT EXISTS idx_buy_events_mint_ts ON buy_events (mint, ts);
+    CREATE INDEX IF NOT EXISTS idx_bundle_events_bundler_ts ON bundle_events (bundler, ts);
+    CREATE INDEX IF NOT EXISTS idx_insider_events_wallet_ts ON insider_events (wallet, ts);
+    CREATE INDEX IF NOT EXISTS idx_wallet_reputation_score ON wallet_reputation (reputation_score DESC);
+  `);
+}
+
+function down(db) {
+  // The rebuilt funding_edges is kept: its src/dst columns are part of a
+  // table constraint and 003's writers work with it unchanged
+  db.exec(`
+    DROP INDEX IF EXISTS idx_funding_edges_src_dst_ts;
+    DROP INDEX IF EXISTS idx_funding_edges_dst_ts;
+    DROP TABLE IF EXISTS wallet_tags;
+    DROP TABLE IF EXISTS wallet_reputation;
+    DROP TABLE IF EXISTS insider_events;
+    DROP TABLE IF EXISTS bundle_events;
+    DROP TABLE IF EXISTS buy_events;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,84 @@
+// 008 - Model registry, predictions and training labels (formerly migrate-task13-advanced-scoring.js)
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['prob_2x_24h', 'REAL'],
+  ['prob_rug_24h', 'REAL'],
+  ['model_id_win', 'TEXT'],
+  ['model_id_rug', 'TEXT']
+];
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS model_registry (
+      model_id TEXT PRIMARY KEY,
+      target TEXT NOT NULL,
+      features JSON NOT NULL,
+      train_window TEXT NOT NULL,
+      metrics JSON NOT NULL,
+      calibration JSON NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS token_predictions (
+      mint TEXT,
+      ts TEXT,
+      model_id TEXT,
+      target TEXT,
+      prob REAL NOT NULL,
+      features_hash TEXT,
+      explainability TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (mint, target, ts)
+    );
+
+    CREATE TABLE IF NOT EXISTS backtest_runs (
+      run_id TEXT PRIMARY KEY,
+      model_id_win TEXT,
+      model_id_rug TEXT,
+      thresholds JSON NOT NULL,
+      metrics JSON NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS token_labels (
+      mint TEXT PRIMARY KEY,
+      first_seen_at TEXT NOT NULL,
+      price_30m REAL,
+      max_price_24h REAL,
+      price_24h REAL,
+      winner_2x_24h INTEGER DEFAULT 0,
+      rug_24h INTEGER DEFAULT 0,
+      liquidity_30m REAL,
+      liquidity_6h REAL,
+      liquidity_24h REAL,
+      rug_risk_score_30m REAL,
+      lp_pulled INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_token_predictions_mint_ts ON token_predictions (mint, ts);
+    CREATE INDEX IF NOT EXISTS idx_token_predictions_target ON token_predictions (target);
+    CREATE INDEX IF NOT EXISTS idx_token_labels_first_seen ON token_labels (first_seen_at);
+    CREATE INDEX IF NOT EXISTS idx_token_labels_winner ON token_labels (winner_2x_24h);
+    CREATE INDEX IF NOT EXISTS idx_token_labels_rug ON token_labels (rug_24h);
+  `);
+
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+}
+
+function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS token_labels;
+    DROP TABLE IF EXISTS backtest_runs;
+    DROP TABLE IF EXISTS token_predictions;
+    DROP TABLE IF EXISTS model_registry;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
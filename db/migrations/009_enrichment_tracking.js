@@ -0,0 +1,16 @@
+// 009 - Enrichment retry bookkeeping used by enrich/worker.js and the backfill sweeper
+const { addColumn, dropColumn } = require('../migrator');
+
+function up(db) {
+  addColumn(db, 'tokens', 'enrich_attempts', 'INTEGER DEFAULT 0');
+  addColumn(db, 'tokens', 'last_enriched_at', 'TEXT');
+  addColumn(db, 'tokens', 'enrich_error', 'TEXT');
+}
+
+function down(db) {
+  dropColumn(db, 'tokens', 'enrich_error');
+  dropColumn(db, 'tokens', 'last_enriched_at');
+  dropColumn(db, 'tokens', 'enrich_attempts');
+}
+
+module.exports = { up, down };
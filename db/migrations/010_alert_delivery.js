@@ -0,0 +1,44 @@
+// 010 - Per-rule channel routing and delivery tracking (formerly migrate-alert-delivery.js)
+const { addColumn, dropColumn } = require('../migrator');
+
+function up(db) {
+  // JSON array of channel names, NULL = all configured channels
+  addColumn(db, 'alert_rules', 'channels', 'TEXT');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS alert_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      alert_id INTEGER NOT NULL,
+      mint TEXT NOT NULL,
+      alert_type TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      last_error TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      delivered_at TEXT,
+      UNIQUE(alert_id, channel)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_alert_deliveries_status ON alert_deliveries (status, updated_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert ON alert_deliveries (alert_id);
+  `);
+
+  // Default routing: risk alerts go everywhere, launch/momentum to the trading desk channels
+  const updateChannels = db.prepare(`
+    UPDATE alert_rules SET channels = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE rule_name = ? AND channels IS NULL
+  `);
+  updateChannels.run('["discord", "telegram", "slack", "http"]', 'risk_alert');
+  updateChannels.run('["discord", "telegram", "http"]', 'launch_alert');
+  updateChannels.run('["discord", "http"]', 'momentum_upgrade_alert');
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS alert_deliveries;');
+  dropColumn(db, 'alert_rules', 'channels');
+}
+
+module.exports = { up, down };
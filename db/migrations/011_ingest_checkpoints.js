@@ -0,0 +1,16 @@
+// 011 - Byte offset of the intake JSONL committed to SQLite by the ingest queue
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS ingest_checkpoints (
+      file TEXT PRIMARY KEY,
+      offset INTEGER NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS ingest_checkpoints;');
+}
+
+module.exports = { up, down };
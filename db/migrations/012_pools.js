@@ -0,0 +1,50 @@
+// 012 - Pools discovered on-chain (AMM accounts and pump.fun bonding curves)
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['pool_address', 'TEXT DEFAULT NULL'],
+  ['pool_dex', 'TEXT DEFAULT NULL'],
+  ['pools_checked_at', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS pools (
+      address TEXT PRIMARY KEY,
+      mint TEXT NOT NULL,
+      dex TEXT NOT NULL,
+      program_id TEXT NOT NULL,
+      base_mint TEXT NOT NULL,
+      quote_mint TEXT NOT NULL,
+      lp_mint TEXT,
+      base_vault TEXT,
+      quote_vault TEXT,
+      base_reserve REAL,
+      quote_reserve REAL,
+      lp_supply REAL,
+      status TEXT NOT NULL,
+      discovered_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_pools_mint ON pools (mint);
+    CREATE INDEX IF NOT EXISTS idx_pools_lp_mint ON pools (lp_mint);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_pools_lp_mint;
+    DROP INDEX IF EXISTS idx_pools_mint;
+    DROP TABLE IF EXISTS pools;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
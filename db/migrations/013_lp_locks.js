@@ -0,0 +1,53 @@
+// 013 - LP lock schedules decoded from locker programs
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['lp_locked_pct', 'REAL DEFAULT NULL'],
+  ['lp_next_unlock_at', 'TEXT DEFAULT NULL'],
+  ['lp_unlock_complete_at', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+
+  // Amounts in LP UI units; a NULL cliff_time means the schedule is unknown
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS lp_locks (
+      address TEXT PRIMARY KEY,
+      mint TEXT NOT NULL,
+      lp_mint TEXT NOT NULL,
+      locker TEXT NOT NULL,
+      program_id TEXT NOT NULL,
+      recipient TEXT,
+      total_amount REAL NOT NULL,
+      withdrawn_amount REAL NOT NULL DEFAULT 0,
+      cliff_time TEXT,
+      cliff_amount REAL NOT NULL DEFAULT 0,
+      period_sec INTEGER NOT NULL DEFAULT 0,
+      amount_per_period REAL NOT NULL DEFAULT 0,
+      end_time TEXT,
+      cancelled INTEGER NOT NULL DEFAULT 0,
+      confidence INTEGER NOT NULL,
+      lp_supply REAL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_lp_locks_mint ON lp_locks (mint);
+    CREATE INDEX IF NOT EXISTS idx_lp_locks_lp_mint ON lp_locks (lp_mint);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_lp_locks_lp_mint;
+    DROP INDEX IF EXISTS idx_lp_locks_mint;
+    DROP TABLE IF EXISTS lp_locks;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
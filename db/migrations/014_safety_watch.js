@@ -0,0 +1,65 @@
+// 014 - Authority / LP lock re-checks and safety_regression alerts
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['mint_authority', 'TEXT DEFAULT NULL'],
+  ['freeze_authority', 'TEXT DEFAULT NULL'],
+  ['safety_checked_at', 'TEXT DEFAULT NULL']
+];
+
+// Transition rows written by the safety watcher; change_type is NULL for scorer rows
+const HISTORY_COLUMNS = [
+  ['change_type', 'TEXT DEFAULT NULL'],
+  ['previous_value', 'TEXT DEFAULT NULL'],
+  ['current_value', 'TEXT DEFAULT NULL'],
+  ['is_regression', 'INTEGER DEFAULT 0'],
+  ['alerted_at', 'TEXT DEFAULT NULL']
+];
+
+const SAFETY_RULE = {
+  rule_name: 'safety_regression_alert',
+  alert_type: 'safety_regression',
+  conditions: 'mint/freeze authority re-enabled OR LP lock released on a previously safe token',
+  thresholds: '{}',
+  debounce_minutes: 0,
+  sustain_minutes: 0,
+  hard_mute_conditions: '{}',
+  channels: '["discord", "telegram", "slack", "http"]'
+};
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+  for (const [column, definition] of HISTORY_COLUMNS) {
+    addColumn(db, 'rug_risk_history', column, definition);
+  }
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_rug_risk_history_pending_regressions
+      ON rug_risk_history (is_regression, alerted_at);
+    CREATE INDEX IF NOT EXISTS idx_tokens_safety_checked_at ON tokens (safety_checked_at);
+  `);
+
+  db.prepare(`
+    INSERT OR IGNORE INTO alert_rules
+    (rule_name, alert_type, conditions, thresholds, debounce_minutes, sustain_minutes, hard_mute_conditions, channels)
+    VALUES (@rule_name, @alert_type, @conditions, @thresholds, @debounce_minutes, @sustain_minutes, @hard_mute_conditions, @channels)
+  `).run(SAFETY_RULE);
+}
+
+function down(db) {
+  db.prepare('DELETE FROM alert_rules WHERE rule_name = ?').run(SAFETY_RULE.rule_name);
+  db.exec(`
+    DROP INDEX IF EXISTS idx_tokens_safety_checked_at;
+    DROP INDEX IF EXISTS idx_rug_risk_history_pending_regressions;
+  `);
+  for (const [column] of [...HISTORY_COLUMNS].reverse()) {
+    dropColumn(db, 'rug_risk_history', column);
+  }
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// 015 - Token-2022 mint extensions (transfer fee, permanent delegate, transfer hook, default state)
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['token_program', 'TEXT DEFAULT NULL'],
+  ['token_extensions', 'TEXT DEFAULT NULL'],
+  ['transfer_fee_bps', 'INTEGER DEFAULT NULL'],
+  ['transfer_fee_authority', 'TEXT DEFAULT NULL'],
+  ['permanent_delegate', 'TEXT DEFAULT NULL'],
+  ['transfer_hook_program', 'TEXT DEFAULT NULL'],
+  ['default_account_state', 'TEXT DEFAULT NULL'],
+  ['extensions_checked_at', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+}
+
+function down(db) {
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// 016 - Buy/sell transaction simulation results (honeypot check)
+const { addColumn, dropColumn } = require('../migrator');
+
+// Taxes, impact and loss are fractions (0.05 = 5%)
+const TOKEN_COLUMNS = [
+  ['sell_simulation_status', 'TEXT DEFAULT NULL'],
+  ['sell_simulation_buy_tax', 'REAL DEFAULT NULL'],
+  ['sell_simulation_sell_tax', 'REAL DEFAULT NULL'],
+  ['sell_simulation_price_impact', 'REAL DEFAULT NULL'],
+  ['sell_simulation_round_trip_loss', 'REAL DEFAULT NULL'],
+  ['sell_simulation_wallet', 'TEXT DEFAULT NULL'],
+  ['sell_simulation_error', 'TEXT DEFAULT NULL'],
+  ['sell_simulation_at', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+}
+
+function down(db) {
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
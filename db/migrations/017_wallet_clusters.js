@@ -0,0 +1,50 @@
+// 017 - Persistent wallet clusters built from funding_edges
+function up(db) {
+  // Rebuilt on every clustering pass; cluster_id is carried over from the
+  // previous pass when most of a component's wallets already shared one
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS wallet_clusters (
+      cluster_id TEXT PRIMARY KEY,
+      size INTEGER NOT NULL,
+      token_count INTEGER NOT NULL DEFAULT 0,
+      funders TEXT,
+      first_funded_at TEXT,
+      last_funded_at TEXT,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS wallet_cluster_members (
+      wallet TEXT PRIMARY KEY,
+      cluster_id TEXT NOT NULL,
+      joined_via TEXT NOT NULL,
+      funded_by TEXT,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS wallet_cluster_tokens (
+      cluster_id TEXT NOT NULL,
+      mint TEXT NOT NULL,
+      wallets INTEGER NOT NULL,
+      roles TEXT,
+      first_activity_at TEXT,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (cluster_id, mint)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_wallet_cluster_members_cluster ON wallet_cluster_members (cluster_id);
+    CREATE INDEX IF NOT EXISTS idx_wallet_cluster_tokens_mint ON wallet_cluster_tokens (mint);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_wallet_cluster_tokens_mint;
+    DROP INDEX IF EXISTS idx_wallet_cluster_members_cluster;
+    DROP TABLE IF EXISTS wallet_cluster_tokens;
+    DROP TABLE IF EXISTS wallet_cluster_members;
+    DROP TABLE IF EXISTS wallet_clusters;
+  `);
+}
+
+module.exports = { up, down };
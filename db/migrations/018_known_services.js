@@ -0,0 +1,17 @@
+// 018 - Known-service wallets (exchanges, bridges, routers) added by hand on top of config/known-services.json
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS known_services (
+      wallet TEXT PRIMARY KEY,
+      name TEXT,
+      category TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+function down(db) {
+  db.exec('DROP TABLE IF EXISTS known_services;');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// 019 - Launch bundle detection (same slot, dev fee payer runs, Jito tips)
+const { addColumn, dropColumn } = require('../migrator');
+
+const TOKEN_COLUMNS = [
+  ['bundle_supply_pct', 'REAL DEFAULT NULL'],
+  ['launch_bundle_count', 'INTEGER DEFAULT NULL'],
+  ['bundles_checked_at', 'TEXT DEFAULT NULL']
+];
+
+// One row per buyer; bundle_id (first signature of the bundle) is NULL for
+// rows that did not come from the launch bundle detector
+const BUNDLE_EVENT_COLUMNS = [
+  ['bundle_id', 'TEXT DEFAULT NULL'],
+  ['slot', 'INTEGER DEFAULT NULL'],
+  ['tx_index', 'INTEGER DEFAULT NULL'],
+  ['detection', 'TEXT DEFAULT NULL'],
+  ['token_amount', 'REAL DEFAULT NULL'],
+  ['supply_pct', 'REAL DEFAULT NULL'],
+  ['bundle_supply_pct', 'REAL DEFAULT NULL'],
+  ['tip_lamports', 'INTEGER DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+  for (const [column, definition] of BUNDLE_EVENT_COLUMNS) {
+    addColumn(db, 'bundle_events', column, definition);
+  }
+  db.exec('CREATE INDEX IF NOT EXISTS idx_bundle_events_mint ON bundle_events (mint, bundle_id);');
+}
+
+function down(db) {
+  db.exec('DROP INDEX IF EXISTS idx_bundle_events_mint;');
+  for (const [column] of [...BUNDLE_EVENT_COLUMNS].reverse()) {
+    dropColumn(db, 'bundle_events', column);
+  }
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
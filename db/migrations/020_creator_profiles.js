@@ -0,0 +1,62 @@
+// 020 - Creator launch history and creator reputation
+const { addColumn, dropColumn } = require('../migrator');
+
+// Score as of the token's own launch (earlier, resolved launches only)
+const TOKEN_COLUMNS = [
+  ['creator_reputation_score', 'REAL DEFAULT NULL'],
+  ['creator_prior_launches', 'REAL DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS creator_launches (
+      mint TEXT PRIMARY KEY,
+      creator TEXT NOT NULL,
+      cluster_id TEXT,
+      launched_at TEXT NOT NULL,
+      outcome TEXT NOT NULL,
+      ret_24h REAL,
+      creator_score_at_launch REAL,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS creator_profiles (
+      creator TEXT PRIMARY KEY,
+      cluster_id TEXT,
+      launches INTEGER NOT NULL,
+      cluster_launches INTEGER NOT NULL DEFAULT 0,
+      rugged INTEGER NOT NULL DEFAULT 0,
+      winners INTEGER NOT NULL DEFAULT 0,
+      dead INTEGER NOT NULL DEFAULT 0,
+      pending INTEGER NOT NULL DEFAULT 0,
+      reputation_score REAL NOT NULL,
+      score_breakdown TEXT,
+      first_launch_at TEXT,
+      last_launch_at TEXT,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_creator_launches_creator ON creator_launches (creator, launched_at);
+    CREATE INDEX IF NOT EXISTS idx_creator_launches_cluster ON creator_launches (cluster_id);
+    CREATE INDEX IF NOT EXISTS idx_creator_profiles_score ON creator_profiles (reputation_score DESC);
+  `);
+}
+
+function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_creator_profiles_score;
+    DROP INDEX IF EXISTS idx_creator_launches_cluster;
+    DROP INDEX IF EXISTS idx_creator_launches_creator;
+    DROP TABLE IF EXISTS creator_profiles;
+    DROP TABLE IF EXISTS creator_launches;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,93 @@
+// 021 - Dev / insider / bundler dump monitoring and dev_dump / insider_dump alerts
+const { addColumn, dropColumn } = require('../migrator');
+
+// Cumulative share of supply sold or transferred out since launch
+const TOKEN_COLUMNS = [
+  ['dev_dump_pct', 'REAL DEFAULT NULL'],
+  ['insider_dump_pct', 'REAL DEFAULT NULL'],
+  ['dump_checked_at', 'TEXT DEFAULT NULL']
+];
+
+// Thresholds are percent of supply dumped within each rolling window
+const DUMP_RULES = [
+  {
+    rule_name: 'dev_dump_alert',
+    alert_type: 'dev_dump',
+    conditions: 'dev wallet sold or transferred out >= window threshold % of supply',
+    thresholds: '{"5m": 1, "1h": 3, "24h": 5}',
+    debounce_minutes: 15,
+    sustain_minutes: 0,
+    hard_mute_conditions: '{}',
+    channels: '["discord", "telegram", "slack", "http"]'
+  },
+  {
+    rule_name: 'insider_dump_alert',
+    alert_type: 'insider_dump',
+    conditions: 'insider and bundler wallets sold or transferred out >= window threshold % of supply',
+    thresholds: '{"5m": 3, "1h": 8, "24h": 15}',
+    debounce_minutes: 15,
+    sustain_minutes: 0,
+    hard_mute_conditions: '{}',
+    channels: '["discord", "telegram", "slack", "http"]'
+  }
+];
+
+function up(db) {
+  for (const [column, definition] of TOKEN_COLUMNS) {
+    addColumn(db, 'tokens', column, definition);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS dump_watch (
+      mint TEXT NOT NULL,
+      wallet TEXT NOT NULL,
+      role TEXT NOT NULL,
+      last_signature TEXT,
+      checked_at TEXT,
+      PRIMARY KEY (mint, wallet)
+    );
+
+    CREATE TABLE IF NOT EXISTS dump_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      mint TEXT NOT NULL,
+      wallet TEXT NOT NULL,
+      role TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      ts TEXT NOT NULL,
+      token_amount REAL,
+      supply_pct REAL,
+      destination TEXT,
+      sol_received REAL,
+      alerted_at TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(mint, wallet, signature)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_dump_events_mint_ts ON dump_events (mint, ts);
+    CREATE INDEX IF NOT EXISTS idx_dump_events_pending ON dump_events (alerted_at, ts);
+  `);
+
+  const insertRule = db.prepare(`
+    INSERT OR IGNORE INTO alert_rules
+    (rule_name, alert_type, conditions, thresholds, debounce_minutes, sustain_minutes, hard_mute_conditions, channels)
+    VALUES (@rule_name, @alert_type, @conditions, @thresholds, @debounce_minutes, @sustain_minutes, @hard_mute_conditions, @channels)
+  `);
+  for (const rule of DUMP_RULES) insertRule.run(rule);
+}
+
+function down(db) {
+  const deleteRule = db.prepare('DELETE FROM alert_rules WHERE rule_name = ?');
+  for (const rule of DUMP_RULES) deleteRule.run(rule.rule_name);
+  db.exec(`
+    DROP INDEX IF EXISTS idx_dump_events_pending;
+    DROP INDEX IF EXISTS idx_dump_events_mint_ts;
+    DROP TABLE IF EXISTS dump_events;
+    DROP TABLE IF EXISTS dump_watch;
+  `);
+  for (const [column] of [...TOKEN_COLUMNS].reverse()) {
+    dropColumn(db, 'tokens', column);
+  }
+}
+
+module.exports = { up, down };
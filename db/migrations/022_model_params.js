@@ -0,0 +1,23 @@
+// 022 - Serialized model parameters and model family in the model registry
+const { addColumn, dropColumn } = require('../migrator');
+
+// model_params holds the fitted model (logistic weights or boosted trees);
+// rows trained before this migration have none and score heuristically
+const REGISTRY_COLUMNS = [
+  ['model_type', "TEXT DEFAULT 'logistic'"],
+  ['model_params', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of REGISTRY_COLUMNS) {
+    addColumn(db, 'model_registry', column, definition);
+  }
+}
+
+function down(db) {
+  for (const [column] of [...REGISTRY_COLUMNS].reverse()) {
+    dropColumn(db, 'model_registry', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// 023 - Chosen hyperparameters and walk-forward cross-validation results in the model registry
+const { addColumn, dropColumn } = require('../migrator');
+
+// cv_metrics holds per-fold AUROC / AUPRC / Brier of the winning candidate
+// plus the mean of every candidate searched; NULL when trained without --cv
+const REGISTRY_COLUMNS = [
+  ['hyperparams', 'TEXT DEFAULT NULL'],
+  ['cv_metrics', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of REGISTRY_COLUMNS) {
+    addColumn(db, 'model_registry', column, definition);
+  }
+}
+
+function down(db) {
+  for (const [column] of [...REGISTRY_COLUMNS].reverse()) {
+    dropColumn(db, 'model_registry', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,91 @@
+// 024 - Model lifecycle states (candidate / shadow / champion / retired) and shadow predictions
+const { addColumn, dropColumn } = require('../migrator');
+
+const REGISTRY_COLUMNS = [
+  ['status', "TEXT DEFAULT 'candidate'"],
+  ['promoted_at', 'TEXT DEFAULT NULL'],
+  ['retired_at', 'TEXT DEFAULT NULL']
+];
+
+// token_predictions is keyed (mint, target, ts), which leaves room for one
+// model per snapshot. Shadow models score the same snapshot as the champion,
+// so the key gains model_id and rows are flagged shadow = 1.
+function rebuildPredictions(db, withShadow) {
+  const key = withShadow ? 'PRIMARY KEY (mint, target, ts, model_id)' : 'PRIMARY KEY (mint, target, ts)';
+  db.exec(`
+    CREATE TABLE token_predictions_new (
+      mint TEXT,
+      ts TEXT,
+      model_id TEXT${withShadow ? ' NOT NULL' : ''},
+      target TEXT,
+      prob REAL NOT NULL,
+      features_hash TEXT,
+      explainability TEXT,
+      ${withShadow ? 'shadow INTEGER NOT NULL DEFAULT 0,' : ''}
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+      ${key}
+    );
+    INSERT OR IGNORE INTO token_predictions_new (mint, ts, model_id, target, prob, features_hash, explainability, created_at)
+    SELECT mint, ts, COALESCE(model_id, 'unknown'), target, prob, features_hash, explainability, created_at
+    FROM token_predictions
+    ${withShadow ? '' : 'WHERE shadow = 0'};
+    DROP TABLE token_predictions;
+    ALTER TABLE token_predictions_new RENAME TO token_predictions;
+
+    CREATE INDEX IF NOT EXISTS idx_token_predictions_mint_ts ON token_predictions (mint, ts);
+    CREATE INDEX IF NOT EXISTS idx_token_predictions_target ON token_predictions (target);
+  `);
+  if (withShadow) {
+    db.exec('CREATE INDEX IF NOT EXISTS idx_token_predictions_model ON token_predictions (model_id, shadow)');
+  }
+}
+
+function up(db) {
+  for (const [column, definition] of REGISTRY_COLUMNS) {
+    addColumn(db, 'model_registry', column, definition);
+  }
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS model_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      model_id TEXT NOT NULL,
+      target TEXT NOT NULL,
+      action TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      previous_champion TEXT,
+      reason TEXT,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_model_events_target ON model_events (target, id);
+    CREATE INDEX IF NOT EXISTS idx_model_registry_status ON model_registry (target, status);
+  `);
+
+  // The scorer used to take the newest row per target: that row is the
+  // champion, everything older is retired
+  db.exec(`
+    UPDATE model_registry SET status = 'retired', retired_at = CURRENT_TIMESTAMP;
+    UPDATE model_registry SET status = 'champion', promoted_at = created_at, retired_at = NULL
+    WHERE model_id IN (
+      SELECT (SELECT model_id FROM model_registry r WHERE r.target = t.target ORDER BY created_at DESC LIMIT 1)
+      FROM (SELECT DISTINCT target FROM model_registry) t
+    );
+  `);
+
+  rebuildPredictions(db, true);
+}
+
+function down(db) {
+  rebuildPredictions(db, false);
+  db.exec(`
+    DROP INDEX IF EXISTS idx_model_registry_status;
+    DROP INDEX IF EXISTS idx_model_events_target;
+    DROP TABLE IF EXISTS model_events;
+  `);
+  for (const [column] of [...REGISTRY_COLUMNS].reverse()) {
+    dropColumn(db, 'model_registry', column);
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// 025 - Feature store: versioned feature schemas and point-in-time feature vectors
+const { addColumn, dropColumn } = require('../migrator');
+
+function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS feature_schemas (
+      version INTEGER PRIMARY KEY,
+      names JSON NOT NULL,
+      hash TEXT NOT NULL,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- One vector per token snapshot and schema version. feature_values holds
+    -- the imputed values in schema order, missing_mask a 0/1 per feature.
+    CREATE TABLE IF NOT EXISTS feature_vectors (
+      mint TEXT NOT NULL,
+      snapshot_ts TEXT NOT NULL,
+      schema_version INTEGER NOT NULL,
+      feature_values JSON NOT NULL,
+      missing_mask JSON NOT NULL,
+      computed_at TEXT NOT NULL,
+      PRIMARY KEY (mint, snapshot_ts, schema_version)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_feature_vectors_snapshot ON feature_vectors (snapshot_ts);
+  `);
+
+  addColumn(db, 'model_registry', 'feature_schema_version', 'INTEGER DEFAULT NULL');
+}
+
+function down(db) {
+  dropColumn(db, 'model_registry', 'feature_schema_version');
+  db.exec(`
+    DROP INDEX IF EXISTS idx_feature_vectors_snapshot;
+    DROP TABLE IF EXISTS feature_vectors;
+    DROP TABLE IF EXISTS feature_schemas;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,74 @@
+// 026 - Feature and prediction drift monitoring against each model's training reference
+const { addColumn, dropColumn } = require('../migrator');
+
+// Per-feature PSI / KS that mark a feature as drifted, how many drifted
+// features make a run drift, and the PSI of the predicted probabilities
+// that does so on its own
+const DRIFT_RULE = {
+  rule_name: 'model_drift_alert',
+  alert_type: 'model_drift',
+  conditions: 'live features or predictions drifted from the champion model training reference',
+  thresholds: '{"psi": 0.25, "ks": 0.2, "features": 3, "prediction_psi": 0.25}',
+  debounce_minutes: 360,
+  sustain_minutes: 0,
+  hard_mute_conditions: '{}',
+  channels: '["discord", "telegram", "slack", "http"]'
+};
+
+function up(db) {
+  // Feature and prediction distributions of the training data, written by the trainer
+  addColumn(db, 'model_registry', 'reference_profile', 'TEXT DEFAULT NULL');
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS drift_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      target TEXT NOT NULL,
+      model_id TEXT NOT NULL,
+      window_start TEXT NOT NULL,
+      window_end TEXT NOT NULL,
+      live_tokens INTEGER NOT NULL,
+      live_predictions INTEGER NOT NULL,
+      drifted_features INTEGER NOT NULL DEFAULT 0,
+      max_feature_psi REAL,
+      prediction_psi REAL,
+      prediction_ks REAL,
+      status TEXT NOT NULL,
+      retrain_suggested INTEGER NOT NULL DEFAULT 0,
+      alert_id INTEGER,
+      created_at TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS drift_metrics (
+      run_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      name TEXT NOT NULL,
+      psi REAL,
+      ks REAL,
+      reference_missing_rate REAL,
+      live_missing_rate REAL,
+      live_count INTEGER NOT NULL,
+      drifted INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (run_id, kind, name)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_drift_runs_target ON drift_runs (target, created_at);
+  `);
+
+  db.prepare(`
+    INSERT OR IGNORE INTO alert_rules
+    (rule_name, alert_type, conditions, thresholds, debounce_minutes, sustain_minutes, hard_mute_conditions, channels)
+    VALUES (@rule_name, @alert_type, @conditions, @thresholds, @debounce_minutes, @sustain_minutes, @hard_mute_conditions, @channels)
+  `).run(DRIFT_RULE);
+}
+
+function down(db) {
+  db.prepare('DELETE FROM alert_rules WHERE rule_name = ?').run(DRIFT_RULE.rule_name);
+  db.exec(`
+    DROP INDEX IF EXISTS idx_drift_runs_target;
+    DROP TABLE IF EXISTS drift_metrics;
+    DROP TABLE IF EXISTS drift_runs;
+  `);
+  dropColumn(db, 'model_registry', 'reference_profile');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// 027 - Resume cursor for dump-monitor signature scans that span several passes
+const { addColumn, dropColumn } = require('../migrator');
+
+// scan_before: oldest signature read so far by an unfinished scan
+// scan_newest: newest signature of that scan, the checkpoint once it finishes
+const WATCH_COLUMNS = [
+  ['scan_before', 'TEXT DEFAULT NULL'],
+  ['scan_newest', 'TEXT DEFAULT NULL']
+];
+
+function up(db) {
+  for (const [column, definition] of WATCH_COLUMNS) {
+    addColumn(db, 'dump_watch', column, definition);
+  }
+}
+
+function down(db) {
+  for (const [column] of [...WATCH_COLUMNS].reverse()) {
+    dropColumn(db, 'dump_watch', column);
+  }
+}
+
+module.exports = { up, down };
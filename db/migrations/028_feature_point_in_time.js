@@ -0,0 +1,24 @@
+// 028 - Flag feature vectors written close enough to their snapshot to be point-in-time
+const { addColumn, dropColumn } = require('../migrator');
+
+// Matches the FEATURE_SNAPSHOT_TOLERANCE_MINUTES default in lib/feature-store.js
+const TOLERANCE_MINUTES = 15;
+
+function up(db) {
+  addColumn(db, 'feature_vectors', 'point_in_time', 'INTEGER NOT NULL DEFAULT 0');
+
+  // Vectors backfilled later read the token's current state, not its state
+  // at the snapshot, so only ones written shortly after it qualify
+  db.prepare(`
+    UPDATE feature_vectors SET point_in_time = CASE
+      WHEN julianday(computed_at) >= julianday(snapshot_ts)
+       AND (julianday(computed_at) - julianday(snapshot_ts)) * 1440 <= ?
+      THEN 1 ELSE 0 END
+  `).run(TOLERANCE_MINUTES);
+}
+
+function down(db) {
+  dropColumn(db, 'feature_vectors', 'point_in_time');
+}
+
+module.exports = { up, down };
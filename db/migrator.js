@@ -0,0 +1,173 @@
+// db/migrator.js - Versioned schema migrations tracked in schema_migrations
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Add a column unless it already exists. Databases built by the old
+ * one-off migrate-*.js scripts already carry many of these columns.
+ */
+function addColumn(db, table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * Drop a column if present (SQLite >= 3.35). Indexes on the column must be dropped first.
+ */
+function dropColumn(db, table, column) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (exists) {
+    db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+}
+
+/**
+ * Load migration modules from db/migrations. Files are named
+ * NNN_description.js and export { up(db), down(db) }.
+ * @returns {Array} Migrations sorted by version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(file.split('_')[0], 10),
+        name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+class Migrator {
+  /**
+   * @param {object} options - { db, dbPath, migrations }
+   */
+  constructor(options = {}) {
+    this.db = options.db || new Database(options.dbPath || 'db/agent.db');
+    this.migrations = options.migrations || loadMigrations();
+    this.ensureTable();
+  }
+
+  ensureTable() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      );
+    `);
+  }
+
+  appliedVersions() {
+    return new Set(this.db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+  }
+
+  currentVersion() {
+    return this.db.prepare('SELECT MAX(version) as version FROM schema_migrations').get().version || 0;
+  }
+
+  latestVersion() {
+    return this.migrations.length > 0 ? this.migrations[this.migrations.length - 1].version : 0;
+  }
+
+  pending() {
+    const applied = this.appliedVersions();
+    return this.migrations.filter(m => !applied.has(m.version));
+  }
+
+  /**
+   * @returns {Array} One row per known migration with applied_at (null when pending)
+   */
+  status() {
+    const rows = this.db.prepare('SELECT version, applied_at FROM schema_migrations').all();
+    const appliedAt = new Map(rows.map(r => [r.version, r.applied_at]));
+    return this.migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: appliedAt.get(m.version) || null
+    }));
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction
+   * @param {number|null} target - Stop after this version (default: all)
+   * @returns {Array} Applied migrations
+   */
+  up(target = null) {
+    const applied = [];
+    for (const migration of this.pending()) {
+      if (target !== null && migration.version > target) break;
+
+      this.db.transaction(() => {
+        migration.up(this.db);
+        this.db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+          .run(migration.version, migration.name, new Date().toISOString());
+      })();
+      applied.push(migration);
+    }
+    return applied;
+  }
+
+  /**
+   * Roll back the most recently applied migrations, newest first
+   * @param {number} steps - Number of migrations to roll back
+   * @returns {Array} Rolled back migrations
+   */
+  down(steps = 1) {
+    const applied = this.appliedVersions();
+    const toRevert = this.migrations
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRevert) {
+      this.db.transaction(() => {
+        migration.down(this.db);
+        this.db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+      })();
+    }
+    return toRevert;
+  }
+}
+
+/**
+ * Refuse to run against a database with unapplied migrations. Called by
+ * workers right after opening the database.
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} source - Worker name for the error message
+ */
+function assertSchemaCurrent(db, source) {
+  const hasTable = db.prepare(
+    "SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'"
+  ).get();
+  const applied = hasTable
+    ? new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version))
+    : new Set();
+  const missing = loadMigrations().filter(m => !applied.has(m.version));
+
+  if (missing.length > 0) {
+    throw new Error(
+      `${source}: database schema is out of date (${missing.length} pending migration(s), ` +
+      `first ${String(missing[0].version).padStart(3, '0')}_${missing[0].name}). Run: npm run cli -- migrate up`
+    );
+  }
+}
+
+module.exports = {
+  Migrator,
+  loadMigrations,
+  assertSchemaCurrent,
+  addColumn,
+  dropColumn
+};
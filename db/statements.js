@@ -0,0 +1,45 @@
+// db/statements.js - SQL shared by db/index.js, the ingest queue and intake replay
+const UPSERT_TOKEN_SQL = `
+INSERT INTO tokens (mint, symbol, name, decimals, creator, launch_tx, source, first_seen_at, last_updated_at)
+VALUES (@mint, @symbol, @name, @decimals, @creator, @launch_tx, @source, @first_seen_at, @last_updated_at)
+ON CONFLICT(mint) DO UPDATE SET
+  symbol=excluded.symbol,
+  name=excluded.name,
+  decimals=excluded.decimals,
+  creator=excluded.creator,
+  launch_tx=excluded.launch_tx,
+  source=excluded.source,
+  last_updated_at=excluded.last_updated_at
+`;
+
+// Replayed lines may be older than what is already stored: keep known
+// metadata, the earliest first_seen_at and the latest last_updated_at
+const REPLAY_UPSERT_TOKEN_SQL = `
+INSERT INTO tokens (mint, symbol, name, decimals, creator, launch_tx, source, first_seen_at, last_updated_at)
+VALUES (@mint, @symbol, @name, @decimals, @creator, @launch_tx, @source, @first_seen_at, @last_updated_at)
+ON CONFLICT(mint) DO UPDATE SET
+  symbol=COALESCE(symbol, excluded.symbol),
+  name=COALESCE(name, excluded.name),
+  decimals=COALESCE(decimals, excluded.decimals),
+  creator=COALESCE(creator, excluded.creator),
+  launch_tx=COALESCE(launch_tx, excluded.launch_tx),
+  source=COALESCE(source, excluded.source),
+  first_seen_at=CASE
+    WHEN first_seen_at IS NULL OR excluded.first_seen_at < first_seen_at THEN excluded.first_seen_at
+    ELSE first_seen_at END,
+  last_updated_at=CASE
+    WHEN last_updated_at IS NULL OR excluded.last_updated_at > last_updated_at THEN excluded.last_updated_at
+    ELSE last_updated_at END
+`;
+
+// Dedupe handled by the unique indexes on (mint, type, received_at) and (signature, type)
+const INSERT_EVENT_SQL = `
+INSERT OR IGNORE INTO token_events (mint, type, source, received_at, raw_json, signature)
+VALUES (@mint, @type, @source, @received_at, @raw_json, @signature)
+`;
+
+module.exports = {
+  UPSERT_TOKEN_SQL,
+  REPLAY_UPSERT_TOKEN_SQL,
+  INSERT_EVENT_SQL
+};
@@ -1,11 +1,14 @@
 // enrich/worker.js - Enhanced token enrichment with batching, rate limiting, and error handling
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const { fetchJson, sleep } = require('../lib/http');
 const logger = require('../lib/logger');
+const { analyzeMintAccount, saveMintExtensions } = require('../lib/token-extensions');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'enrich');
 
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
 const DEXSCREENER_BASE = process.env.DEXSCREENER_BASE || 'https://api.dexscreener.com';
@@ -126,7 +129,7 @@ async function fetchAuthoritiesRevoked(mint) {
         jsonrpc: '2.0',
         id: 1,
         method: 'getAccountInfo',
-        params: [mint, { encoding: 'jsonParsed' }]
+        params: [mint, { encoding: 'base64' }]
       })
     }, { rateLimiter: 'rpc', retries: 3, backoffMs: 2000, timeoutMs: 8000 });
 
@@ -137,15 +140,13 @@ async function fetchAuthoritiesRevoked(mint) {
       return { authorities_revoked: 0, error: 'UNINITIALIZED_MINT' };
     }
 
-    const parsed = result?.data?.parsed;
-    const info = parsed?.info || {};
-    
+    // Raw account so Token-2022 extensions decode the same way for every RPC provider
+    const mintInfo = analyzeMintAccount(Buffer.from(result.data[0], 'base64'), result.owner);
+
     // Check if both authorities are null (revoked)
-    const mintAuth = info?.mintAuthority ?? null;
-    const freezeAuth = info?.freezeAuthority ?? null;
-    const revoked = (mintAuth === null && freezeAuth === null) ? 1 : 0;
-    
-    return { authorities_revoked: revoked };
+    const revoked = (mintInfo.mintAuthority === null && mintInfo.freezeAuthority === null) ? 1 : 0;
+
+    return { authorities_revoked: revoked, mint_info: mintInfo };
   } catch (error) {
     logger.error('enrichment', mint, 'authorities', `RPC authorities check failed: ${error.message}`);
     throw new Error(`RPC_AUTH_${error.message}`);
@@ -223,11 +224,15 @@ async function enrichOne(token) {
       nowIso,
       token.mint
     );
+    if (auth.mint_info) {
+      saveMintExtensions(db, token.mint, auth.mint_info);
+    }
 
     logger.success('enrichment', token.mint, 'complete', `Enriched successfully`, {
       symbol: meta.symbol || '',
       liquidity_usd: liq.liquidity_usd,
-      authorities_revoked: auth.authorities_revoked
+      authorities_revoked: auth.authorities_revoked,
+      token_extensions: auth.mint_info?.extensions.length ? auth.mint_info.extensions : undefined
     });
   } catch (error) {
     const errorCode = error.message.slice(0, 120); // Truncate to 120 chars
@@ -0,0 +1,374 @@
+// lib/alert-delivery.js - Alert delivery channels (Discord, Telegram, Slack, HTTP POST)
+require('dotenv').config();
+const Database = require('better-sqlite3');
+const logger = require('./logger');
+const { sleep } = require('./http');
+const { generateExplorerLinks } = require('./visual-encoding');
+
+/**
+ * POST a JSON body and return the status code and raw response text
+ * @param {string} url - Target URL
+ * @param {object} body - JSON body
+ * @param {object} headers - Extra headers
+ * @param {number} timeoutMs - Request timeout
+ * @returns {object} { status, text }
+ */
+async function postJson(url, body, headers = {}, timeoutMs = 8000) {
+  const { default: fetch } = await import('node-fetch');
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+    const text = await response.text();
+    return { status: response.status, text, retryAfter: response.headers.get('retry-after') };
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('TIMEOUT');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Wait requested by a Retry-After header, either delay-seconds or an
+ * HTTP-date
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds, null when absent or unparseable
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(parseFloat(value) * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/**
+ * Build the plain-text body shared by all chat channels
+ * @param {object} alert - Alert row
+ * @returns {string} Alert text with explorer links
+ */
+function formatAlertText(alert) {
+  // System alerts (model drift) are not about a token
+  if (alert.mint === 'system') return alert.message;
+  const links = generateExplorerLinks(alert.mint);
+  return `${alert.message}
+
+Links: ${links.dexscreener} | ${links.birdeye} | ${links.solscan}
+Copy mint: ${alert.mint}`;
+}
+
+class DiscordChannel {
+  constructor(webhookUrl) {
+    this.name = 'discord';
+    this.webhookUrl = webhookUrl;
+  }
+
+  async send(alert) {
+    if (alert.mint === 'system') {
+      return postJson(this.webhookUrl, { content: alert.message.slice(0, 2000) });
+    }
+    const links = generateExplorerLinks(alert.mint);
+    const content = `${alert.message}
+
+Links: [Dexscreener](<${links.dexscreener}>) | [Birdeye](<${links.birdeye}>) | [Solscan](<${links.solscan}>) • Copy mint: \`${alert.mint}\``;
+
+    // Discord rejects messages over 2000 characters
+    return postJson(this.webhookUrl, { content: content.slice(0, 2000) });
+  }
+}
+
+class TelegramChannel {
+  constructor(botToken, chatId, apiBase = 'https://api.telegram.org') {
+    this.name = 'telegram';
+    this.botToken = botToken;
+    this.chatId = chatId;
+    this.apiBase = apiBase;
+  }
+
+  async send(alert) {
+    return postJson(`${this.apiBase}/bot${this.botToken}/sendMessage`, {
+      chat_id: this.chatId,
+      text: formatAlertText(alert).slice(0, 4096),
+      disable_web_page_preview: true
+    });
+  }
+}
+
+class SlackChannel {
+  constructor(webhookUrl) {
+    this.name = 'slack';
+    this.webhookUrl = webhookUrl;
+  }
+
+  async send(alert) {
+    return postJson(this.webhookUrl, { text: formatAlertText(alert) });
+  }
+}
+
+class HttpChannel {
+  constructor(url, secret = null) {
+    this.name = 'http';
+    this.url = url;
+    this.secret = secret;
+  }
+
+  async send(alert) {
+    const headers = this.secret ? { 'x-alert-secret': this.secret } : {};
+    return postJson(this.url, {
+      id: alert.id,
+      mint: alert.mint,
+      alert_type: alert.alert_type,
+      alert_level: alert.alert_level,
+      message: alert.message,
+      triggered_at: alert.triggered_at,
+      metadata: alert.metadata ? JSON.parse(alert.metadata) : null,
+      links: alert.mint === 'system' ? null : generateExplorerLinks(alert.mint)
+    }, headers);
+  }
+}
+
+/**
+ * Build channels from environment variables. Only channels with a
+ * destination configured are enabled.
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {object} Map of channel name -> channel
+ */
+function createChannelsFromEnv(env = process.env) {
+  const channels = {};
+
+  if (env.DISCORD_WEBHOOK_URL) {
+    channels.discord = new DiscordChannel(env.DISCORD_WEBHOOK_URL);
+  }
+  if (env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID) {
+    channels.telegram = new TelegramChannel(env.TELEGRAM_BOT_TOKEN, env.TELEGRAM_CHAT_ID, env.TELEGRAM_API_BASE);
+  }
+  if (env.SLACK_WEBHOOK_URL) {
+    channels.slack = new SlackChannel(env.SLACK_WEBHOOK_URL);
+  }
+  if (env.ALERT_HTTP_URL) {
+    channels.http = new HttpChannel(env.ALERT_HTTP_URL, env.ALERT_HTTP_SECRET || null);
+  }
+
+  return channels;
+}
+
+class AlertDelivery {
+  constructor(options = {}) {
+    const {
+      dbPath = 'db/agent.db',
+      channels = createChannelsFromEnv(),
+      maxAttempts = 4,
+      backoffMs = 1000
+    } = options;
+
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.channels = channels;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+  }
+
+  /**
+   * Resolve which configured channels a rule routes to
+   * @param {string|null} ruleChannels - JSON array from alert_rules.channels
+   * @returns {Array} Channel names
+   */
+  resolveChannels(ruleChannels) {
+    const configured = Object.keys(this.channels);
+    if (!ruleChannels) return configured;
+
+    try {
+      const requested = JSON.parse(ruleChannels);
+      return requested.filter(name => configured.includes(name));
+    } catch (error) {
+      logger.error('alert-delivery', 'system', 'routing_error', `Invalid channels on rule: ${error.message}`);
+      return configured;
+    }
+  }
+
+  /**
+   * Send an alert to one channel, retrying with exponential backoff on
+   * network errors, 429 and 5xx responses
+   * @param {object} alert - Alert row
+   * @param {string} channelName - Channel name
+   * @returns {object} Delivery result
+   */
+  async sendWithRetry(alert, channelName) {
+    const channel = this.channels[channelName];
+    let lastError = null;
+    let lastStatus = null;
+    let attempts = 0;
+
+    while (attempts < this.maxAttempts) {
+      attempts++;
+      try {
+        const { status, text, retryAfter } = await channel.send(alert);
+        lastStatus = status;
+
+        if (status >= 200 && status < 300) {
+          return { delivered: true, attempts, status, error: null };
+        }
+
+        lastError = `HTTP_${status}${text ? `: ${text.slice(0, 200)}` : ''}`;
+
+        // Client errors other than rate limiting will not succeed on retry
+        if (status < 500 && status !== 429) {
+          break;
+        }
+
+        if (attempts < this.maxAttempts) {
+          const requested = status === 429 ? parseRetryAfter(retryAfter) : null;
+          const waitTime = requested ?? this.backoffMs * Math.pow(2, attempts - 1);
+          logger.warning('alert-delivery', alert.mint, 'retry', `${channelName} returned ${status}, retrying in ${waitTime}ms`);
+          await sleep(waitTime);
+        }
+      } catch (error) {
+        lastError = error.message;
+        lastStatus = null;
+
+        if (attempts < this.maxAttempts) {
+          const waitTime = this.backoffMs * Math.pow(2, attempts - 1);
+          logger.warning('alert-delivery', alert.mint, 'retry', `${channelName} failed: ${error.message}, retrying in ${waitTime}ms`);
+          await sleep(waitTime);
+        }
+      }
+    }
+
+    return { delivered: false, attempts, status: lastStatus, error: lastError };
+  }
+
+  /**
+   * Record a delivery attempt in alert_deliveries
+   * @param {object} alert - Alert row
+   * @param {string} channelName - Channel name
+   * @param {object} result - Result of sendWithRetry
+   */
+  recordDelivery(alert, channelName, result) {
+    const now = new Date().toISOString();
+    this.db.prepare(`
+      INSERT INTO alert_deliveries
+      (alert_id, mint, alert_type, channel, status, attempts, response_status, last_error, created_at, updated_at, delivered_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(alert_id, channel) DO UPDATE SET
+        status = excluded.status,
+        attempts = alert_deliveries.attempts + excluded.attempts,
+        response_status = excluded.response_status,
+        last_error = excluded.last_error,
+        updated_at = excluded.updated_at,
+        delivered_at = excluded.delivered_at
+    `).run(
+      alert.id,
+      alert.mint,
+      alert.alert_type,
+      channelName,
+      result.delivered ? 'delivered' : 'failed',
+      result.attempts,
+      result.status,
+      result.error,
+      now,
+      now,
+      result.delivered ? now : null
+    );
+  }
+
+  /**
+   * Deliver an alert to every channel its rule routes to
+   * @param {object} alert - Alert row (id, mint, alert_type, alert_level, message, triggered_at, metadata)
+   * @param {object} rule - Alert rule (uses rule.channels)
+   * @returns {Array} Per-channel results
+   */
+  async deliverAlert(alert, rule = {}) {
+    const channelNames = this.resolveChannels(rule.channels);
+    if (channelNames.length === 0) {
+      logger.debug('alert-delivery', alert.mint, 'no_channels', `No delivery channels configured for ${alert.alert_type}`);
+      return [];
+    }
+
+    const results = [];
+    for (const channelName of channelNames) {
+      const result = await this.sendWithRetry(alert, channelName);
+
+      try {
+        this.recordDelivery(alert, channelName, result);
+      } catch (error) {
+        logger.error('alert-delivery', alert.mint, 'record_failed', `Failed to record delivery: ${error.message}`);
+      }
+
+      if (result.delivered) {
+        logger.success('alert-delivery', alert.mint, 'delivered', `Alert ${alert.id} delivered to ${channelName}`, {
+          attempts: result.attempts
+        });
+      } else {
+        logger.error('alert-delivery', alert.mint, 'delivery_failed', `Alert ${alert.id} failed on ${channelName}: ${result.error}`, {
+          attempts: result.attempts
+        });
+      }
+
+      results.push({ channel: channelName, ...result });
+    }
+
+    return results;
+  }
+
+  /**
+   * Retry deliveries that previously failed
+   * @param {number} limit - Maximum deliveries to retry
+   * @returns {number} Number of deliveries that succeeded on retry
+   */
+  async redeliverFailed(limit = 50) {
+    const failed = this.db.prepare(`
+      SELECT d.channel, a.id, a.mint, a.alert_type, a.alert_level, a.message, a.triggered_at, a.metadata
+      FROM alert_deliveries d
+      JOIN alerts a ON a.id = d.alert_id
+      WHERE d.status = 'failed'
+      ORDER BY d.updated_at ASC
+      LIMIT ?
+    `).all(limit);
+
+    let recovered = 0;
+    for (const row of failed) {
+      if (!this.channels[row.channel]) continue;
+
+      const { channel, ...alert } = row;
+      const result = await this.sendWithRetry(alert, channel);
+      this.recordDelivery(alert, channel, result);
+      if (result.delivered) recovered++;
+    }
+
+    logger.info('alert-delivery', 'system', 'redeliver', `Redelivered ${recovered}/${failed.length} failed alerts`);
+    return recovered;
+  }
+
+  /**
+   * Get recent delivery status rows
+   * @param {number} limit - Number of rows
+   * @returns {Array} Delivery rows with token symbol
+   */
+  getRecentDeliveries(limit = 20) {
+    return this.db.prepare(`
+      SELECT d.*, t.symbol
+      FROM alert_deliveries d
+      LEFT JOIN tokens t ON t.mint = d.mint
+      ORDER BY datetime(d.updated_at) DESC
+      LIMIT ?
+    `).all(limit);
+  }
+}
+
+module.exports = {
+  AlertDelivery,
+  DiscordChannel,
+  TelegramChannel,
+  SlackChannel,
+  HttpChannel,
+  createChannelsFromEnv,
+  parseRetryAfter
+};
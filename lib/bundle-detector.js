@@ -0,0 +1,231 @@
+// lib/bundle-detector.js - Atomically bundled launch buys (same slot, dev fee payer runs, Jito tips)
+const JITO_TIP_ACCOUNTS = new Set([
+  '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5',
+  'HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe',
+  'Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY',
+  'ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49',
+  'DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh',
+  'ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt',
+  'DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL',
+  '3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT'
+]);
+
+const MAX_BUNDLE_TXS = 5; // Jito bundles carry at most five transactions
+
+/**
+ * Buys of the mint in one getBlock(transactionDetails: 'accounts') block.
+ * A buyer is a signer whose token balance went up, which leaves out pool
+ * vaults and recipients of plain transfers.
+ * @param {object} block - RPC block
+ * @param {number} slot - Block slot
+ * @param {string} mint - Token mint
+ * @returns {Array} { slot, index, signature, feePayer, buys: [{ wallet, amount }], tipLamports }
+ */
+function extractBlockBuys(block, slot, mint) {
+  const transactions = [];
+
+  (block?.transactions || []).forEach((tx, index) => {
+    const meta = tx.meta;
+    const keys = tx.transaction?.accountKeys || [];
+    if (!meta || meta.err || keys.length === 0) return;
+
+    const signers = new Set(keys.filter(k => k.signer).map(k => k.pubkey));
+    const deltas = new Map();
+    const apply = (balances, sign) => {
+      for (const balance of balances || []) {
+        if (balance.mint !== mint || !balance.owner) continue;
+        const amount = BigInt(balance.uiTokenAmount?.amount || '0') * sign;
+        deltas.set(balance.owner, (deltas.get(balance.owner) || 0n) + amount);
+      }
+    };
+    apply(meta.preTokenBalances, -1n);
+    apply(meta.postTokenBalances, 1n);
+
+    const buys = [...deltas.entries()]
+      .filter(([owner, delta]) => delta > 0n && signers.has(owner))
+      .map(([wallet, amount]) => ({ wallet, amount }));
+
+    let tipLamports = 0;
+    keys.forEach((key, i) => {
+      if (JITO_TIP_ACCOUNTS.has(key.pubkey)) {
+        tipLamports += Math.max(0, (meta.postBalances[i] || 0) - (meta.preBalances[i] || 0));
+      }
+    });
+
+    transactions.push({
+      slot,
+      index,
+      signature: tx.transaction.signatures?.[0] || null,
+      feePayer: keys[0].pubkey,
+      buys,
+      tipLamports
+    });
+  });
+
+  return transactions;
+}
+
+/**
+ * Group launch buys into bundles. A buy is bundled when it lands in the pool
+ * creation slot, is paid by the dev's fee payer next to another dev-paid
+ * transaction, or sits in a run of consecutive transactions carrying a Jito
+ * tip, in one of the buys or in a tip-only transaction right before or after
+ * the run. Consecutive bundled transactions in one slot form one bundle; a lone
+ * dev buy (create + buy) is not a bundle.
+ * @param {object} options - { blocks: [{ slot, block }], poolSlot, poolSignature, devWallet, mint, supply, decimals }
+ * @returns {object} { bundles, supplyPct }
+ */
+function detectLaunchBundles({ blocks, poolSlot, poolSignature, devWallet, mint, supply, decimals = 0 }) {
+  const transactions = [];
+  const blockTimes = new Map();
+  for (const { slot, block } of blocks) {
+    if (!block) continue;
+    blockTimes.set(slot, block.blockTime || null);
+    transactions.push(...extractBlockBuys(block, slot, mint));
+  }
+
+  const poolTx = transactions.find(tx => tx.signature === poolSignature);
+  const devPayers = new Set([devWallet, poolTx?.feePayer].filter(Boolean));
+  const isDevPaid = tx => devPayers.has(tx.feePayer);
+
+  const bySlotIndex = new Map(transactions.map(tx => [`${tx.slot}:${tx.index}`, tx]));
+  const neighbour = (tx, offset) => bySlotIndex.get(`${tx.slot}:${tx.index + offset}`);
+
+  // Runs of consecutive buy transactions within a slot
+  const runs = [];
+  for (const tx of transactions.filter(t => t.buys.length > 0)) {
+    const previous = runs[runs.length - 1];
+    const last = previous?.[previous.length - 1];
+    if (last && last.slot === tx.slot && last.index === tx.index - 1) {
+      previous.push(tx);
+    } else {
+      runs.push([tx]);
+    }
+  }
+
+  const bundles = [];
+  for (const run of runs) {
+    // The tip usually rides in its own transaction at the end of the bundle.
+    // A tip-only transaction between two runs goes with the run it follows.
+    const tipOnlyTip = tx => (tx && tx.buys.length === 0 ? tx.tipLamports : 0);
+    const before = neighbour(run[0], -1);
+    const trailsRun = before && neighbour(before, -1)?.buys.length > 0;
+    const tipBefore = trailsRun ? 0 : tipOnlyTip(before);
+    const tipAfter = tipOnlyTip(neighbour(run[run.length - 1], 1));
+    const tipOnlyCount = [tipBefore, tipAfter].filter(tip => tip > 0).length;
+    const tipped = run.length + tipOnlyCount <= MAX_BUNDLE_TXS &&
+      (tipOnlyCount > 0 || run.some(tx => tx.tipLamports > 0));
+
+    const bundled = run.map((tx, i) => {
+      const reasons = [];
+      if (tx.slot === poolSlot) reasons.push('same_slot');
+      if (isDevPaid(tx) && [neighbour(tx, -1), neighbour(tx, 1)].some(n => n && isDevPaid(n))) {
+        reasons.push('dev_fee_payer');
+      }
+      if (tipped) reasons.push('jito_tip');
+      // A tip-only neighbour's tip belongs to the buy next to it, so only the
+      // sub-bundle holding that buy counts it
+      let tipLamports = tx.tipLamports;
+      if (tipped && i === 0) tipLamports += tipBefore;
+      if (tipped && i === run.length - 1) tipLamports += tipAfter;
+      return { ...tx, tipLamports, reasons };
+    });
+
+    // Split the run where a transaction has no bundle signal
+    let current = [];
+    const flush = () => {
+      const wallets = new Set(current.flatMap(tx => tx.buys.map(b => b.wallet)));
+      const onlyDev = [...wallets].every(wallet => devPayers.has(wallet));
+      if (current.length > 0 && wallets.size > 0 && !(onlyDev && current.length === 1)) {
+        bundles.push(buildBundle(current, blockTimes, supply, decimals));
+      }
+      current = [];
+    };
+    for (const tx of bundled) {
+      if (tx.reasons.length === 0) {
+        flush();
+        continue;
+      }
+      current.push(tx);
+    }
+    flush();
+  }
+
+  return {
+    bundles,
+    supplyPct: round(bundles.reduce((sum, b) => sum + (b.supplyPct || 0), 0))
+  };
+}
+
+function buildBundle(transactions, blockTimes, supply, decimals) {
+  const first = transactions[0];
+  const share = amount => supply > 0n ? Number(amount * 1000000n / supply) / 10000 : null;
+  const buys = transactions.flatMap(tx => tx.buys.map(buy => ({
+    wallet: buy.wallet,
+    signature: tx.signature,
+    index: tx.index,
+    tokenAmount: Number(buy.amount) / Math.pow(10, decimals),
+    supplyPct: share(buy.amount)
+  })));
+  const total = transactions.reduce((sum, tx) => sum + tx.buys.reduce((s, b) => s + b.amount, 0n), 0n);
+  const blockTime = blockTimes.get(first.slot);
+
+  return {
+    bundleId: first.signature,
+    slot: first.slot,
+    startIndex: first.index,
+    ts: blockTime ? new Date(blockTime * 1000).toISOString() : null,
+    bundler: first.feePayer,
+    reasons: [...new Set(transactions.flatMap(tx => tx.reasons))],
+    tipLamports: transactions.reduce((sum, tx) => sum + tx.tipLamports, 0),
+    buys,
+    supplyPct: share(total)
+  };
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Replace a token's launch bundles in bundle_events and its summary columns
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} mint - Token mint
+ * @param {object} result - detectLaunchBundles() result
+ * @param {string} fallbackTs - Timestamp for blocks without a block time
+ */
+function saveLaunchBundles(db, mint, result, fallbackTs) {
+  db.transaction(() => {
+    db.prepare('DELETE FROM bundle_events WHERE mint = ? AND bundle_id IS NOT NULL').run(mint);
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO bundle_events
+      (bundler, recipient, mint, ts, signature, bundle_id, slot, tx_index, detection,
+       token_amount, supply_pct, bundle_supply_pct, tip_lamports)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const bundle of result.bundles) {
+      for (const buy of bundle.buys) {
+        insert.run(
+          bundle.bundler, buy.wallet, mint, bundle.ts || fallbackTs, buy.signature, bundle.bundleId,
+          bundle.slot, buy.index, bundle.reasons.join(','), buy.tokenAmount, buy.supplyPct,
+          bundle.supplyPct, bundle.tipLamports
+        );
+      }
+    }
+
+    db.prepare(`
+      UPDATE tokens
+      SET bundle_supply_pct = ?, launch_bundle_count = ?, bundles_checked_at = ?
+      WHERE mint = ?
+    `).run(result.supplyPct, result.bundles.length, new Date().toISOString(), mint);
+  })();
+}
+
+module.exports = {
+  extractBlockBuys,
+  detectLaunchBundles,
+  saveLaunchBundles,
+  JITO_TIP_ACCOUNTS,
+  MAX_BUNDLE_TXS
+};
@@ -0,0 +1,207 @@
+// lib/creator-profiles.js - Creator launch history and reputation (serial launchers, rug track record)
+const LABEL_DELAY_MS = 24 * 60 * 60 * 1000; // Outcomes are known 24h after launch
+const CLUSTER_WEIGHT = 0.5;                 // Launches by the creator's funding cluster count half
+
+/**
+ * Every token with a known creator (pool locator's dev_wallet, else the
+ * intake creator), its funding cluster and its labelled outcome
+ * @param {object} db - better-sqlite3 handle
+ * @returns {Array} Launch rows, oldest first
+ */
+function loadLaunches(db) {
+  return db.prepare(`
+    SELECT t.mint, t.symbol, t.creator_wallet AS creator, t.first_seen_at AS launched_at,
+           m.cluster_id, tl.rug_24h, tl.winner_2x_24h, rl.ret_24h, rl.loser_50
+    FROM (
+      SELECT mint, symbol, first_seen_at, COALESCE(dev_wallet, NULLIF(creator, 'Unknown')) AS creator_wallet
+      FROM tokens
+    ) t
+    LEFT JOIN wallet_cluster_members m ON m.wallet = t.creator_wallet
+    LEFT JOIN token_labels tl ON tl.mint = t.mint
+    LEFT JOIN return_labels rl ON rl.id = (SELECT MAX(id) FROM return_labels WHERE mint = t.mint)
+    WHERE t.creator_wallet IS NOT NULL AND t.first_seen_at IS NOT NULL
+    ORDER BY t.first_seen_at ASC
+  `).all();
+}
+
+/**
+ * @returns {string} rugged | winner_2x | dead | survived | pending
+ */
+function launchOutcome(launch) {
+  if (launch.rug_24h === 1) return 'rugged';
+  if (launch.winner_2x_24h === 1) return 'winner_2x';
+  if (launch.loser_50 === 1) return 'dead';
+  if (launch.rug_24h !== null && launch.rug_24h !== undefined) return 'survived';
+  if (launch.ret_24h !== null && launch.ret_24h !== undefined) return 'survived';
+  return 'pending';
+}
+
+/**
+ * Score a creator from the launches before `asOf`. Only launches older than
+ * 24h count as resolved, so a token's own score never sees outcomes that
+ * were unknown at its launch. 0-100, higher is a worse track record.
+ * @param {Array} history - Earlier launches with { launched_at, outcome, own }
+ * @param {string} asOf - Launch time being scored
+ * @returns {object} { score, breakdown }
+ */
+function scoreCreatorHistory(history, asOf) {
+  const asOfMs = Date.parse(asOf);
+  let launches = 0;
+  let recentLaunches = 0;
+  let resolved = 0;
+  let bad = 0;
+  let winners = 0;
+
+  for (const launch of history) {
+    const launchedMs = Date.parse(launch.launched_at);
+    if (!(launchedMs < asOfMs)) continue;
+    const weight = launch.own ? 1 : CLUSTER_WEIGHT;
+
+    launches += weight;
+    if (asOfMs - launchedMs <= 7 * LABEL_DELAY_MS) recentLaunches += weight;
+
+    if (asOfMs - launchedMs < LABEL_DELAY_MS || launch.outcome === 'pending') continue;
+    resolved += weight;
+    if (launch.outcome === 'rugged') bad += weight;
+    if (launch.outcome === 'dead') bad += weight * 0.5;
+    if (launch.outcome === 'winner_2x') winners += weight;
+  }
+
+  // Smoothed towards a 25% bad rate so one launch does not decide the score
+  const S_rug = 60 * (bad + 0.5) / (resolved + 2);
+  const S_serial = Math.min(25, recentLaunches * 2.5);
+  const S_reward = 15 * winners / (resolved + 2);
+  const score = Math.max(0, Math.min(100, S_rug + S_serial - S_reward));
+
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    score: round(score),
+    breakdown: {
+      S_rug: round(S_rug),
+      S_serial: round(S_serial),
+      S_reward: round(S_reward),
+      prior_launches: round(launches),
+      launches_7d: round(recentLaunches),
+      resolved: round(resolved),
+      bad: round(bad),
+      winners: round(winners)
+    }
+  };
+}
+
+/**
+ * Rebuild creator_launches, creator_profiles and the per-token creator
+ * columns from scratch
+ * @param {object} db - better-sqlite3 handle
+ * @returns {object} { launches, creators }
+ */
+function buildCreatorProfiles(db) {
+  const launches = loadLaunches(db).map(launch => ({ ...launch, outcome: launchOutcome(launch) }));
+
+  const byCreator = new Map();
+  const byCluster = new Map();
+  for (const launch of launches) {
+    if (!byCreator.has(launch.creator)) byCreator.set(launch.creator, []);
+    byCreator.get(launch.creator).push(launch);
+    if (launch.cluster_id) {
+      if (!byCluster.has(launch.cluster_id)) byCluster.set(launch.cluster_id, []);
+      byCluster.get(launch.cluster_id).push(launch);
+    }
+  }
+
+  // A creator's history: its own launches plus other creators' in its cluster
+  const historyOf = (creator, clusterId) => [
+    ...byCreator.get(creator).map(l => ({ ...l, own: true })),
+    ...(clusterId ? byCluster.get(clusterId) : [])
+      .filter(l => l.creator !== creator)
+      .map(l => ({ ...l, own: false }))
+  ];
+
+  const now = new Date().toISOString();
+
+  db.transaction(() => {
+    db.exec('DELETE FROM creator_launches; DELETE FROM creator_profiles;');
+
+    const insertLaunch = db.prepare(`
+      INSERT INTO creator_launches (mint, creator, cluster_id, launched_at, outcome, ret_24h, creator_score_at_launch, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const updateToken = db.prepare(`
+      UPDATE tokens SET creator_reputation_score = ?, creator_prior_launches = ? WHERE mint = ?
+    `);
+    const insertProfile = db.prepare(`
+      INSERT INTO creator_profiles
+      (creator, cluster_id, launches, cluster_launches, rugged, winners, dead, pending,
+       reputation_score, score_breakdown, first_launch_at, last_launch_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    for (const [creator, own] of byCreator) {
+      const clusterId = own[0].cluster_id;
+      const history = historyOf(creator, clusterId);
+
+      for (const launch of own) {
+        const atLaunch = scoreCreatorHistory(history, launch.launched_at);
+        insertLaunch.run(launch.mint, creator, clusterId, launch.launched_at, launch.outcome, launch.ret_24h ?? null, atLaunch.score, now);
+        updateToken.run(atLaunch.score, atLaunch.breakdown.prior_launches, launch.mint);
+      }
+
+      const current = scoreCreatorHistory(history, now);
+      const count = outcome => own.filter(l => l.outcome === outcome).length;
+      insertProfile.run(
+        creator,
+        clusterId,
+        own.length,
+        history.filter(l => !l.own).length,
+        count('rugged'),
+        count('winner_2x'),
+        count('dead'),
+        count('pending'),
+        current.score,
+        JSON.stringify(current.breakdown),
+        own[0].launched_at,
+        own[own.length - 1].launched_at,
+        now
+      );
+    }
+  })();
+
+  return { launches: launches.length, creators: byCreator.size };
+}
+
+/**
+ * Profile for a creator wallet, or for the creator of a mint
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} walletOrMint - Creator wallet or token mint
+ * @returns {object|null} { profile, launches, clusterLaunches }
+ */
+function getCreatorProfile(db, walletOrMint) {
+  let profile = db.prepare('SELECT * FROM creator_profiles WHERE creator = ?').get(walletOrMint);
+  if (!profile) {
+    const launch = db.prepare('SELECT creator FROM creator_launches WHERE mint = ?').get(walletOrMint);
+    if (launch) profile = db.prepare('SELECT * FROM creator_profiles WHERE creator = ?').get(launch.creator);
+  }
+  if (!profile) return null;
+
+  const launchesOf = `
+    SELECT cl.mint, t.symbol, cl.creator, cl.launched_at, cl.outcome, cl.ret_24h, cl.creator_score_at_launch
+    FROM creator_launches cl
+    LEFT JOIN tokens t ON t.mint = cl.mint
+  `;
+  return {
+    profile: { ...profile, score_breakdown: JSON.parse(profile.score_breakdown || '{}') },
+    launches: db.prepare(`${launchesOf} WHERE cl.creator = ? ORDER BY cl.launched_at DESC`).all(profile.creator),
+    clusterLaunches: profile.cluster_id
+      ? db.prepare(`${launchesOf} WHERE cl.cluster_id = ? AND cl.creator != ? ORDER BY cl.launched_at DESC`)
+        .all(profile.cluster_id, profile.creator)
+      : []
+  };
+}
+
+module.exports = {
+  loadLaunches,
+  launchOutcome,
+  scoreCreatorHistory,
+  buildCreatorProfiles,
+  getCreatorProfile
+};
@@ -0,0 +1,128 @@
+// lib/drift.js - Reference distributions and PSI / KS drift statistics for model features and predictions
+
+// Rough PSI reading: < 0.1 stable, 0.1-0.25 moderate shift, > 0.25 major shift
+const PSI_BINS = 10;
+// Quantiles kept per reference distribution (every 2%), used for KS
+const REFERENCE_QUANTILES = 51;
+// Floor on bin shares so empty bins do not make PSI infinite
+const EPSILON = 1e-4;
+
+function isValue(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * Bin of a value: index of the first edge it does not exceed, or
+ * edges.length when it is above every edge
+ */
+function binIndex(value, edges) {
+  let i = 0;
+  while (i < edges.length && value > edges[i]) i++;
+  return i;
+}
+
+/**
+ * Share of values per bin, with missing values in a trailing bin
+ */
+function binShares(values, edges) {
+  const counts = new Array(edges.length + 2).fill(0);
+  for (const value of values) {
+    counts[isValue(value) ? binIndex(value, edges) : edges.length + 1]++;
+  }
+  return counts.map(c => (values.length > 0 ? c / values.length : 0));
+}
+
+/**
+ * Summary of one reference distribution: decile edges with the share of
+ * values in each bin (missing values get their own bin) and quantiles for KS
+ * @param {Array} values - Numbers; null/undefined/NaN count as missing
+ * @returns {object} { n, missing_rate, edges, shares, quantiles }
+ */
+function buildProfile(values) {
+  const present = values.filter(isValue).sort((a, b) => a - b);
+
+  const edges = [];
+  for (let b = 1; b < PSI_BINS; b++) {
+    const edge = quantile(present, b / PSI_BINS);
+    if (edge !== null && edges[edges.length - 1] !== edge) edges.push(edge);
+  }
+
+  const quantiles = present.length === 0 ? [] : Array.from({ length: REFERENCE_QUANTILES },
+    (_, i) => quantile(present, i / (REFERENCE_QUANTILES - 1)));
+
+  return {
+    n: values.length,
+    missing_rate: values.length > 0 ? (values.length - present.length) / values.length : 0,
+    edges,
+    shares: binShares(values, edges),
+    quantiles
+  };
+}
+
+/**
+ * Population stability index of live values against a reference profile,
+ * over the reference bins plus the missing bin
+ * @param {object} profile - buildProfile() result
+ * @param {Array} values - Live values
+ * @returns {number|null} PSI, null without live values
+ */
+function psi(profile, values) {
+  if (values.length === 0) return null;
+  const live = binShares(values, profile.edges);
+  return profile.shares.reduce((sum, refShare, i) => {
+    const expected = Math.max(refShare, EPSILON);
+    const actual = Math.max(live[i], EPSILON);
+    return sum + (actual - expected) * Math.log(actual / expected);
+  }, 0);
+}
+
+/**
+ * Count of sorted values <= x
+ */
+function countAtOrBelow(sorted, x) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * Two-sample Kolmogorov-Smirnov statistic of the present live values
+ * against the reference, whose stored quantiles stand in for its sample.
+ * Both CDFs are step functions, so the largest gap is at one of the points.
+ * @param {object} profile - buildProfile() result
+ * @param {Array} values - Live values (missing ones are ignored)
+ * @returns {number|null} Largest CDF gap (0-1), null when either side has no values
+ */
+function ks(profile, values) {
+  const live = values.filter(isValue).sort((a, b) => a - b);
+  const ref = profile.quantiles;
+  if (live.length === 0 || ref.length === 0) return null;
+
+  let d = 0;
+  for (const x of new Set([...live, ...ref])) {
+    const gap = Math.abs(countAtOrBelow(live, x) / live.length - countAtOrBelow(ref, x) / ref.length);
+    if (gap > d) d = gap;
+  }
+  return d;
+}
+
+module.exports = {
+  buildProfile,
+  psi,
+  ks,
+  PSI_BINS,
+  REFERENCE_QUANTILES
+};
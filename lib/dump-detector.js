@@ -0,0 +1,133 @@
+// lib/dump-detector.js - Token outflows from dev, insider and bundler wallets (sells and transfers)
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+
+// Rolling windows the dumped share of supply is summed over, in minutes
+const DUMP_WINDOWS = { '5m': 5, '1h': 60, '24h': 1440 };
+
+// Watched roles and the alert each one feeds; bundlers count with insiders
+const ROLE_GROUPS = { dev: 'dev_dump', insider: 'insider_dump', bundler: 'insider_dump' };
+
+/**
+ * How much of the mint one wallet moved out in a parsed transaction.
+ * A sell is an outflow that paid the wallet SOL or wSOL back; anything
+ * else is a transfer to the owner that received the most tokens.
+ * @param {object} tx - getTransaction(jsonParsed) result
+ * @param {string} wallet - Watched wallet
+ * @param {string} mint - Token mint
+ * @returns {object|null} { signature, ts, kind, amount (raw BigInt), destination, solReceived }
+ */
+function extractWalletOutflow(tx, wallet, mint) {
+  const meta = tx?.meta;
+  const keys = tx?.transaction?.message?.accountKeys || [];
+  if (!meta || meta.err || keys.length === 0) return null;
+
+  const deltas = new Map();
+  const apply = (balances, tokenMint, sign) => {
+    for (const balance of balances || []) {
+      if (balance.mint !== tokenMint || !balance.owner) continue;
+      const amount = BigInt(balance.uiTokenAmount?.amount || '0') * sign;
+      deltas.set(balance.owner, (deltas.get(balance.owner) || 0n) + amount);
+    }
+  };
+  apply(meta.preTokenBalances, mint, -1n);
+  apply(meta.postTokenBalances, mint, 1n);
+
+  const walletDelta = deltas.get(wallet) || 0n;
+  if (walletDelta >= 0n) return null;
+
+  // SOL back to the wallet, with the fee added back when it paid it
+  const index = keys.findIndex(key => (key.pubkey || key) === wallet);
+  let lamports = index >= 0 ? (meta.postBalances[index] || 0) - (meta.preBalances[index] || 0) : 0;
+  if (index === 0) lamports += meta.fee || 0;
+
+  let wsolLamports = 0;
+  for (const [balances, sign] of [[meta.preTokenBalances, -1], [meta.postTokenBalances, 1]]) {
+    for (const balance of balances || []) {
+      if (balance.mint !== WSOL_MINT || balance.owner !== wallet) continue;
+      wsolLamports += sign * Number(balance.uiTokenAmount?.amount || '0');
+    }
+  }
+  const solReceived = Math.max(0, lamports + wsolLamports) / 1e9;
+
+  const recipients = [...deltas.entries()]
+    .filter(([owner, delta]) => owner !== wallet && delta > 0n)
+    .sort((a, b) => (b[1] > a[1] ? 1 : b[1] < a[1] ? -1 : 0));
+
+  return {
+    signature: tx.transaction.signatures?.[0] || null,
+    ts: tx.blockTime ? new Date(tx.blockTime * 1000).toISOString() : null,
+    kind: solReceived > 0 ? 'sell' : 'transfer',
+    amount: -walletDelta,
+    destination: recipients.length > 0 ? recipients[0][0] : null,
+    solReceived
+  };
+}
+
+/**
+ * Share of supply dumped within each rolling window ending at `asOf`, plus
+ * the total. Events are dump_events rows (ts, supply_pct, kind); internal
+ * transfers between watched wallets are left out so they are not counted
+ * twice.
+ * @param {Array} events - Dump events for one role group
+ * @param {string} asOf - Window end
+ * @returns {object} { '5m', '1h', '24h', total } in percent of supply
+ */
+function summarizeDumpWindows(events, asOf) {
+  const asOfMs = Date.parse(asOf);
+  const summary = { total: 0 };
+  for (const name of Object.keys(DUMP_WINDOWS)) summary[name] = 0;
+
+  for (const event of events) {
+    if (event.kind === 'internal' || event.supply_pct === null || event.supply_pct === undefined) continue;
+    const age = asOfMs - Date.parse(event.ts);
+    if (age < 0) continue;
+    summary.total += event.supply_pct;
+    for (const [name, minutes] of Object.entries(DUMP_WINDOWS)) {
+      if (age <= minutes * 60 * 1000) summary[name] += event.supply_pct;
+    }
+  }
+
+  for (const name of Object.keys(summary)) summary[name] = round(summary[name]);
+  return summary;
+}
+
+/**
+ * First window whose dumped share meets its threshold
+ * @param {object} windows - summarizeDumpWindows() result
+ * @param {object} thresholds - { '5m': pct, '1h': pct, '24h': pct }
+ * @returns {string|null} Window name
+ */
+function crossedWindow(windows, thresholds) {
+  for (const name of Object.keys(DUMP_WINDOWS)) {
+    if (thresholds[name] !== undefined && windows[name] >= thresholds[name]) return name;
+  }
+  return null;
+}
+
+/**
+ * Dump events for a token, oldest first
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} mint - Token mint
+ * @returns {Array} dump_events rows
+ */
+function getDumpTimeline(db, mint) {
+  return db.prepare(`
+    SELECT id, mint, wallet, role, kind, signature, ts, token_amount, supply_pct, destination, sol_received, alerted_at
+    FROM dump_events
+    WHERE mint = ?
+    ORDER BY ts ASC, id ASC
+  `).all(mint);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+module.exports = {
+  extractWalletOutflow,
+  summarizeDumpWindows,
+  crossedWindow,
+  getDumpTimeline,
+  DUMP_WINDOWS,
+  ROLE_GROUPS
+};
@@ -11,9 +11,12 @@ class EnhancedCandidates {
   /**
    * Get enhanced candidates with trader-focused gating and ranking
    * @param {number} limit - Number of candidates to return
+   * @param {object} options - { offset, minHealth, minLiquidity } on top of the standard gates
    * @returns {Array} Enhanced candidates list
    */
-  getEnhancedCandidates(limit = 20) {
+  getEnhancedCandidates(limit = 20, options = {}) {
+    const { offset = 0, minHealth = null, minLiquidity = null } = options;
+
     try {
       // Business-ready gating: hard gates + risk gates + momentum gates + probability gates
       const candidates = this.db.prepare(`
@@ -53,13 +56,16 @@ class EnhancedCandidates {
           AND COALESCE(t.insider_pct, 0) <= 0.15
           -- Probability gates (Task 13)
           AND COALESCE(t.prob_rug_24h, 0) <= 0.20
+          -- Caller filters
+          AND (? IS NULL OR t.health_score >= ?)
+          AND (? IS NULL OR t.liquidity_usd >= ?)
         ORDER BY 
           COALESCE(t.prob_2x_24h, 0) DESC,
           t.health_score DESC,
           health_delta_15m DESC,
           t.holders_count DESC
-        LIMIT ?
-      `).all(limit);
+        LIMIT ? OFFSET ?
+      `).all(minHealth, minHealth, minLiquidity, minLiquidity, limit, offset);
 
       // Enhance with sparklines and diversity scoring
       return candidates.map((candidate, index) => {
@@ -70,7 +76,7 @@ class EnhancedCandidates {
         
         return {
           ...candidate,
-          rank: index + 1,
+          rank: offset + index + 1,
           sparklines,
           diversityScore,
           explainability,
@@ -7,6 +7,9 @@ db.pragma('journal_mode = WAL');
 
 class FeatureEngineering {
   constructor() {
+    // Bump whenever featureNames changes; lib/feature-store.js refuses a
+    // changed list under a version it has already stored
+    this.schemaVersion = 1;
     this.featureNames = [
       // Core features from Tasks 8-12
       'health_30m', 'delta_health_15m', 'fresh_pct', 'sniper_pct', 'insider_pct', 
@@ -15,6 +18,7 @@ class FeatureEngineering {
       // Wallet network features (Task 12)
       'sniper_bad_count', 'bundler_bad_count', 'insider_bad_count', 'bad_actor_score',
       'max_reputation_score', 'high_rep_snipers', 'high_rep_bundlers', 'high_rep_insiders',
+      'bundle_supply_pct', 'creator_reputation_score',
       
       // Momentum features (pre-label, leakage-safe)
       'delta_price_15m', 'delta_holders_15m', 'delta_liquidity_15m',
@@ -36,15 +40,14 @@ class FeatureEngineering {
           t.mint, t.symbol, t.health_score, t.fresh_pct, t.sniper_pct, t.insider_pct,
           t.top10_share, t.liquidity_usd, t.rug_risk_score, t.lp_burned, t.lp_locked,
           t.sniper_bad_count, t.bundler_bad_count, t.insider_bad_count, t.bad_actor_score,
-          ph.price as price_30m,
-          hh.holders_count as holders_30m
+          t.bundle_supply_pct, t.creator_reputation_score,
+          (SELECT price_usd FROM price_history
+           WHERE mint = t.mint AND timestamp <= ? ORDER BY timestamp DESC LIMIT 1) as price_30m,
+          (SELECT holders_count FROM holders_history
+           WHERE mint = t.mint AND snapshot_time <= ? ORDER BY snapshot_time DESC LIMIT 1) as holders_30m
         FROM tokens t
-        LEFT JOIN price_history ph ON t.mint = ph.mint 
-          AND ph.snapshot_time = datetime(t.first_seen_at, '+30 minutes')
-        LEFT JOIN holders_history hh ON t.mint = hh.mint 
-          AND hh.snapshot_time = datetime(t.first_seen_at, '+30 minutes')
         WHERE t.mint = ?
-      `).get(mint);
+      `).get(snapshotTime, snapshotTime, mint);
 
       return token;
     } catch (error) {
@@ -63,12 +66,12 @@ class FeatureEngineering {
 
       // Price momentum (TWAP)
       const prices = db.prepare(`
-        SELECT price, snapshot_time
+        SELECT price_usd as price, timestamp as snapshot_time
         FROM price_history
         WHERE mint = ? 
-          AND datetime(snapshot_time) >= datetime(?)
-          AND datetime(snapshot_time) <= datetime(?)
-        ORDER BY snapshot_time ASC
+          AND datetime(timestamp) >= datetime(?)
+          AND datetime(timestamp) <= datetime(?)
+        ORDER BY timestamp ASC
       `).all(mint, startTime, endTime);
 
       // Holders momentum
@@ -91,13 +94,14 @@ class FeatureEngineering {
         ORDER BY snapshot_time ASC
       `).all(mint, startTime, endTime);
 
+      // Null (missing) unless the window has at least two points
       const momentum = {
-        delta_price_15m: 0,
-        delta_holders_15m: 0,
-        delta_liquidity_15m: 0
+        delta_price_15m: null,
+        delta_holders_15m: null,
+        delta_liquidity_15m: null
       };
 
-      if (prices.length >= 2) {
+      if (prices.length >= 2 && prices[0].price > 0) {
         const priceStart = prices[0].price;
         const priceEnd = prices[prices.length - 1].price;
         momentum.delta_price_15m = (priceEnd - priceStart) / priceStart;
@@ -118,7 +122,7 @@ class FeatureEngineering {
       return momentum;
     } catch (error) {
       logger.error('feature-engineering', mint, 'momentum_failed', `Failed to get momentum features: ${error.message}`);
-      return { delta_price_15m: 0, delta_holders_15m: 0, delta_liquidity_15m: 0 };
+      return { delta_price_15m: null, delta_holders_15m: null, delta_liquidity_15m: null };
     }
   }
 
@@ -139,7 +143,7 @@ class FeatureEngineering {
       `).get(mint);
 
       return {
-        max_reputation_score: features.max_reputation_score || 0,
+        max_reputation_score: features.max_reputation_score ?? null,
         high_rep_snipers: features.high_rep_snipers || 0,
         high_rep_bundlers: features.high_rep_bundlers || 0,
         high_rep_insiders: features.high_rep_insiders || 0
@@ -147,10 +151,10 @@ class FeatureEngineering {
     } catch (error) {
       logger.error('feature-engineering', mint, 'wallet_network_failed', `Failed to get wallet network features: ${error.message}`);
       return {
-        max_reputation_score: 0,
-        high_rep_snipers: 0,
-        high_rep_bundlers: 0,
-        high_rep_insiders: 0
+        max_reputation_score: null,
+        high_rep_snipers: null,
+        high_rep_bundlers: null,
+        high_rep_insiders: null
       };
     }
   }
@@ -195,17 +199,19 @@ class FeatureEngineering {
         return healthEnd - healthStart;
       }
 
-      return 0;
+      return null;
     } catch (error) {
       logger.error('feature-engineering', mint, 'delta_health_failed', `Failed to get delta health: ${error.message}`);
-      return 0;
+      return null;
     }
   }
 
   /**
-   * Generate all features for a token
+   * Features of a token at its T+30m snapshot, keyed by featureNames. Values
+   * that are not known (no snapshot column, too few history points) are
+   * null rather than 0; lib/feature-store.js turns them into a missing mask.
    */
-  generateFeatures(mint, firstSeenAt, source) {
+  generateRawFeatures(mint, firstSeenAt, source) {
     try {
       const snapshot = this.getTokenSnapshot30m(mint, firstSeenAt);
       if (!snapshot) {
@@ -217,28 +223,32 @@ class FeatureEngineering {
       const meta = this.getMetaFeatures(firstSeenAt, source);
       const deltaHealth = this.getDeltaHealth15m(mint, firstSeenAt);
 
-      const features = {
+      return {
         // Core features
-        health_30m: snapshot.health_score || 0,
+        health_30m: snapshot.health_score ?? null,
         delta_health_15m: deltaHealth,
-        fresh_pct: snapshot.fresh_pct || 0,
-        sniper_pct: snapshot.sniper_pct || 0,
-        insider_pct: snapshot.insider_pct || 0,
-        top10_pct: snapshot.top10_share || 0,
-        liquidity_usd_log: Math.log(Math.max(snapshot.liquidity_usd || 1, 1)),
-        lp_burned: snapshot.lp_burned || 0,
-        lp_locked: snapshot.lp_locked || 0,
-        rug_risk_score_30m: snapshot.rug_risk_score || 0,
+        fresh_pct: snapshot.fresh_pct ?? null,
+        sniper_pct: snapshot.sniper_pct ?? null,
+        insider_pct: snapshot.insider_pct ?? null,
+        top10_pct: snapshot.top10_share ?? null,
+        liquidity_usd_log: snapshot.liquidity_usd === null ? null : Math.log(Math.max(snapshot.liquidity_usd, 1)),
+        lp_burned: snapshot.lp_burned ?? null,
+        lp_locked: snapshot.lp_locked ?? null,
+        rug_risk_score_30m: snapshot.rug_risk_score ?? null,
 
         // Wallet network features
-        sniper_bad_count: snapshot.sniper_bad_count || 0,
-        bundler_bad_count: snapshot.bundler_bad_count || 0,
-        insider_bad_count: snapshot.insider_bad_count || 0,
-        bad_actor_score: snapshot.bad_actor_score || 0,
+        sniper_bad_count: snapshot.sniper_bad_count ?? null,
+        bundler_bad_count: snapshot.bundler_bad_count ?? null,
+        insider_bad_count: snapshot.insider_bad_count ?? null,
+        bad_actor_score: snapshot.bad_actor_score ?? null,
         max_reputation_score: walletNetwork.max_reputation_score,
         high_rep_snipers: walletNetwork.high_rep_snipers,
         high_rep_bundlers: walletNetwork.high_rep_bundlers,
         high_rep_insiders: walletNetwork.high_rep_insiders,
+        // Supply bought in launch bundles; NULL until the block was checked
+        bundle_supply_pct: snapshot.bundle_supply_pct ?? null,
+        // Creator track record as of launch (only launches resolved before it)
+        creator_reputation_score: snapshot.creator_reputation_score ?? null,
 
         // Momentum features
         delta_price_15m: momentum.delta_price_15m,
@@ -252,18 +262,6 @@ class FeatureEngineering {
         hour: meta.hour,
         is_weekend: meta.is_weekend
       };
-
-      // Add missing value indicators
-      Object.keys(features).forEach(key => {
-        if (features[key] === null || features[key] === undefined || isNaN(features[key])) {
-          features[`is_missing_${key}`] = 1;
-          features[key] = 0; // Replace with neutral prior
-        } else {
-          features[`is_missing_${key}`] = 0;
-        }
-      });
-
-      return features;
     } catch (error) {
       logger.error('feature-engineering', mint, 'feature_generation_failed', `Failed to generate features: ${error.message}`);
       return null;
@@ -271,38 +269,24 @@ class FeatureEngineering {
   }
 
   /**
-   * Generate features for training dataset
+   * Generate all features for a token, with missing values replaced by 0
+   * and flagged in is_missing_<name>
    */
-  generateTrainingFeatures() {
-    try {
-      const tokens = db.prepare(`
-        SELECT t.mint, t.first_seen_at, t.source, tl.winner_2x_24h, tl.rug_24h
-        FROM tokens t
-        JOIN token_labels tl ON t.mint = tl.mint
-        WHERE tl.winner_2x_24h IS NOT NULL AND tl.rug_24h IS NOT NULL
-        ORDER BY t.first_seen_at DESC
-      `).all();
-
-      const features = [];
-      const labels = { winner: [], rug: [] };
-
-      for (const token of tokens) {
-        const tokenFeatures = this.generateFeatures(token.mint, token.first_seen_at, token.source);
-        if (tokenFeatures) {
-          features.push({
-            mint: token.mint,
-            features: tokenFeatures
-          });
-          labels.winner.push(token.winner_2x_24h);
-          labels.rug.push(token.rug_24h);
-        }
-      }
+  generateFeatures(mint, firstSeenAt, source) {
+    const raw = this.generateRawFeatures(mint, firstSeenAt, source);
+    if (!raw) {
+      return null;
+    }
 
-      return { features, labels };
-    } catch (error) {
-      logger.error('feature-engineering', 'system', 'training_features_failed', `Failed to generate training features: ${error.message}`);
-      return { features: [], labels: { winner: [], rug: [] } };
+    const isMissing = name => typeof raw[name] !== 'number' || !Number.isFinite(raw[name]);
+    const features = {};
+    for (const name of this.featureNames) {
+      features[name] = isMissing(name) ? 0 : raw[name]; // Neutral prior
+    }
+    for (const name of this.featureNames) {
+      features[`is_missing_${name}`] = isMissing(name) ? 1 : 0;
     }
+    return features;
   }
 
   /**
@@ -0,0 +1,231 @@
+// lib/feature-store.js - Versioned, point-in-time feature vectors shared by model training and scoring
+const crypto = require('crypto');
+const logger = require('./logger');
+const FeatureEngineering = require('./feature-engineering');
+
+// Features describe the token as of first_seen_at + 30 minutes
+const SNAPSHOT_OFFSET_MS = 30 * 60 * 1000;
+
+// Most inputs are read from the current tokens row, so a vector only shows
+// the token as it was at the snapshot when written shortly after it
+const DEFAULT_TOLERANCE_MINUTES = 15;
+
+function schemaHash(names) {
+  return crypto.createHash('sha1').update(names.join(',')).digest('hex').substring(0, 16);
+}
+
+class FeatureStore {
+  /**
+   * @param {object} db - better-sqlite3 handle of the calling worker
+   * @param {FeatureEngineering} featureEngineering - Feature source
+   */
+  constructor(db, featureEngineering = new FeatureEngineering()) {
+    this.db = db;
+    this.engineering = featureEngineering;
+    this.version = featureEngineering.schemaVersion;
+    this.names = [...featureEngineering.featureNames];
+    this.toleranceMs = parseFloat(process.env.FEATURE_SNAPSHOT_TOLERANCE_MINUTES || String(DEFAULT_TOLERANCE_MINUTES)) * 60 * 1000;
+    this.schemaChecked = false;
+  }
+
+  /**
+   * Record the current schema version. A version already stored with a
+   * different name list means featureNames changed without a bump, which
+   * would silently misalign stored vectors, so it is an error.
+   */
+  ensureSchema() {
+    if (this.schemaChecked) return;
+
+    const hash = schemaHash(this.names);
+    const existing = this.db.prepare('SELECT hash FROM feature_schemas WHERE version = ?').get(this.version);
+    if (existing && existing.hash !== hash) {
+      throw new Error(`Feature schema v${this.version} changed without a version bump (bump schemaVersion in lib/feature-engineering.js)`);
+    }
+    if (!existing) {
+      this.db.prepare('INSERT INTO feature_schemas (version, names, hash, created_at) VALUES (?, ?, ?, ?)')
+        .run(this.version, JSON.stringify(this.names), hash, new Date().toISOString());
+      logger.info('feature-store', 'system', 'schema_registered', `Feature schema v${this.version} (${this.names.length} features)`);
+    }
+    this.schemaChecked = true;
+  }
+
+  /**
+   * Model columns: every feature in schema order, then its missing flag
+   * @returns {Array} Column names as stored in model_registry.features
+   */
+  columnNames() {
+    return [...this.names, ...this.names.map(name => `is_missing_${name}`)];
+  }
+
+  snapshotTime(firstSeenAt) {
+    return new Date(new Date(firstSeenAt).getTime() + SNAPSHOT_OFFSET_MS).toISOString();
+  }
+
+  /**
+   * Whether a vector computed at `computedAt` shows the token as it was at
+   * the snapshot: at or after it, within the tolerance
+   */
+  isPointInTime(snapshotTs, computedAt) {
+    const lag = Date.parse(computedAt) - Date.parse(snapshotTs);
+    return lag >= 0 && lag <= this.toleranceMs;
+  }
+
+  /**
+   * Ordered values (missing imputed as 0) and the matching 0/1 mask
+   * @param {object} raw - generateRawFeatures() result
+   * @returns {object} { values, mask }
+   */
+  buildVector(raw) {
+    const values = [];
+    const mask = [];
+    for (const name of this.names) {
+      const value = raw[name];
+      const missing = typeof value !== 'number' || !Number.isFinite(value);
+      values.push(missing ? 0 : value);
+      mask.push(missing ? 1 : 0);
+    }
+    return { values, mask };
+  }
+
+  /**
+   * @param {object} vector - Stored vector
+   * @returns {Array} Model input in columnNames() order
+   */
+  toModelInput(vector) {
+    return [...vector.values, ...vector.mask];
+  }
+
+  /**
+   * Named view of a vector: name → value and is_missing_<name> → 0/1
+   * @param {object} vector - Stored vector
+   * @returns {object} Features by column name
+   */
+  toNamed(vector) {
+    const named = {};
+    vector.names.forEach((name, i) => {
+      named[name] = vector.values[i];
+    });
+    vector.names.forEach((name, i) => {
+      named[`is_missing_${name}`] = vector.mask[i];
+    });
+    return named;
+  }
+
+  /**
+   * Stored vector of a snapshot under the current schema
+   * @returns {object|null} { mint, snapshot_ts, schema_version, names, values, mask, computed_at, point_in_time }
+   */
+  getStored(mint, snapshotTs) {
+    const row = this.db.prepare(`
+      SELECT mint, snapshot_ts, schema_version, feature_values, missing_mask, computed_at, point_in_time
+      FROM feature_vectors
+      WHERE mint = ? AND snapshot_ts = ? AND schema_version = ?
+    `).get(mint, snapshotTs, this.version);
+    return row ? this.fromRow(row) : null;
+  }
+
+  fromRow(row) {
+    return {
+      mint: row.mint,
+      snapshot_ts: row.snapshot_ts,
+      schema_version: row.schema_version,
+      names: this.names,
+      values: JSON.parse(row.feature_values),
+      mask: JSON.parse(row.missing_mask),
+      computed_at: row.computed_at,
+      point_in_time: row.point_in_time
+    };
+  }
+
+  /**
+   * Vector of a token at its T+30m snapshot. A vector computed at or after
+   * the snapshot is final and returned as stored; one computed earlier (a
+   * token scored before it was 30 minutes old) is recomputed and replaced.
+   * Only a vector written within FEATURE_SNAPSHOT_TOLERANCE_MINUTES of the
+   * snapshot is flagged point_in_time; later ones carry post-launch state.
+   * @param {object} token - { mint, first_seen_at, source }
+   * @returns {object|null} Vector (see getStored)
+   */
+  getVector(token) {
+    this.ensureSchema();
+
+    const snapshotTs = this.snapshotTime(token.first_seen_at);
+    const stored = this.getStored(token.mint, snapshotTs);
+    if (stored && stored.computed_at >= snapshotTs) return stored;
+
+    const raw = this.engineering.generateRawFeatures(token.mint, token.first_seen_at, token.source);
+    if (!raw) return stored;
+
+    const computedAt = new Date().toISOString();
+    const vector = {
+      mint: token.mint,
+      snapshot_ts: snapshotTs,
+      schema_version: this.version,
+      names: this.names,
+      ...this.buildVector(raw),
+      computed_at: computedAt,
+      point_in_time: this.isPointInTime(snapshotTs, computedAt) ? 1 : 0
+    };
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO feature_vectors
+      (mint, snapshot_ts, schema_version, feature_values, missing_mask, computed_at, point_in_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(vector.mint, vector.snapshot_ts, vector.schema_version,
+      JSON.stringify(vector.values), JSON.stringify(vector.mask), vector.computed_at, vector.point_in_time);
+
+    return vector;
+  }
+
+  /**
+   * @param {string} mint - Token mint
+   * @returns {object|null} Vector of the token's T+30m snapshot
+   */
+  getVectorForMint(mint) {
+    const token = this.db.prepare('SELECT mint, first_seen_at, source FROM tokens WHERE mint = ?').get(mint);
+    if (!token || !token.first_seen_at) return null;
+    return this.getVector(token);
+  }
+
+  /**
+   * Labelled tokens with a point-in-time vector, oldest launch first. Only
+   * vectors written at scoring time qualify; tokens without one are left
+   * out rather than backfilled from their current state.
+   * @returns {Array} { mint, first_seen_at, vector, winner_2x_24h, rug_24h }
+   */
+  getTrainingSet() {
+    this.ensureSchema();
+
+    const rows = this.db.prepare(`
+      SELECT t.mint, t.first_seen_at, tl.winner_2x_24h, tl.rug_24h,
+             fv.snapshot_ts, fv.schema_version, fv.feature_values, fv.missing_mask, fv.computed_at, fv.point_in_time
+      FROM tokens t
+      JOIN token_labels tl ON t.mint = tl.mint
+      LEFT JOIN feature_vectors fv ON fv.mint = t.mint AND fv.schema_version = ? AND fv.point_in_time = 1
+      WHERE tl.winner_2x_24h IS NOT NULL AND tl.rug_24h IS NOT NULL
+        AND t.first_seen_at IS NOT NULL
+      ORDER BY t.first_seen_at ASC
+    `).all(this.version);
+
+    const training = rows
+      .filter(row => row.snapshot_ts === this.snapshotTime(row.first_seen_at))
+      .map(row => ({
+        mint: row.mint,
+        first_seen_at: row.first_seen_at,
+        vector: this.fromRow(row),
+        winner_2x_24h: row.winner_2x_24h,
+        rug_24h: row.rug_24h
+      }));
+
+    if (training.length < rows.length) {
+      logger.info('feature-store', 'system', 'training_set_filtered',
+        `${rows.length - training.length} of ${rows.length} labelled tokens have no point-in-time vector and are left out`);
+    }
+    return training;
+  }
+}
+
+module.exports = {
+  FeatureStore,
+  SNAPSHOT_OFFSET_MS
+};
@@ -0,0 +1,252 @@
+// lib/gradient-boosting.js - Pure-JS gradient-boosted decision trees for binary targets (log loss)
+
+const DEFAULT_PARAMS = {
+  nTrees: 100,
+  maxDepth: 3,
+  learningRate: 0.1,
+  minSamplesLeaf: 10,
+  lambda: 1,       // L2 penalty on leaf values
+  maxBins: 32      // Candidate thresholds per feature (quantiles)
+};
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, z))));
+}
+
+/**
+ * Ascending split thresholds for one feature: midpoints between distinct
+ * values, thinned to at most maxBins - 1 quantiles
+ */
+function featureThresholds(values, maxBins) {
+  const distinct = [...new Set(values)].sort((a, b) => a - b);
+  if (distinct.length < 2) return [];
+
+  const midpoints = [];
+  for (let i = 1; i < distinct.length; i++) midpoints.push((distinct[i - 1] + distinct[i]) / 2);
+  if (midpoints.length < maxBins) return midpoints;
+
+  const thresholds = [];
+  for (let b = 1; b < maxBins; b++) {
+    const threshold = midpoints[Math.floor(b * midpoints.length / maxBins)];
+    if (thresholds[thresholds.length - 1] !== threshold) thresholds.push(threshold);
+  }
+  return thresholds;
+}
+
+/**
+ * Bin of a value: the index of the first threshold it does not exceed, so
+ * bin <= k exactly when value <= thresholds[k]
+ */
+function binOf(value, thresholds) {
+  let lo = 0;
+  let hi = thresholds.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (value <= thresholds[mid]) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+class GradientBoostedTrees {
+  /**
+   * @param {object} params - { nTrees, maxDepth, learningRate, minSamplesLeaf, lambda, maxBins }
+   */
+  constructor(params = {}) {
+    this.params = { ...DEFAULT_PARAMS, ...params };
+    this.baseScore = 0;
+    this.trees = [];
+    this.gain = [];
+  }
+
+  /**
+   * Fit on feature vectors and 0/1 labels. Each tree is grown depth-first on
+   * the gradient and hessian of the log loss, splitting on pre-binned
+   * thresholds; leaves take the Newton step -G / (H + lambda).
+   * @param {Array} X - Feature vectors
+   * @param {Array} y - Labels (0/1)
+   */
+  fit(X, y) {
+    const nSamples = X.length;
+    const nFeatures = X[0].length;
+    const { nTrees, learningRate, maxBins } = this.params;
+
+    this.thresholds = [];
+    this.bins = [];
+    for (let j = 0; j < nFeatures; j++) {
+      const column = X.map(x => x[j]);
+      const thresholds = featureThresholds(column, maxBins);
+      this.thresholds.push(thresholds);
+      this.bins.push(Uint16Array.from(column, value => binOf(value, thresholds)));
+    }
+
+    const positives = y.reduce((sum, label) => sum + label, 0);
+    const prior = Math.min(Math.max(positives / nSamples, 1e-6), 1 - 1e-6);
+    this.baseScore = Math.log(prior / (1 - prior));
+    this.trees = [];
+    this.gain = new Array(nFeatures).fill(0);
+
+    const raw = new Float64Array(nSamples).fill(this.baseScore);
+    const grad = new Float64Array(nSamples);
+    const hess = new Float64Array(nSamples);
+    const all = Array.from({ length: nSamples }, (_, i) => i);
+
+    for (let t = 0; t < nTrees; t++) {
+      for (let i = 0; i < nSamples; i++) {
+        const p = sigmoid(raw[i]);
+        grad[i] = p - y[i];
+        hess[i] = Math.max(p * (1 - p), 1e-12);
+      }
+
+      const tree = this.buildNode(all, grad, hess, 0);
+      this.trees.push(tree);
+      for (let i = 0; i < nSamples; i++) raw[i] += learningRate * this.leafValue(tree, X[i]);
+    }
+
+    // Training-only state
+    delete this.thresholds;
+    delete this.bins;
+  }
+
+  buildNode(indices, grad, hess, depth) {
+    const { maxDepth, minSamplesLeaf, lambda } = this.params;
+    let G = 0;
+    let H = 0;
+    for (const i of indices) {
+      G += grad[i];
+      H += hess[i];
+    }
+    const node = { v: -G / (H + lambda), n: indices.length };
+    if (depth >= maxDepth || indices.length < 2 * minSamplesLeaf) return node;
+
+    const parentScore = G * G / (H + lambda);
+    let best = null;
+
+    for (let j = 0; j < this.thresholds.length; j++) {
+      const thresholds = this.thresholds[j];
+      if (thresholds.length === 0) continue;
+
+      const nBins = thresholds.length + 1;
+      const histG = new Float64Array(nBins);
+      const histH = new Float64Array(nBins);
+      const histN = new Uint32Array(nBins);
+      const bins = this.bins[j];
+      for (const i of indices) {
+        histG[bins[i]] += grad[i];
+        histH[bins[i]] += hess[i];
+        histN[bins[i]]++;
+      }
+
+      let GL = 0;
+      let HL = 0;
+      let NL = 0;
+      for (let k = 0; k < thresholds.length; k++) {
+        GL += histG[k];
+        HL += histH[k];
+        NL += histN[k];
+        const NR = indices.length - NL;
+        if (NL < minSamplesLeaf) continue;
+        if (NR < minSamplesLeaf) break;
+
+        const GR = G - GL;
+        const HR = H - HL;
+        const gain = GL * GL / (HL + lambda) + GR * GR / (HR + lambda) - parentScore;
+        if (gain > 1e-12 && (!best || gain > best.gain)) {
+          best = { feature: j, bin: k, threshold: thresholds[k], gain };
+        }
+      }
+    }
+
+    if (!best) return node;
+
+    const bins = this.bins[best.feature];
+    const left = indices.filter(i => bins[i] <= best.bin);
+    const right = indices.filter(i => bins[i] > best.bin);
+    this.gain[best.feature] += best.gain;
+
+    node.f = best.feature;
+    node.t = best.threshold;
+    node.l = this.buildNode(left, grad, hess, depth + 1);
+    node.r = this.buildNode(right, grad, hess, depth + 1);
+    return node;
+  }
+
+  leafValue(node, x) {
+    while (node.l) node = x[node.f] <= node.t ? node.l : node.r;
+    return node.v;
+  }
+
+  /**
+   * @param {Array} X - Feature vectors
+   * @returns {Array} Probabilities
+   */
+  predict(X) {
+    const { learningRate } = this.params;
+    return X.map(x => {
+      let z = this.baseScore;
+      for (const tree of this.trees) z += learningRate * this.leafValue(tree, x);
+      return sigmoid(z);
+    });
+  }
+
+  /**
+   * Per-feature contributions to one prediction's log-odds: every split on
+   * the decision path credits its feature with the change in node value
+   * @param {Array} x - Feature vector
+   * @returns {object} { bias, contributions } (contributions indexed like x)
+   */
+  explain(x) {
+    const { learningRate } = this.params;
+    const contributions = new Array(x.length).fill(0);
+    let bias = this.baseScore;
+
+    for (const tree of this.trees) {
+      let node = tree;
+      bias += learningRate * node.v;
+      while (node.l) {
+        const next = x[node.f] <= node.t ? node.l : node.r;
+        contributions[node.f] += learningRate * (next.v - node.v);
+        node = next;
+      }
+    }
+
+    return { bias, contributions };
+  }
+
+  /**
+   * @returns {Array} Share of total split gain per feature (sums to 1)
+   */
+  featureImportance() {
+    const total = this.gain.reduce((sum, g) => sum + g, 0);
+    return this.gain.map(g => total > 0 ? g / total : 0);
+  }
+
+  /**
+   * @returns {object} Serializable model for model_registry.model_params
+   */
+  toJSON() {
+    return {
+      params: this.params,
+      baseScore: this.baseScore,
+      gain: this.gain,
+      trees: this.trees
+    };
+  }
+
+  /**
+   * @param {object} json - toJSON() output
+   * @returns {GradientBoostedTrees} Model ready for predict/explain
+   */
+  static fromJSON(json) {
+    const model = new GradientBoostedTrees(json.params);
+    model.baseScore = json.baseScore;
+    model.gain = json.gain || [];
+    model.trees = json.trees || [];
+    return model;
+  }
+}
+
+module.exports = {
+  GradientBoostedTrees,
+  DEFAULT_PARAMS
+};
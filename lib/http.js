@@ -27,6 +27,8 @@ class RateLimiter {
 
 const limiters = {
   dexscreener: new RateLimiter(4, 10), // 4 req/s, burst 10
+  birdeye: new RateLimiter(1, 5),      // 1 req/s, burst 5 (public tier)
+  jupiter: new RateLimiter(5, 10),     // 5 req/s, burst 10
   helius: new RateLimiter(10, 20),     // 10 req/s, burst 20
   rpc: new RateLimiter(5, 15)          // 5 req/s, burst 15
 };
@@ -0,0 +1,317 @@
+// lib/ingest-queue.js - Durable write-ahead queue between the webhook server and SQLite
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { UPSERT_TOKEN_SQL, INSERT_EVENT_SQL } = require('../db/statements');
+const logger = require('./logger');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'intake', 'new_tokens.jsonl');
+const BASE_RETRY_MS = 100;
+const MAX_RETRY_MS = 5000;
+const READ_CHUNK_BYTES = 4 * 1024 * 1024;
+
+/**
+ * SQLITE_BUSY / SQLITE_LOCKED and their extended codes
+ */
+function isBusyError(error) {
+  return typeof error.code === 'string' &&
+    (error.code.startsWith('SQLITE_BUSY') || error.code.startsWith('SQLITE_LOCKED'));
+}
+
+/**
+ * Read newline-terminated lines in [start, end) without loading the whole file
+ * @param {string} file - JSONL path
+ * @param {number} start - Byte offset (must be at a line boundary)
+ * @param {number} end - Byte offset to stop at
+ * @param {Function} onLine - (line, endOffset) for each complete line
+ */
+function readLines(file, start, end, onLine) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    let position = start;
+    let carry = Buffer.alloc(0);
+    while (position < end) {
+      const chunk = Buffer.alloc(Math.min(READ_CHUNK_BYTES, end - position));
+      const bytesRead = fs.readSync(fd, chunk, 0, chunk.length, position);
+      if (bytesRead === 0) break;
+
+      const data = Buffer.concat([carry, chunk.subarray(0, bytesRead)]);
+      const dataStart = position - carry.length;
+      position += bytesRead;
+
+      let lineStart = 0;
+      let newline;
+      while ((newline = data.indexOf(0x0a, lineStart)) !== -1) {
+        onLine(data.subarray(lineStart, newline).toString('utf8'), dataStart + newline + 1);
+        lineStart = newline + 1;
+      }
+      carry = data.subarray(lineStart);
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+class IngestQueue {
+  /**
+   * Each accepted webhook is appended to the intake JSONL (the write-ahead
+   * log) and acknowledged once the line is written; tokens/token_events rows
+   * are inserted later in batches. The byte offset committed to SQLite is
+   * stored in ingest_checkpoints in the same transaction, so a restart
+   * replays exactly the lines that never reached the database.
+   * @param {object} options - { file, dbPath, db, batchSize, flushMs, busyTimeoutMs }
+   */
+  constructor(options = {}) {
+    this.file = options.file || DEFAULT_FILE;
+    this.checkpointKey = path.basename(this.file);
+    // Short busy timeout: better-sqlite3 waits synchronously, which would stall the HTTP server
+    this.db = options.db || new Database(options.dbPath || 'db/agent.db', {
+      timeout: options.busyTimeoutMs ?? parseInt(process.env.INGEST_BUSY_TIMEOUT_MS || '50', 10)
+    });
+    this.batchSize = options.batchSize || parseInt(process.env.INGEST_BATCH_SIZE || '200', 10);
+    this.flushMs = options.flushMs || parseInt(process.env.INGEST_FLUSH_MS || '250', 10);
+
+    this.upsertToken = this.db.prepare(UPSERT_TOKEN_SQL);
+    this.insertEvent = this.db.prepare(INSERT_EVENT_SQL);
+    this.getCheckpoint = this.db.prepare('SELECT offset FROM ingest_checkpoints WHERE file = ?');
+    this.saveCheckpoint = this.db.prepare(`
+      INSERT INTO ingest_checkpoints (file, offset, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT(file) DO UPDATE SET offset = excluded.offset, updated_at = excluded.updated_at
+    `);
+    this.commitBatch = this.db.transaction(records => {
+      for (const record of records) {
+        this.upsertToken.run(record.token);
+        this.insertEvent.run(record.event);
+      }
+      this.saveCheckpoint.run(this.checkpointKey, records[records.length - 1].offset, new Date().toISOString());
+    });
+
+    this.pending = [];
+    this.stream = null;
+    this.writeOffset = 0;
+    this.committedOffset = 0;
+    this.flushTimer = null;
+    this.consecutiveFailures = 0;
+    this.closed = false;
+
+    this.stats = {
+      enqueued: 0,
+      recovered: 0,
+      committed: 0,
+      batches: 0,
+      busy_retries: 0,
+      failed_records: 0,
+      last_error: null,
+      last_commit_at: null
+    };
+  }
+
+  /**
+   * Open the log for appending and queue any lines past the checkpoint
+   */
+  open() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.writeOffset = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', error => {
+      this.stats.last_error = error.message;
+      logger.error('ingest-queue', 'system', 'log_write_failed', `Intake log write failed: ${error.message}`);
+    });
+    this.recover();
+    return this;
+  }
+
+  recover() {
+    const row = this.getCheckpoint.get(this.checkpointKey);
+
+    // First run: lines written before the queue existed were already saved synchronously
+    if (!row || row.offset > this.writeOffset) {
+      if (row) {
+        logger.warning('ingest-queue', 'system', 'log_truncated', `${this.checkpointKey} is shorter than its checkpoint, restarting from the end`);
+      }
+      this.saveCheckpoint.run(this.checkpointKey, this.writeOffset, new Date().toISOString());
+      this.committedOffset = this.writeOffset;
+      return;
+    }
+
+    this.committedOffset = row.offset;
+    if (row.offset === this.writeOffset) return;
+
+    readLines(this.file, row.offset, this.writeOffset, (line, endOffset) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        entry = null;
+      }
+      if (!entry || !entry.token || !entry.event) {
+        // Unparseable or pre-queue lines still advance the checkpoint
+        this.pending.push({ offset: endOffset, skip: true });
+        return;
+      }
+      this.pending.push(this.toRecord(entry, endOffset));
+      this.stats.recovered++;
+    });
+
+    logger.info('ingest-queue', 'system', 'recovering', `Replaying ${this.stats.recovered} intake lines past the checkpoint`, {
+      from: row.offset,
+      to: this.writeOffset
+    });
+    this.scheduleFlush(0);
+  }
+
+  toRecord(entry, offset) {
+    return {
+      token: entry.token,
+      event: { ...entry.event, raw_json: JSON.stringify(entry.payload ?? null) },
+      offset
+    };
+  }
+
+  /**
+   * Append one delivery to the log. Resolves once the line is written; the
+   * database insert happens in the next batch.
+   * @param {object} entry - { token, event, payload, summary } where token/event are
+   *   tokens/token_events rows (event without raw_json) and summary is extra log fields
+   * @returns {Promise<object>} { offset }
+   */
+  enqueue({ token, event, payload, summary = {} }) {
+    if (this.closed) {
+      return Promise.reject(new Error('Ingest queue is closed'));
+    }
+
+    const entry = { ...summary, token, event, payload };
+    const line = JSON.stringify(entry) + '\n';
+
+    return new Promise((resolve, reject) => {
+      this.stream.write(line, error => {
+        if (error) return reject(error);
+
+        // Write callbacks fire in order, so offsets stay monotonic
+        this.writeOffset += Buffer.byteLength(line);
+        this.pending.push(this.toRecord(entry, this.writeOffset));
+        this.stats.enqueued++;
+        this.scheduleFlush(this.pending.length >= this.batchSize ? 0 : this.flushMs);
+        resolve({ offset: this.writeOffset });
+      });
+    });
+  }
+
+  scheduleFlush(delayMs) {
+    if (this.flushTimer) {
+      if (delayMs > 0) return;
+      clearTimeout(this.flushTimer);
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delayMs);
+  }
+
+  /**
+   * Commit up to batchSize pending records in one transaction. Busy/locked
+   * databases are retried with exponential backoff; a record that fails
+   * for any other reason is logged and skipped.
+   * @returns {boolean} True when the batch was committed
+   */
+  flush() {
+    if (this.pending.length === 0) return true;
+    const batch = this.pending.slice(0, this.batchSize);
+
+    try {
+      try {
+        this.commitRecords(batch);
+        this.pending.splice(0, batch.length);
+      } catch (error) {
+        if (isBusyError(error)) throw error;
+        this.commitOneByOne(batch);
+      }
+    } catch (error) {
+      this.consecutiveFailures++;
+      this.stats.last_error = error.message;
+      const delay = Math.min(BASE_RETRY_MS * Math.pow(2, this.consecutiveFailures - 1), MAX_RETRY_MS);
+      if (isBusyError(error)) {
+        this.stats.busy_retries++;
+        logger.debug('ingest-queue', 'system', 'busy', `Database busy, retrying ${this.pending.length} records in ${delay}ms`);
+      } else {
+        logger.error('ingest-queue', 'system', 'flush_failed', `Flush failed: ${error.message}`, { retryInMs: delay });
+      }
+      if (!this.closed) this.scheduleFlush(delay);
+      return false;
+    }
+
+    this.consecutiveFailures = 0;
+    if (this.pending.length > 0 && !this.closed) this.scheduleFlush(0);
+    return true;
+  }
+
+  commitRecords(records) {
+    const rows = records.filter(r => !r.skip);
+    if (rows.length > 0) {
+      // Skipped lines before the last row are covered by its offset
+      this.commitBatch([...rows.slice(0, -1), { ...rows[rows.length - 1], offset: records[records.length - 1].offset }]);
+    } else {
+      this.saveCheckpoint.run(this.checkpointKey, records[records.length - 1].offset, new Date().toISOString());
+    }
+
+    this.committedOffset = records[records.length - 1].offset;
+    this.stats.committed += rows.length;
+    this.stats.batches++;
+    this.stats.last_commit_at = new Date().toISOString();
+  }
+
+  /**
+   * Isolate the record that broke a batch. Busy errors propagate so the
+   * remaining records are retried.
+   */
+  commitOneByOne(batch) {
+    for (const record of batch) {
+      try {
+        this.commitRecords([record]);
+      } catch (error) {
+        if (isBusyError(error)) throw error;
+        this.stats.failed_records++;
+        logger.error('ingest-queue', record.token?.mint || 'system', 'record_failed', `Dropping intake record at offset ${record.offset}: ${error.message}`);
+        this.commitRecords([{ offset: record.offset, skip: true }]);
+      }
+      this.pending.shift();
+    }
+  }
+
+  /**
+   * @returns {object} Queue counters for /stats
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.pending.length,
+      write_offset: this.writeOffset,
+      committed_offset: this.committedOffset,
+      lag_bytes: this.writeOffset - this.committedOffset
+    };
+  }
+
+  /**
+   * Flush what can be flushed and close the log. Anything still pending
+   * stays in the log and is replayed on the next open().
+   */
+  async close() {
+    this.closed = true;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    while (this.pending.length > 0 && this.flush()) {
+      // flush() commits one batch per call
+    }
+
+    if (this.stream) {
+      await new Promise(resolve => this.stream.end(resolve));
+    }
+  }
+}
+
+module.exports = {
+  IngestQueue,
+  isBusyError,
+  readLines
+};
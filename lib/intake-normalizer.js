@@ -0,0 +1,127 @@
+// lib/intake-normalizer.js - Webhook payload normalization shared by the webhook server and `cli.js replay`
+
+/**
+ * Clock hygiene - normalize to ISO 8601 UTC
+ * @param {string|number} timestamp - ISO string or Unix seconds
+ * @param {string} fallback - ISO timestamp used when the value is missing or unparseable
+ * @returns {string} ISO timestamp
+ */
+function normalizeTimestamp(timestamp, fallback = new Date().toISOString()) {
+  if (!timestamp) return fallback;
+
+  try {
+    // If it's already ISO format, return as-is
+    if (typeof timestamp === 'string' && timestamp.includes('T')) {
+      return new Date(timestamp).toISOString();
+    }
+
+    // If it's a number (Unix timestamp), convert
+    if (typeof timestamp === 'number') {
+      return new Date(timestamp * 1000).toISOString();
+    }
+
+    return fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * Helius enhanced webhook payload
+ * @param {object} body - One Helius transaction
+ * @param {string} receivedAt - Fallback for a missing createdAt
+ * @returns {object|null} Normalized event, or null when no mint can be found
+ */
+function normalizeHelius(body, receivedAt) {
+  const out = { source: 'helius', type: body.type || 'unknown' };
+
+  // Try to find a mint address from enhanced events
+  const tokenEvt = body?.events?.token || {};
+  const defiEvt = body?.events?.defi || {};
+  const mint =
+    tokenEvt.mint ||
+    defiEvt.mint ||
+    body.mint ||
+    body.tokenAddress ||
+    body.token_address;
+
+  if (!mint) return null;
+
+  out.mint = mint;
+  out.symbol = tokenEvt.symbol || body.symbol || null;
+  out.name = tokenEvt.name || body.name || null;
+  out.decimals = tokenEvt.decimals || body.decimals || null;
+  out.creator = tokenEvt.creator || body.creator || null;
+  out.launchTx = body.signature || body.tx || null;
+  out.createdAt = normalizeTimestamp(body.timestamp || body.createdAt, receivedAt);
+
+  return out;
+}
+
+/**
+ * Normalize any webhook body (Helius first, then the generic shape)
+ * @param {object} body - Request body
+ * @param {string} receivedAt - Fallback for a missing createdAt (default now)
+ * @returns {object|null} { source, type, mint, symbol, name, decimals, creator, launchTx, createdAt }
+ */
+function normalizePayload(body, receivedAt) {
+  if (!body || typeof body !== 'object') return null;
+
+  // Try Helius first
+  if (body.events || body.signature) {
+    return normalizeHelius(body, receivedAt);
+  }
+
+  // Generic fallback
+  const mint = body.mint || body.tokenAddress || body.token_address;
+  if (!mint) return null;
+
+  return {
+    source: body.source || 'unknown',
+    type: body.type || 'unknown',
+    mint,
+    symbol: body.symbol || null,
+    name: body.name || null,
+    decimals: body.decimals || null,
+    creator: body.creator || null,
+    launchTx: body.signature || body.tx || null,
+    createdAt: normalizeTimestamp(body.timestamp || body.createdAt, receivedAt)
+  };
+}
+
+/**
+ * tokens / token_events rows for a normalized event (event without raw_json)
+ * @param {object} normalized - normalizePayload() result
+ * @param {string} receivedAt - When the webhook was accepted
+ * @returns {object} { token, event }
+ */
+function toIntakeRows(normalized, receivedAt) {
+  const { mint, source, type } = normalized;
+  return {
+    token: {
+      mint,
+      symbol: normalized.symbol,
+      name: normalized.name,
+      decimals: normalized.decimals,
+      creator: normalized.creator,
+      launch_tx: normalized.launchTx,
+      source,
+      first_seen_at: normalized.createdAt || receivedAt,
+      last_updated_at: receivedAt
+    },
+    event: {
+      mint,
+      type,
+      source,
+      received_at: receivedAt,
+      signature: normalized.launchTx || null
+    }
+  };
+}
+
+module.exports = {
+  normalizeTimestamp,
+  normalizeHelius,
+  normalizePayload,
+  toIntakeRows
+};
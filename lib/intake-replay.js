@@ -0,0 +1,144 @@
+// lib/intake-replay.js - Rebuild tokens/token_events from archived intake JSONL
+const fs = require('fs');
+const { REPLAY_UPSERT_TOKEN_SQL, INSERT_EVENT_SQL } = require('../db/statements');
+const { normalizePayload, toIntakeRows } = require('./intake-normalizer');
+const { readLines } = require('./ingest-queue');
+
+/**
+ * Recover the original payload and receive time from one intake line.
+ * Queue-era lines carry the full webhook body; older lines only have the
+ * summary (token_address, event_type, source), which is replayed as a
+ * generic payload.
+ * @param {object} entry - Parsed JSONL line
+ * @returns {object|null} { payload, receivedAt, legacy }
+ */
+function parseIntakeEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  if (entry.payload) {
+    return {
+      payload: entry.payload,
+      receivedAt: entry.event?.received_at || entry.timestamp,
+      legacy: false
+    };
+  }
+
+  if (entry.token_address && entry.timestamp) {
+    return {
+      payload: {
+        mint: entry.token_address,
+        type: entry.event_type,
+        source: entry.source
+      },
+      receivedAt: entry.timestamp,
+      legacy: true
+    };
+  }
+
+  return null;
+}
+
+function parseTime(value, label) {
+  if (value == null) return null;
+  const ms = new Date(value).getTime();
+  if (isNaN(ms)) {
+    throw new Error(`Invalid ${label} time: ${value}`);
+  }
+  return ms;
+}
+
+/**
+ * Re-run normalization over an intake log and insert what is missing.
+ * Events dedupe on token_events' unique keys, so replaying a file twice
+ * (or a file the webhook server already ingested) only adds new rows.
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} file - Intake JSONL path
+ * @param {object} options - { since, until, source, dryRun, batchSize }
+ * @returns {object} Replay counts
+ */
+function replayIntake(db, file, options = {}) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`File not found: ${file}`);
+  }
+
+  const since = parseTime(options.since, 'since');
+  const until = parseTime(options.until, 'until');
+  const batchSize = options.batchSize || 500;
+
+  const upsertToken = db.prepare(REPLAY_UPSERT_TOKEN_SQL);
+  const insertEvent = db.prepare(INSERT_EVENT_SQL);
+
+  const stats = {
+    lines: 0,
+    invalid: 0,
+    filtered: 0,
+    matched: 0,
+    legacy: 0,
+    inserted: 0,
+    duplicates: 0,
+    mints: new Set()
+  };
+
+  const commit = db.transaction(records => {
+    for (const record of records) {
+      upsertToken.run(record.token);
+      const result = insertEvent.run(record.event);
+      if (result.changes > 0) {
+        stats.inserted++;
+        stats.mints.add(record.event.mint);
+      } else {
+        stats.duplicates++;
+      }
+    }
+  });
+
+  let batch = [];
+  const flush = () => {
+    if (batch.length === 0) return;
+    if (!options.dryRun) commit(batch);
+    batch = [];
+  };
+
+  readLines(file, 0, fs.statSync(file).size, line => {
+    if (!line.trim()) return;
+    stats.lines++;
+
+    let entry;
+    try {
+      entry = parseIntakeEntry(JSON.parse(line));
+    } catch (error) {
+      entry = null;
+    }
+    const receivedMs = entry ? new Date(entry.receivedAt).getTime() : NaN;
+    const normalized = entry && !isNaN(receivedMs)
+      ? normalizePayload(entry.payload, new Date(receivedMs).toISOString())
+      : null;
+    if (!normalized) {
+      stats.invalid++;
+      return;
+    }
+
+    if ((since !== null && receivedMs < since) ||
+        (until !== null && receivedMs > until) ||
+        (options.source && normalized.source !== options.source)) {
+      stats.filtered++;
+      return;
+    }
+
+    stats.matched++;
+    if (entry.legacy) stats.legacy++;
+
+    // Keep the original receive time so token_events' unique keys match the first ingest
+    const { token, event } = toIntakeRows(normalized, new Date(receivedMs).toISOString());
+    batch.push({ token, event: { ...event, raw_json: JSON.stringify(entry.payload) } });
+    if (batch.length >= batchSize) flush();
+  });
+  flush();
+
+  return { ...stats, mints: [...stats.mints] };
+}
+
+module.exports = {
+  replayIntake,
+  parseIntakeEntry
+};
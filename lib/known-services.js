@@ -0,0 +1,69 @@
+// lib/known-services.js - Exchange, bridge, router and market-maker wallets treated as neutral funders
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = path.join(__dirname, '..', 'config', 'known-services.json');
+const CATEGORIES = ['exchange', 'bridge', 'router', 'market_maker'];
+
+/**
+ * Curated registry shipped in config/known-services.json (KNOWN_SERVICES_FILE overrides)
+ * @returns {Array} { address, name, category }
+ */
+function loadRegistry(file = process.env.KNOWN_SERVICES_FILE || REGISTRY_PATH) {
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return (registry.services || []).filter(s => s.address && CATEGORIES.includes(s.category));
+}
+
+/**
+ * Every known service: the registry file, rows added with
+ * `cli.js known-services add`, and wallet_tags rows tagged with a category
+ * (which is how market makers have always been marked)
+ * @param {object} db - better-sqlite3 handle
+ * @returns {Map} wallet -> { wallet, name, category, source }
+ */
+function getKnownServices(db) {
+  const services = new Map();
+
+  for (const service of loadRegistry()) {
+    services.set(service.address, { wallet: service.address, name: service.name, category: service.category, source: 'registry' });
+  }
+  for (const row of db.prepare('SELECT wallet, name, category FROM known_services').all()) {
+    services.set(row.wallet, { ...row, source: 'manual' });
+  }
+
+  const tagged = db.prepare(`
+    SELECT wallet, tag FROM wallet_tags WHERE tag IN (${CATEGORIES.map(() => '?').join(', ')})
+  `).all(...CATEGORIES);
+  for (const row of tagged) {
+    if (!services.has(row.wallet)) {
+      services.set(row.wallet, { wallet: row.wallet, name: null, category: row.tag, source: 'tag' });
+    }
+  }
+
+  return services;
+}
+
+function addKnownService(db, wallet, category, name = null) {
+  if (!CATEGORIES.includes(category)) {
+    throw new Error(`Unknown category '${category}' (expected ${CATEGORIES.join(', ')})`);
+  }
+  db.prepare(`
+    INSERT INTO known_services (wallet, name, category) VALUES (?, ?, ?)
+    ON CONFLICT(wallet) DO UPDATE SET name = excluded.name, category = excluded.category
+  `).run(wallet, name, category);
+}
+
+/**
+ * @returns {boolean} Whether a manual entry was removed (registry entries live in the file)
+ */
+function removeKnownService(db, wallet) {
+  return db.prepare('DELETE FROM known_services WHERE wallet = ?').run(wallet).changes > 0;
+}
+
+module.exports = {
+  loadRegistry,
+  getKnownServices,
+  addKnownService,
+  removeKnownService,
+  CATEGORIES
+};
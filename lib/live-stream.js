@@ -0,0 +1,426 @@
+// lib/live-stream.js - Push new tokens, score changes, rug-risk transitions and alerts to WebSocket/SSE subscribers
+const Database = require('better-sqlite3');
+const { WebSocketServer } = require('ws');
+const logger = require('./logger');
+const { extractApiKey, isValidApiKey, parseApiKeys } = require('./read-api');
+
+const EVENT_TYPES = ['token', 'score', 'rug_risk', 'alert'];
+const BATCH_SIZE = 500;
+const HEARTBEAT_MS = 30_000;
+
+/**
+ * Rug-risk band used to detect transitions (high matches the >= 60
+ * threshold rug-risk-scorer alerts on)
+ */
+function riskBand(score) {
+  if (score === null || score === undefined) return null;
+  if (score >= 60) return 'high';
+  if (score >= 30) return 'medium';
+  return 'low';
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Parse subscription filters from a query string or a WebSocket subscribe message.
+ * Throws on unknown event types or a non-numeric min_health.
+ * @param {object} params - { mints, events, alert_types, min_health } (lists may be comma-separated)
+ * @returns {object} { mints, events, alertTypes, minHealth } with null meaning "any"
+ */
+function parseFilters(params = {}) {
+  const mints = toList(params.mints || params.mint);
+  const events = toList(params.events);
+  const alertTypes = toList(params.alert_types || params.alert_type);
+
+  const unknown = events.filter(e => !EVENT_TYPES.includes(e));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown event type(s): ${unknown.join(', ')} (expected ${EVENT_TYPES.join(', ')})`);
+  }
+
+  let minHealth = null;
+  if (params.min_health !== undefined && params.min_health !== null && params.min_health !== '') {
+    minHealth = Number(params.min_health);
+    if (!Number.isFinite(minHealth)) {
+      throw new Error('min_health must be a number');
+    }
+  }
+
+  return {
+    mints: mints.length > 0 ? new Set(mints) : null,
+    events: events.length > 0 ? new Set(events) : null,
+    alertTypes: alertTypes.length > 0 ? new Set(alertTypes) : null,
+    minHealth
+  };
+}
+
+function describeFilters(filters) {
+  return {
+    mints: filters.mints ? [...filters.mints] : null,
+    events: filters.events ? [...filters.events] : null,
+    alert_types: filters.alertTypes ? [...filters.alertTypes] : null,
+    min_health: filters.minHealth
+  };
+}
+
+/**
+ * Alert type filters only narrow alert events; min_health drops events
+ * for tokens that have not been scored yet
+ */
+function matchesFilters(filters, event) {
+  if (filters.events && !filters.events.has(event.type)) return false;
+  if (filters.mints && !filters.mints.has(event.mint)) return false;
+  if (filters.alertTypes && event.type === 'alert' && !filters.alertTypes.has(event.data.alert_type)) return false;
+  if (filters.minHealth !== null && (event.health_score === null || event.health_score < filters.minHealth)) return false;
+  return true;
+}
+
+class LiveStream {
+  /**
+   * @param {object} options - { dbPath, pollMs, apiKeys }
+   */
+  constructor(options = {}) {
+    this.db = new Database(options.dbPath || 'db/agent.db');
+    this.pollMs = options.pollMs || parseInt(process.env.STREAM_POLL_MS || '1000', 10);
+    this.apiKeys = options.apiKeys || parseApiKeys();
+    this.clients = new Set();
+    this.cursors = null;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.wss = new WebSocketServer({ noServer: true });
+  }
+
+  /**
+   * Start reading from the current end of each table so subscribers only
+   * see changes made after the first client connected
+   */
+  resetCursors() {
+    const maxId = sql => this.db.prepare(sql).get().max_id || 0;
+    this.cursors = {
+      token: maxId('SELECT MAX(rowid) as max_id FROM tokens'),
+      score: maxId('SELECT MAX(id) as max_id FROM score_history'),
+      rug_risk: maxId('SELECT MAX(id) as max_id FROM rug_risk_history'),
+      alert: maxId('SELECT MAX(id) as max_id FROM alerts')
+    };
+  }
+
+  startPolling() {
+    if (this.pollTimer) return;
+    this.resetCursors();
+    this.pollTimer = setInterval(() => this.poll(), this.pollMs);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), HEARTBEAT_MS);
+  }
+
+  stopPolling() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  poll() {
+    try {
+      const events = [
+        ...this.readNewTokens(),
+        ...this.readScoreChanges(),
+        ...this.readRugRiskTransitions(),
+        ...this.readNewAlerts()
+      ];
+      for (const event of events) {
+        this.broadcast(event);
+      }
+    } catch (error) {
+      logger.error('live-stream', 'system', 'poll_failed', `Stream poll failed: ${error.message}`);
+    }
+  }
+
+  readNewTokens() {
+    const rows = this.db.prepare(`
+      SELECT rowid as row_id, mint, symbol, name, source, creator, first_seen_at, health_score
+      FROM tokens
+      WHERE rowid > ?
+      ORDER BY rowid
+      LIMIT ?
+    `).all(this.cursors.token, BATCH_SIZE);
+
+    if (rows.length > 0) this.cursors.token = rows[rows.length - 1].row_id;
+
+    return rows.map(({ row_id, health_score, ...token }) => ({
+      type: 'token',
+      mint: token.mint,
+      health_score,
+      data: token,
+      ts: token.first_seen_at || new Date().toISOString()
+    }));
+  }
+
+  /**
+   * Snapshots whose health score differs from the previous snapshot of the
+   * same mint (the first snapshot of a mint always counts as a change)
+   */
+  readScoreChanges() {
+    const rows = this.db.prepare(`
+      SELECT s.*, t.symbol,
+        (SELECT p.health_score FROM score_history p
+         WHERE p.mint = s.mint AND p.id < s.id
+         ORDER BY p.id DESC LIMIT 1) as previous_health
+      FROM score_history s
+      LEFT JOIN tokens t ON s.mint = t.mint
+      WHERE s.id > ?
+      ORDER BY s.id
+      LIMIT ?
+    `).all(this.cursors.score, BATCH_SIZE);
+
+    if (rows.length > 0) this.cursors.score = rows[rows.length - 1].id;
+
+    return rows
+      .filter(row => row.previous_health === null || row.previous_health !== row.health_score)
+      .map(row => ({
+        type: 'score',
+        mint: row.mint,
+        health_score: row.health_score,
+        data: {
+          symbol: row.symbol,
+          health_score: row.health_score,
+          previous_health: row.previous_health,
+          holders_count: row.holders_count,
+          fresh_pct: row.fresh_pct,
+          sniper_pct: row.sniper_pct,
+          insider_pct: row.insider_pct,
+          top10_share: row.top10_share,
+          liquidity_usd: row.liquidity_usd,
+          snapshot_time: row.snapshot_time
+        },
+        ts: row.snapshot_time
+      }));
+  }
+
+  /**
+   * rug_risk_history rows that move a mint into a different risk band
+   */
+  readRugRiskTransitions() {
+    const rows = this.db.prepare(`
+      SELECT r.*, t.symbol, t.health_score,
+        (SELECT p.rug_risk_score FROM rug_risk_history p
+         WHERE p.mint = r.mint AND p.id < r.id AND p.change_type IS NULL
+         ORDER BY p.id DESC LIMIT 1) as previous_score
+      FROM rug_risk_history r
+      LEFT JOIN tokens t ON r.mint = t.mint
+      WHERE r.id > ?
+      ORDER BY r.id
+      LIMIT ?
+    `).all(this.cursors.rug_risk, BATCH_SIZE);
+
+    if (rows.length > 0) this.cursors.rug_risk = rows[rows.length - 1].id;
+
+    return rows
+      // Safety watcher transition rows carry the previous score; they surface as safety_regression alerts
+      .filter(row => row.change_type === null && riskBand(row.rug_risk_score) !== riskBand(row.previous_score))
+      .map(row => ({
+        type: 'rug_risk',
+        mint: row.mint,
+        health_score: row.health_score,
+        data: {
+          symbol: row.symbol,
+          from_band: riskBand(row.previous_score),
+          to_band: riskBand(row.rug_risk_score),
+          rug_risk_score: row.rug_risk_score,
+          previous_score: row.previous_score,
+          rug_flags: row.rug_flags,
+          liquidity_usd: row.liquidity_usd
+        },
+        ts: row.timestamp
+      }));
+  }
+
+  readNewAlerts() {
+    const rows = this.db.prepare(`
+      SELECT a.id, a.mint, t.symbol, t.health_score, a.alert_type, a.alert_level,
+        a.message, a.triggered_at, a.metadata
+      FROM alerts a
+      LEFT JOIN tokens t ON a.mint = t.mint
+      WHERE a.id > ?
+      ORDER BY a.id
+      LIMIT ?
+    `).all(this.cursors.alert, BATCH_SIZE);
+
+    if (rows.length > 0) this.cursors.alert = rows[rows.length - 1].id;
+
+    return rows.map(({ health_score, metadata, ...alert }) => {
+      let parsed = metadata;
+      try {
+        parsed = metadata ? JSON.parse(metadata) : null;
+      } catch (error) {
+        // Keep the raw string
+      }
+      return {
+        type: 'alert',
+        mint: alert.mint,
+        health_score,
+        data: { ...alert, metadata: parsed },
+        ts: alert.triggered_at
+      };
+    });
+  }
+
+  broadcast(event) {
+    for (const client of this.clients) {
+      if (matchesFilters(client.filters, event)) {
+        client.send(event);
+      }
+    }
+  }
+
+  addClient(client) {
+    this.clients.add(client);
+    this.startPolling();
+    logger.debug('live-stream', 'system', 'client_connected', `${client.transport} subscriber connected`, {
+      clients: this.clients.size,
+      filters: describeFilters(client.filters)
+    });
+  }
+
+  removeClient(client) {
+    if (!this.clients.delete(client)) return;
+    if (this.clients.size === 0) this.stopPolling();
+    logger.debug('live-stream', 'system', 'client_disconnected', `${client.transport} subscriber disconnected`, {
+      clients: this.clients.size
+    });
+  }
+
+  heartbeat() {
+    for (const client of this.clients) {
+      client.ping();
+    }
+  }
+
+  /**
+   * Express handler for Server-Sent Events. Mount behind apiKeyAuth;
+   * filters come from the query string.
+   */
+  handleSse(req, res) {
+    let filters;
+    try {
+      filters = parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ ok: false, error: error.message });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`event: hello\ndata: ${JSON.stringify({ filters: describeFilters(filters) })}\n\n`);
+
+    const client = {
+      transport: 'sse',
+      filters,
+      send: event => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`),
+      ping: () => res.write(': ping\n\n')
+    };
+    this.addClient(client);
+    req.on('close', () => this.removeClient(client));
+  }
+
+  /**
+   * Accept WebSocket upgrades on `path` of an http.Server. Clients
+   * authenticate with x-api-key/Bearer or ?api_key= and can replace their
+   * filters with {"action":"subscribe","filters":{...}}.
+   */
+  attach(server, path = '/api/v1/stream') {
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        return rejectUpgrade(socket, 404, 'Not Found');
+      }
+      if (this.apiKeys.length === 0) {
+        return rejectUpgrade(socket, 503, 'Service Unavailable');
+      }
+      if (!isValidApiKey(extractApiKey(req, url.searchParams), this.apiKeys)) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+
+      let filters;
+      try {
+        filters = parseFilters(Object.fromEntries(url.searchParams));
+      } catch (error) {
+        return rejectUpgrade(socket, 400, 'Bad Request');
+      }
+
+      this.wss.handleUpgrade(req, socket, head, ws => this.handleWebSocket(ws, filters));
+    });
+  }
+
+  handleWebSocket(ws, filters) {
+    const sendJson = payload => {
+      if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(payload));
+    };
+
+    let alive = true;
+    const client = {
+      transport: 'ws',
+      filters,
+      send: sendJson,
+      ping: () => {
+        // No pong since the last heartbeat: drop the connection
+        if (!alive) return ws.terminate();
+        alive = false;
+        ws.ping();
+      }
+    };
+
+    ws.on('pong', () => { alive = true; });
+    ws.on('message', raw => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        return sendJson({ type: 'error', error: 'Messages must be JSON' });
+      }
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return sendJson({ type: 'error', error: 'Messages must be JSON objects' });
+      }
+      if (message.action !== 'subscribe') {
+        return sendJson({ type: 'error', error: 'Unknown action (expected "subscribe")' });
+      }
+      try {
+        client.filters = parseFilters(message.filters || {});
+        sendJson({ type: 'subscribed', filters: describeFilters(client.filters) });
+      } catch (error) {
+        sendJson({ type: 'error', error: error.message });
+      }
+    });
+    ws.on('close', () => this.removeClient(client));
+    ws.on('error', () => this.removeClient(client));
+
+    this.addClient(client);
+    sendJson({ type: 'hello', filters: describeFilters(filters) });
+  }
+
+  close() {
+    this.stopPolling();
+    for (const ws of this.wss.clients) {
+      ws.terminate();
+    }
+    this.clients.clear();
+    this.db.close();
+  }
+}
+
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+module.exports = {
+  LiveStream,
+  parseFilters,
+  matchesFilters,
+  riskBand,
+  EVENT_TYPES
+};
@@ -0,0 +1,98 @@
+// lib/lp-holders.js - LP holders and burned LP share from on-chain token accounts
+const { decodeTokenAccount } = require('./pool-discovery');
+
+const BURN_ADDRESS = '1nc1nerator11111111111111111111111111111111';
+
+/**
+ * Largest LP token accounts with the wallet that owns each one
+ * @param {object} rpc - SolanaRpc
+ * @param {string} lpMint - LP token mint
+ * @returns {Array} { address, owner, amount } in UI units, largest first
+ */
+async function getLPTokenAccounts(rpc, lpMint) {
+  const largest = await rpc.call('getTokenLargestAccounts', [lpMint]);
+  const holders = (largest?.value || []).filter(h => Number(h.amount) > 0);
+  const accounts = await rpc.getMultipleAccounts(holders.map(h => h.address));
+
+  return holders
+    .filter(h => accounts.has(h.address))
+    .map(h => ({
+      address: h.address,
+      owner: decodeTokenAccount(accounts.get(h.address).data).owner,
+      amount: Number(h.uiAmountString ?? h.uiAmount)
+    }));
+}
+
+/**
+ * Group LP token accounts by owner. LP held by the incinerator is burned and
+ * left to lpBurnStatus.
+ * @param {Array|null} lpAccounts - getLPTokenAccounts() result, null when the read failed
+ * @param {number} totalSupply - LP supply (UI)
+ * @param {string} creatorWallet - Creator wallet address
+ * @returns {object} { holders, top1Pct, top5Pct, isCreatorTopHolder } (nulls when unknown)
+ */
+function lpOwnershipDistribution(lpAccounts, totalSupply, creatorWallet = null) {
+  if (!lpAccounts || !totalSupply) {
+    return { holders: [], top1Pct: null, top5Pct: null, isCreatorTopHolder: null };
+  }
+
+  const byOwner = new Map();
+  for (const account of lpAccounts) {
+    if (account.owner === BURN_ADDRESS) continue;
+    byOwner.set(account.owner, (byOwner.get(account.owner) || 0) + account.amount);
+  }
+
+  const holders = [...byOwner]
+    .map(([owner, amount]) => ({
+      owner,
+      amount,
+      pct: amount / totalSupply,
+      isCreator: !!creatorWallet && owner === creatorWallet
+    }))
+    .sort((a, b) => b.amount - a.amount)
+    .map((holder, index) => ({ ...holder, rank: index + 1 }));
+
+  const top1Amount = holders[0]?.amount || 0;
+  const top5Amount = holders.slice(0, 5).reduce((sum, holder) => sum + holder.amount, 0);
+
+  return {
+    holders,
+    top1Pct: Math.round(top1Amount / totalSupply * 10000) / 10000,
+    top5Pct: Math.round(top5Amount / totalSupply * 10000) / 10000,
+    isCreatorTopHolder: holders.length > 0 && holders[0].isCreator
+  };
+}
+
+/**
+ * Share of the LP ever issued that is burned: LP burned from wallets (issued
+ * above the mint supply, where the pool tracks it) plus LP sent to the incinerator
+ * @param {Array|null} lpAccounts - getLPTokenAccounts() result, null when the read failed
+ * @param {number} totalSupply - Current LP mint supply (UI)
+ * @param {number|null} issuedSupply - LP issued according to the pool account (UI)
+ * @returns {object} { isBurned, burnPct } (nulls when unknown)
+ */
+function lpBurnStatus(lpAccounts, totalSupply, issuedSupply = null) {
+  if (!lpAccounts || totalSupply === null || totalSupply === undefined) {
+    return { isBurned: null, burnPct: null };
+  }
+
+  const issued = issuedSupply !== null && issuedSupply !== undefined
+    ? Math.max(issuedSupply, totalSupply)
+    : totalSupply;
+  if (issued <= 0) {
+    return { isBurned: null, burnPct: null };
+  }
+
+  const incinerated = lpAccounts
+    .filter(account => account.owner === BURN_ADDRESS)
+    .reduce((sum, account) => sum + account.amount, 0);
+  const burnPct = Math.min(1, (issued - totalSupply + incinerated) / issued);
+  return { isBurned: burnPct > 0, burnPct: Math.round(burnPct * 10000) / 10000 };
+}
+
+module.exports = {
+  getLPTokenAccounts,
+  lpOwnershipDistribution,
+  lpBurnStatus,
+  BURN_ADDRESS
+};
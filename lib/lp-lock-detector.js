@@ -0,0 +1,324 @@
+// lib/lp-lock-detector.js - LP locks held by locker programs: decoding, unlock schedules, summaries
+const { PublicKey } = require('@solana/web3.js');
+const { SolanaRpc } = require('./solana-rpc');
+const { decodeMint, decodeTokenAccount, anchorDiscriminator } = require('./pool-discovery');
+const logger = require('./logger');
+
+function readPubkey(data, offset) {
+  return new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+}
+
+function readU64(data, offset) {
+  return data.readBigUInt64LE(offset);
+}
+
+// --- Lock account decoders: raw amounts (bigint) and unix-second times ---
+
+// Streamflow timelock Contract metadata (1104 bytes, not Anchor)
+function decodeStreamflow(data) {
+  const startTime = Number(readU64(data, 409));
+  const cliff = Number(readU64(data, 441));
+  return {
+    recipient: readPubkey(data, 113),
+    totalAmount: readU64(data, 417),
+    withdrawnAmount: readU64(data, 17),
+    cliffTime: cliff || startTime,
+    cliffAmount: readU64(data, 449),
+    periodSec: Number(readU64(data, 425)),
+    amountPerPeriod: readU64(data, 433),
+    endTime: Number(readU64(data, 33)) || null,
+    cancelled: readU64(data, 25) > 0n
+  };
+}
+
+// Jupiter Lock VestingEscrow
+function decodeJupiterLock(data) {
+  const cliffTime = Number(readU64(data, 144));
+  const frequency = Number(readU64(data, 152));
+  const cliffAmount = readU64(data, 160);
+  const amountPerPeriod = readU64(data, 168);
+  const periods = readU64(data, 176);
+  return {
+    recipient: readPubkey(data, 8),
+    totalAmount: cliffAmount + amountPerPeriod * periods,
+    withdrawnAmount: readU64(data, 184),
+    cliffTime,
+    cliffAmount,
+    periodSec: frequency,
+    amountPerPeriod,
+    endTime: cliffTime + frequency * Number(periods),
+    cancelled: readU64(data, 200) > 0n
+  };
+}
+
+// Lockers whose lock accounts are decoded (confidence 2)
+const LOCKERS = [
+  { name: 'streamflow', programId: 'strmRqUCoQUgGUan5YhzUZa6KqdzwX5L6FpUxfmKg5m', dataSize: 1104, mintOffset: 177, decode: decodeStreamflow },
+  { name: 'jupiter-lock', programId: 'LocktDzaV1W2Bm9DeZeiyz4J9zs4fRqNiYqQyracRXw', account: 'VestingEscrow', mintOffset: 40, decode: decodeJupiterLock }
+];
+
+/**
+ * Extra locker programs from LP_LOCKER_PROGRAMS ("name:programId,..."). LP held
+ * by an account these programs own counts as locked (confidence 1); the
+ * unlock schedule is unknown without a decoder.
+ * @returns {Array} { name, programId }
+ */
+function parseLockerPrograms(spec = process.env.LP_LOCKER_PROGRAMS || '') {
+  return spec.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [name, programId] = entry.includes(':') ? entry.split(':') : [entry.slice(0, 8), entry];
+    return { name: name.trim(), programId: programId.trim() };
+  });
+}
+
+/**
+ * Amount still locked at a time
+ * @param {object} lock - Lock (UI amounts, unix-second times)
+ * @param {number} atSec - Unix seconds
+ * @returns {number} Locked amount
+ */
+function lockedAmountAt(lock, atSec) {
+  if (lock.cancelled) return 0;
+  const remaining = lock.totalAmount - (lock.withdrawnAmount || 0);
+  if (lock.cliffTime === null || lock.cliffTime === undefined) return Math.max(0, remaining);
+  if (atSec < lock.cliffTime) return Math.max(0, remaining);
+
+  let unlocked = lock.totalAmount;
+  if (lock.periodSec > 0) {
+    const periods = Math.floor((atSec - lock.cliffTime) / lock.periodSec);
+    unlocked = Math.min(lock.totalAmount, lock.cliffAmount + lock.amountPerPeriod * periods);
+  }
+  return Math.max(0, lock.totalAmount - Math.max(unlocked, lock.withdrawnAmount || 0));
+}
+
+/**
+ * Next time any tokens unlock
+ * @returns {number|null} Unix seconds, null when nothing is left or the schedule is unknown
+ */
+function nextUnlockAt(lock, atSec) {
+  if (lock.cancelled || lock.cliffTime === null || lock.cliffTime === undefined) return null;
+  if (lockedAmountAt(lock, atSec) <= 0) return null;
+  if (atSec < lock.cliffTime) return lock.cliffTime;
+  if (lock.periodSec > 0) {
+    return lock.cliffTime + lock.periodSec * (Math.floor((atSec - lock.cliffTime) / lock.periodSec) + 1);
+  }
+  return null;
+}
+
+/**
+ * Token-level view of a set of locks
+ * @param {Array} locks - Locks for one LP mint
+ * @param {number|null} lpSupply - LP supply (UI)
+ * @param {number} atSec - Unix seconds (default now)
+ * @returns {object} { isLocked, confidence, provider, lockedAmount, lockedPct, nextUnlockAt, unlockCompleteAt }
+ */
+function summarizeLocks(locks, lpSupply, atSec = Math.floor(Date.now() / 1000)) {
+  let lockedAmount = 0;
+  let confidence = 0;
+  let provider = null;
+  let largest = 0;
+  let next = null;
+  let complete = null;
+  let unknownEnd = false;
+
+  for (const lock of locks) {
+    const locked = lockedAmountAt(lock, atSec);
+    if (locked <= 0) continue;
+
+    lockedAmount += locked;
+    confidence = Math.max(confidence, lock.confidence);
+    if (locked > largest) {
+      largest = locked;
+      provider = lock.locker;
+    }
+
+    const unlock = nextUnlockAt(lock, atSec);
+    if (unlock !== null && (next === null || unlock < next)) next = unlock;
+    if (lock.endTime) {
+      complete = Math.max(complete || 0, lock.endTime);
+    } else {
+      unknownEnd = true;
+    }
+  }
+
+  return {
+    isLocked: lockedAmount > 0,
+    confidence,
+    provider,
+    lockedAmount,
+    lockedPct: lpSupply > 0 ? Math.min(1, lockedAmount / lpSupply) : null,
+    nextUnlockAt: next,
+    unlockCompleteAt: unknownEnd ? null : complete
+  };
+}
+
+class LPLockDetector {
+  /**
+   * @param {object} options - { rpc, lockers, extraPrograms }
+   */
+  constructor(options = {}) {
+    this.rpc = options.rpc || new SolanaRpc();
+    this.lockers = options.lockers || LOCKERS;
+    this.extraPrograms = options.extraPrograms || parseLockerPrograms();
+  }
+
+  /**
+   * Every lock holding the LP mint, amounts in LP UI units
+   * @param {string} lpMint - LP token mint
+   * @param {object} options - { strict: throw when a locker scan fails instead of skipping it }
+   * @returns {Array} Locks
+   */
+  async findLocks(lpMint, options = {}) {
+    const mintAccount = await this.rpc.getMultipleAccounts([lpMint]);
+    const decimals = mintAccount.has(lpMint) ? decodeMint(mintAccount.get(lpMint).data).decimals : 0;
+    const ui = raw => Number(raw) / Math.pow(10, decimals);
+    const locks = [];
+
+    for (const locker of this.lockers) {
+      const filters = locker.dataSize
+        ? [{ dataSize: locker.dataSize }]
+        : [{ memcmp: { offset: 0, bytes: anchorDiscriminator(locker.account).toString('base64'), encoding: 'base64' } }];
+      filters.push({ memcmp: { offset: locker.mintOffset, bytes: lpMint } });
+
+      try {
+        const accounts = await this.rpc.getProgramAccounts(locker.programId, filters);
+        for (const account of accounts) {
+          const decoded = locker.decode(account.data);
+          locks.push({
+            address: account.pubkey,
+            locker: locker.name,
+            programId: locker.programId,
+            lpMint,
+            recipient: decoded.recipient,
+            totalAmount: ui(decoded.totalAmount),
+            withdrawnAmount: ui(decoded.withdrawnAmount),
+            cliffTime: decoded.cliffTime,
+            cliffAmount: ui(decoded.cliffAmount),
+            periodSec: decoded.periodSec,
+            amountPerPeriod: ui(decoded.amountPerPeriod),
+            endTime: decoded.endTime,
+            cancelled: decoded.cancelled,
+            confidence: 2
+          });
+        }
+      } catch (error) {
+        if (options.strict) throw error;
+        logger.warning('lp-lock-detector', lpMint, 'locker_scan_failed', `${locker.name} scan failed: ${error.message}`);
+      }
+    }
+
+    if (this.extraPrograms.length > 0) {
+      locks.push(...await this.findHeldByPrograms(lpMint, ui));
+    }
+
+    return locks;
+  }
+
+  /**
+   * LP token accounts among the largest holders whose owner account belongs
+   * to one of the extra locker programs
+   */
+  async findHeldByPrograms(lpMint, ui) {
+    const largest = await this.rpc.call('getTokenLargestAccounts', [lpMint]);
+    const holders = (largest?.value || []).filter(h => Number(h.amount) > 0);
+    const tokenAccounts = await this.rpc.getMultipleAccounts(holders.map(h => h.address));
+
+    const ownerOf = new Map();
+    for (const [address, account] of tokenAccounts) {
+      ownerOf.set(address, decodeTokenAccount(account.data));
+    }
+    const ownerAccounts = await this.rpc.getMultipleAccounts([...ownerOf.values()].map(t => t.owner));
+
+    const locks = [];
+    for (const [address, tokenAccount] of ownerOf) {
+      const program = this.extraPrograms.find(p => p.programId === ownerAccounts.get(tokenAccount.owner)?.owner);
+      if (!program) continue;
+      locks.push({
+        address,
+        locker: program.name,
+        programId: program.programId,
+        lpMint,
+        recipient: null,
+        totalAmount: ui(tokenAccount.amount),
+        withdrawnAmount: 0,
+        cliffTime: null,
+        cliffAmount: 0,
+        periodSec: 0,
+        amountPerPeriod: 0,
+        endTime: null,
+        cancelled: false,
+        confidence: 1
+      });
+    }
+    return locks;
+  }
+}
+
+/**
+ * Replace the stored locks for an LP mint
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} mint - Token mint
+ * @param {string} lpMint - LP token mint
+ * @param {Array} locks - findLocks() result
+ * @param {number|null} lpSupply - LP supply (UI) at detection
+ */
+function saveLocks(db, mint, lpMint, locks, lpSupply) {
+  const now = new Date().toISOString();
+  const iso = sec => sec ? new Date(sec * 1000).toISOString() : null;
+  const insert = db.prepare(`
+    INSERT INTO lp_locks (address, mint, lp_mint, locker, program_id, recipient, total_amount, withdrawn_amount,
+                          cliff_time, cliff_amount, period_sec, amount_per_period, end_time, cancelled,
+                          confidence, lp_supply, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM lp_locks WHERE lp_mint = ?').run(lpMint);
+    for (const lock of locks) {
+      insert.run(
+        lock.address, mint, lpMint, lock.locker, lock.programId, lock.recipient,
+        lock.totalAmount, lock.withdrawnAmount, iso(lock.cliffTime), lock.cliffAmount,
+        lock.periodSec, lock.amountPerPeriod, iso(lock.endTime), lock.cancelled ? 1 : 0,
+        lock.confidence, lpSupply, now
+      );
+    }
+  })();
+}
+
+/**
+ * Locks for a token as stored by saveLocks(), ready for summarizeLocks()
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} mint - Token mint
+ * @returns {Array} Locks
+ */
+function loadLocks(db, mint) {
+  const sec = value => value ? Math.floor(new Date(value).getTime() / 1000) : null;
+  return db.prepare('SELECT * FROM lp_locks WHERE mint = ?').all(mint).map(row => ({
+    address: row.address,
+    locker: row.locker,
+    lpMint: row.lp_mint,
+    recipient: row.recipient,
+    totalAmount: row.total_amount,
+    withdrawnAmount: row.withdrawn_amount,
+    cliffTime: sec(row.cliff_time),
+    cliffAmount: row.cliff_amount,
+    periodSec: row.period_sec,
+    amountPerPeriod: row.amount_per_period,
+    endTime: sec(row.end_time),
+    cancelled: row.cancelled === 1,
+    confidence: row.confidence,
+    lpSupply: row.lp_supply
+  }));
+}
+
+module.exports = {
+  LPLockDetector,
+  saveLocks,
+  loadLocks,
+  summarizeLocks,
+  lockedAmountAt,
+  nextUnlockAt,
+  parseLockerPrograms,
+  decodeStreamflow,
+  decodeJupiterLock,
+  LOCKERS
+};
@@ -0,0 +1,287 @@
+// lib/model-registry.js - Model lifecycle (candidate → shadow → champion → retired), promotion gate and rollback
+
+const MODEL_STATUSES = ['candidate', 'shadow', 'champion', 'retired'];
+
+function parseRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    metrics: JSON.parse(row.metrics || '{}'),
+    features: JSON.parse(row.features || '[]'),
+    hyperparams: row.hyperparams ? JSON.parse(row.hyperparams) : null,
+    cv_metrics: row.cv_metrics ? JSON.parse(row.cv_metrics) : null
+  };
+}
+
+/**
+ * @param {object} db - better-sqlite3 handle
+ * @param {string|null} target - Only this target when given
+ * @returns {Array} Registry rows (metrics parsed), newest first per target
+ */
+function listModels(db, target = null) {
+  return db.prepare(`
+    SELECT model_id, target, model_type, status, metrics, features, hyperparams, cv_metrics,
+           train_window, created_at, promoted_at, retired_at
+    FROM model_registry
+    WHERE ? IS NULL OR target = ?
+    ORDER BY target, created_at DESC
+  `).all(target, target).map(parseRow);
+}
+
+function getModel(db, modelId) {
+  return parseRow(db.prepare('SELECT * FROM model_registry WHERE model_id = ?').get(modelId));
+}
+
+function getChampion(db, target) {
+  return parseRow(db.prepare(`
+    SELECT * FROM model_registry WHERE target = ? AND status = 'champion'
+    ORDER BY promoted_at DESC LIMIT 1
+  `).get(target));
+}
+
+function getShadows(db, target) {
+  return db.prepare(`
+    SELECT * FROM model_registry WHERE target = ? AND status = 'shadow'
+    ORDER BY created_at DESC
+  `).all(target).map(parseRow);
+}
+
+/**
+ * Whether a model's validation metrics beat the champion's: higher AUROC
+ * and no worse Brier. When the trainer scored the champion on the
+ * candidate's own holdout (metrics.champion) that comparison is used;
+ * otherwise each model's registered holdout metrics are compared.
+ * @param {object} model - Parsed registry row
+ * @param {object|null} champion - Parsed registry row
+ * @returns {object} { passed, basis, model: {auroc, brier}, champion: {auroc, brier}|null, reasons }
+ */
+function promotionGate(model, champion) {
+  const own = { auroc: model.metrics.auroc ?? 0, brier: model.metrics.brier ?? 1 };
+  if (!champion) {
+    return { passed: true, basis: 'no_champion', model: own, champion: null, reasons: [] };
+  }
+
+  const sameHoldout = model.metrics.champion && model.metrics.champion.model_id === champion.model_id;
+  const baseline = sameHoldout
+    ? { auroc: model.metrics.champion.auroc, brier: model.metrics.champion.brier }
+    : { auroc: champion.metrics.auroc ?? 0, brier: champion.metrics.brier ?? 1 };
+
+  const reasons = [];
+  if (!(own.auroc > baseline.auroc)) {
+    reasons.push(`AUROC ${own.auroc.toFixed(3)} does not beat champion ${baseline.auroc.toFixed(3)}`);
+  }
+  if (own.brier > baseline.brier) {
+    reasons.push(`Brier ${own.brier.toFixed(3)} is worse than champion ${baseline.brier.toFixed(3)}`);
+  }
+
+  return {
+    passed: reasons.length === 0,
+    basis: sameHoldout ? 'same_holdout' : 'registry',
+    model: own,
+    champion: baseline,
+    reasons
+  };
+}
+
+function recordEvent(db, model, action, toStatus, previousChampion = null, reason = null) {
+  db.prepare(`
+    INSERT INTO model_events (model_id, target, action, from_status, to_status, previous_champion, reason, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(model.model_id, model.target, action, model.status, toStatus, previousChampion, reason, new Date().toISOString());
+}
+
+function setStatus(db, model, status) {
+  const now = new Date().toISOString();
+  db.prepare(`
+    UPDATE model_registry SET
+      status = ?,
+      promoted_at = CASE WHEN ? = 'champion' THEN ? ELSE promoted_at END,
+      retired_at = CASE WHEN ? = 'retired' THEN ? ELSE NULL END
+    WHERE model_id = ?
+  `).run(status, status, now, status, now, model.model_id);
+}
+
+/**
+ * Make a model its target's shadow challenger. There is one shadow per
+ * target, so a previous shadow is retired.
+ * @returns {object} { model, retired } (retired: previous shadow ids)
+ */
+function shadowModel(db, modelId, reason = null) {
+  const model = getModel(db, modelId);
+  if (!model) throw new Error(`Model ${modelId} not found`);
+  if (model.status === 'champion') throw new Error(`${modelId} is the champion; promote another model first`);
+
+  const retired = [];
+  db.transaction(() => {
+    for (const shadow of getShadows(db, model.target)) {
+      if (shadow.model_id === modelId) continue;
+      recordEvent(db, shadow, 'retire', 'retired', null, `replaced by shadow ${modelId}`);
+      setStatus(db, shadow, 'retired');
+      retired.push(shadow.model_id);
+    }
+    recordEvent(db, model, 'shadow', 'shadow', null, reason);
+    setStatus(db, model, 'shadow');
+  })();
+
+  return { model: getModel(db, modelId), retired };
+}
+
+/**
+ * Promote a model to champion of its target, retiring the current champion.
+ * Refused unless the promotion gate passes or `force` is set.
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} modelId - Model to promote
+ * @param {object} options - { force, reason }
+ * @returns {object} { model, previous (model id or null), gate }
+ */
+function promoteModel(db, modelId, options = {}) {
+  const model = getModel(db, modelId);
+  if (!model) throw new Error(`Model ${modelId} not found`);
+  if (model.status === 'champion') throw new Error(`${modelId} is already the ${model.target} champion`);
+  if (!model.model_params) throw new Error(`${modelId} has no fitted parameters and cannot score`);
+
+  const champion = getChampion(db, model.target);
+  const gate = promotionGate(model, champion);
+  if (!gate.passed && !options.force) {
+    throw new Error(`Promotion gate failed: ${gate.reasons.join('; ')} (use --force to override)`);
+  }
+
+  const reason = options.reason || (gate.passed ? `gate passed (${gate.basis})` : `forced: ${gate.reasons.join('; ')}`);
+  db.transaction(() => {
+    if (champion) {
+      recordEvent(db, champion, 'retire', 'retired', null, `replaced by ${modelId}`);
+      setStatus(db, champion, 'retired');
+    }
+    recordEvent(db, model, 'promote', 'champion', champion ? champion.model_id : null, reason);
+    setStatus(db, model, 'champion');
+  })();
+
+  return { model: getModel(db, modelId), previous: champion ? champion.model_id : null, gate };
+}
+
+/**
+ * Restore the champion the current one replaced. The restored model keeps
+ * its own predecessor, so repeated rollbacks walk further back.
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} target - '2x_24h' | 'rug_24h'
+ * @param {string|null} reason - Recorded with the event
+ * @returns {object} { model (restored), demoted (model id) }
+ */
+function rollbackModel(db, target, reason = null) {
+  const champion = getChampion(db, target);
+  if (!champion) throw new Error(`No ${target} champion to roll back`);
+
+  const promotedBy = db.prepare(`
+    SELECT previous_champion FROM model_events
+    WHERE model_id = ? AND to_status = 'champion'
+    ORDER BY id DESC LIMIT 1
+  `).get(champion.model_id);
+  const previous = promotedBy && promotedBy.previous_champion ? getModel(db, promotedBy.previous_champion) : null;
+  if (!previous) throw new Error(`${champion.model_id} has no recorded predecessor to roll back to`);
+
+  const before = db.prepare(`
+    SELECT previous_champion FROM model_events
+    WHERE model_id = ? AND to_status = 'champion'
+    ORDER BY id DESC LIMIT 1
+  `).get(previous.model_id);
+
+  db.transaction(() => {
+    recordEvent(db, champion, 'rollback', 'retired', null, reason || `rolled back to ${previous.model_id}`);
+    setStatus(db, champion, 'retired');
+    recordEvent(db, previous, 'rollback', 'champion', before ? before.previous_champion : null, reason || `restored over ${champion.model_id}`);
+    setStatus(db, previous, 'champion');
+  })();
+
+  return { model: getModel(db, previous.model_id), demoted: champion.model_id };
+}
+
+function auroc(pairs) {
+  const positives = pairs.filter(p => p.label === 1).length;
+  const negatives = pairs.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  // Mann-Whitney U over ascending ranks (ties get the average rank)
+  const sorted = [...pairs].sort((a, b) => a.prob - b.prob);
+  let rankSum = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1].prob === sorted[i].prob) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) if (sorted[k].label === 1) rankSum += rank;
+    i = j + 1;
+  }
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * Live comparison of two models of one target on the labelled snapshots
+ * both have scored (champion rows and shadow rows alike)
+ * @returns {object} { scored, a: {auroc, brier}, b: {auroc, brier} }
+ */
+function compareLive(db, modelA, modelB) {
+  const labelColumn = modelA.target === 'rug_24h' ? 'rug_24h' : 'winner_2x_24h';
+  const rows = db.prepare(`
+    SELECT pa.prob AS prob_a, pb.prob AS prob_b, tl.${labelColumn} AS label
+    FROM token_predictions pa
+    JOIN token_predictions pb ON pb.mint = pa.mint AND pb.target = pa.target AND pb.ts = pa.ts
+    JOIN token_labels tl ON tl.mint = pa.mint
+    WHERE pa.model_id = ? AND pb.model_id = ? AND tl.${labelColumn} IS NOT NULL
+  `).all(modelA.model_id, modelB.model_id);
+
+  const summarize = key => {
+    const pairs = rows.map(r => ({ prob: r[key], label: r.label }));
+    return {
+      auroc: auroc(pairs),
+      brier: pairs.length > 0 ? pairs.reduce((sum, p) => sum + (p.prob - p.label) ** 2, 0) / pairs.length : null
+    };
+  };
+
+  return { scored: rows.length, a: summarize('prob_a'), b: summarize('prob_b') };
+}
+
+/**
+ * Side-by-side view of two models: holdout metrics, hyperparameters,
+ * features and, when both scored the same tokens, live metrics
+ * @returns {object} { a, b, metrics, hyperparams, features: {onlyA, onlyB}, live }
+ */
+function diffModels(db, idA, idB) {
+  const a = getModel(db, idA);
+  const b = getModel(db, idB);
+  if (!a) throw new Error(`Model ${idA} not found`);
+  if (!b) throw new Error(`Model ${idB} not found`);
+
+  const metricNames = ['auroc', 'auprc', 'brier', 'precision', 'recall', 'f1'];
+  const metrics = metricNames
+    .filter(name => a.metrics[name] !== undefined || b.metrics[name] !== undefined)
+    .map(name => ({ name, a: a.metrics[name] ?? null, b: b.metrics[name] ?? null }));
+
+  const paramNames = [...new Set([...Object.keys(a.hyperparams || {}), ...Object.keys(b.hyperparams || {})])];
+  const hyperparams = paramNames
+    .map(name => ({ name, a: a.hyperparams?.[name] ?? null, b: b.hyperparams?.[name] ?? null }))
+    .filter(p => p.a !== p.b);
+
+  return {
+    a,
+    b,
+    metrics,
+    hyperparams,
+    features: {
+      onlyA: a.features.filter(f => !b.features.includes(f)),
+      onlyB: b.features.filter(f => !a.features.includes(f))
+    },
+    live: a.target === b.target ? compareLive(db, a, b) : null
+  };
+}
+
+module.exports = {
+  listModels,
+  getModel,
+  getChampion,
+  getShadows,
+  promotionGate,
+  shadowModel,
+  promoteModel,
+  rollbackModel,
+  diffModels,
+  MODEL_STATUSES
+};
@@ -0,0 +1,389 @@
+// lib/pool-discovery.js - On-chain pool discovery: AMM account layouts, pump.fun bonding curves
+const crypto = require('crypto');
+const { PublicKey } = require('@solana/web3.js');
+const { SolanaRpc } = require('./solana-rpc');
+const logger = require('./logger');
+
+const WSOL_MINT = 'So11111111111111111111111111111111111111112';
+const USDC_MINT = 'EPjFWdd5AufqSSqeM2qNksxcmvW7HWXaG9AX6bbtpL6v';
+
+const PROGRAM_IDS = {
+  raydiumAmmV4: '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8',
+  raydiumCpmm: 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1C',
+  meteoraDamm: 'Eo7WjKq67rjJQSZxS6z3YkapzY3eMj6Xy8X5EQVn5UaB',
+  meteoraDlmm: 'LBUZKhRxPF3XUpBCjp4YzTKgLccjZhTSDM9YuVaPwxo',
+  orcaWhirlpool: 'whirLbMiicVdio4qvUfM5KAg6Ct8VwpYzGff3uctyCc',
+  pumpFun: '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P',
+  pumpSwap: 'pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA'
+};
+
+// pump.fun mints are always created with 6 decimals
+const PUMP_TOKEN_DECIMALS = 6;
+
+function readPubkey(data, offset) {
+  return new PublicKey(data.subarray(offset, offset + 32)).toBase58();
+}
+
+function readU64(data, offset) {
+  return data.readBigUInt64LE(offset);
+}
+
+/**
+ * First 8 bytes of sha256("account:<Name>"), prefixed to every Anchor account
+ * @param {string} name - Account struct name
+ * @returns {Buffer} Discriminator
+ */
+function anchorDiscriminator(name) {
+  return crypto.createHash('sha256').update(`account:${name}`).digest().subarray(0, 8);
+}
+
+function toUiAmount(raw, decimals) {
+  if (raw === null || raw === undefined || decimals === null || decimals === undefined) return null;
+  return Number(raw) / Math.pow(10, decimals);
+}
+
+// --- Account decoders (offsets include the 8-byte Anchor discriminator) ---
+
+// Raydium AMM v4 LIQUIDITY_STATE_LAYOUT_V4 (752 bytes, not Anchor).
+// lpIssued (lpReserve here, lp_supply in CP-Swap and PumpSwap) only moves on
+// deposit and withdraw, so LP burned from a wallet leaves it above the mint supply.
+function decodeRaydiumAmmV4(data) {
+  return {
+    mintA: readPubkey(data, 400),
+    mintB: readPubkey(data, 432),
+    vaultA: readPubkey(data, 336),
+    vaultB: readPubkey(data, 368),
+    lpMint: readPubkey(data, 464),
+    lpIssued: readU64(data, 720)
+  };
+}
+
+// Raydium CP-Swap PoolState
+function decodeRaydiumCpmm(data) {
+  return {
+    vaultA: readPubkey(data, 72),
+    vaultB: readPubkey(data, 104),
+    lpMint: readPubkey(data, 136),
+    mintA: readPubkey(data, 168),
+    mintB: readPubkey(data, 200),
+    lpIssued: readU64(data, 333)
+  };
+}
+
+// PumpSwap Pool (pump.fun graduation target since 2025)
+function decodePumpSwap(data) {
+  return {
+    mintA: readPubkey(data, 43),
+    mintB: readPubkey(data, 75),
+    lpMint: readPubkey(data, 107),
+    vaultA: readPubkey(data, 139),
+    vaultB: readPubkey(data, 171),
+    lpIssued: readU64(data, 203)
+  };
+}
+
+// Meteora dynamic AMM Pool. Liquidity sits in Meteora vaults (shares, not
+// token accounts), so reserves are left to the price feeds.
+function decodeMeteoraDamm(data) {
+  return {
+    lpMint: readPubkey(data, 8),
+    mintA: readPubkey(data, 40),
+    mintB: readPubkey(data, 72),
+    vaultA: null,
+    vaultB: null
+  };
+}
+
+// Meteora DLMM LbPair (positions instead of an LP mint)
+function decodeMeteoraDlmm(data) {
+  return {
+    mintA: readPubkey(data, 88),
+    mintB: readPubkey(data, 120),
+    vaultA: readPubkey(data, 152),
+    vaultB: readPubkey(data, 184),
+    lpMint: null
+  };
+}
+
+// Orca Whirlpool (position NFTs instead of an LP mint)
+function decodeOrcaWhirlpool(data) {
+  return {
+    mintA: readPubkey(data, 101),
+    vaultA: readPubkey(data, 133),
+    mintB: readPubkey(data, 181),
+    vaultB: readPubkey(data, 213),
+    lpMint: null
+  };
+}
+
+/**
+ * pump.fun BondingCurve account
+ * @param {Buffer} data - Account data
+ * @returns {object} Reserves (raw bigint) and graduation flag
+ */
+function decodePumpBondingCurve(data) {
+  return {
+    virtualTokenReserves: readU64(data, 8),
+    virtualSolReserves: readU64(data, 16),
+    realTokenReserves: readU64(data, 24),
+    realSolReserves: readU64(data, 32),
+    tokenTotalSupply: readU64(data, 40),
+    complete: data.readUInt8(48) === 1,
+    creator: data.length >= 81 ? readPubkey(data, 49) : null
+  };
+}
+
+// COption<Pubkey>: u32 tag (1 = Some) followed by the key
+function readOptionalPubkey(data, offset) {
+  return data.readUInt32LE(offset) === 1 ? readPubkey(data, offset + 4) : null;
+}
+
+/**
+ * SPL / Token-2022 mint: mint authority COption at 0, supply u64 at 36,
+ * decimals u8 at 44, freeze authority COption at 46
+ */
+function decodeMint(data) {
+  return {
+    mintAuthority: readOptionalPubkey(data, 0),
+    supply: readU64(data, 36),
+    decimals: data.readUInt8(44),
+    freezeAuthority: readOptionalPubkey(data, 46)
+  };
+}
+
+/**
+ * SPL / Token-2022 token account: mint at 0, owner at 32, amount u64 at 64
+ */
+function decodeTokenAccount(data) {
+  return { mint: readPubkey(data, 0), owner: readPubkey(data, 32), amount: readU64(data, 64) };
+}
+
+// Searched for the token on either side of the pair
+const DEX_LAYOUTS = [
+  { dex: 'raydium', programId: PROGRAM_IDS.raydiumAmmV4, dataSize: 752, mintOffsets: [400, 432], decode: decodeRaydiumAmmV4 },
+  { dex: 'raydium-cpmm', programId: PROGRAM_IDS.raydiumCpmm, account: 'PoolState', mintOffsets: [168, 200], decode: decodeRaydiumCpmm },
+  { dex: 'pumpswap', programId: PROGRAM_IDS.pumpSwap, account: 'Pool', mintOffsets: [43, 75], decode: decodePumpSwap },
+  { dex: 'meteora', programId: PROGRAM_IDS.meteoraDamm, account: 'Pool', mintOffsets: [40, 72], decode: decodeMeteoraDamm },
+  { dex: 'meteora-dlmm', programId: PROGRAM_IDS.meteoraDlmm, account: 'LbPair', mintOffsets: [88, 120], decode: decodeMeteoraDlmm },
+  { dex: 'orca', programId: PROGRAM_IDS.orcaWhirlpool, account: 'Whirlpool', mintOffsets: [101, 181], decode: decodeOrcaWhirlpool }
+];
+
+function layoutFilters(layout, mintOffset, mint) {
+  const filters = layout.dataSize
+    ? [{ dataSize: layout.dataSize }]
+    : [{ memcmp: { offset: 0, bytes: anchorDiscriminator(layout.account).toString('base64'), encoding: 'base64' } }];
+  filters.push({ memcmp: { offset: mintOffset, bytes: mint } });
+  return filters;
+}
+
+/**
+ * @param {string} mint - Token mint
+ * @returns {string} pump.fun bonding curve PDA
+ */
+function bondingCurveAddress(mint) {
+  return PublicKey.findProgramAddressSync(
+    [Buffer.from('bonding-curve'), new PublicKey(mint).toBuffer()],
+    new PublicKey(PROGRAM_IDS.pumpFun)
+  )[0].toBase58();
+}
+
+/**
+ * Pool to report for a token: the deepest SOL (then USDC, then other) pool
+ * that is still trading. A graduated bonding curve is only chosen when no
+ * AMM pool was found.
+ * @param {Array} pools - findPools() result
+ * @returns {object|null} Primary pool
+ */
+function selectPrimaryPool(pools) {
+  const quoteRank = pool => pool.quoteMint === WSOL_MINT ? 2 : pool.quoteMint === USDC_MINT ? 1 : 0;
+  const ranked = [...pools].sort((a, b) =>
+    (a.status === 'complete') - (b.status === 'complete') ||
+    quoteRank(b) - quoteRank(a) ||
+    (b.quoteReserve ?? -1) - (a.quoteReserve ?? -1)
+  );
+  return ranked[0] || null;
+}
+
+class PoolDiscovery {
+  /**
+   * @param {object} options - { rpc, dexes } where dexes limits DEX_LAYOUTS by name
+   */
+  constructor(options = {}) {
+    this.rpc = options.rpc || new SolanaRpc();
+    this.layouts = options.dexes
+      ? DEX_LAYOUTS.filter(layout => options.dexes.includes(layout.dex))
+      : DEX_LAYOUTS;
+  }
+
+  /**
+   * Every pool holding the mint plus its pump.fun bonding curve, with
+   * reserves, LP supply and LP issued in UI units
+   * @param {string} mint - Token mint
+   * @returns {Array} Pools, primary first
+   */
+  async findPools(mint) {
+    const candidates = [];
+    const errors = [];
+
+    for (const layout of this.layouts) {
+      for (const mintOffset of layout.mintOffsets) {
+        try {
+          const accounts = await this.rpc.getProgramAccounts(layout.programId, layoutFilters(layout, mintOffset, mint));
+          for (const account of accounts) {
+            candidates.push(this.orient(layout, account, mint));
+          }
+        } catch (error) {
+          errors.push(`${layout.dex}: ${error.message}`);
+          logger.warning('pool-discovery', mint, 'program_scan_failed', `${layout.dex} scan failed: ${error.message}`);
+        }
+      }
+    }
+
+    const curve = await this.getBondingCurve(mint).catch(error => {
+      errors.push(`pumpfun: ${error.message}`);
+      return null;
+    });
+    if (curve) candidates.push(curve);
+
+    if (candidates.length === 0 && errors.length > 0) {
+      throw new Error(`Pool discovery failed (${errors.join('; ')})`);
+    }
+
+    await this.loadReserves(candidates);
+    const primary = selectPrimaryPool(candidates);
+    return primary ? [primary, ...candidates.filter(p => p !== primary)] : [];
+  }
+
+  orient(layout, account, mint) {
+    const decoded = layout.decode(account.data);
+    const flipped = decoded.mintA !== mint;
+    return {
+      address: account.pubkey,
+      dex: layout.dex,
+      programId: layout.programId,
+      baseMint: flipped ? decoded.mintB : decoded.mintA,
+      quoteMint: flipped ? decoded.mintA : decoded.mintB,
+      baseVault: flipped ? decoded.vaultB : decoded.vaultA,
+      quoteVault: flipped ? decoded.vaultA : decoded.vaultB,
+      lpMint: decoded.lpMint,
+      lpIssuedRaw: decoded.lpIssued ?? null,
+      baseReserve: null,
+      quoteReserve: null,
+      lpSupply: null,
+      lpIssued: null,
+      status: 'active'
+    };
+  }
+
+  /**
+   * Reserves come straight from the curve account; after graduation the
+   * real reserves are drained into the AMM pool.
+   * @param {string} mint - Token mint
+   * @returns {object|null} Pool-shaped bonding curve entry
+   */
+  async getBondingCurve(mint) {
+    const address = bondingCurveAddress(mint);
+    const data = await this.rpc.getAccountData(address);
+    if (!data) return null;
+
+    const curve = decodePumpBondingCurve(data);
+    return {
+      address,
+      dex: 'pumpfun',
+      programId: PROGRAM_IDS.pumpFun,
+      baseMint: mint,
+      quoteMint: WSOL_MINT,
+      baseVault: null,
+      quoteVault: null,
+      lpMint: null,
+      lpIssuedRaw: null,
+      baseReserve: toUiAmount(curve.realTokenReserves, PUMP_TOKEN_DECIMALS),
+      quoteReserve: toUiAmount(curve.realSolReserves, 9),
+      lpSupply: null,
+      lpIssued: null,
+      status: curve.complete ? 'complete' : 'active',
+      creator: curve.creator
+    };
+  }
+
+  /**
+   * Fill vault balances and LP supply with one getMultipleAccounts pass
+   */
+  async loadReserves(pools) {
+    const addresses = pools.flatMap(p => [p.baseVault, p.quoteVault, p.baseMint, p.quoteMint, p.lpMint]);
+    const accounts = await this.rpc.getMultipleAccounts(addresses);
+    const mintInfo = address => accounts.has(address) ? decodeMint(accounts.get(address).data) : null;
+    const vaultAmount = address => accounts.has(address) ? decodeTokenAccount(accounts.get(address).data).amount : null;
+
+    for (const pool of pools) {
+      if (pool.dex === 'pumpfun') continue;
+      const baseDecimals = mintInfo(pool.baseMint)?.decimals;
+      const quoteDecimals = mintInfo(pool.quoteMint)?.decimals;
+      pool.baseReserve = toUiAmount(vaultAmount(pool.baseVault), baseDecimals);
+      pool.quoteReserve = toUiAmount(vaultAmount(pool.quoteVault), quoteDecimals);
+
+      const lp = pool.lpMint ? mintInfo(pool.lpMint) : null;
+      pool.lpSupply = lp ? toUiAmount(lp.supply, lp.decimals) : null;
+      pool.lpIssued = lp ? toUiAmount(pool.lpIssuedRaw, lp.decimals) : null;
+
+      if (pool.baseReserve === 0 && pool.quoteReserve === 0) {
+        pool.status = 'empty';
+      }
+    }
+  }
+}
+
+/**
+ * Upsert discovered pools and point the token at its primary pool
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} mint - Token mint
+ * @param {Array} pools - findPools() result (primary first)
+ */
+function savePools(db, mint, pools) {
+  const now = new Date().toISOString();
+  const upsert = db.prepare(`
+    INSERT INTO pools (address, mint, dex, program_id, base_mint, quote_mint, lp_mint, base_vault, quote_vault,
+                       base_reserve, quote_reserve, lp_supply, status, discovered_at, updated_at)
+    VALUES (@address, @mint, @dex, @programId, @baseMint, @quoteMint, @lpMint, @baseVault, @quoteVault,
+            @baseReserve, @quoteReserve, @lpSupply, @status, @now, @now)
+    ON CONFLICT(address) DO UPDATE SET
+      base_reserve = excluded.base_reserve,
+      quote_reserve = excluded.quote_reserve,
+      lp_supply = excluded.lp_supply,
+      status = excluded.status,
+      updated_at = excluded.updated_at
+  `);
+  const updateToken = db.prepare(`
+    UPDATE tokens
+    SET pool_address = ?, pool_dex = ?, lp_token_mint = COALESCE(?, lp_token_mint), pools_checked_at = ?
+    WHERE mint = ?
+  `);
+
+  db.transaction(() => {
+    for (const pool of pools) {
+      upsert.run({ ...pool, mint, now });
+    }
+    const primary = pools[0] || null;
+    updateToken.run(primary?.address || null, primary?.dex || null, primary?.lpMint || null, now, mint);
+  })();
+}
+
+module.exports = {
+  PoolDiscovery,
+  savePools,
+  selectPrimaryPool,
+  bondingCurveAddress,
+  anchorDiscriminator,
+  decodeRaydiumAmmV4,
+  decodeRaydiumCpmm,
+  decodePumpSwap,
+  decodeMeteoraDamm,
+  decodeMeteoraDlmm,
+  decodeOrcaWhirlpool,
+  decodePumpBondingCurve,
+  decodeMint,
+  decodeTokenAccount,
+  DEX_LAYOUTS,
+  PROGRAM_IDS,
+  WSOL_MINT
+};
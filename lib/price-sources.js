@@ -0,0 +1,220 @@
+// lib/price-sources.js - Price source adapters (DexScreener, Birdeye, Jupiter) with priority fallback
+require('dotenv').config();
+const { fetchJson } = require('./http');
+const logger = require('./logger');
+
+const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
+/**
+ * Every adapter resolves to the same sample shape:
+ * { price_usd, price_sol, liquidity_usd, pair_id, status, source }
+ * and returns null when the source has no market for the mint.
+ * parse() is kept pure so adapters can be exercised against recorded responses.
+ */
+class DexScreenerSource {
+  constructor(baseUrl = process.env.DEXSCREENER_BASE || 'https://api.dexscreener.com') {
+    this.name = 'dexscreener';
+    this.baseUrl = baseUrl;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Pick the deepest Solana pair for the mint
+   * @param {object} json - /latest/dex/tokens response
+   * @param {string} mint - Token mint
+   * @returns {object|null} Price sample
+   */
+  parse(json, mint) {
+    const pairs = (json?.pairs || []).filter(p =>
+      p?.chainId === 'solana' && p?.baseToken?.address === mint && p?.priceUsd
+    );
+    if (pairs.length === 0) return null;
+
+    const best = pairs.reduce((a, b) =>
+      Number(b?.liquidity?.usd ?? 0) > Number(a?.liquidity?.usd ?? 0) ? b : a
+    );
+    const quoteIsSol = best?.quoteToken?.address === SOL_MINT;
+
+    return {
+      price_usd: Number(best.priceUsd),
+      price_sol: quoteIsSol ? Number(best.priceNative) : null,
+      liquidity_usd: best?.liquidity?.usd != null ? Number(best.liquidity.usd) : null,
+      pair_id: best.pairAddress || null,
+      status: 'live',
+      source: this.name
+    };
+  }
+
+  async fetchPrice(mint) {
+    const json = await fetchJson(`${this.baseUrl}/latest/dex/tokens/${mint}`, {}, {
+      rateLimiter: 'dexscreener',
+      retries: 2,
+      backoffMs: 1000,
+      timeoutMs: 6000
+    });
+    return this.parse(json, mint);
+  }
+}
+
+class BirdeyeSource {
+  constructor(apiKey = process.env.BIRDEYE_API_KEY, baseUrl = process.env.BIRDEYE_BASE || 'https://public-api.birdeye.so') {
+    this.name = 'birdeye';
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+  }
+
+  isAvailable() {
+    return !!this.apiKey && this.apiKey !== 'your-birdeye-api-key';
+  }
+
+  /**
+   * @param {object} json - /defi/price response
+   * @returns {object|null} Price sample
+   */
+  parse(json) {
+    const data = json?.data;
+    if (!json?.success || data?.value == null) return null;
+
+    return {
+      price_usd: Number(data.value),
+      price_sol: null,
+      liquidity_usd: data.liquidity != null ? Number(data.liquidity) : null,
+      pair_id: null,
+      status: 'live',
+      source: this.name
+    };
+  }
+
+  async fetchPrice(mint) {
+    const json = await fetchJson(`${this.baseUrl}/defi/price?address=${mint}&include_liquidity=true`, {
+      headers: { 'X-API-KEY': this.apiKey, 'x-chain': 'solana' }
+    }, {
+      rateLimiter: 'birdeye',
+      retries: 2,
+      backoffMs: 1000,
+      timeoutMs: 6000
+    });
+    return this.parse(json, mint);
+  }
+}
+
+class JupiterSource {
+  constructor(baseUrl = process.env.JUPITER_PRICE_BASE || 'https://lite-api.jup.ag') {
+    this.name = 'jupiter';
+    this.baseUrl = baseUrl;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Jupiter quotes USD only; SOL price is derived from the SOL quote in the same response
+   * @param {object} json - /price/v2 response
+   * @param {string} mint - Token mint
+   * @returns {object|null} Price sample
+   */
+  parse(json, mint) {
+    const entry = json?.data?.[mint];
+    if (!entry?.price) return null;
+
+    const priceUsd = Number(entry.price);
+    const solUsd = Number(json?.data?.[SOL_MINT]?.price);
+
+    return {
+      price_usd: priceUsd,
+      price_sol: solUsd > 0 ? priceUsd / solUsd : null,
+      liquidity_usd: null,
+      pair_id: null,
+      status: 'live',
+      source: this.name
+    };
+  }
+
+  async fetchPrice(mint) {
+    const json = await fetchJson(`${this.baseUrl}/price/v2?ids=${mint},${SOL_MINT}`, {}, {
+      rateLimiter: 'jupiter',
+      retries: 2,
+      backoffMs: 1000,
+      timeoutMs: 6000
+    });
+    return this.parse(json, mint);
+  }
+}
+
+const SOURCE_CLASSES = {
+  dexscreener: DexScreenerSource,
+  birdeye: BirdeyeSource,
+  jupiter: JupiterSource
+};
+
+class PriceFeed {
+  /**
+   * @param {Array} sources - Adapters in priority order (defaults to PRICE_SOURCES env)
+   */
+  constructor(sources = null) {
+    this.sources = sources || PriceFeed.sourcesFromEnv();
+  }
+
+  /**
+   * Build adapters from PRICE_SOURCES (comma-separated, highest priority first)
+   * @returns {Array} Price source adapters
+   */
+  static sourcesFromEnv(spec = process.env.PRICE_SOURCES || 'dexscreener,birdeye,jupiter') {
+    return spec.split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(name => SOURCE_CLASSES[name])
+      .map(name => new SOURCE_CLASSES[name]());
+  }
+
+  /**
+   * Fetch a price from the first source that has a market for the mint.
+   * Falls through to lower-priority sources on errors or missing pairs.
+   * @param {string} mint - Token mint
+   * @returns {object} Price sample with status 'live', 'no_pair' or 'error'
+   */
+  async fetchPrice(mint) {
+    const errors = [];
+    let sawNoPair = false;
+
+    for (const source of this.sources) {
+      if (!source.isAvailable()) continue;
+
+      try {
+        const sample = await source.fetchPrice(mint);
+        if (sample && Number.isFinite(sample.price_usd) && sample.price_usd > 0) {
+          return sample;
+        }
+        sawNoPair = true;
+      } catch (error) {
+        errors.push(`${source.name}: ${error.message}`);
+        logger.warning('price-feed', mint, 'source_failed', `${source.name} failed, falling back: ${error.message}`);
+      }
+    }
+
+    const status = sawNoPair ? 'no_pair' : 'error';
+    if (status === 'error' && errors.length > 0) {
+      logger.error('price-feed', mint, 'all_sources_failed', `All price sources failed: ${errors.join('; ')}`);
+    }
+
+    return {
+      price_usd: null,
+      price_sol: null,
+      liquidity_usd: null,
+      pair_id: null,
+      status,
+      source: this.sources.length > 0 ? this.sources[0].name : 'none'
+    };
+  }
+}
+
+module.exports = {
+  PriceFeed,
+  DexScreenerSource,
+  BirdeyeSource,
+  JupiterSource,
+  SOL_MINT
+};
@@ -0,0 +1,303 @@
+// lib/read-api.js - Versioned JSON read API (/api/v1) over the token database
+const crypto = require('crypto');
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const TokenQueries = require('./token-queries');
+const EnhancedCandidates = require('./enhanced-candidates');
+const logger = require('./logger');
+const { WALLET_CLASSES, CLASS_ORDER, formatWalletBreakdown } = require('./visual-encoding');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const HOLDER_TYPES = ['inception', 'sniper', 'bundler', 'insider', 'fresh'];
+
+/**
+ * Parse API_KEYS (comma-separated)
+ * @param {string} spec - Raw env value
+ * @returns {Array} Keys
+ */
+function parseApiKeys(spec = process.env.API_KEYS || '') {
+  return spec.split(',').map(k => k.trim()).filter(Boolean);
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Key from the x-api-key header, Authorization: Bearer <key> or ?api_key=
+ * (browsers cannot set headers on EventSource/WebSocket)
+ * @param {object} req - HTTP request
+ * @param {URLSearchParams} searchParams - Parsed query string
+ * @returns {string} Provided key or ''
+ */
+function extractApiKey(req, searchParams = null) {
+  const auth = req.headers['authorization'] || '';
+  return req.headers['x-api-key'] ||
+    (auth.startsWith('Bearer ') ? auth.slice(7) : '') ||
+    (searchParams ? searchParams.get('api_key') || '' : '');
+}
+
+function isValidApiKey(provided, apiKeys) {
+  return !!provided && apiKeys.some(key => safeEqual(key, provided));
+}
+
+/**
+ * Read limit/offset from the query string, clamped to sane bounds
+ */
+function parsePagination(query, defaultLimit = DEFAULT_LIMIT) {
+  const limit = parseInt(query.limit, 10);
+  const offset = parseInt(query.offset, 10);
+  return {
+    limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : defaultLimit,
+    offset: Number.isFinite(offset) && offset > 0 ? offset : 0
+  };
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Wallet-class counts with the display metadata the dashboard renders
+ */
+function describeWalletClasses(counts) {
+  return {
+    classes: CLASS_ORDER.map(className => ({
+      class: className,
+      name: WALLET_CLASSES[className].name,
+      icon: WALLET_CLASSES[className].icon,
+      color: WALLET_CLASSES[className].color.light,
+      count: counts[className] || 0,
+      pct: counts.total > 0 ? (counts[className] || 0) / counts.total : 0
+    })),
+    total: counts.total,
+    text: formatWalletBreakdown(counts, counts.total, false)
+  };
+}
+
+function parseJson(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Express middleware rejecting requests without a valid API key
+ * @param {Array} apiKeys - Accepted keys
+ */
+function apiKeyAuth(apiKeys) {
+  return (req, res, next) => {
+    if (apiKeys.length === 0) {
+      return res.status(503).json({ ok: false, error: 'API disabled - set API_KEYS' });
+    }
+    if (!isValidApiKey(extractApiKey(req, new URLSearchParams(req.query)), apiKeys)) {
+      return res.status(401).json({ ok: false, error: 'Invalid API key' });
+    }
+    next();
+  };
+}
+
+/**
+ * Build the /api/v1 router
+ * @param {object} options - { dbPath, apiKeys }
+ * @returns {object} Express router
+ */
+function createApiRouter(options = {}) {
+  const { dbPath = 'db/agent.db', apiKeys = parseApiKeys() } = options;
+  const queries = new TokenQueries(dbPath);
+  const candidates = new EnhancedCandidates(dbPath);
+  const router = express.Router();
+
+  router.use(rateLimit({
+    windowMs: 10_000,
+    max: 100,
+    message: { ok: false, error: 'Too many requests' }
+  }));
+
+  router.use(apiKeyAuth(apiKeys));
+
+  router.get('/tokens/:mint', (req, res) => {
+    const { mint } = req.params;
+    const token = queries.getToken(mint);
+    if (!token) {
+      return res.status(404).json({ ok: false, error: `Token not found: ${mint}` });
+    }
+
+    const prediction = queries.getPrediction(mint);
+    res.json({
+      ok: true,
+      data: {
+        ...token,
+        rug_breakdown: parseJson(token.rug_breakdown),
+        health: queries.getLatestHealth(mint) || null,
+        wallet_breakdown: queries.getWalletTypeCounts(mint),
+        wallet_classes: describeWalletClasses(queries.getWalletClassCounts(mint)),
+        prediction: {
+          prob_2x_24h: prediction.prob_2x_24h,
+          prob_rug_24h: prediction.prob_rug_24h,
+          model_id_win: prediction.model_id_win,
+          model_id_rug: prediction.model_id_rug,
+          explain_win: prediction.explain_win,
+          explain_rug: prediction.explain_rug
+        }
+      }
+    });
+  });
+
+  router.get('/tokens/:mint/holders', (req, res) => {
+    const { mint } = req.params;
+    const { type } = req.query;
+    if (type && !HOLDER_TYPES.includes(type)) {
+      return res.status(400).json({ ok: false, error: `type must be one of ${HOLDER_TYPES.join(', ')}` });
+    }
+    if (!queries.getToken(mint)) {
+      return res.status(404).json({ ok: false, error: `Token not found: ${mint}` });
+    }
+
+    const pagination = parsePagination(req.query);
+    const { rows, total } = queries.getHolders(mint, { ...pagination, type });
+    res.json({ ok: true, data: rows, pagination: { ...pagination, total } });
+  });
+
+  router.get('/tokens/:mint/score-history', (req, res) => {
+    const { mint } = req.params;
+    if (!queries.getToken(mint)) {
+      return res.status(404).json({ ok: false, error: `Token not found: ${mint}` });
+    }
+
+    const pagination = parsePagination(req.query);
+    const { rows, total } = queries.getScoreHistory(mint, {
+      ...pagination,
+      since: req.query.since,
+      until: req.query.until
+    });
+    res.json({ ok: true, data: rows, pagination: { ...pagination, total } });
+  });
+
+  router.get('/tokens/:mint/prices', (req, res) => {
+    const { mint } = req.params;
+    if (!queries.getToken(mint)) {
+      return res.status(404).json({ ok: false, error: `Token not found: ${mint}` });
+    }
+
+    const pagination = parsePagination(req.query, 200);
+    const { rows, total } = queries.getPriceHistory(mint, {
+      ...pagination,
+      since: req.query.since,
+      until: req.query.until,
+      granularity: req.query.granularity
+    });
+    res.json({ ok: true, data: rows, pagination: { ...pagination, total } });
+  });
+
+  router.get('/tokens/:mint/holders-history', (req, res) => {
+    const { mint } = req.params;
+    if (!queries.getToken(mint)) {
+      return res.status(404).json({ ok: false, error: `Token not found: ${mint}` });
+    }
+
+    const pagination = parsePagination(req.query, 200);
+    const { rows, total } = queries.getHoldersHistory(mint, {
+      ...pagination,
+      since: req.query.since,
+      until: req.query.until
+    });
+    res.json({ ok: true, data: rows, pagination: { ...pagination, total } });
+  });
+
+  router.get('/tokens/:mint/rug-risk', (req, res) => {
+    const { mint } = req.params;
+    // Loaded lazily: the worker module opens its own connection on require
+    const { EnhancedRugRiskScorerWorker } = require('../workers/enhanced-rug-risk-scorer-worker');
+    const rugData = new EnhancedRugRiskScorerWorker().getEnhancedRugRiskData(mint);
+    if (!rugData) {
+      return res.status(404).json({ ok: false, error: `Token not found: ${mint}` });
+    }
+
+    res.json({
+      ok: true,
+      data: {
+        ...rugData,
+        rug_breakdown: parseJson(rugData.rug_breakdown),
+        rug_flags: rugData.rug_flags ? rugData.rug_flags.split(',').filter(Boolean) : [],
+        history: queries.getRugRiskHistory(mint)
+      }
+    });
+  });
+
+  router.get('/alerts', (req, res) => {
+    const pagination = parsePagination(req.query);
+    const { rows, total } = queries.getAlerts({
+      ...pagination,
+      type: req.query.type,
+      level: req.query.level,
+      status: req.query.status,
+      mint: req.query.mint,
+      since: req.query.since
+    });
+    res.json({
+      ok: true,
+      data: rows.map(row => ({ ...row, metadata: parseJson(row.metadata) })),
+      pagination: { ...pagination, total }
+    });
+  });
+
+  router.get('/wallets/:address', (req, res) => {
+    const { address } = req.params;
+    const reputation = queries.getWalletReputation(address);
+    const tags = queries.getWalletTags(address);
+    if (!reputation && tags.length === 0) {
+      return res.status(404).json({ ok: false, error: `No data for wallet: ${address}` });
+    }
+
+    res.json({
+      ok: true,
+      data: {
+        wallet: address,
+        reputation: reputation ? { ...reputation, score_breakdown: parseJson(reputation.score_breakdown) } : null,
+        tags: tags.map(t => t.tag)
+      }
+    });
+  });
+
+  router.get('/candidates', (req, res) => {
+    const pagination = parsePagination(req.query, 20);
+    const rows = candidates.getEnhancedCandidates(pagination.limit, {
+      offset: pagination.offset,
+      minHealth: parseNumber(req.query.min_health),
+      minLiquidity: parseNumber(req.query.min_liquidity)
+    });
+
+    // display/probDisplay are terminal-formatted strings
+    const data = rows.map(({ display, probDisplay, ...candidate }) => candidate);
+    res.json({ ok: true, data, pagination });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ ok: false, error: 'Not found' });
+  });
+
+  router.use((error, req, res, next) => {
+    logger.error('read-api', 'system', 'request_failed', `${req.method} ${req.originalUrl} failed: ${error.message}`);
+    res.status(500).json({ ok: false, error: 'Internal server error' });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter,
+  apiKeyAuth,
+  extractApiKey,
+  isValidApiKey,
+  parseApiKeys,
+  parsePagination
+};
@@ -0,0 +1,209 @@
+// lib/sell-simulator.js - Honeypot check: simulate a buy and a sell through the located pool
+const { PublicKey } = require('@solana/web3.js');
+const { fetchJson } = require('./http');
+const { SolanaRpc } = require('./solana-rpc');
+const { decodeTokenAccount, WSOL_MINT } = require('./pool-discovery');
+const logger = require('./logger');
+
+const ASSOCIATED_TOKEN_PROGRAM_ID = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWz25efTNsLJA8knL';
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const BASE_FEE_LAMPORTS = 5000;
+
+// Jupiter route labels for the DEXes pool discovery knows
+const JUPITER_DEX_LABELS = {
+  raydium: 'Raydium',
+  'raydium-cpmm': 'Raydium CP',
+  pumpswap: 'Pump.fun Amm',
+  pumpfun: 'Pump.fun',
+  meteora: 'Meteora',
+  'meteora-dlmm': 'Meteora DLMM',
+  orca: 'Whirlpool'
+};
+
+/**
+ * @param {string} owner - Wallet
+ * @param {string} mint - Token mint
+ * @param {string} tokenProgram - SPL Token or Token-2022 program id
+ * @returns {string} Associated token account
+ */
+function associatedTokenAddress(owner, mint, tokenProgram) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [new PublicKey(owner).toBuffer(), new PublicKey(tokenProgram).toBuffer(), new PublicKey(mint).toBuffer()],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID)
+  );
+  return address.toBase58();
+}
+
+// Share of the expected amount that did not arrive
+function shortfall(actual, expected) {
+  if (!(expected > 0)) return null;
+  return Math.round(Math.min(1, Math.max(0, 1 - actual / expected)) * 10000) / 10000;
+}
+
+class SellSimulator {
+  /**
+   * Swap transactions are built by Jupiter restricted to the pool's DEX and
+   * simulated with sigVerify off from a real holder's wallet, so no key or
+   * funds are needed. Simulations do not chain, which is why the sell uses
+   * tokens the holder already owns rather than the simulated buy's.
+   * @param {object} options - { rpc, swapBase, buyLamports, slippageBps }
+   */
+  constructor(options = {}) {
+    this.rpc = options.rpc || new SolanaRpc();
+    this.swapBase = options.swapBase || process.env.JUPITER_SWAP_BASE || 'https://lite-api.jup.ag/swap/v1';
+    this.buyLamports = options.buyLamports || Math.round(parseFloat(process.env.SELL_SIM_BUY_SOL || '0.05') * 1e9);
+    this.slippageBps = options.slippageBps || parseInt(process.env.SELL_SIM_SLIPPAGE_BPS || '5000', 10);
+  }
+
+  /**
+   * @returns {object|null} Jupiter quote, null when Jupiter gives none (no
+   *   route, or an amount it will not quote)
+   */
+  async quote(inputMint, outputMint, amount, dex) {
+    const params = new URLSearchParams({
+      inputMint,
+      outputMint,
+      amount: String(amount),
+      slippageBps: String(this.slippageBps),
+      onlyDirectRoutes: 'true'
+    });
+    if (dex) params.set('dexes', dex);
+
+    try {
+      const quote = await fetchJson(`${this.swapBase}/quote?${params}`, {}, {
+        rateLimiter: 'jupiter',
+        retries: 1,
+        backoffMs: 1000,
+        timeoutMs: 8000
+      });
+      return quote?.outAmount ? quote : null;
+    } catch (error) {
+      if (error.message === 'HTTP_400') return null; // No route, or amount too small / out of range
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {string} Base64 transaction for the wallet
+   */
+  async buildSwap(quote, wallet) {
+    const response = await fetchJson(`${this.swapBase}/swap`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({
+        quoteResponse: quote,
+        userPublicKey: wallet,
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+        prioritizationFeeLamports: 0 // Keeps the lamport delta down to the base fee
+      })
+    }, { rateLimiter: 'jupiter', retries: 1, backoffMs: 1000, timeoutMs: 8000 });
+
+    if (!response?.swapTransaction) {
+      throw new Error(`SWAP_BUILD_FAILED ${response?.error || 'no transaction'}`);
+    }
+    return response.swapTransaction;
+  }
+
+  /**
+   * A wallet (system-owned, so it can pay fees) holding the token in its
+   * associated account, taken from the largest holders outside the pool
+   * @param {string} mint - Token mint
+   * @param {string} tokenProgram - Mint's owning program
+   * @param {Array} excluded - Pool vaults and other non-trader accounts
+   * @returns {object|null} { wallet, tokenAccount, amount }
+   */
+  async findWallet(mint, tokenProgram, excluded = []) {
+    const largest = await this.rpc.call('getTokenLargestAccounts', [mint]);
+    const candidates = (largest?.value || [])
+      .filter(h => Number(h.amount) > 0 && !excluded.includes(h.address));
+    const tokenAccounts = await this.rpc.getMultipleAccounts(candidates.map(h => h.address));
+
+    const holders = [];
+    for (const candidate of candidates) {
+      const account = tokenAccounts.get(candidate.address);
+      if (!account) continue;
+      const decoded = decodeTokenAccount(account.data);
+      if (associatedTokenAddress(decoded.owner, mint, tokenProgram) !== candidate.address) continue;
+      holders.push({ wallet: decoded.owner, tokenAccount: candidate.address, amount: decoded.amount });
+    }
+
+    const owners = await this.rpc.getMultipleAccounts(holders.map(h => h.wallet));
+    return holders.find(h => owners.get(h.wallet)?.owner === SYSTEM_PROGRAM_ID) || null;
+  }
+
+  /**
+   * Buy with buyLamports of SOL, then sell the same amount of tokens
+   * @param {string} mint - Token mint
+   * @param {object} pool - Located pool { dex, baseVault, quoteVault }
+   * @returns {object} { status, buyTax, sellTax, priceImpact, roundTripLoss, wallet, error }
+   */
+  async simulate(mint, pool = {}) {
+    const result = {
+      status: null,
+      buyTax: null,
+      sellTax: null,
+      priceImpact: null,
+      roundTripLoss: null,
+      wallet: null,
+      error: null
+    };
+    const done = (status, error = null) => ({ ...result, status, error });
+
+    const mintAccount = (await this.rpc.getMultipleAccounts([mint])).get(mint);
+    if (!mintAccount) return done('error', 'mint account not found');
+
+    const holder = await this.findWallet(mint, mintAccount.owner, [pool.baseVault, pool.quoteVault].filter(Boolean));
+    if (!holder) return done('no_wallet', 'no holder wallet to simulate from');
+    result.wallet = holder.wallet;
+
+    const dex = JUPITER_DEX_LABELS[pool.dex] || null;
+
+    // Buy: tokens that land in the holder's account vs the quote
+    const buyQuote = await this.quote(WSOL_MINT, mint, this.buyLamports, dex);
+    if (!buyQuote) return done('no_route', `no ${pool.dex || 'any'} route for a buy`);
+
+    const buySim = await this.rpc.simulateTransaction(await this.buildSwap(buyQuote, holder.wallet), [holder.tokenAccount]);
+    if (buySim.err) return done('buy_failed', JSON.stringify(buySim.err));
+
+    const boughtAccount = buySim.accounts[0];
+    const bought = boughtAccount ? Number(decodeTokenAccount(boughtAccount.data).amount - holder.amount) : 0;
+    result.buyTax = shortfall(bought, Number(buyQuote.outAmount));
+
+    // Sell: lamports that come back to the wallet vs the quote
+    const sellAmount = holder.amount < BigInt(buyQuote.outAmount) ? holder.amount : BigInt(buyQuote.outAmount);
+    // Jupiter also refuses dust and out-of-range amounts, so a missing quote
+    // says nothing about whether the token can be sold
+    const sellQuote = await this.quote(mint, WSOL_MINT, sellAmount, dex);
+    if (!sellQuote) return done('no_sell_quote', `no sell quote for ${sellAmount} tokens`);
+
+    const lamportsBefore = await this.rpc.getBalance(holder.wallet);
+    const sellSim = await this.rpc.simulateTransaction(await this.buildSwap(sellQuote, holder.wallet), [holder.wallet]);
+    if (sellSim.err) {
+      const failedLog = sellSim.logs.find(line => /failed|error/i.test(line));
+      return done('sell_failed', `${JSON.stringify(sellSim.err)}${failedLog ? ` ${failedLog}` : ''}`.slice(0, 300));
+    }
+
+    const lamportsAfter = sellSim.accounts[0] ? sellSim.accounts[0].lamports : lamportsBefore;
+    const received = lamportsAfter - lamportsBefore + BASE_FEE_LAMPORTS;
+    result.sellTax = shortfall(received, Number(sellQuote.outAmount));
+    result.priceImpact = Math.max(Number(buyQuote.priceImpactPct) || 0, Number(sellQuote.priceImpactPct) || 0);
+
+    // SOL back for what the buy delivered, against what it cost
+    const soldShare = Number(sellAmount) > 0 ? bought / Number(sellAmount) : 0;
+    result.roundTripLoss = shortfall(received * soldShare, this.buyLamports);
+
+    logger.debug('sell-simulator', mint, 'simulated', 'Buy/sell simulation passed', {
+      buy_tax: result.buyTax,
+      sell_tax: result.sellTax,
+      round_trip_loss: result.roundTripLoss
+    });
+    return done('ok');
+  }
+}
+
+module.exports = {
+  SellSimulator,
+  associatedTokenAddress,
+  JUPITER_DEX_LABELS
+};
@@ -0,0 +1,209 @@
+// lib/solana-rpc.js - JSON-RPC client with recorded-fixture replay for on-chain decoders
+const fs = require('fs');
+const path = require('path');
+const { fetchJson } = require('./http');
+
+const MAX_MULTIPLE_ACCOUNTS = 100;
+
+/**
+ * SOLANA_RPC_URL, else Helius mainnet when HELIUS_API_KEY is set
+ * @returns {string|null} RPC endpoint
+ */
+function defaultRpcUrl() {
+  if (process.env.SOLANA_RPC_URL) return process.env.SOLANA_RPC_URL;
+  const key = process.env.HELIUS_API_KEY;
+  if (key && key !== 'your_helius_key' && key !== 'your-helius-api-key') {
+    return `https://mainnet.helius-rpc.com/?api-key=${key}`;
+  }
+  return null;
+}
+
+function fixtureKey(method, params) {
+  return `${method} ${JSON.stringify(params)}`;
+}
+
+class SolanaRpc {
+  /**
+   * Responses can be recorded to a JSON file (recordFile / SOLANA_RPC_RECORD)
+   * and served back from it (fixturesFile / SOLANA_RPC_FIXTURES), so account
+   * decoding can be exercised offline against real mainnet data.
+   * @param {object} options - { url, fixturesFile, recordFile }
+   */
+  constructor(options = {}) {
+    this.url = options.url || defaultRpcUrl();
+    this.fixturesFile = options.fixturesFile || process.env.SOLANA_RPC_FIXTURES || null;
+    this.recordFile = options.recordFile || process.env.SOLANA_RPC_RECORD || null;
+    this.fixtures = this.fixturesFile ? JSON.parse(fs.readFileSync(this.fixturesFile, 'utf8')) : null;
+    this.recorded = this.recordFile && fs.existsSync(this.recordFile)
+      ? JSON.parse(fs.readFileSync(this.recordFile, 'utf8'))
+      : {};
+  }
+
+  /**
+   * @returns {boolean} True when calls can be answered (endpoint or fixtures)
+   */
+  isConfigured() {
+    return !!(this.fixtures || this.url);
+  }
+
+  async call(method, params = []) {
+    const key = fixtureKey(method, params);
+
+    if (this.fixtures) {
+      if (!(key in this.fixtures)) {
+        throw new Error(`FIXTURE_MISSING ${key.slice(0, 120)}`);
+      }
+      return this.fixtures[key];
+    }
+
+    if (!this.url) {
+      throw new Error('RPC_NOT_CONFIGURED (set SOLANA_RPC_URL or HELIUS_API_KEY)');
+    }
+
+    const response = await fetchJson(this.url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    }, { rateLimiter: 'rpc', retries: 3, backoffMs: 2000, timeoutMs: 15000 });
+
+    if (response?.error) {
+      throw new Error(`RPC_${response.error.code}: ${response.error.message}`);
+    }
+
+    if (this.recordFile) {
+      this.recorded[key] = response.result;
+      fs.mkdirSync(path.dirname(this.recordFile), { recursive: true });
+      fs.writeFileSync(this.recordFile, JSON.stringify(this.recorded, null, 2));
+    }
+    return response.result;
+  }
+
+  /**
+   * @param {string} address - Account address
+   * @returns {Buffer|null} Raw account data, null when the account does not exist
+   */
+  async getAccountData(address) {
+    const result = await this.call('getAccountInfo', [address, { encoding: 'base64' }]);
+    return result?.value ? Buffer.from(result.value.data[0], 'base64') : null;
+  }
+
+  /**
+   * @param {Array} addresses - Account addresses
+   * @returns {Map} address -> { data: Buffer, owner } (missing accounts are left out)
+   */
+  async getMultipleAccounts(addresses) {
+    const accounts = new Map();
+    const unique = [...new Set(addresses.filter(Boolean))];
+
+    for (let i = 0; i < unique.length; i += MAX_MULTIPLE_ACCOUNTS) {
+      const batch = unique.slice(i, i + MAX_MULTIPLE_ACCOUNTS);
+      const result = await this.call('getMultipleAccounts', [batch, { encoding: 'base64' }]);
+      (result?.value || []).forEach((account, index) => {
+        if (!account) return;
+        accounts.set(batch[index], { data: Buffer.from(account.data[0], 'base64'), owner: account.owner });
+      });
+    }
+
+    return accounts;
+  }
+
+  /**
+   * @param {string} address - Account address
+   * @returns {number} Lamports
+   */
+  async getBalance(address) {
+    const result = await this.call('getBalance', [address]);
+    return result?.value ?? 0;
+  }
+
+  /**
+   * Simulate without signatures against the latest blockhash, returning the
+   * post-state of the listed accounts
+   * @param {string} transaction - Base64 serialized transaction
+   * @param {Array} accountAddresses - Accounts to return after execution
+   * @returns {object} { err, logs, accounts: [{ lamports, data: Buffer, owner } | null] }
+   */
+  async simulateTransaction(transaction, accountAddresses = []) {
+    const result = await this.call('simulateTransaction', [transaction, {
+      encoding: 'base64',
+      sigVerify: false,
+      replaceRecentBlockhash: true,
+      accounts: { encoding: 'base64', addresses: accountAddresses }
+    }]);
+    const value = result?.value || {};
+    return {
+      err: value.err || null,
+      logs: value.logs || [],
+      accounts: (value.accounts || []).map(account => account && {
+        lamports: account.lamports,
+        data: Buffer.from(account.data[0], 'base64'),
+        owner: account.owner
+      })
+    };
+  }
+
+  /**
+   * Block with each transaction's account keys and balance metadata, in
+   * block order (the array index is the transaction index)
+   * @param {number} slot - Slot
+   * @returns {object|null} Block, null when the slot was skipped
+   */
+  async getBlock(slot) {
+    try {
+      return await this.call('getBlock', [slot, {
+        encoding: 'json',
+        transactionDetails: 'accounts',
+        maxSupportedTransactionVersion: 0,
+        rewards: false
+      }]);
+    } catch (error) {
+      // -32007 skipped slot, -32009 missing in long-term storage
+      if (/^RPC_-3200[79]/.test(error.message)) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Signatures involving an address, newest first
+   * @param {string} address - Account address
+   * @param {object} options - { until, before, limit }
+   * @returns {Array} { signature, slot, blockTime, err }
+   */
+  async getSignaturesForAddress(address, options = {}) {
+    const config = { limit: options.limit || 100 };
+    if (options.until) config.until = options.until;
+    if (options.before) config.before = options.before;
+    return (await this.call('getSignaturesForAddress', [address, config])) || [];
+  }
+
+  /**
+   * Parsed transaction (account keys with signer flags, token balances with owners)
+   * @param {string} signature - Transaction signature
+   * @returns {object|null} Transaction, null when not found
+   */
+  async getTransaction(signature) {
+    return this.call('getTransaction', [signature, {
+      encoding: 'jsonParsed',
+      maxSupportedTransactionVersion: 0
+    }]);
+  }
+
+  /**
+   * @param {string} programId - Owning program
+   * @param {Array} filters - dataSize / memcmp filters
+   * @returns {Array} { pubkey, data: Buffer, owner }
+   */
+  async getProgramAccounts(programId, filters = []) {
+    const result = await this.call('getProgramAccounts', [programId, { encoding: 'base64', filters }]);
+    return (result || []).map(item => ({
+      pubkey: item.pubkey,
+      data: Buffer.from(item.account.data[0], 'base64'),
+      owner: item.account.owner
+    }));
+  }
+}
+
+module.exports = {
+  SolanaRpc,
+  defaultRpcUrl
+};
@@ -0,0 +1,424 @@
+// lib/supervisor.js - Worker supervisor: scheduling, dependencies, crash restarts and status
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+class Supervisor {
+  /**
+   * @param {object} config - Pipeline config (see config/pipeline.json)
+   * @param {object} options - { rootDir }
+   */
+  constructor(config, options = {}) {
+    this.rootDir = options.rootDir || ROOT_DIR;
+    this.baseBackoffMs = (config.restart?.baseBackoffSec ?? 5) * 1000;
+    this.maxBackoffMs = (config.restart?.maxBackoffSec ?? 300) * 1000;
+    this.dependencyPollMs = (config.dependencyPollSec ?? 5) * 1000;
+    this.statusFile = config.statusFile ? path.resolve(this.rootDir, config.statusFile) : null;
+    this.statusIntervalMs = (config.statusIntervalSec ?? 10) * 1000;
+    this.stopped = true;
+    this.statusTimer = null;
+
+    const specs = (config.workers || []).filter(w => w.enabled !== false);
+    this.order = Supervisor.resolveOrder(specs);
+    this.workers = new Map();
+
+    for (const spec of this.order) {
+      this.workers.set(spec.name, {
+        spec: {
+          mode: 'inprocess',
+          export: 'mainLoop',
+          intervalSec: 300,
+          dependsOn: [],
+          longRunning: false,
+          args: [],
+          ...spec
+        },
+        state: 'idle',
+        timer: null,
+        child: null,
+        instance: null,
+        runs: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        startedAt: null,
+        lastRunAt: null,
+        lastSuccessAt: null,
+        lastDurationMs: null,
+        lastError: null,
+        lastErrorAt: null,
+        nextRunAt: null
+      });
+    }
+  }
+
+  /**
+   * Load a pipeline config file
+   * @param {string} configPath - Path to JSON config
+   * @returns {object} Parsed config
+   */
+  static loadConfig(configPath) {
+    const raw = fs.readFileSync(configPath, 'utf8');
+    return JSON.parse(raw);
+  }
+
+  /**
+   * Topologically sort workers by dependsOn. Throws on unknown
+   * dependencies and cycles.
+   * @param {Array} specs - Worker specs
+   * @returns {Array} Specs in start order
+   */
+  static resolveOrder(specs) {
+    const byName = new Map(specs.map(s => [s.name, s]));
+    const ordered = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (spec, trail) => {
+      if (visited.has(spec.name)) return;
+      if (visiting.has(spec.name)) {
+        throw new Error(`Dependency cycle: ${[...trail, spec.name].join(' -> ')}`);
+      }
+      visiting.add(spec.name);
+      for (const dep of spec.dependsOn || []) {
+        const depSpec = byName.get(dep);
+        if (!depSpec) {
+          throw new Error(`Worker ${spec.name} depends on unknown or disabled worker ${dep}`);
+        }
+        visit(depSpec, [...trail, spec.name]);
+      }
+      visiting.delete(spec.name);
+      visited.add(spec.name);
+      ordered.push(spec);
+    };
+
+    for (const spec of specs) {
+      if (!spec.name || !spec.module) {
+        throw new Error(`Worker spec requires name and module: ${JSON.stringify(spec)}`);
+      }
+      visit(spec, []);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Start every worker in dependency order
+   */
+  start() {
+    this.stopped = false;
+    logger.info('supervisor', 'system', 'start', `Starting ${this.workers.size} workers`, {
+      order: this.order.map(s => s.name).join(' -> ')
+    });
+
+    for (const worker of this.workers.values()) {
+      worker.startedAt = new Date().toISOString();
+      if (worker.spec.mode === 'child' && worker.spec.longRunning) {
+        this.schedule(worker, 0, () => this.startLongRunning(worker));
+      } else {
+        this.schedule(worker, 0, () => this.tick(worker));
+      }
+    }
+
+    if (this.statusFile) {
+      this.writeStatus();
+      this.statusTimer = setInterval(() => this.writeStatus(), this.statusIntervalMs);
+    }
+  }
+
+  /**
+   * Stop all timers and child processes
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.statusTimer) clearInterval(this.statusTimer);
+
+    const exits = [];
+    for (const worker of this.workers.values()) {
+      if (worker.timer) clearTimeout(worker.timer);
+      worker.timer = null;
+      worker.nextRunAt = null;
+
+      if (worker.child) {
+        const child = worker.child;
+        exits.push(new Promise(resolve => {
+          const killTimer = setTimeout(() => child.kill('SIGKILL'), 5000);
+          child.once('exit', () => {
+            clearTimeout(killTimer);
+            resolve();
+          });
+        }));
+        child.kill('SIGTERM');
+      }
+      worker.state = 'stopped';
+    }
+
+    await Promise.all(exits);
+    if (this.statusFile) this.writeStatus();
+    logger.info('supervisor', 'system', 'stopped', 'All workers stopped');
+  }
+
+  /**
+   * Run each one-shot worker a single time in dependency order, e.g. after
+   * a bulk import. Long-running workers are skipped; a worker whose
+   * dependency failed is skipped too.
+   * @param {object} options - { only } worker names to run (default all)
+   * @returns {Array} { name, ok, skipped, durationMs, error }
+   */
+  async runOnce({ only = null } = {}) {
+    const results = [];
+    const failed = new Set();
+
+    for (const worker of this.workers.values()) {
+      const { spec } = worker;
+      if (spec.longRunning || (only && !only.includes(spec.name))) continue;
+
+      const blockedBy = spec.dependsOn.find(dep => failed.has(dep));
+      if (blockedBy) {
+        failed.add(spec.name);
+        results.push({ name: spec.name, ok: false, skipped: true, durationMs: 0, error: `${blockedBy} failed` });
+        continue;
+      }
+
+      worker.state = 'running';
+      worker.runs++;
+      worker.lastRunAt = new Date().toISOString();
+      const startTime = Date.now();
+
+      try {
+        if (spec.mode === 'child') {
+          await this.runChild(worker);
+        } else {
+          await this.runInProcess(worker);
+        }
+        worker.lastSuccessAt = new Date().toISOString();
+        worker.state = 'idle';
+        results.push({ name: spec.name, ok: true, skipped: false, durationMs: Date.now() - startTime, error: null });
+      } catch (error) {
+        this.recordFailure(worker, error);
+        failed.add(spec.name);
+        results.push({ name: spec.name, ok: false, skipped: false, durationMs: Date.now() - startTime, error: error.message });
+      }
+      worker.lastDurationMs = Date.now() - startTime;
+    }
+
+    return results;
+  }
+
+  schedule(worker, delayMs, fn) {
+    if (this.stopped) return;
+    if (worker.timer) clearTimeout(worker.timer);
+    worker.nextRunAt = new Date(Date.now() + delayMs).toISOString();
+    worker.timer = setTimeout(() => {
+      worker.timer = null;
+      worker.nextRunAt = null;
+      fn();
+    }, delayMs);
+  }
+
+  /**
+   * Backoff after consecutive failures, capped at maxBackoffMs
+   */
+  backoffFor(worker) {
+    const exp = Math.max(0, worker.consecutiveFailures - 1);
+    return Math.min(this.baseBackoffMs * Math.pow(2, exp), this.maxBackoffMs);
+  }
+
+  /**
+   * A worker may run once every dependency has succeeded at least once
+   * and none of them is running right now
+   * @returns {Array} Names of dependencies still blocking the worker
+   */
+  blockingDependencies(worker) {
+    return worker.spec.dependsOn.filter(dep => {
+      const depWorker = this.workers.get(dep);
+      if (depWorker.spec.longRunning) {
+        return depWorker.state !== 'running';
+      }
+      return !depWorker.lastSuccessAt || depWorker.state === 'running';
+    });
+  }
+
+  async tick(worker) {
+    if (this.stopped) return;
+
+    const blocking = this.blockingDependencies(worker);
+    if (blocking.length > 0) {
+      worker.state = 'waiting';
+      logger.debug('supervisor', 'system', 'waiting', `${worker.spec.name} waiting on ${blocking.join(', ')}`);
+      this.schedule(worker, this.dependencyPollMs, () => this.tick(worker));
+      return;
+    }
+
+    worker.state = 'running';
+    worker.runs++;
+    worker.lastRunAt = new Date().toISOString();
+    const startTime = Date.now();
+
+    try {
+      if (worker.spec.mode === 'child') {
+        await this.runChild(worker);
+      } else {
+        await this.runInProcess(worker);
+      }
+
+      worker.lastDurationMs = Date.now() - startTime;
+      worker.lastSuccessAt = new Date().toISOString();
+      worker.consecutiveFailures = 0;
+      worker.state = 'idle';
+      logger.debug('supervisor', 'system', 'run_complete', `${worker.spec.name} completed in ${worker.lastDurationMs}ms`);
+      this.schedule(worker, worker.spec.intervalSec * 1000, () => this.tick(worker));
+    } catch (error) {
+      worker.lastDurationMs = Date.now() - startTime;
+      this.recordFailure(worker, error);
+      this.schedule(worker, this.backoffFor(worker), () => this.tick(worker));
+    }
+  }
+
+  recordFailure(worker, error) {
+    worker.failures++;
+    worker.consecutiveFailures++;
+    worker.lastError = error.message;
+    worker.lastErrorAt = new Date().toISOString();
+    worker.state = this.stopped ? 'stopped' : 'backoff';
+    logger.error('supervisor', 'system', 'worker_failed', `${worker.spec.name} failed: ${error.message}`, {
+      consecutiveFailures: worker.consecutiveFailures,
+      retryInMs: this.backoffFor(worker)
+    });
+  }
+
+  /**
+   * Run one cycle in this process. Plain modules expose a function
+   * (default mainLoop); class workers are instantiated once and the
+   * configured method is called each cycle.
+   */
+  async runInProcess(worker) {
+    const { spec } = worker;
+    const mod = require(path.resolve(this.rootDir, spec.module));
+
+    if (spec.method) {
+      if (!worker.instance) {
+        const WorkerClass = spec.export === 'default' ? mod : mod[spec.export];
+        if (typeof WorkerClass !== 'function') {
+          throw new Error(`${spec.module} does not export class ${spec.export}`);
+        }
+        worker.instance = new WorkerClass();
+      }
+      return worker.instance[spec.method]();
+    }
+
+    const fn = mod[spec.export];
+    if (typeof fn !== 'function') {
+      throw new Error(`${spec.module} does not export ${spec.export}()`);
+    }
+    return fn();
+  }
+
+  spawnChild(worker) {
+    const { spec } = worker;
+    const child = spawn(process.execPath, [path.resolve(this.rootDir, spec.module), ...spec.args], {
+      cwd: this.rootDir,
+      env: process.env,
+      stdio: ['ignore', 'inherit', 'pipe']
+    });
+
+    // Keep the tail of stderr so crashes have a useful last_error
+    child.stderrTail = '';
+    child.stderr.on('data', chunk => {
+      process.stderr.write(chunk);
+      child.stderrTail = (child.stderrTail + chunk.toString()).slice(-500);
+    });
+
+    worker.child = child;
+    return child;
+  }
+
+  /**
+   * Run a one-shot script as a child process and wait for it to exit
+   */
+  runChild(worker) {
+    return new Promise((resolve, reject) => {
+      const child = this.spawnChild(worker);
+
+      child.once('error', reject);
+      child.once('exit', (code, signal) => {
+        worker.child = null;
+        if (code === 0) return resolve();
+        const tail = child.stderrTail.trim().split('\n').pop();
+        reject(new Error(`exit ${signal || code}${tail ? `: ${tail}` : ''}`));
+      });
+    });
+  }
+
+  /**
+   * Start a long-running child (servers, stream clients) and restart it
+   * with backoff whenever it exits
+   */
+  startLongRunning(worker) {
+    if (this.stopped) return;
+
+    const child = this.spawnChild(worker);
+    worker.state = 'running';
+    worker.runs++;
+    worker.lastRunAt = new Date().toISOString();
+    const startTime = Date.now();
+
+    // Treat a child that stays up for one interval as healthy
+    const healthyTimer = setTimeout(() => {
+      worker.lastSuccessAt = new Date().toISOString();
+      worker.consecutiveFailures = 0;
+    }, Math.min(worker.spec.intervalSec * 1000, 60000));
+
+    child.once('exit', (code, signal) => {
+      clearTimeout(healthyTimer);
+      worker.child = null;
+      worker.lastDurationMs = Date.now() - startTime;
+      if (this.stopped) return;
+
+      const tail = child.stderrTail.trim().split('\n').pop();
+      this.recordFailure(worker, new Error(`exited ${signal || code}${tail ? `: ${tail}` : ''}`));
+      this.schedule(worker, this.backoffFor(worker), () => this.startLongRunning(worker));
+    });
+  }
+
+  /**
+   * Per-worker status snapshot
+   * @returns {Array} Status rows
+   */
+  getStatus() {
+    return [...this.workers.values()].map(worker => ({
+      name: worker.spec.name,
+      mode: worker.spec.mode,
+      state: worker.state,
+      pid: worker.child ? worker.child.pid : null,
+      depends_on: worker.spec.dependsOn,
+      runs: worker.runs,
+      failures: worker.failures,
+      consecutive_failures: worker.consecutiveFailures,
+      started_at: worker.startedAt,
+      last_run_at: worker.lastRunAt,
+      last_success_at: worker.lastSuccessAt,
+      last_duration_ms: worker.lastDurationMs,
+      last_error: worker.lastError,
+      last_error_at: worker.lastErrorAt,
+      next_run_at: worker.nextRunAt
+    }));
+  }
+
+  writeStatus() {
+    try {
+      fs.mkdirSync(path.dirname(this.statusFile), { recursive: true });
+      fs.writeFileSync(this.statusFile, JSON.stringify({
+        updated_at: new Date().toISOString(),
+        pid: process.pid,
+        workers: this.getStatus()
+      }, null, 2));
+    } catch (error) {
+      logger.error('supervisor', 'system', 'status_write_failed', `Failed to write status: ${error.message}`);
+    }
+  }
+}
+
+module.exports = { Supervisor };
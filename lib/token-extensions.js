@@ -0,0 +1,187 @@
+// lib/token-extensions.js - Token-2022 mint extension decoding (transfer fee, delegate, hook, default state)
+const { PublicKey } = require('@solana/web3.js');
+const { decodeMint } = require('./pool-discovery');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM_ID = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+
+// Extensions live after the 165-byte base (82-byte mint zero-padded to token account size)
+const BASE_ACCOUNT_SIZE = 165;
+const ACCOUNT_TYPE_MINT = 1;
+
+// Mint-side extension types from spl-token-2022 ExtensionType
+const EXTENSION_TYPES = {
+  1: 'transferFeeConfig',
+  3: 'mintCloseAuthority',
+  4: 'confidentialTransferMint',
+  6: 'defaultAccountState',
+  9: 'nonTransferable',
+  10: 'interestBearingConfig',
+  12: 'permanentDelegate',
+  14: 'transferHook',
+  16: 'confidentialTransferFeeConfig',
+  18: 'metadataPointer',
+  19: 'tokenMetadata',
+  20: 'groupPointer',
+  21: 'tokenGroup',
+  22: 'groupMemberPointer',
+  23: 'tokenGroupMember',
+  24: 'confidentialMintBurn',
+  25: 'scaledUiAmountConfig',
+  26: 'pausableConfig'
+};
+
+const ACCOUNT_STATES = ['uninitialized', 'initialized', 'frozen'];
+
+// OptionalNonZeroPubkey: all zero bytes means None
+function readOptionalNonZeroPubkey(data, offset) {
+  const bytes = data.subarray(offset, offset + 32);
+  return bytes.every(b => b === 0) ? null : new PublicKey(bytes).toBase58();
+}
+
+/**
+ * TransferFeeConfig: authorities, withheld amount, then the older and newer
+ * fee (epoch u64, maximum_fee u64, basis points u16). The newer fee takes
+ * over at its epoch, so the higher of the two is what a buyer can be charged.
+ */
+function decodeTransferFeeConfig(value) {
+  const fee = offset => ({
+    epoch: Number(value.readBigUInt64LE(offset)),
+    maximumFee: value.readBigUInt64LE(offset + 8),
+    basisPoints: value.readUInt16LE(offset + 16)
+  });
+  const older = fee(72);
+  const newer = fee(90);
+  return {
+    authority: readOptionalNonZeroPubkey(value, 0),
+    withdrawAuthority: readOptionalNonZeroPubkey(value, 32),
+    older,
+    newer,
+    basisPoints: Math.max(older.basisPoints, newer.basisPoints)
+  };
+}
+
+/**
+ * Walk the TLV entries after the base mint
+ * @param {Buffer} data - Mint account data
+ * @returns {object} Decoded extensions (absent ones are null/false)
+ */
+function decodeMintExtensions(data) {
+  const result = {
+    extensions: [],
+    transferFee: null,
+    permanentDelegate: null,
+    transferHook: null,
+    defaultAccountState: null,
+    nonTransferable: false,
+    mintCloseAuthority: null,
+    pausable: null
+  };
+
+  if (data.length <= BASE_ACCOUNT_SIZE || data.readUInt8(BASE_ACCOUNT_SIZE) !== ACCOUNT_TYPE_MINT) {
+    return result;
+  }
+
+  let offset = BASE_ACCOUNT_SIZE + 1;
+  while (offset + 4 <= data.length) {
+    const type = data.readUInt16LE(offset);
+    const length = data.readUInt16LE(offset + 2);
+    if (type === 0) break; // Uninitialized: rest is padding
+    const value = data.subarray(offset + 4, offset + 4 + length);
+    if (value.length < length) break;
+
+    result.extensions.push(EXTENSION_TYPES[type] || `unknown_${type}`);
+
+    switch (type) {
+      case 1:
+        result.transferFee = decodeTransferFeeConfig(value);
+        break;
+      case 3:
+        result.mintCloseAuthority = readOptionalNonZeroPubkey(value, 0);
+        break;
+      case 6:
+        result.defaultAccountState = ACCOUNT_STATES[value.readUInt8(0)] || 'unknown';
+        break;
+      case 9:
+        result.nonTransferable = true;
+        break;
+      case 12:
+        result.permanentDelegate = readOptionalNonZeroPubkey(value, 0);
+        break;
+      case 14:
+        result.transferHook = {
+          authority: readOptionalNonZeroPubkey(value, 0),
+          programId: readOptionalNonZeroPubkey(value, 32)
+        };
+        break;
+      case 26:
+        result.pausable = {
+          authority: readOptionalNonZeroPubkey(value, 0),
+          paused: value.readUInt8(32) === 1
+        };
+        break;
+    }
+
+    offset += 4 + length;
+  }
+
+  return result;
+}
+
+/**
+ * Authorities plus Token-2022 extensions for a mint account
+ * @param {Buffer} data - Mint account data
+ * @param {string} owner - Owning program
+ * @returns {object} { tokenProgram, mintAuthority, freezeAuthority, ...extensions }
+ */
+function analyzeMintAccount(data, owner) {
+  const mint = decodeMint(data);
+  const tokenProgram = owner === TOKEN_2022_PROGRAM_ID ? 'token-2022' : 'spl-token';
+  return {
+    tokenProgram,
+    mintAuthority: mint.mintAuthority,
+    freezeAuthority: mint.freezeAuthority,
+    ...decodeMintExtensions(data)
+  };
+}
+
+/**
+ * Persist the extension columns on tokens
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} mint - Token mint
+ * @param {object} analysis - analyzeMintAccount() result
+ */
+function saveMintExtensions(db, mint, analysis) {
+  db.prepare(`
+    UPDATE tokens
+    SET token_program = ?,
+        token_extensions = ?,
+        transfer_fee_bps = ?,
+        transfer_fee_authority = ?,
+        permanent_delegate = ?,
+        transfer_hook_program = ?,
+        default_account_state = ?,
+        extensions_checked_at = ?
+    WHERE mint = ?
+  `).run(
+    analysis.tokenProgram,
+    JSON.stringify(analysis.extensions),
+    analysis.transferFee ? analysis.transferFee.basisPoints : null,
+    analysis.transferFee ? analysis.transferFee.authority : null,
+    analysis.permanentDelegate,
+    analysis.transferHook ? analysis.transferHook.programId : null,
+    analysis.defaultAccountState,
+    new Date().toISOString(),
+    mint
+  );
+}
+
+module.exports = {
+  analyzeMintAccount,
+  decodeMintExtensions,
+  decodeTransferFeeConfig,
+  saveMintExtensions,
+  EXTENSION_TYPES,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID
+};
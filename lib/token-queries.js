@@ -0,0 +1,297 @@
+// lib/token-queries.js - Read queries shared by cli.js and the HTTP API
+const Database = require('better-sqlite3');
+
+const HOLDER_TYPE_FILTERS = {
+  inception: 'is_inception = 1',
+  sniper: 'is_sniper = 1',
+  bundler: 'is_bundler = 1',
+  insider: 'is_insider = 1',
+  fresh: 'COALESCE(is_inception, 0) = 0 AND COALESCE(is_sniper, 0) = 0 AND COALESCE(is_bundler, 0) = 0 AND COALESCE(is_insider, 0) = 0'
+};
+
+class TokenQueries {
+  /**
+   * @param {string|object} db - Database path or an open better-sqlite3 handle
+   */
+  constructor(db = 'db/agent.db') {
+    this.db = typeof db === 'string' ? new Database(db) : db;
+  }
+
+  /**
+   * Build a WHERE clause from [condition, value] pairs, skipping unset values
+   */
+  buildWhere(filters) {
+    const active = filters.filter(([, value]) => value !== undefined && value !== null && value !== '');
+    return {
+      where: active.length > 0 ? `WHERE ${active.map(([condition]) => condition).join(' AND ')}` : '',
+      params: active.map(([, value]) => value)
+    };
+  }
+
+  getToken(mint) {
+    return this.db.prepare('SELECT * FROM tokens WHERE mint = ?').get(mint);
+  }
+
+  /**
+   * Latest holders_history snapshot with token symbol/name
+   */
+  getLatestHealth(mint) {
+    return this.db.prepare(`
+      SELECT h.*, t.symbol, t.name
+      FROM holders_history h
+      JOIN tokens t ON h.mint = t.mint
+      WHERE h.mint = ?
+      ORDER BY datetime(h.snapshot_time) DESC
+      LIMIT 1
+    `).get(mint);
+  }
+
+  getWalletTypeCounts(mint) {
+    return this.db.prepare(`
+      SELECT
+        SUM(is_inception) as inception_count,
+        SUM(is_sniper) as sniper_count,
+        SUM(is_bundler) as bundler_count,
+        SUM(is_insider) as insider_count,
+        COUNT(*) as total_holders
+      FROM holders
+      WHERE mint = ?
+    `).get(mint);
+  }
+
+  /**
+   * Holder counts per visual wallet class (keys match CLASS_ORDER in lib/visual-encoding.js)
+   */
+  getWalletClassCounts(mint) {
+    return this.db.prepare(`
+      SELECT
+        COALESCE(SUM(CASE WHEN holder_type LIKE '%fresh%' THEN 1 ELSE 0 END), 0) as fresh,
+        COALESCE(SUM(CASE WHEN holder_type LIKE '%inception%' THEN 1 ELSE 0 END), 0) as inception,
+        COALESCE(SUM(CASE WHEN holder_type LIKE '%sniper%' THEN 1 ELSE 0 END), 0) as snipers,
+        COALESCE(SUM(CASE WHEN holder_type LIKE '%bundled%' THEN 1 ELSE 0 END), 0) as bundled,
+        COALESCE(SUM(CASE WHEN holder_type LIKE '%insider%' THEN 1 ELSE 0 END), 0) as insiders,
+        COALESCE(SUM(CASE WHEN COALESCE(holder_type, 'unknown') = 'unknown' THEN 1 ELSE 0 END), 0) as others,
+        COUNT(*) as total
+      FROM holders
+      WHERE mint = ?
+    `).get(mint);
+  }
+
+  /**
+   * Holders by balance
+   * @param {string} mint - Token mint
+   * @param {object} options - { limit, offset, type } where type is inception|sniper|bundler|insider|fresh
+   * @returns {object} { rows, total }
+   */
+  getHolders(mint, { limit = 20, offset = 0, type = null } = {}) {
+    const typeFilter = type && HOLDER_TYPE_FILTERS[type] ? ` AND ${HOLDER_TYPE_FILTERS[type]}` : '';
+
+    const rows = this.db.prepare(`
+      SELECT owner, amount, last_seen_at, wallet_age_days, is_inception, is_sniper, is_bundler, is_insider
+      FROM holders
+      WHERE mint = ?${typeFilter}
+      ORDER BY CAST(amount AS INTEGER) DESC
+      LIMIT ? OFFSET ?
+    `).all(mint, limit, offset);
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM holders WHERE mint = ?${typeFilter}`).get(mint);
+
+    return { rows, total };
+  }
+
+  /**
+   * Score snapshots, newest first
+   * @param {string} mint - Token mint
+   * @param {object} options - { limit, offset, since, until } (ISO timestamps)
+   * @returns {object} { rows, total }
+   */
+  getScoreHistory(mint, { limit = 50, offset = 0, since = null, until = null } = {}) {
+    const { where, params } = this.buildWhere([
+      ['mint = ?', mint],
+      ['datetime(snapshot_time) >= datetime(?)', since],
+      ['datetime(snapshot_time) <= datetime(?)', until]
+    ]);
+
+    const rows = this.db.prepare(`
+      SELECT
+        snapshot_time,
+        health_score,
+        holders_count,
+        fresh_pct,
+        sniper_pct,
+        insider_pct,
+        top10_share,
+        liquidity_usd
+      FROM score_history
+      ${where}
+      ORDER BY datetime(snapshot_time) DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM score_history ${where}`).get(...params);
+
+    return { rows, total };
+  }
+
+  /**
+   * Price samples, newest first
+   * @param {string} mint - Token mint
+   * @param {object} options - { limit, offset, since, until, granularity }
+   * @returns {object} { rows, total }
+   */
+  getPriceHistory(mint, { limit = 200, offset = 0, since = null, until = null, granularity = null } = {}) {
+    const { where, params } = this.buildWhere([
+      ['mint = ?', mint],
+      ['datetime(timestamp) >= datetime(?)', since],
+      ['datetime(timestamp) <= datetime(?)', until],
+      ['granularity = ?', granularity]
+    ]);
+
+    const rows = this.db.prepare(`
+      SELECT timestamp, price_usd, price_sol, liquidity_usd, source, granularity, status
+      FROM price_history
+      ${where}
+      ORDER BY datetime(timestamp) DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM price_history ${where}`).get(...params);
+
+    return { rows, total };
+  }
+
+  /**
+   * Holder snapshots (counts per wallet class), newest first
+   * @param {string} mint - Token mint
+   * @param {object} options - { limit, offset, since, until }
+   * @returns {object} { rows, total }
+   */
+  getHoldersHistory(mint, { limit = 200, offset = 0, since = null, until = null } = {}) {
+    const { where, params } = this.buildWhere([
+      ['mint = ?', mint],
+      ['datetime(snapshot_time) >= datetime(?)', since],
+      ['datetime(snapshot_time) <= datetime(?)', until]
+    ]);
+
+    const rows = this.db.prepare(`
+      SELECT
+        snapshot_time,
+        holders_count,
+        fresh_wallets_count,
+        inception_count,
+        sniper_count,
+        bundler_count,
+        insider_count,
+        top10_share,
+        health_score
+      FROM holders_history
+      ${where}
+      ORDER BY datetime(snapshot_time) DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM holders_history ${where}`).get(...params);
+
+    return { rows, total };
+  }
+
+  /**
+   * Rug-risk score history and safety watcher transitions, newest first
+   */
+  getRugRiskHistory(mint, { limit = 100 } = {}) {
+    return this.db.prepare(`
+      SELECT timestamp, rug_risk_score, rug_flags, liquidity_usd,
+             change_type, previous_value, current_value, is_regression
+      FROM rug_risk_history
+      WHERE mint = ?
+      ORDER BY datetime(timestamp) DESC
+      LIMIT ?
+    `).all(mint, limit);
+  }
+
+  /**
+   * Alerts, newest first
+   * @param {object} options - { limit, offset, type, level, status, mint, since }
+   * @returns {object} { rows, total }
+   */
+  getAlerts({ limit = 20, offset = 0, type = null, level = null, status = null, mint = null, since = null } = {}) {
+    const { where, params } = this.buildWhere([
+      ['a.alert_type = ?', type],
+      ['a.alert_level = ?', level],
+      ['a.status = ?', status],
+      ['a.mint = ?', mint],
+      ['datetime(a.triggered_at) >= datetime(?)', since]
+    ]);
+
+    const rows = this.db.prepare(`
+      SELECT
+        a.id,
+        a.mint,
+        t.symbol,
+        a.alert_type,
+        a.alert_level,
+        a.message,
+        a.triggered_at,
+        a.status,
+        a.metadata
+      FROM alerts a
+      LEFT JOIN tokens t ON a.mint = t.mint
+      ${where}
+      ORDER BY datetime(a.triggered_at) DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset);
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM alerts a ${where}`).get(...params);
+
+    return { rows, total };
+  }
+
+  getWalletReputation(wallet) {
+    return this.db.prepare(`
+      SELECT
+        wallet,
+        snipes_total,
+        snipes_success,
+        bundles_total,
+        recipients_total,
+        insider_hits,
+        rug_involved,
+        reputation_score,
+        score_breakdown,
+        last_seen_at,
+        updated_at
+      FROM wallet_reputation
+      WHERE wallet = ?
+    `).get(wallet);
+  }
+
+  getWalletTags(wallet) {
+    return this.db.prepare('SELECT tag, created_at FROM wallet_tags WHERE wallet = ? ORDER BY tag').all(wallet);
+  }
+
+  /**
+   * Token probabilities with the explainability of the latest champion prediction per target
+   */
+  getPrediction(mint) {
+    return this.db.prepare(`
+      SELECT
+        t.mint, t.symbol, t.name, t.health_score, t.liquidity_usd,
+        t.prob_2x_24h, t.prob_rug_24h, t.model_id_win, t.model_id_rug,
+        tp_win.explainability as explain_win,
+        tp_rug.explainability as explain_rug
+      FROM tokens t
+      LEFT JOIN token_predictions tp_win ON t.mint = tp_win.mint
+        AND tp_win.target = '2x_24h'
+        AND tp_win.shadow = 0
+        AND tp_win.ts = (
+          SELECT MAX(ts) FROM token_predictions tp2
+          WHERE tp2.mint = t.mint AND tp2.target = '2x_24h' AND tp2.shadow = 0
+        )
+      LEFT JOIN token_predictions tp_rug ON t.mint = tp_rug.mint
+        AND tp_rug.target = 'rug_24h'
+        AND tp_rug.shadow = 0
+        AND tp_rug.ts = (
+          SELECT MAX(ts) FROM token_predictions tp3
+          WHERE tp3.mint = t.mint AND tp3.target = 'rug_24h' AND tp3.shadow = 0
+        )
+      WHERE t.mint = ?
+    `).get(mint);
+  }
+}
+
+module.exports = TokenQueries;
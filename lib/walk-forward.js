@@ -0,0 +1,139 @@
+// lib/walk-forward.js - Time-ordered train/validation splits and hyperparameter candidates for model training
+const HOUR_MS = 60 * 60 * 1000;
+
+// Labels resolve 24h after launch, so a training token launched within 24h
+// of the validation window would see outcomes from inside it
+const DEFAULT_EMBARGO_HOURS = 24;
+
+const SEARCH_SPACES = {
+  logistic: {
+    learningRate: [0.001, 0.01, 0.1],
+    maxIterations: [300, 1000]
+  },
+  gbdt: {
+    nTrees: [50, 100, 200],
+    maxDepth: [2, 3, 4],
+    learningRate: [0.05, 0.1, 0.2],
+    minSamplesLeaf: [5, 10, 20]
+  }
+};
+
+/**
+ * Indices of training samples launched at least embargoHours before startMs
+ */
+function trainBefore(timestamps, startMs, embargoHours) {
+  const cutoff = startMs - embargoHours * HOUR_MS;
+  const indices = [];
+  timestamps.forEach((ts, i) => {
+    if (Date.parse(ts) < cutoff) indices.push(i);
+  });
+  return indices;
+}
+
+/**
+ * Expanding-window walk-forward folds. After the first minTrainFraction of
+ * samples, the rest is cut into `folds` consecutive validation blocks; each
+ * fold trains on everything launched before its block minus the embargo.
+ * @param {Array} timestamps - first_seen_at per sample, ascending
+ * @param {object} options - { folds, embargoHours, minTrainFraction }
+ * @returns {Array} { fold, train, val, trainEnd, valStart, valEnd } (index arrays)
+ */
+function walkForwardFolds(timestamps, options = {}) {
+  const folds = options.folds || 5;
+  const embargoHours = options.embargoHours ?? DEFAULT_EMBARGO_HOURS;
+  const minTrainFraction = options.minTrainFraction ?? 0.3;
+
+  const n = timestamps.length;
+  const firstVal = Math.floor(n * minTrainFraction);
+  const blockSize = Math.floor((n - firstVal) / folds);
+  if (blockSize < 1) return [];
+
+  const result = [];
+  for (let k = 0; k < folds; k++) {
+    const start = firstVal + k * blockSize;
+    const end = k === folds - 1 ? n : start + blockSize;
+    const val = Array.from({ length: end - start }, (_, i) => start + i);
+    const train = trainBefore(timestamps, Date.parse(timestamps[start]), embargoHours);
+    if (train.length === 0) continue;
+
+    result.push({
+      fold: k + 1,
+      train,
+      val,
+      trainEnd: timestamps[train[train.length - 1]],
+      valStart: timestamps[start],
+      valEnd: timestamps[end - 1]
+    });
+  }
+  return result;
+}
+
+/**
+ * Final time split: validate on the newest (1 - trainFraction), train on
+ * what was launched before it minus the embargo
+ * @param {Array} timestamps - first_seen_at per sample, ascending
+ * @param {object} options - { trainFraction, embargoHours }
+ * @returns {object} { train, val } index arrays
+ */
+function timeSplit(timestamps, options = {}) {
+  const trainFraction = options.trainFraction ?? 0.7;
+  const embargoHours = options.embargoHours ?? DEFAULT_EMBARGO_HOURS;
+  const start = Math.floor(timestamps.length * trainFraction);
+  if (start >= timestamps.length) return { train: [], val: [] };
+
+  return {
+    train: trainBefore(timestamps, Date.parse(timestamps[start]), embargoHours),
+    val: Array.from({ length: timestamps.length - start }, (_, i) => start + i)
+  };
+}
+
+/**
+ * Every combination of a search space
+ * @param {object} space - { param: [values] }
+ * @returns {Array} Parameter objects
+ */
+function gridCandidates(space) {
+  return Object.entries(space).reduce(
+    (combos, [name, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [name]: value }))),
+    [{}]
+  );
+}
+
+/**
+ * `count` distinct combinations drawn with a seeded generator, so a rerun on
+ * the same data searches the same candidates
+ * @param {object} space - { param: [values] }
+ * @param {number} count - Candidates to draw
+ * @param {number} seed - PRNG seed
+ * @returns {Array} Parameter objects
+ */
+function randomCandidates(space, count, seed = 42) {
+  const grid = gridCandidates(space);
+  if (count >= grid.length) return grid;
+
+  // mulberry32
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Partial Fisher-Yates shuffle
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (grid.length - i));
+    [grid[i], grid[j]] = [grid[j], grid[i]];
+  }
+  return grid.slice(0, count);
+}
+
+module.exports = {
+  walkForwardFolds,
+  timeSplit,
+  gridCandidates,
+  randomCandidates,
+  SEARCH_SPACES,
+  DEFAULT_EMBARGO_HOURS
+};
@@ -0,0 +1,319 @@
+// lib/wallet-clusters.js - Cross-token wallet clusters from funding_edges (connected components)
+const crypto = require('crypto');
+
+const DEFAULT_OPTIONS = {
+  windowDays: 30,            // Only funding inside this window links wallets
+  maxFanout: 100,            // Funders paying more distinct wallets are treated as hubs (exchanges, services)
+  burstSeconds: 300,         // Max gap between consecutive payouts in one common-funder burst
+  burstMinWallets: 3,        // Wallets a burst needs before its recipients are linked
+  burstAmountTolerance: 0.1, // Burst amounts must sit within this share of the burst median
+  isHub: () => false,        // Extra hub predicate
+  isService: () => false     // Known services: hubs whose payouts never link recipients, even in a burst
+};
+
+/**
+ * Funding edges from both funding_edges column sets (src_wallet/dst_wallet
+ * from the detectors, src/dst from edges-ingest), normalized
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} sinceIso - Oldest edge timestamp to load
+ * @returns {Array} { src, dst, ts, amountSol }
+ */
+function loadFundingEdges(db, sinceIso) {
+  return db.prepare(`
+    SELECT COALESCE(src, src_wallet) AS src,
+           COALESCE(dst, dst_wallet) AS dst,
+           COALESCE(ts, timestamp) AS ts,
+           COALESCE(amount_lamports / 1e9, amount_sol) AS amountSol
+    FROM funding_edges
+    WHERE COALESCE(src, src_wallet) IS NOT NULL
+      AND COALESCE(dst, dst_wallet) IS NOT NULL
+      AND COALESCE(src, src_wallet) != COALESCE(dst, dst_wallet)
+      AND COALESCE(ts, timestamp) >= ?
+    ORDER BY COALESCE(ts, timestamp) ASC
+  `).all(sinceIso);
+}
+
+class UnionFind {
+  constructor() {
+    this.parent = new Map();
+  }
+
+  find(x) {
+    if (!this.parent.has(x)) this.parent.set(x, x);
+    let root = x;
+    while (this.parent.get(root) !== root) root = this.parent.get(root);
+    while (this.parent.get(x) !== root) {
+      const next = this.parent.get(x);
+      this.parent.set(x, root);
+      x = next;
+    }
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) this.parent.set(rootB, rootA);
+  }
+}
+
+/**
+ * Recipients of one hub paid in quick succession with similar amounts, the
+ * pattern of an operator withdrawing to a batch of fresh wallets
+ * @param {Array} edges - One hub's edges, ascending by ts
+ * @returns {Array<Array<string>>} Recipient groups
+ */
+function findBursts(edges, options) {
+  const bursts = [];
+  let current = [];
+
+  const flush = () => {
+    const recipients = [...new Set(current.map(e => e.dst))];
+    if (recipients.length >= options.burstMinWallets && similarAmounts(current, options.burstAmountTolerance)) {
+      bursts.push(recipients);
+    }
+    current = [];
+  };
+
+  for (const edge of edges) {
+    const previous = current[current.length - 1];
+    if (previous && (Date.parse(edge.ts) - Date.parse(previous.ts)) / 1000 > options.burstSeconds) flush();
+    current.push(edge);
+  }
+  flush();
+
+  return bursts;
+}
+
+function similarAmounts(edges, tolerance) {
+  const amounts = edges.map(e => e.amountSol).filter(a => a > 0).sort((a, b) => a - b);
+  if (amounts.length < edges.length) return false; // Unknown amounts are not enough to link strangers
+  const median = amounts[Math.floor(amounts.length / 2)];
+  return amounts.every(a => Math.abs(a - median) <= median * tolerance);
+}
+
+/**
+ * Connected components over the funding graph. A direct transfer links
+ * sender and recipient unless the sender is a hub; a hub only links its
+ * recipients through a common-funder burst, and never joins the cluster.
+ * Known services (exchanges, bridges, routers) pay out in bursts all day, so
+ * only unknown high-fanout funders get burst linking.
+ * @param {Array} edges - loadFundingEdges() rows inside the window
+ * @param {object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Array} Clusters of 2+ wallets: { members, funders, firstFundedAt, lastFundedAt }
+ */
+function clusterWallets(edges, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const uf = new UnionFind();
+
+  const fanout = new Map();
+  for (const edge of edges) {
+    if (!fanout.has(edge.src)) fanout.set(edge.src, new Set());
+    fanout.get(edge.src).add(edge.dst);
+  }
+  const services = new Set([...fanout.keys()].filter(src => opts.isService(src)));
+  const hubs = new Set([...fanout.keys()].filter(src => services.has(src) || fanout.get(src).size > opts.maxFanout || opts.isHub(src)));
+
+  const fundedBy = new Map();  // wallet -> first non-hub funder
+  const viaBurst = new Map();  // wallet -> hub whose burst linked it
+  const hubEdges = new Map();
+
+  for (const edge of edges) {
+    if (hubs.has(edge.src)) {
+      if (services.has(edge.src)) continue;
+      if (!hubEdges.has(edge.src)) hubEdges.set(edge.src, []);
+      hubEdges.get(edge.src).push(edge);
+      continue;
+    }
+    if (hubs.has(edge.dst)) continue; // Deposits into an exchange say nothing about ownership
+    uf.union(edge.src, edge.dst);
+    if (!fundedBy.has(edge.dst)) fundedBy.set(edge.dst, edge.src);
+  }
+
+  for (const [hub, hubEdgeList] of hubEdges) {
+    for (const burst of findBursts(hubEdgeList, opts)) {
+      const recipients = burst.filter(wallet => !hubs.has(wallet));
+      for (const wallet of recipients) {
+        uf.union(recipients[0], wallet);
+        if (!viaBurst.has(wallet)) viaBurst.set(wallet, hub);
+      }
+    }
+  }
+
+  const components = new Map();
+  for (const wallet of uf.parent.keys()) {
+    const root = uf.find(wallet);
+    if (!components.has(root)) {
+      components.set(root, { wallets: [], funderCounts: new Map(), firstFundedAt: null, lastFundedAt: null });
+    }
+    components.get(root).wallets.push(wallet);
+  }
+
+  for (const edge of edges) {
+    if (hubs.has(edge.dst) || !uf.parent.has(edge.dst)) continue;
+    const component = components.get(uf.find(edge.dst));
+    component.funderCounts.set(edge.src, (component.funderCounts.get(edge.src) || 0) + 1);
+    if (!component.firstFundedAt || edge.ts < component.firstFundedAt) component.firstFundedAt = edge.ts;
+    if (!component.lastFundedAt || edge.ts > component.lastFundedAt) component.lastFundedAt = edge.ts;
+  }
+
+  const clusters = [];
+  for (const component of components.values()) {
+    if (component.wallets.length < 2) continue;
+    clusters.push({
+      members: component.wallets.sort().map(wallet => ({
+        wallet,
+        joinedVia: fundedBy.has(wallet) ? 'direct_funding' : viaBurst.has(wallet) ? 'common_funder' : 'funder',
+        fundedBy: fundedBy.get(wallet) || viaBurst.get(wallet) || null
+      })),
+      funders: [...component.funderCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10)
+        .map(([wallet, transfers]) => ({ wallet, transfers, hub: hubs.has(wallet) })),
+      firstFundedAt: component.firstFundedAt,
+      lastFundedAt: component.lastFundedAt
+    });
+  }
+
+  return clusters.sort((a, b) => b.members.length - a.members.length);
+}
+
+/**
+ * Give each cluster a stable id: the id most of its wallets carried last
+ * pass (largest cluster wins on a split), else a hash of its first wallet
+ * @param {Array} clusters - clusterWallets() result, largest first
+ * @param {Map} previous - wallet -> cluster_id from the last pass
+ */
+function assignClusterIds(clusters, previous) {
+  const used = new Set();
+  for (const cluster of clusters) {
+    const votes = new Map();
+    for (const { wallet } of cluster.members) {
+      const id = previous.get(wallet);
+      if (id && !used.has(id)) votes.set(id, (votes.get(id) || 0) + 1);
+    }
+    let clusterId = [...votes.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0]?.[0];
+
+    if (!clusterId) {
+      const hash = seed => `cl_${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 12)}`;
+      clusterId = hash(cluster.members[0].wallet);
+      if (used.has(clusterId)) clusterId = hash(cluster.members.map(m => m.wallet).join(','));
+    }
+    used.add(clusterId);
+    cluster.clusterId = clusterId;
+  }
+  return clusters;
+}
+
+/**
+ * Replace the stored clusters and recompute the tokens each one touched
+ * (held, bought, bundled, flagged as insider, or deployed)
+ * @param {object} db - better-sqlite3 handle
+ * @param {Array} clusters - assignClusterIds() result
+ * @returns {number} Cluster/token links written
+ */
+function saveClusters(db, clusters) {
+  const now = new Date().toISOString();
+  let tokenLinks = 0;
+
+  db.transaction(() => {
+    const createdAt = new Map(
+      db.prepare('SELECT cluster_id, created_at FROM wallet_clusters').all().map(r => [r.cluster_id, r.created_at])
+    );
+
+    db.exec(`
+      DELETE FROM wallet_cluster_tokens;
+      DELETE FROM wallet_cluster_members;
+      DELETE FROM wallet_clusters;
+    `);
+
+    const insertCluster = db.prepare(`
+      INSERT INTO wallet_clusters (cluster_id, size, funders, first_funded_at, last_funded_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertMember = db.prepare(`
+      INSERT INTO wallet_cluster_members (wallet, cluster_id, joined_via, funded_by, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    for (const cluster of clusters) {
+      insertCluster.run(
+        cluster.clusterId,
+        cluster.members.length,
+        JSON.stringify(cluster.funders),
+        cluster.firstFundedAt,
+        cluster.lastFundedAt,
+        createdAt.get(cluster.clusterId) || now,
+        now
+      );
+      for (const member of cluster.members) {
+        insertMember.run(member.wallet, cluster.clusterId, member.joinedVia, member.fundedBy, now);
+      }
+    }
+
+    tokenLinks = db.prepare(`
+      INSERT INTO wallet_cluster_tokens (cluster_id, mint, wallets, roles, first_activity_at, updated_at)
+      SELECT m.cluster_id, a.mint, COUNT(DISTINCT a.wallet), GROUP_CONCAT(DISTINCT a.role), MIN(a.ts), ?
+      FROM wallet_cluster_members m
+      JOIN (
+        SELECT owner AS wallet, mint, 'holder' AS role, first_seen_at AS ts FROM holders
+        UNION ALL SELECT wallet, mint, 'buyer', ts FROM buy_events
+        UNION ALL SELECT bundler, mint, 'bundler', ts FROM bundle_events
+        UNION ALL SELECT recipient, mint, 'bundled', ts FROM bundle_events
+        UNION ALL SELECT wallet, mint, 'insider', ts FROM insider_events
+        UNION ALL SELECT dev_wallet, mint, 'dev', first_seen_at FROM tokens WHERE dev_wallet IS NOT NULL
+      ) a ON a.wallet = m.wallet
+      GROUP BY m.cluster_id, a.mint
+    `).run(now).changes;
+
+    db.exec(`
+      UPDATE wallet_clusters
+      SET token_count = (SELECT COUNT(*) FROM wallet_cluster_tokens t WHERE t.cluster_id = wallet_clusters.cluster_id)
+    `);
+  })();
+
+  return tokenLinks;
+}
+
+/**
+ * Cluster for a wallet (or a cluster id), with members and tokens touched
+ * @param {object} db - better-sqlite3 handle
+ * @param {string} walletOrClusterId - Wallet address or cl_ id
+ * @returns {object|null} { cluster, members, tokens }
+ */
+function getWalletCluster(db, walletOrClusterId) {
+  const clusterId = walletOrClusterId.startsWith('cl_')
+    ? walletOrClusterId
+    : db.prepare('SELECT cluster_id FROM wallet_cluster_members WHERE wallet = ?').get(walletOrClusterId)?.cluster_id;
+  if (!clusterId) return null;
+
+  const cluster = db.prepare('SELECT * FROM wallet_clusters WHERE cluster_id = ?').get(clusterId);
+  if (!cluster) return null;
+
+  return {
+    cluster: { ...cluster, funders: JSON.parse(cluster.funders || '[]') },
+    members: db.prepare(`
+      SELECT m.wallet, m.joined_via, m.funded_by,
+             (SELECT COUNT(DISTINCT t.mint) FROM holders t WHERE t.owner = m.wallet) AS tokens_held
+      FROM wallet_cluster_members m
+      WHERE m.cluster_id = ?
+      ORDER BY m.joined_via, m.wallet
+    `).all(clusterId),
+    tokens: db.prepare(`
+      SELECT ct.mint, t.symbol, ct.wallets, ct.roles, ct.first_activity_at, t.rug_risk_score
+      FROM wallet_cluster_tokens ct
+      LEFT JOIN tokens t ON t.mint = ct.mint
+      WHERE ct.cluster_id = ?
+      ORDER BY ct.first_activity_at DESC
+    `).all(clusterId)
+  };
+}
+
+module.exports = {
+  loadFundingEdges,
+  clusterWallets,
+  assignClusterIds,
+  saveClusters,
+  getWalletCluster,
+  DEFAULT_OPTIONS
+};
@@ -0,0 +1,243 @@
+// lib/webhook-auth.js - Webhook HMAC verification, rotating secrets, replay cache and rejection metrics
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+const STATIC_SECRET_HEADER = 'x-webhook-secret';
+
+const REJECTIONS = {
+  not_configured: { status: 503, error: 'Webhook secret not configured' },
+  missing_signature: { status: 401, error: 'Missing webhook signature' },
+  missing_timestamp: { status: 401, error: 'Missing or invalid webhook timestamp' },
+  stale_timestamp: { status: 401, error: 'Webhook timestamp outside tolerance window' },
+  invalid_signature: { status: 401, error: 'Invalid webhook signature' },
+  invalid_secret: { status: 401, error: 'Invalid webhook secret' },
+  replay: { status: 409, error: 'Replayed webhook delivery' }
+};
+
+/**
+ * Parse WEBHOOK_SECRETS (comma-separated, newest first) falling back to WEBHOOK_SECRET
+ * @returns {Array} Secrets
+ */
+function parseSecrets(spec = process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '') {
+  return spec.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<raw body>"
+ * @param {string} secret - Shared secret
+ * @param {number|string} timestamp - Unix seconds (sent as x-webhook-timestamp)
+ * @param {Buffer|string} rawBody - Exact request body
+ * @returns {string} Header value for x-webhook-signature ("sha256=<hex>")
+ */
+function signPayload(secret, timestamp, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Transaction signatures in a webhook body. Helius enhanced webhooks post
+ * an array of transactions; single-event senders post one object.
+ */
+function extractTxSignatures(body) {
+  const items = Array.isArray(body) ? body : [body];
+  return items
+    .map(txSignature)
+    .filter(Boolean);
+}
+
+function txSignature(item) {
+  const sig = item && (item.signature || item.tx);
+  return typeof sig === 'string' && sig.length > 0 ? sig : null;
+}
+
+/**
+ * A webhook body without the transactions whose signatures are listed
+ * @param {object|Array} body - Parsed webhook body
+ * @param {Array} signatures - Transaction signatures to drop
+ * @returns {object|Array} Filtered body (an array stays an array)
+ */
+function withoutTransactions(body, signatures) {
+  if (signatures.length === 0 || !Array.isArray(body)) return body;
+  const drop = new Set(signatures);
+  return body.filter(item => !drop.has(txSignature(item)));
+}
+
+class WebhookVerifier {
+  /**
+   * @param {object} options - { secrets, toleranceSec, allowStaticSecret, replayTtlSec, maxReplayEntries }
+   */
+  constructor(options = {}) {
+    this.secrets = options.secrets || parseSecrets();
+    this.toleranceSec = options.toleranceSec ?? parseInt(process.env.WEBHOOK_TOLERANCE_SEC || '300', 10);
+    // Helius can only send a fixed auth header, so plain secrets stay available behind a flag
+    this.allowStaticSecret = options.allowStaticSecret ?? process.env.WEBHOOK_ALLOW_STATIC_SECRET === 'true';
+    // Signed deliveries older than the tolerance window are rejected anyway,
+    // so the cache only has to outlive it
+    this.replayTtlMs = (options.replayTtlSec ?? Math.max(this.toleranceSec * 2, 600)) * 1000;
+    this.maxReplayEntries = options.maxReplayEntries || 50000;
+    this.replayCache = new Map();
+
+    this.metrics = {
+      accepted: 0,
+      accepted_by: { hmac: 0, static_secret: 0 },
+      rejected: 0,
+      rejected_by: Object.fromEntries(Object.keys(REJECTIONS).map(reason => [reason, 0])),
+      secret_matches: this.secrets.map(() => 0),
+      duplicate_transactions: 0,
+      last_rejection: null
+    };
+  }
+
+  /**
+   * Verify a webhook request. Requires req.rawBody (see express.json verify).
+   * The returned replayKeys are reserved right away, so a concurrent re-send
+   * is already caught; call remember() once the delivery is stored and
+   * release() when it is not. Transactions seen before are dropped from
+   * `body`, and only a delivery with nothing new is rejected as a replay.
+   * @param {object} req - Express request
+   * @returns {object} { ok, method, replayKeys, body, duplicates } or { ok: false, status, reason, error }
+   */
+  verify(req) {
+    if (this.secrets.length === 0) {
+      return this.reject(req, 'not_configured');
+    }
+
+    const signatureHeader = req.headers[SIGNATURE_HEADER];
+    let method;
+    let secretIndex;
+    let replayKeys = extractTxSignatures(req.body);
+
+    if (signatureHeader) {
+      const timestamp = Number(req.headers[TIMESTAMP_HEADER]);
+      if (!Number.isInteger(timestamp)) {
+        return this.reject(req, 'missing_timestamp');
+      }
+      if (Math.abs(Date.now() / 1000 - timestamp) > this.toleranceSec) {
+        return this.reject(req, 'stale_timestamp');
+      }
+
+      // Senders may attach one signature per active secret during rotation
+      const provided = String(signatureHeader).split(',').map(s => s.trim());
+      const rawBody = req.rawBody || Buffer.alloc(0);
+      secretIndex = this.secrets.findIndex(secret => {
+        const expected = signPayload(secret, timestamp, rawBody);
+        return provided.some(sig => safeEqual(sig, expected));
+      });
+      if (secretIndex === -1) {
+        return this.reject(req, 'invalid_signature');
+      }
+
+      method = 'hmac';
+      if (replayKeys.length === 0) {
+        replayKeys = provided.map(sig => `hmac:${sig}`);
+      }
+    } else if (this.allowStaticSecret) {
+      const auth = req.headers['authorization'] || '';
+      const providedSecret = req.headers[STATIC_SECRET_HEADER] || (auth.startsWith('Bearer ') ? auth.slice(7) : auth);
+      if (!providedSecret) {
+        return this.reject(req, 'missing_signature');
+      }
+      secretIndex = this.secrets.findIndex(secret => safeEqual(secret, providedSecret));
+      if (secretIndex === -1) {
+        return this.reject(req, 'invalid_secret');
+      }
+
+      method = 'static_secret';
+    } else {
+      return this.reject(req, 'missing_signature');
+    }
+
+    this.pruneReplayCache();
+    const duplicates = [...new Set(replayKeys.filter(key => this.replayCache.has(key)))];
+    if (replayKeys.length > 0 && duplicates.length === new Set(replayKeys).size) {
+      return this.reject(req, 'replay');
+    }
+    replayKeys = replayKeys.filter(key => !duplicates.includes(key));
+    this.remember(replayKeys);
+
+    this.metrics.accepted++;
+    this.metrics.accepted_by[method]++;
+    this.metrics.secret_matches[secretIndex]++;
+    this.metrics.duplicate_transactions += duplicates.length;
+    return { ok: true, method, replayKeys, body: withoutTransactions(req.body, duplicates), duplicates };
+  }
+
+  /**
+   * Record accepted deliveries so re-sends are rejected as replays. The
+   * replay window restarts, so it counts from when the delivery was stored.
+   * @param {Array} keys - replayKeys from verify()
+   */
+  remember(keys) {
+    const expiresAt = Date.now() + this.replayTtlMs;
+    for (const key of keys) {
+      this.replayCache.delete(key);
+      this.replayCache.set(key, expiresAt);
+    }
+
+    // Map keeps insertion order, so the oldest entries go first
+    while (this.replayCache.size > this.maxReplayEntries) {
+      this.replayCache.delete(this.replayCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop the reservation for a delivery that was not stored, so the sender's
+   * retry is accepted
+   * @param {Array} keys - replayKeys from verify()
+   */
+  release(keys) {
+    for (const key of keys) {
+      this.replayCache.delete(key);
+    }
+  }
+
+  pruneReplayCache() {
+    const now = Date.now();
+    for (const [key, expiresAt] of this.replayCache) {
+      if (expiresAt > now) break;
+      this.replayCache.delete(key);
+    }
+  }
+
+  reject(req, reason) {
+    this.metrics.rejected++;
+    this.metrics.rejected_by[reason]++;
+    this.metrics.last_rejection = { reason, ip: req.ip, at: new Date().toISOString() };
+    return { ok: false, reason, ...REJECTIONS[reason] };
+  }
+
+  /**
+   * @returns {object} Counters for /stats
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      accepted_by: { ...this.metrics.accepted_by },
+      rejected_by: { ...this.metrics.rejected_by },
+      secret_matches: [...this.metrics.secret_matches],
+      secrets_configured: this.secrets.length,
+      static_secret_allowed: this.allowStaticSecret,
+      tolerance_sec: this.toleranceSec,
+      replay_cache_size: this.replayCache.size
+    };
+  }
+}
+
+module.exports = {
+  WebhookVerifier,
+  signPayload,
+  parseSecrets,
+  extractTxSignatures,
+  withoutTransactions,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER
+};
@@ -0,0 +1,298 @@
+// public/dashboard/app.js - Candidates dashboard over /api/v1 and the live stream
+(function () {
+  const REFRESH_MS = 30000;
+  const STREAM_DEBOUNCE_MS = 2000;
+  const FEED_SIZE = 50;
+  const KEY_STORAGE = 'dashboardApiKey';
+
+  const state = {
+    apiKey: new URLSearchParams(location.search).get('api_key') || localStorage.getItem(KEY_STORAGE) || '',
+    selectedMint: null,
+    stream: null,
+    refreshTimer: null,
+    debounceTimer: null
+  };
+
+  const $ = id => document.getElementById(id);
+
+  function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    }[c]));
+  }
+
+  // Same bands as HEALTH_SCORE_BANDS in lib/visual-encoding.js
+  function healthBand(score) {
+    if (score >= 80) return 'excellent';
+    if (score >= 60) return 'good';
+    if (score >= 40) return 'fair';
+    return 'poor';
+  }
+
+  // Same bands as riskBand() in lib/live-stream.js
+  function riskBand(score) {
+    if (score >= 60) return 'high';
+    if (score >= 30) return 'medium';
+    return 'low';
+  }
+
+  function pct(value) {
+    return value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}`;
+  }
+
+  function usd(value) {
+    if (value === null || value === undefined) return '–';
+    return value >= 1000 ? `$${(value / 1000).toFixed(1)}k` : `$${value.toFixed(0)}`;
+  }
+
+  function setStatus(text) {
+    $('status').textContent = text;
+  }
+
+  class AuthError extends Error {}
+
+  async function api(path) {
+    const res = await fetch(`/api/v1${path}`, { headers: { 'x-api-key': state.apiKey } });
+    if (res.status === 401 || res.status === 503) {
+      const body = await res.json().catch(() => ({}));
+      throw new AuthError(body.error || `HTTP ${res.status}`);
+    }
+    if (!res.ok) {
+      throw new Error(`${path}: HTTP ${res.status}`);
+    }
+    return res.json();
+  }
+
+  function showKeyForm(message) {
+    if (state.stream) state.stream.close();
+    clearInterval(state.refreshTimer);
+    $('app').hidden = true;
+    $('key-form').hidden = false;
+    $('key-error').textContent = message || '';
+    setStatus('not connected');
+  }
+
+  // --- Candidates ---
+
+  async function loadCandidates() {
+    const params = new URLSearchParams({ limit: '50' });
+    if ($('min-health').value !== '') params.set('min_health', $('min-health').value);
+    if ($('min-liquidity').value !== '') params.set('min_liquidity', $('min-liquidity').value);
+
+    const { data } = await api(`/candidates?${params}`);
+    renderCandidates(data);
+  }
+
+  function renderCandidates(candidates) {
+    $('candidates-empty').hidden = candidates.length > 0;
+    $('candidate-rows').innerHTML = candidates.map(c => {
+      const delta = parseFloat(c.sparklines.healthDelta);
+      return `
+        <tr data-mint="${escapeHtml(c.mint)}" class="${c.mint === state.selectedMint ? 'selected' : ''}">
+          <td>${c.rank}</td>
+          <td>
+            <strong>${escapeHtml(c.symbol || '???')}</strong>
+            <span class="muted mono">${escapeHtml(c.mint.slice(0, 6))}…</span>
+            ${c.explainability ? `<span class="why">${escapeHtml(c.explainability)}</span>` : ''}
+          </td>
+          <td class="health ${healthBand(c.health_score)}">${c.health_score.toFixed(1)}</td>
+          <td class="${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}">${c.sparklines.healthTrend}${c.sparklines.healthDelta}</td>
+          <td>${pct(c.fresh_pct)}</td>
+          <td>${pct(c.sniper_pct)}</td>
+          <td>${pct(c.insider_pct)}</td>
+          <td>${usd(c.liquidity_usd)}</td>
+          <td>${c.holders_count}</td>
+          <td>${c.prob_2x_24h ? `${(c.prob_2x_24h * 100).toFixed(0)}%` : '–'}</td>
+          <td>${c.prob_rug_24h ? `${(c.prob_rug_24h * 100).toFixed(0)}%` : '–'}</td>
+          <td>${(c.diversityScore * 100).toFixed(0)}%</td>
+        </tr>`;
+    }).join('');
+  }
+
+  // --- Token detail ---
+
+  async function loadDetail(mint) {
+    const enc = encodeURIComponent(mint);
+    const [token, scores, prices, holders, rug] = await Promise.all([
+      api(`/tokens/${enc}`),
+      api(`/tokens/${enc}/score-history?limit=200`),
+      api(`/tokens/${enc}/prices?limit=200`),
+      api(`/tokens/${enc}/holders-history?limit=200`),
+      api(`/tokens/${enc}/rug-risk`)
+    ]);
+    if (mint !== state.selectedMint) return;
+
+    $('detail').hidden = false;
+    $('detail-title').textContent = `${token.data.symbol || '???'} ${token.data.name ? `— ${token.data.name}` : ''}`;
+    $('detail-mint').textContent = mint;
+
+    // History endpoints are newest first
+    lineChart($('chart-score'), scores.data.map(r => [r.snapshot_time, r.health_score]).reverse(), '#3B82F6', v => v.toFixed(0), [0, 100]);
+    lineChart($('chart-price'), prices.data.map(r => [r.timestamp, r.price_usd]).reverse(), '#10B981', v => v.toPrecision(3));
+    lineChart($('chart-holders'), holders.data.map(r => [r.snapshot_time, r.holders_count]).reverse(), '#8B5CF6', v => v.toFixed(0));
+    renderWalletClasses(token.data.wallet_classes);
+    renderRugRisk(rug.data);
+  }
+
+  function renderWalletClasses(walletClasses) {
+    const present = walletClasses.classes.filter(c => c.count > 0);
+    $('wallet-bar').innerHTML = present.map(c =>
+      `<span title="${c.name} ${c.count}" style="width:${(c.pct * 100).toFixed(2)}%;background:${c.color}"></span>`
+    ).join('');
+    $('wallet-legend').innerHTML = present.length > 0
+      ? present.map(c => `<li>${c.icon} ${c.name} ${c.count} <span class="muted">(${(c.pct * 100).toFixed(1)}%)</span></li>`).join('')
+      : '<li class="muted">No classified holders yet</li>';
+  }
+
+  function renderRugRisk(rug) {
+    const score = rug.rug_risk_score;
+    const badge = $('rug-score');
+    badge.textContent = score === null ? 'n/a' : `${score.toFixed(0)}/100`;
+    badge.className = `badge ${score === null ? '' : riskBand(score)}`;
+
+    // Component maxima after weighting in EnhancedRugRiskScorerWorker
+    const components = [
+      ['LP safety', 'lp_safety', 36],
+      ['Authorities', 'authorities', 4],
+      ['Drains', 'drains', 3],
+      ['Concentration', 'concentration', 1]
+    ];
+    const breakdown = rug.rug_breakdown || {};
+    $('rug-breakdown').innerHTML = components.map(([label, key, max]) => {
+      const value = breakdown[key] ?? 0;
+      return `
+        <div class="breakdown-row">
+          <span class="label">${label}</span>
+          <span class="bar"><span style="width:${Math.min(100, (value / max) * 100)}%"></span></span>
+          <span class="value">${value}</span>
+        </div>`;
+    }).join('');
+
+    $('rug-flags').innerHTML = rug.rug_flags.map(flag => `<li>${escapeHtml(flag)}</li>`).join('');
+    lineChart($('chart-rug'), rug.history.map(r => [r.timestamp, r.rug_risk_score]).reverse(), '#EF4444', v => v.toFixed(0), [0, 100]);
+  }
+
+  /**
+   * Minimal SVG line chart
+   * @param {HTMLElement} el - Container
+   * @param {Array} points - [isoTime, value] oldest first
+   * @param {string} color - Stroke color
+   * @param {Function} format - Axis label formatter
+   * @param {Array} range - Optional fixed [min, max]
+   */
+  function lineChart(el, points, color, format, range = null) {
+    const series = points
+      .map(([t, v]) => [Date.parse(t), v])
+      .filter(([t, v]) => Number.isFinite(t) && v !== null && v !== undefined);
+    if (series.length < 2) {
+      el.innerHTML = '<div class="empty">Not enough data</div>';
+      return;
+    }
+
+    const width = 300;
+    const height = 100;
+    const pad = 4;
+    const times = series.map(p => p[0]);
+    const values = series.map(p => p[1]);
+    const [minT, maxT] = [Math.min(...times), Math.max(...times)];
+    let [minV, maxV] = range || [Math.min(...values), Math.max(...values)];
+    if (minV === maxV) {
+      minV -= 1;
+      maxV += 1;
+    }
+
+    const x = t => pad + ((t - minT) / (maxT - minT || 1)) * (width - 2 * pad);
+    const y = v => height - pad - ((v - minV) / (maxV - minV)) * (height - 2 * pad);
+    const path = series.map(([t, v], i) => `${i === 0 ? 'M' : 'L'}${x(t).toFixed(1)},${y(v).toFixed(1)}`).join(' ');
+    const last = values[values.length - 1];
+
+    el.innerHTML = `
+      <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+        <path d="${path}" fill="none" stroke="${color}" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+      </svg>
+      <div class="muted">${format(minV)} – ${format(maxV)} · last ${format(last)} · ${new Date(maxT).toLocaleTimeString()}</div>`;
+  }
+
+  // --- Refresh and live stream ---
+
+  async function refresh() {
+    try {
+      await loadCandidates();
+      if (state.selectedMint) await loadDetail(state.selectedMint);
+      setStatus(`updated ${new Date().toLocaleTimeString()}`);
+    } catch (error) {
+      if (error instanceof AuthError) return showKeyForm(error.message);
+      setStatus(`refresh failed: ${error.message}`);
+    }
+  }
+
+  function scheduleRefresh() {
+    clearTimeout(state.debounceTimer);
+    state.debounceTimer = setTimeout(refresh, STREAM_DEBOUNCE_MS);
+  }
+
+  function describeEvent(event) {
+    const d = event.data;
+    switch (event.type) {
+      case 'token': return `new token ${d.symbol || event.mint.slice(0, 6)}`;
+      case 'score': return `${d.symbol || event.mint.slice(0, 6)} health ${d.previous_health ?? '–'} → ${d.health_score}`;
+      case 'rug_risk': return `${d.symbol || event.mint.slice(0, 6)} rug risk ${d.from_band || '–'} → ${d.to_band}`;
+      case 'alert': return `${d.symbol || event.mint.slice(0, 6)} ${d.alert_type}: ${d.message}`;
+      default: return event.type;
+    }
+  }
+
+  function connectStream() {
+    if (state.stream) state.stream.close();
+    state.stream = new EventSource(`/api/v1/stream?api_key=${encodeURIComponent(state.apiKey)}`);
+
+    for (const type of ['token', 'score', 'rug_risk', 'alert']) {
+      state.stream.addEventListener(type, message => {
+        const event = JSON.parse(message.data);
+        const item = document.createElement('li');
+        item.innerHTML = `<span class="type">${event.type}</span>${escapeHtml(describeEvent(event))}
+          <div class="muted">${new Date(event.ts).toLocaleTimeString()}</div>`;
+        item.addEventListener('click', () => selectToken(event.mint));
+        $('feed').prepend(item);
+        while ($('feed').children.length > FEED_SIZE) $('feed').lastChild.remove();
+        scheduleRefresh();
+      });
+    }
+  }
+
+  function selectToken(mint) {
+    state.selectedMint = mint;
+    for (const row of $('candidate-rows').children) {
+      row.classList.toggle('selected', row.dataset.mint === mint);
+    }
+    loadDetail(mint).catch(error => setStatus(`failed to load ${mint.slice(0, 6)}…: ${error.message}`));
+  }
+
+  function start() {
+    $('key-form').hidden = true;
+    $('app').hidden = false;
+    refresh();
+    connectStream();
+    clearInterval(state.refreshTimer);
+    state.refreshTimer = setInterval(refresh, REFRESH_MS);
+  }
+
+  $('candidate-rows').addEventListener('click', event => {
+    const row = event.target.closest('tr');
+    if (row) selectToken(row.dataset.mint);
+  });
+  $('min-health').addEventListener('change', refresh);
+  $('min-liquidity').addEventListener('change', refresh);
+  $('key-form').addEventListener('submit', event => {
+    event.preventDefault();
+    state.apiKey = $('api-key').value.trim();
+    localStorage.setItem(KEY_STORAGE, state.apiKey);
+    start();
+  });
+
+  if (state.apiKey) {
+    start();
+  } else {
+    showKeyForm();
+  }
+})();
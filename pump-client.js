@@ -3,7 +3,9 @@ const WebSocket = require('ws');
 const fetch = require('node-fetch');
 
 const WEBHOOK_URL = process.env.WEBHOOK_URL || 'http://localhost:3000/webhook';
-const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'your-secret-key-here';
+const { signPayload, parseSecrets } = require('./lib/webhook-auth');
+// Sign with the newest secret (first in WEBHOOK_SECRETS)
+const WEBHOOK_SECRET = parseSecrets()[0];
 
 let ws;
 let reconnectAttempts = 0;
@@ -98,20 +100,23 @@ function connect() {
           signature
         };
 
-        // Forward to webhook
+        // Forward to webhook, HMAC-signed over the exact body we send
+        const body = JSON.stringify(webhookData);
+        const timestamp = Math.floor(Date.now() / 1000);
         const res = await fetch(WEBHOOK_URL, {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
-            'x-webhook-secret': WEBHOOK_SECRET
+            'x-webhook-timestamp': String(timestamp),
+            'x-webhook-signature': signPayload(WEBHOOK_SECRET || '', timestamp, body)
           },
-          body: JSON.stringify(webhookData)
+          body
         });
 
         const result = await res.json();
         log('info', 'webhook_forwarded', { 
           status: res.status, 
-          stored: result.stored,
+          queued: result.queued,
           mint: mint.substring(0, 8) + '...'
         });
         
@@ -179,4 +184,7 @@ process.on('SIGINT', () => {
 });
 
 // Start connection
+if (!WEBHOOK_SECRET) {
+  log('warn', 'no_webhook_secret', { hint: 'Set WEBHOOK_SECRETS or WEBHOOK_SECRET; the webhook server rejects unsigned events' });
+}
 connect();
@@ -5,6 +5,9 @@ const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
 const WEBHOOK_URL = process.argv[2];
 const WEBHOOK_TYPE = process.argv[3] || 'enhanced'; // enhanced or raw
 const TRANSACTION_TYPES = process.argv[4] || 'TOKEN_MINT,SWAP'; // Comma-separated types
+// Helius sends a fixed auth header rather than an HMAC signature; the
+// webhook server accepts it only with WEBHOOK_ALLOW_STATIC_SECRET=true
+const WEBHOOK_SECRET = (process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '').split(',')[0].trim();
 
 if (!HELIUS_API_KEY) {
     console.log('❌ HELIUS_API_KEY environment variable is required');
@@ -12,6 +15,11 @@ if (!HELIUS_API_KEY) {
     process.exit(1);
 }
 
+if (!WEBHOOK_SECRET) {
+    console.log('❌ WEBHOOK_SECRETS (or WEBHOOK_SECRET) environment variable is required');
+    process.exit(1);
+}
+
 if (!WEBHOOK_URL) {
     console.log('❌ Please provide a webhook URL');
     console.log('Usage: node setup-helius-webhook.js <WEBHOOK_URL> [TYPE] [TRANSACTION_TYPES]');
@@ -27,7 +35,7 @@ const webhookData = {
     webhookURL: WEBHOOK_URL,
     webhookType: WEBHOOK_TYPE,
     transactionTypes: transactionTypes,
-    authHeader: 'x-webhook-secret: your-secret-key-here',
+    authHeader: `Bearer ${WEBHOOK_SECRET}`,
     accountAddresses: []
 };
 
@@ -49,6 +57,7 @@ console.log(`📡 Webhook URL: ${WEBHOOK_URL}`);
 console.log(`🔑 API Key: ${HELIUS_API_KEY.substring(0, 8)}...`);
 console.log(`📋 Webhook Type: ${WEBHOOK_TYPE}`);
 console.log(`🎯 Transaction Types: ${transactionTypes.join(', ')}`);
+console.log('🔐 Auth: Authorization header with the current webhook secret (run the server with WEBHOOK_ALLOW_STATIC_SECRET=true)');
 
 const req = https.request(options, (res) => {
     let data = '';
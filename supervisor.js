@@ -0,0 +1,59 @@
+// supervisor.js - Single entrypoint that runs the worker pipeline from config/pipeline.json
+require('dotenv').config();
+const http = require('http');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { Supervisor } = require('./lib/supervisor');
+const { assertSchemaCurrent } = require('./db/migrator');
+
+const configPath = path.resolve(process.argv[2] || process.env.SUPERVISOR_CONFIG || 'config/pipeline.json');
+const STATUS_PORT = process.env.SUPERVISOR_PORT ? parseInt(process.env.SUPERVISOR_PORT) : null;
+
+let supervisor;
+try {
+  supervisor = new Supervisor(Supervisor.loadConfig(configPath));
+} catch (error) {
+  console.error(`❌ Invalid pipeline config ${configPath}: ${error.message}`);
+  process.exit(1);
+}
+
+// Fail fast instead of letting every worker crash-loop on a stale schema
+try {
+  const db = new Database('db/agent.db');
+  assertSchemaCurrent(db, 'supervisor');
+  db.close();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+supervisor.start();
+
+// Optional status endpoint: GET /status
+let statusServer = null;
+if (STATUS_PORT) {
+  statusServer = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url === '/status') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ ok: true, workers: supervisor.getStatus() }));
+    }
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: false, error: 'Not found' }));
+  });
+  statusServer.listen(STATUS_PORT, '127.0.0.1', () => {
+    console.log(`📡 Supervisor status on http://127.0.0.1:${STATUS_PORT}/status`);
+  });
+}
+
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`\n🛑 Received ${signal}, stopping workers...`);
+  if (statusServer) statusServer.close();
+  await supervisor.stop();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
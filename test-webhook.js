@@ -1,7 +1,18 @@
 const http = require('http');
+const { signPayload, parseSecrets } = require('./lib/webhook-auth');
 
 const BASE_URL = 'http://localhost:3000';
-const SHARED_SECRET = 'your-secret-key-here';
+// Must match the server's WEBHOOK_SECRETS / WEBHOOK_SECRET
+const SHARED_SECRET = parseSecrets()[0] || 'your-secret-key-here';
+
+// HMAC headers for a JSON body (timestampOffset shifts the signed timestamp)
+function signedHeaders(data, secret = SHARED_SECRET, timestampOffset = 0) {
+    const timestamp = Math.floor(Date.now() / 1000) + timestampOffset;
+    return {
+        'x-webhook-timestamp': String(timestamp),
+        'x-webhook-signature': signPayload(secret, timestamp, JSON.stringify(data))
+    };
+}
 
 // Helper function to make HTTP requests
 function makeRequest(method, path, data = null, headers = {}) {
@@ -56,8 +67,8 @@ async function runTests() {
             return;
         }
 
-        // Test 2: Webhook with valid secret
-        console.log('2️⃣ Testing POST /webhook with valid secret...');
+        // Test 2: Webhook with valid signature
+        console.log('2️⃣ Testing POST /webhook with valid signature...');
         const validEvent = {
             type: 'new_token',
             token_address: 'So11111111111111111111111111111111111111112',
@@ -67,33 +78,42 @@ async function runTests() {
             mint_authority: '9WzDXwBbmkg8ZTbNMqUxvQRAyrZzDsGYdLVL9zYtAWWM'
         };
 
-        const webhookResponse = await makeRequest('POST', '/webhook', validEvent, {
-            'x-webhook-secret': SHARED_SECRET
-        });
+        const validHeaders = signedHeaders(validEvent);
+        const webhookResponse = await makeRequest('POST', '/webhook', validEvent, validHeaders);
         
         console.log(`   Status: ${webhookResponse.status}`);
         console.log(`   Response:`, webhookResponse.data);
         
-        if (webhookResponse.data.ok === true && webhookResponse.data.stored === true) {
+        if (webhookResponse.data.ok === true && webhookResponse.data.queued === true) {
             console.log('   ✅ Valid webhook request passed\n');
         } else {
             console.log('   ❌ Valid webhook request failed\n');
             return;
         }
 
-        // Test 3: Webhook with invalid secret
-        console.log('3️⃣ Testing POST /webhook with invalid secret...');
-        const invalidResponse = await makeRequest('POST', '/webhook', validEvent, {
-            'x-webhook-secret': 'wrong-secret'
-        });
+        // Test 3: Webhook signed with the wrong secret
+        console.log('3️⃣ Testing POST /webhook with invalid signature...');
+        const invalidResponse = await makeRequest('POST', '/webhook', validEvent, signedHeaders(validEvent, 'wrong-secret'));
         
         console.log(`   Status: ${invalidResponse.status}`);
         console.log(`   Response:`, invalidResponse.data);
         
         if (invalidResponse.status === 401) {
-            console.log('   ✅ Invalid secret correctly rejected\n');
+            console.log('   ✅ Invalid signature correctly rejected\n');
+        } else {
+            console.log('   ❌ Invalid signature not properly rejected\n');
+        }
+
+        // Test 3b: Stale timestamp and replayed delivery
+        console.log('3️⃣b Testing stale timestamp and replay protection...');
+        const staleResponse = await makeRequest('POST', '/webhook', validEvent, signedHeaders(validEvent, SHARED_SECRET, -3600));
+        const replayResponse = await makeRequest('POST', '/webhook', validEvent, validHeaders);
+        console.log(`   Stale: Status ${staleResponse.status}, Replay: Status ${replayResponse.status}`);
+
+        if (staleResponse.status === 401 && replayResponse.status === 409) {
+            console.log('   ✅ Stale and replayed deliveries rejected\n');
         } else {
-            console.log('   ❌ Invalid secret not properly rejected\n');
+            console.log('   ❌ Stale or replayed delivery not rejected\n');
         }
 
         // Test 4: Multiple events
@@ -114,12 +134,16 @@ async function runTests() {
         ];
 
         for (let i = 0; i < events.length; i++) {
-            const response = await makeRequest('POST', '/webhook', events[i], {
-                'x-webhook-secret': SHARED_SECRET
-            });
-            console.log(`   Event ${i + 1}: Status ${response.status}, Stored: ${response.data.stored}`);
+            const response = await makeRequest('POST', '/webhook', events[i], signedHeaders(events[i]));
+            console.log(`   Event ${i + 1}: Status ${response.status}, Queued: ${response.data.queued}`);
         }
 
+        // Test 5: Rejection metrics
+        console.log('\n5️⃣ Testing GET /stats webhook_auth metrics...');
+        const statsResponse = await makeRequest('GET', '/stats');
+        console.log(`   Status: ${statsResponse.status}`);
+        console.log('   webhook_auth:', statsResponse.data.webhook_auth);
+
         console.log('\n🎉 All tests completed!');
         console.log('\n📄 Check data/intake/new_tokens.jsonl to see the stored events.');
 
@@ -0,0 +1,200 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDb, startServer, sendJson } = require('./helpers');
+const {
+  AlertDelivery,
+  DiscordChannel,
+  TelegramChannel,
+  SlackChannel,
+  HttpChannel,
+  parseRetryAfter
+} = require('../lib/alert-delivery');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+
+function insertAlert(db, overrides = {}) {
+  const alert = {
+    mint: MINT,
+    alert_type: 'launch',
+    alert_level: 'high',
+    message: '🚀 TEST (So11…1112) launched',
+    triggered_at: new Date().toISOString(),
+    metadata: JSON.stringify({ health_score: 82 }),
+    ...overrides
+  };
+  alert.id = db.prepare(`
+    INSERT INTO alerts (mint, alert_type, alert_level, message, triggered_at, metadata)
+    VALUES (@mint, @alert_type, @alert_level, @message, @triggered_at, @metadata)
+  `).run(alert).lastInsertRowid;
+  return alert;
+}
+
+/**
+ * Stand-in endpoint answering with the next status in `statuses` (the last
+ * one repeats)
+ */
+async function startEndpoint(t, statuses, headers = {}) {
+  const endpoint = await startServer((req, res, body, count) => {
+    const status = statuses[Math.min(count, statuses.length) - 1];
+    sendJson(res, status, status < 300 ? { ok: true } : { error: `status ${status}` }, status === 429 ? headers : {});
+  });
+  t.after(() => endpoint.close());
+  return endpoint;
+}
+
+function setup(t, channels) {
+  const testDb = createTestDb();
+  const delivery = new AlertDelivery({ dbPath: testDb.dbPath, channels, maxAttempts: 4, backoffMs: 5 });
+  t.after(() => {
+    delivery.db.close();
+    testDb.cleanup();
+  });
+  return { db: testDb.db, delivery };
+}
+
+test('channel payloads', async t => {
+  const endpoint = await startEndpoint(t, [200]);
+  const { db } = setup(t, {});
+  const alert = insertAlert(db);
+
+  await new DiscordChannel(`${endpoint.url}/discord`).send(alert);
+  await new TelegramChannel('123:abc', '-10042', endpoint.url).send(alert);
+  await new SlackChannel(`${endpoint.url}/slack`).send(alert);
+  await new HttpChannel(`${endpoint.url}/hook`, 'shh').send(alert);
+
+  const [discord, telegram, slack, http] = endpoint.requests;
+
+  assert.strictEqual(discord.url, '/discord');
+  assert.ok(discord.body.content.startsWith(alert.message));
+  assert.ok(discord.body.content.includes(`(<https://dexscreener.com/solana/${MINT}>)`));
+  assert.ok(discord.body.content.includes(`Copy mint: \`${MINT}\``));
+
+  assert.strictEqual(telegram.url, '/bot123:abc/sendMessage');
+  assert.strictEqual(telegram.body.chat_id, '-10042');
+  assert.strictEqual(telegram.body.disable_web_page_preview, true);
+  assert.ok(telegram.body.text.includes(`Copy mint: ${MINT}`));
+
+  assert.strictEqual(slack.url, '/slack');
+  assert.ok(slack.body.text.startsWith(alert.message));
+  assert.ok(slack.body.text.includes(`https://solscan.io/token/${MINT}`));
+
+  assert.strictEqual(http.url, '/hook');
+  assert.strictEqual(http.headers['x-alert-secret'], 'shh');
+  assert.strictEqual(http.headers['content-type'], 'application/json');
+  assert.deepStrictEqual(
+    { ...http.body, links: undefined },
+    {
+      id: alert.id,
+      mint: MINT,
+      alert_type: 'launch',
+      alert_level: 'high',
+      message: alert.message,
+      triggered_at: alert.triggered_at,
+      metadata: { health_score: 82 },
+      links: undefined
+    }
+  );
+  assert.strictEqual(http.body.links.birdeye, `https://birdeye.so/token/${MINT}?chain=solana`);
+});
+
+test('system alerts carry no explorer links', async t => {
+  const endpoint = await startEndpoint(t, [200]);
+  const { db } = setup(t, {});
+  const alert = insertAlert(db, { mint: 'system', alert_type: 'model_drift', message: 'Model drift on rug_24h' });
+
+  await new DiscordChannel(endpoint.url).send(alert);
+  await new HttpChannel(endpoint.url).send(alert);
+
+  assert.strictEqual(endpoint.requests[0].body.content, 'Model drift on rug_24h');
+  assert.strictEqual(endpoint.requests[1].body.links, null);
+});
+
+test('5xx responses are retried with backoff until delivered', async t => {
+  const endpoint = await startEndpoint(t, [500, 502, 200]);
+  const { db, delivery } = setup(t, { http: new HttpChannel(endpoint.url) });
+  const alert = insertAlert(db);
+
+  const result = await delivery.sendWithRetry(alert, 'http');
+  assert.deepStrictEqual(result, { delivered: true, attempts: 3, status: 200, error: null });
+  assert.strictEqual(endpoint.requests.length, 3);
+});
+
+test('429 is retried after Retry-After in seconds', async t => {
+  const endpoint = await startEndpoint(t, [429, 200], { 'Retry-After': '0' });
+  const { db, delivery } = setup(t, { slack: new SlackChannel(endpoint.url) });
+
+  const result = await delivery.sendWithRetry(insertAlert(db), 'slack');
+  assert.strictEqual(result.delivered, true);
+  assert.strictEqual(result.attempts, 2);
+});
+
+test('429 with an HTTP-date Retry-After is retried', async t => {
+  const endpoint = await startEndpoint(t, [429, 429, 200], { 'Retry-After': new Date(Date.now() - 1000).toUTCString() });
+  const { db, delivery } = setup(t, { slack: new SlackChannel(endpoint.url) });
+
+  const started = Date.now();
+  const result = await delivery.sendWithRetry(insertAlert(db), 'slack');
+  assert.strictEqual(result.delivered, true);
+  assert.strictEqual(result.attempts, 3);
+  assert.ok(Date.now() - started < 2000);
+});
+
+test('parseRetryAfter reads seconds and HTTP-dates', () => {
+  assert.strictEqual(parseRetryAfter('3'), 3000);
+  assert.strictEqual(parseRetryAfter('0.5'), 500);
+  assert.strictEqual(parseRetryAfter(new Date(Date.now() - 60_000).toUTCString()), 0);
+  const future = parseRetryAfter(new Date(Date.now() + 10_000).toUTCString());
+  assert.ok(future > 8000 && future <= 10_000);
+  assert.strictEqual(parseRetryAfter('soon'), null);
+  assert.strictEqual(parseRetryAfter(null), null);
+});
+
+test('other 4xx responses are not retried', async t => {
+  const endpoint = await startEndpoint(t, [400, 200]);
+  const { db, delivery } = setup(t, { discord: new DiscordChannel(endpoint.url) });
+
+  const result = await delivery.sendWithRetry(insertAlert(db), 'discord');
+  assert.strictEqual(result.delivered, false);
+  assert.strictEqual(result.attempts, 1);
+  assert.strictEqual(result.status, 400);
+  assert.match(result.error, /^HTTP_400/);
+  assert.strictEqual(endpoint.requests.length, 1);
+});
+
+test('deliveries are recorded per channel and failed ones redelivered', async t => {
+  let healthy = false;
+  const endpoint = await startServer((req, res) => {
+    if (req.url === '/slack' || healthy) return sendJson(res, 200, { ok: true });
+    sendJson(res, 503, { error: 'down' });
+  });
+  t.after(() => endpoint.close());
+  const { db, delivery } = setup(t, {
+    slack: new SlackChannel(`${endpoint.url}/slack`),
+    http: new HttpChannel(`${endpoint.url}/hook`)
+  });
+  const alert = insertAlert(db);
+
+  const results = await delivery.deliverAlert(alert, { channels: '["slack", "http", "telegram"]' });
+  assert.deepStrictEqual(results.map(r => [r.channel, r.delivered]), [['slack', true], ['http', false]]);
+
+  const rows = () => db.prepare('SELECT * FROM alert_deliveries WHERE alert_id = ? ORDER BY channel').all(alert.id);
+  let [http, slack] = rows();
+  assert.strictEqual(slack.status, 'delivered');
+  assert.strictEqual(slack.attempts, 1);
+  assert.ok(slack.delivered_at);
+  assert.strictEqual(http.status, 'failed');
+  assert.strictEqual(http.attempts, 4);
+  assert.strictEqual(http.response_status, 503);
+  assert.strictEqual(http.delivered_at, null);
+
+  healthy = true;
+  assert.strictEqual(await delivery.redeliverFailed(), 1);
+
+  [http, slack] = rows();
+  assert.strictEqual(http.status, 'delivered');
+  assert.strictEqual(http.attempts, 5);
+  assert.strictEqual(http.response_status, 200);
+  assert.strictEqual(http.last_error, null);
+  assert.strictEqual(slack.attempts, 1);
+  assert.strictEqual(endpoint.requests.filter(r => r.url === '/slack').length, 1);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { detectLaunchBundles } = require('../lib/bundle-detector');
+
+const MINT = 'MintBundLe1111111111111111111111111111111111';
+const TIP_ACCOUNT = '96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5';
+const POOL_SLOT = 300000000;
+
+// getBlock(transactionDetails: 'accounts') entry: a buy of `amount` tokens and/or a Jito tip
+function tx(signature, signer, { amount = 0, tip = 0 } = {}) {
+  const accountKeys = [{ pubkey: signer, signer: true }, { pubkey: TIP_ACCOUNT, signer: false }];
+  return {
+    transaction: { signatures: [signature], accountKeys },
+    meta: {
+      err: null,
+      preBalances: [5000000000, 1000],
+      postBalances: [5000000000 - tip, 1000 + tip],
+      preTokenBalances: [],
+      postTokenBalances: amount > 0 ? [{ mint: MINT, owner: signer, uiTokenAmount: { amount: String(amount) } }] : []
+    }
+  };
+}
+
+function detect(transactions) {
+  return detectLaunchBundles({
+    blocks: [{ slot: POOL_SLOT + 1, block: { blockTime: 1792400000, transactions } }],
+    poolSlot: POOL_SLOT,
+    poolSignature: 'pool-create',
+    devWallet: 'dev',
+    mint: MINT,
+    supply: 1000000n
+  });
+}
+
+test('a tip-only transaction right after a run of buys marks the run as a Jito bundle', () => {
+  const { bundles, supplyPct } = detect([
+    tx('other', 'trader', { amount: 10 }),
+    tx('gap', 'someone'),
+    tx('b1', 'w1', { amount: 20000 }),
+    tx('b2', 'w2', { amount: 30000 }),
+    tx('b3', 'w3', { amount: 50000 }),
+    tx('tip', 'w1', { tip: 100000 })
+  ]);
+
+  assert.strictEqual(bundles.length, 1);
+  assert.deepStrictEqual(bundles[0].reasons, ['jito_tip']);
+  assert.strictEqual(bundles[0].bundleId, 'b1');
+  assert.strictEqual(bundles[0].tipLamports, 100000);
+  assert.deepStrictEqual(bundles[0].buys.map(b => b.wallet), ['w1', 'w2', 'w3']);
+  assert.strictEqual(supplyPct, 10);
+});
+
+test('a run too long to fit in one bundle with its tip transaction is not a Jito bundle', () => {
+  const { bundles } = detect([
+    tx('b1', 'w1', { amount: 1 }),
+    tx('b2', 'w2', { amount: 1 }),
+    tx('b3', 'w3', { amount: 1 }),
+    tx('b4', 'w4', { amount: 1 }),
+    tx('b5', 'w5', { amount: 1 }),
+    tx('tip', 'w1', { tip: 100000 })
+  ]);
+  assert.deepStrictEqual(bundles, []);
+});
+
+test('a tip-only transaction is counted once, with the run it follows', () => {
+  const { bundles } = detect([
+    tx('tip0', 'w1', { tip: 20000 }),
+    tx('b1', 'w1', { amount: 20000 }),
+    tx('b2', 'w2', { amount: 30000 }),
+    tx('tip1', 'w1', { tip: 100000 }),
+    tx('b3', 'w3', { amount: 50000 }),
+    tx('b4', 'w4', { amount: 50000 })
+  ]);
+
+  assert.deepStrictEqual(bundles.map(b => [b.bundleId, b.tipLamports]), [['b1', 120000]]);
+});
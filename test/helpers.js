@@ -0,0 +1,87 @@
+// test/helpers.js - Shared setup for the unit tests (require first): quiet logging, migrated scratch databases, local stand-in servers
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { mock } = require('node:test');
+
+// Console output from the code under test can corrupt the test runner's
+// stream from each test file's process, so logging is silenced
+process.env.DOTENV_CONFIG_QUIET = 'true';
+mock.method(require('../lib/logger'), 'log', () => {});
+
+const Database = require('better-sqlite3');
+const { Migrator } = require('../db/migrator');
+
+/**
+ * Fully migrated database at <tmpdir>/db/agent.db. Workers open db/agent.db
+ * relative to the working directory, so a test can chdir to `dir` before
+ * requiring one.
+ * @returns {object} { db, dbPath, dir, cleanup }
+ */
+function createTestDb() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memecoin-agent-test-'));
+  fs.mkdirSync(path.join(dir, 'db'));
+  const dbPath = path.join(dir, 'db', 'agent.db');
+  const db = new Database(dbPath);
+  new Migrator({ db }).up();
+  return {
+    db,
+    dbPath,
+    dir,
+    cleanup: () => {
+      if (db.open) db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * Local HTTP server on a random port. The handler gets the parsed JSON body
+ * (or the raw text) and every request is recorded.
+ * @param {Function} handler - (req, res, body) => void
+ * @returns {Promise<object>} { url, requests, close }
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      let body = raw;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch (error) {
+        // keep the raw text
+      }
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body, requests.length);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    server,
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * Recorded JSON fixture from test/fixtures
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+}
+
+module.exports = {
+  createTestDb,
+  startServer,
+  sendJson,
+  loadFixture
+};
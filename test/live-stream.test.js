@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDb } = require('./helpers');
+const http = require('http');
+const WebSocket = require('ws');
+const { LiveStream } = require('../lib/live-stream');
+
+const API_KEY = 'test-stream-key';
+
+function nextMessage(ws) {
+  return new Promise((resolve, reject) => {
+    ws.once('message', data => resolve(JSON.parse(data.toString())));
+    ws.once('error', reject);
+  });
+}
+
+async function connect(url) {
+  const ws = new WebSocket(url, { headers: { 'x-api-key': API_KEY } });
+  const hello = await nextMessage(ws);
+  assert.strictEqual(hello.type, 'hello');
+  return ws;
+}
+
+test('WebSocket messages that are not JSON objects get an error and the server stays up', async t => {
+  const { dbPath, cleanup } = createTestDb();
+  const stream = new LiveStream({ dbPath, apiKeys: [API_KEY], pollMs: 60_000 });
+  const server = http.createServer((req, res) => res.end('ok'));
+  stream.attach(server, '/api/v1/stream');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `ws://127.0.0.1:${server.address().port}/api/v1/stream`;
+
+  t.after(async () => {
+    stream.close();
+    await new Promise(resolve => server.close(resolve));
+    cleanup();
+  });
+
+  const ws = await connect(url);
+  for (const text of ['null', '42', '[]', '"subscribe"']) {
+    ws.send(text);
+    const reply = await nextMessage(ws);
+    assert.strictEqual(reply.type, 'error', `reply to ${text}`);
+  }
+
+  ws.send(JSON.stringify({ action: 'subscribe', filters: { types: 'alert' } }));
+  const subscribed = await nextMessage(ws);
+  assert.strictEqual(subscribed.type, 'subscribed');
+  ws.close();
+
+  // A fresh connection still works, so the server did not go down
+  const second = await connect(url);
+  second.close();
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+require('./helpers');
+const { SolanaRpc } = require('../lib/solana-rpc');
+const { LPLockDetector, summarizeLocks, parseLockerPrograms } = require('../lib/lp-lock-detector');
+
+const FIXTURES = path.join(__dirname, 'fixtures/lp-locks/rpc.json');
+const LP_MINT = 'v2bATqXJ8uaAPWvATTpAmJFcpbxGDhSvjBjfV87rVcz';
+// Stand-in locker program IDs: the escrows in the fixture are owned by these
+const LOCKER_PROGRAMS = 'team-finance:3G8Sy5qjFZLeX49EouYX4rBXLYbsiP7P7DZZPkvsyAqx,uncx:J23k5QnUbYBEBzFDxMkHAtpZSR6VqtzY4JHFk6NQUDxr';
+
+test('LP in an escrow owned by an LP_LOCKER_PROGRAMS program is a low-confidence lock with no schedule', async () => {
+  const detector = new LPLockDetector({
+    rpc: new SolanaRpc({ fixturesFile: FIXTURES }),
+    extraPrograms: parseLockerPrograms(LOCKER_PROGRAMS)
+  });
+  const locks = await detector.findLocks(LP_MINT, { strict: true });
+  assert.deepStrictEqual(locks.map(l => [l.locker, l.address, l.totalAmount, l.cliffTime, l.confidence]), [
+    ['team-finance', 'EFMHTnNhpDGYsD9SMhNjcqdC5ox8SrfTgoPm8AotxCpX', 300, null, 1],
+    ['uncx', 'EuNRxb6A4SjnPJg9bXMgZdRL6aP97X2LNj5the3QyKLB', 100, null, 1]
+  ]);
+
+  assert.deepStrictEqual(summarizeLocks(locks, 800, Date.UTC(2026, 9, 19) / 1000), {
+    isLocked: true,
+    confidence: 1,
+    provider: 'team-finance',
+    lockedAmount: 400,
+    lockedPct: 0.5,
+    nextUnlockAt: null,
+    unlockCompleteAt: null
+  });
+});
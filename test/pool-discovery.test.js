@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createTestDb, loadFixture } = require('./helpers');
+const { SolanaRpc } = require('../lib/solana-rpc');
+const {
+  PoolDiscovery,
+  PROGRAM_IDS,
+  WSOL_MINT,
+  bondingCurveAddress,
+  decodeRaydiumAmmV4,
+  decodePumpSwap,
+  decodePumpBondingCurve,
+  decodeMint,
+  decodeTokenAccount
+} = require('../lib/pool-discovery');
+
+const FIXTURES = path.join(__dirname, 'fixtures/pool-discovery/rpc.json');
+
+// Graduated to PumpSwap, still on its bonding curve, and on Raydium AMM v4
+const GRADUATED = '9sUM2uFVgM1QoaKLQD5BsSePiWFXKJvHZt9qvMoXPwCV';
+const ON_CURVE = '5ug2EJK9Pj2yACqRQ4gM2N7DweJudEFRYNVqyuGERZjn';
+const RAYDIUM = '3Rn7hAaoLXJVR3KPx2MDHuo7gHnsyR2fDoPxLFGS2c1Y';
+const RAYDIUM_LP = 'v2bATqXJ8uaAPWvATTpAmJFcpbxGDhSvjBjfV87rVcz';
+const RAYDIUM_DEV = '6fNRYrgt7DFwcEM9wvhZExoiCyBR5oWrHiTp6YH16esG';
+
+function programAccount(programId) {
+  const [, result] = Object.entries(loadFixture('pool-discovery/rpc.json'))
+    .find(([key, result]) => key.startsWith(`getProgramAccounts ["${programId}"`) && result.length > 0);
+  return { pubkey: result[0].pubkey, data: Buffer.from(result[0].account.data[0], 'base64') };
+}
+
+function discovery() {
+  return new PoolDiscovery({ rpc: new SolanaRpc({ fixturesFile: FIXTURES }), dexes: ['raydium', 'pumpswap'] });
+}
+
+test('Raydium AMM v4 and PumpSwap pool accounts decode at their layout offsets', () => {
+  const raydium = programAccount(PROGRAM_IDS.raydiumAmmV4);
+  assert.strictEqual(raydium.data.length, 752);
+  assert.deepStrictEqual(decodeRaydiumAmmV4(raydium.data), {
+    mintA: WSOL_MINT,
+    mintB: RAYDIUM,
+    vaultA: 'Dka5Lr3a1MvPz1Rs4vmhZkDqC2dpmw3miVHcokxqHquu',
+    vaultB: '2vyxdCwSmCaPABAG1KXCGcdEqDqAb7sV8AkgAcskwWKA',
+    lpMint: RAYDIUM_LP,
+    lpIssued: 1000000000000n
+  });
+
+  const pumpSwap = programAccount(PROGRAM_IDS.pumpSwap);
+  assert.deepStrictEqual(decodePumpSwap(pumpSwap.data), {
+    mintA: GRADUATED,
+    mintB: WSOL_MINT,
+    lpMint: '5FsifGwtZM1iMFVcedRQByeChN1uS4Zuxf9kNJzB9g9U',
+    vaultA: '2NxFyb3HQV43vRgwdGdLcux5TkJqjNYQ639LccrMtzuS',
+    vaultB: 'GgiMfTGSL5kJQaPE9qLYVbp6bWqu8dwNZWsfB2eYcMsM',
+    lpIssued: 5000000000000000n
+  });
+});
+
+test('bonding curve, mint and token accounts decode from replayed getAccountInfo / getMultipleAccounts', async () => {
+  const rpc = new SolanaRpc({ fixturesFile: FIXTURES });
+
+  const curve = decodePumpBondingCurve(await rpc.getAccountData(bondingCurveAddress(ON_CURVE)));
+  assert.deepStrictEqual(curve, {
+    virtualTokenReserves: 900000000000000n,
+    virtualSolReserves: 35700000000n,
+    realTokenReserves: 620100000000000n,
+    realSolReserves: 5700000000n,
+    tokenTotalSupply: 1000000000000000n,
+    complete: false,
+    creator: '8HYpnjEX5J8FvHEgK7yXVqBvDZ5onFqtpKpmZQhdtAxg'
+  });
+  assert.strictEqual(decodePumpBondingCurve(await rpc.getAccountData(bondingCurveAddress(GRADUATED))).complete, true);
+  assert.strictEqual(await rpc.getAccountData(bondingCurveAddress(RAYDIUM)), null);
+
+  const raydium = decodeRaydiumAmmV4(programAccount(PROGRAM_IDS.raydiumAmmV4).data);
+  const accounts = await rpc.getMultipleAccounts([raydium.vaultB, raydium.vaultA, RAYDIUM, WSOL_MINT, RAYDIUM_LP]);
+  assert.strictEqual(accounts.get(RAYDIUM_LP).owner, 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA');
+  assert.deepStrictEqual(decodeMint(accounts.get(RAYDIUM_LP).data), {
+    mintAuthority: null,
+    supply: 800000000000n,
+    decimals: 9,
+    freezeAuthority: null
+  });
+  assert.deepStrictEqual(decodeTokenAccount(accounts.get(raydium.vaultB).data), {
+    mint: RAYDIUM,
+    owner: programAccount(PROGRAM_IDS.raydiumAmmV4).pubkey,
+    amount: 310000000000000n
+  });
+});
+
+test('fixture replay fails loudly on a call that was not recorded', async () => {
+  const rpc = new SolanaRpc({ fixturesFile: FIXTURES });
+  await assert.rejects(rpc.getAccountData(WSOL_MINT), /FIXTURE_MISSING getAccountInfo/);
+});
+
+test('a graduated token reports its AMM pool first and the completed curve after it', async () => {
+  const pools = await discovery().findPools(GRADUATED);
+  assert.deepStrictEqual(pools.map(p => [p.dex, p.status]), [['pumpswap', 'active'], ['pumpfun', 'complete']]);
+  assert.strictEqual(pools[0].baseMint, GRADUATED);
+  assert.strictEqual(pools[0].baseReserve, 206900000);
+  assert.strictEqual(pools[0].quoteReserve, 84.990359679);
+  assert.strictEqual(pools[0].lpSupply, 50000);
+  assert.strictEqual(pools[0].lpIssued, 5000000);
+});
+
+test('a token still on its bonding curve reports the curve reserves', async () => {
+  const pools = await discovery().findPools(ON_CURVE);
+  assert.strictEqual(pools.length, 1);
+  assert.strictEqual(pools[0].dex, 'pumpfun');
+  assert.strictEqual(pools[0].status, 'active');
+  assert.strictEqual(pools[0].baseReserve, 620100000);
+  assert.strictEqual(pools[0].quoteReserve, 5.7);
+  assert.strictEqual(pools[0].lpMint, null);
+});
+
+test('a pool holding the token on the B side is oriented with the token as base', async () => {
+  const [pool] = await discovery().findPools(RAYDIUM);
+  assert.strictEqual(pool.dex, 'raydium');
+  assert.strictEqual(pool.baseMint, RAYDIUM);
+  assert.strictEqual(pool.quoteMint, WSOL_MINT);
+  assert.strictEqual(pool.baseReserve, 310000000);
+  assert.strictEqual(pool.quoteReserve, 120.5);
+  assert.strictEqual(pool.lpSupply, 800);
+  assert.strictEqual(pool.lpIssued, 1000);
+});
+
+test('LP ownership and burn share come from the LP token accounts and pool account', async t => {
+  const { dir, cleanup } = createTestDb();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  process.env.SOLANA_RPC_FIXTURES = FIXTURES;
+  t.after(() => {
+    delete process.env.SOLANA_RPC_FIXTURES;
+    process.chdir(cwd);
+    cleanup();
+  });
+  const { EnhancedPoolIntrospectorWorker } = require(path.join(__dirname, '../workers/enhanced-pool-introspector-worker'));
+  const worker = new EnhancedPoolIntrospectorWorker();
+
+  const lpAccounts = await worker.getLPTokenAccounts(RAYDIUM_LP);
+  assert.strictEqual(lpAccounts.length, 5);
+
+  // The dev's two accounts are one holder; the incinerator is burned, not a holder
+  const ownership = worker.getLPOwnershipDistribution(lpAccounts, 800, RAYDIUM_DEV);
+  assert.deepStrictEqual(ownership.holders.map(h => [h.amount, h.rank, h.isCreator]), [[500, 1, true], [100, 2, false], [40, 3, false]]);
+  assert.strictEqual(ownership.top1Pct, 0.625);
+  assert.strictEqual(ownership.top5Pct, 0.8);
+  assert.strictEqual(ownership.isCreatorTopHolder, true);
+
+  // 200 burned from wallets (1000 issued, 800 supply) plus 160 at the incinerator
+  assert.deepStrictEqual(worker.checkLPBurnStatus(lpAccounts, 800, 1000), { isBurned: true, burnPct: 0.36 });
+  assert.deepStrictEqual(worker.checkLPBurnStatus(lpAccounts, 800, null), { isBurned: true, burnPct: 0.2 });
+
+  // A failed holder read leaves the columns unknown instead of guessing
+  assert.deepStrictEqual(worker.getLPOwnershipDistribution(null, 800, RAYDIUM_DEV), {
+    holders: [], top1Pct: null, top5Pct: null, isCreatorTopHolder: null
+  });
+  assert.deepStrictEqual(worker.checkLPBurnStatus(null, 800, 1000), { isBurned: null, burnPct: null });
+});
+
+test('the basic pool introspector reads the same on-chain LP holders and burns', async t => {
+  const { dir, cleanup } = createTestDb();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  process.env.SOLANA_RPC_FIXTURES = FIXTURES;
+  t.after(() => {
+    delete process.env.SOLANA_RPC_FIXTURES;
+    process.chdir(cwd);
+    cleanup();
+  });
+  const { PoolIntrospectorWorker } = require(path.join(__dirname, '../workers/pool-introspector-worker'));
+  const worker = new PoolIntrospectorWorker();
+
+  const lpAccounts = await worker.getLPTokenAccounts(RAYDIUM_LP);
+  const ownership = worker.getLPOwnershipDistribution(lpAccounts, 800);
+  assert.strictEqual(ownership.top1Pct, 0.625);
+  assert.strictEqual(ownership.top5Pct, 0.8);
+  assert.strictEqual(worker.checkLPBurned(RAYDIUM_LP, lpAccounts, 800, 1000), true);
+  assert.strictEqual(worker.checkLPBurned(RAYDIUM_LP, null, 800, 1000), null);
+});
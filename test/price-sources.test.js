@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadFixture, startServer, sendJson } = require('./helpers');
+const { PriceFeed, DexScreenerSource, BirdeyeSource, JupiterSource } = require('../lib/price-sources');
+
+const POPCAT = '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr';
+
+test('DexScreener picks the deepest Solana pair quoting the mint as base', () => {
+  const sample = new DexScreenerSource().parse(loadFixture('price-sources/dexscreener-tokens.json'), POPCAT);
+  assert.deepStrictEqual(sample, {
+    price_usd: 0.4179,
+    price_sol: 0.002781,
+    liquidity_usd: 4123456.78,
+    pair_id: 'FRhB8L7Y9Qq41qZXYLtC2nw8An1RJfLLxRF2x9RwLLMo',
+    status: 'live',
+    source: 'dexscreener'
+  });
+});
+
+test('DexScreener leaves price_sol empty for a non-SOL quote and returns null without pairs', () => {
+  const json = loadFixture('price-sources/dexscreener-tokens.json');
+  json.pairs = json.pairs.filter(pair => pair.dexId === 'meteora');
+  const sample = new DexScreenerSource().parse(json, POPCAT);
+  assert.strictEqual(sample.price_usd, 0.4182);
+  assert.strictEqual(sample.price_sol, null);
+
+  assert.strictEqual(new DexScreenerSource().parse(loadFixture('price-sources/dexscreener-no-pairs.json'), POPCAT), null);
+});
+
+test('Birdeye parses price and liquidity and returns null for unknown tokens', () => {
+  const source = new BirdeyeSource('key');
+  assert.deepStrictEqual(source.parse(loadFixture('price-sources/birdeye-price.json'), POPCAT), {
+    price_usd: 0.41812345,
+    price_sol: null,
+    liquidity_usd: 5123456.789,
+    pair_id: null,
+    status: 'live',
+    source: 'birdeye'
+  });
+  assert.strictEqual(source.parse(loadFixture('price-sources/birdeye-not-found.json'), POPCAT), null);
+  assert.strictEqual(source.parse({ success: false, message: 'Unauthorized' }, POPCAT), null);
+});
+
+test('Jupiter derives the SOL price from the SOL quote in the same response', () => {
+  const source = new JupiterSource();
+  const sample = source.parse(loadFixture('price-sources/jupiter-price-v2.json'), POPCAT);
+  assert.strictEqual(sample.price_usd, 0.4183);
+  assert.ok(Math.abs(sample.price_sol - 0.4183 / 150.25) < 1e-12);
+  assert.strictEqual(sample.source, 'jupiter');
+
+  const unknown = loadFixture('price-sources/jupiter-price-v2-unknown.json');
+  assert.strictEqual(source.parse(unknown, 'BnNewMint1111111111111111111111111111111111'), null);
+});
+
+test('adapters fetch from their configured base URL', async t => {
+  const standIn = await startServer((req, res) => {
+    if (req.url.startsWith('/latest/dex/tokens/')) return sendJson(res, 200, loadFixture('price-sources/dexscreener-tokens.json'));
+    if (req.url.startsWith('/defi/price')) return sendJson(res, 200, loadFixture('price-sources/birdeye-price.json'));
+    if (req.url.startsWith('/price/v2')) return sendJson(res, 200, loadFixture('price-sources/jupiter-price-v2.json'));
+    sendJson(res, 404, {});
+  });
+  t.after(() => standIn.close());
+
+  assert.strictEqual((await new DexScreenerSource(standIn.url).fetchPrice(POPCAT)).price_usd, 0.4179);
+  assert.strictEqual((await new BirdeyeSource('key', standIn.url).fetchPrice(POPCAT)).price_usd, 0.41812345);
+  assert.strictEqual((await new JupiterSource(standIn.url).fetchPrice(POPCAT)).price_usd, 0.4183);
+
+  const [dexscreener, birdeye, jupiter] = standIn.requests;
+  assert.strictEqual(dexscreener.url, `/latest/dex/tokens/${POPCAT}`);
+  assert.strictEqual(birdeye.headers['x-api-key'], 'key');
+  assert.strictEqual(birdeye.headers['x-chain'], 'solana');
+  assert.strictEqual(jupiter.url, `/price/v2?ids=${POPCAT},So11111111111111111111111111111111111111112`);
+});
+
+/**
+ * Stub adapter: `result` is a sample, null (no pair) or an Error to throw
+ */
+function stubSource(name, result, available = true) {
+  return {
+    name,
+    calls: 0,
+    isAvailable: () => available,
+    async fetchPrice() {
+      this.calls++;
+      if (result instanceof Error) throw result;
+      return result;
+    }
+  };
+}
+
+function sample(source, price) {
+  return { price_usd: price, price_sol: null, liquidity_usd: null, pair_id: null, status: 'live', source };
+}
+
+test('PriceFeed returns the highest-priority live price', async () => {
+  const first = stubSource('first', sample('first', 1.5));
+  const second = stubSource('second', sample('second', 2));
+  const result = await new PriceFeed([first, second]).fetchPrice(POPCAT);
+  assert.strictEqual(result.source, 'first');
+  assert.strictEqual(second.calls, 0);
+});
+
+test('PriceFeed falls back past failing, empty and unavailable sources', async () => {
+  const failing = stubSource('failing', new Error('HTTP_503'));
+  const empty = stubSource('empty', null);
+  const zero = stubSource('zero', sample('zero', 0));
+  const unavailable = stubSource('unavailable', sample('unavailable', 9), false);
+  const last = stubSource('last', sample('last', 0.25));
+
+  const result = await new PriceFeed([failing, empty, zero, unavailable, last]).fetchPrice(POPCAT);
+  assert.strictEqual(result.source, 'last');
+  assert.strictEqual(result.price_usd, 0.25);
+  assert.strictEqual(unavailable.calls, 0);
+  assert.deepStrictEqual([failing.calls, empty.calls, zero.calls], [1, 1, 1]);
+});
+
+test('PriceFeed reports no_pair when any source answered without a market', async () => {
+  const result = await new PriceFeed([stubSource('a', new Error('TIMEOUT')), stubSource('b', null)]).fetchPrice(POPCAT);
+  assert.strictEqual(result.status, 'no_pair');
+  assert.strictEqual(result.price_usd, null);
+  assert.strictEqual(result.source, 'a');
+});
+
+test('PriceFeed reports error when every source fails', async () => {
+  const result = await new PriceFeed([stubSource('a', new Error('TIMEOUT')), stubSource('b', new Error('HTTP_500'))]).fetchPrice(POPCAT);
+  assert.strictEqual(result.status, 'error');
+  assert.strictEqual(result.price_usd, null);
+});
+
+test('PRICE_SOURCES sets the priority order and skips unknown names', () => {
+  const sources = PriceFeed.sourcesFromEnv('jupiter, Birdeye,unknown,dexscreener');
+  assert.deepStrictEqual(sources.map(s => s.name), ['jupiter', 'birdeye', 'dexscreener']);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createTestDb } = require('./helpers');
+
+const MINT = 'MintWatch11111111111111111111111111111111111';
+
+test('a transition row carries over the last score and rug flags', t => {
+  const { db, dir, cleanup } = createTestDb();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    cleanup();
+  });
+  const { SafetyWatcherWorker } = require(path.join(__dirname, '../workers/safety-watcher-worker'));
+  const watcher = new SafetyWatcherWorker({ alertEngine: {} });
+  const transition = { changeType: 'mint_authority_enabled', previous: null, current: 'auth', regression: true };
+  const history = () => db.prepare(`
+    SELECT rug_risk_score, rug_flags, change_type, is_regression FROM rug_risk_history WHERE change_type IS NOT NULL
+  `).all();
+
+  watcher.recordTransitions({ mint: MINT, rug_risk_score: null, liquidity_usd: 1000 }, [transition]);
+  assert.deepStrictEqual(history().map(row => ({ ...row })), [
+    { rug_risk_score: 0, rug_flags: null, change_type: 'mint_authority_enabled', is_regression: 1 }
+  ]);
+
+  db.prepare(`
+    INSERT INTO rug_risk_history (mint, timestamp, rug_risk_score, rug_flags) VALUES (?, ?, ?, ?)
+  `).run(MINT, new Date().toISOString(), 42, JSON.stringify(['lp_unlocked', 'authorities_revoked']));
+  watcher.recordTransitions({ mint: MINT, rug_risk_score: null, liquidity_usd: 1000 }, [transition]);
+  assert.deepStrictEqual({ ...history()[1] }, {
+    rug_risk_score: 42,
+    rug_flags: JSON.stringify(['lp_unlocked', 'authorities_revoked']),
+    change_type: 'mint_authority_enabled',
+    is_regression: 1
+  });
+});
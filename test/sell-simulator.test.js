@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDb, startServer, sendJson } = require('./helpers');
+const path = require('path');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { SellSimulator, associatedTokenAddress } = require('../lib/sell-simulator');
+const { SolanaRpc } = require('../lib/solana-rpc');
+
+const TOKEN_PROGRAM_ID = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+const WALLET_LAMPORTS = 2_000_000_000;
+const HOLDER_TOKENS = 5_000_000_000n;
+const BUY_OUT = 1_000_000_000;
+const SELL_OUT = 45_000_000;
+
+const mint = Keypair.generate().publicKey.toBase58();
+const wallet = Keypair.generate().publicKey.toBase58();
+const tokenAccount = associatedTokenAddress(wallet, mint, TOKEN_PROGRAM_ID);
+
+function mintData() {
+  const data = Buffer.alloc(82);
+  data.writeBigUInt64LE(1_000_000_000_000_000n, 36);
+  data.writeUInt8(6, 44);
+  data.writeUInt8(1, 45);
+  return data;
+}
+
+function tokenAccountData(amount) {
+  const data = Buffer.alloc(165);
+  new PublicKey(mint).toBuffer().copy(data, 0);
+  new PublicKey(wallet).toBuffer().copy(data, 32);
+  data.writeBigUInt64LE(amount, 64);
+  return data;
+}
+
+function account(data, owner, lamports = 2_039_280) {
+  return { data: [data.toString('base64'), 'base64'], owner, lamports, executable: false, rentEpoch: 0 };
+}
+
+/**
+ * Stand-in for the RPC node and the Jupiter quote/swap API. `scenario`
+ * sets what the sell leg does: its quote response and its simulation.
+ */
+async function startStandIn(scenario) {
+  return startServer((req, res, body) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/quote') {
+      const selling = url.searchParams.get('inputMint') === mint;
+      if (selling && scenario.sellQuote === 'http_400') {
+        return sendJson(res, 400, { error: 'Could not find any route', errorCode: 'COULD_NOT_FIND_ANY_ROUTE' });
+      }
+      if (selling && scenario.sellQuote === 'no_out_amount') {
+        return sendJson(res, 200, { inputMint: mint, routePlan: [] });
+      }
+      return sendJson(res, 200, {
+        inputMint: url.searchParams.get('inputMint'),
+        outputMint: url.searchParams.get('outputMint'),
+        inAmount: url.searchParams.get('amount'),
+        outAmount: String(selling ? SELL_OUT : BUY_OUT),
+        priceImpactPct: selling ? '0.02' : '0.01'
+      });
+    }
+
+    if (url.pathname === '/swap') {
+      const side = body.quoteResponse.inputMint === mint ? 'sell' : 'buy';
+      return sendJson(res, 200, { swapTransaction: Buffer.from(side).toString('base64') });
+    }
+
+    // JSON-RPC
+    const reply = result => sendJson(res, 200, { jsonrpc: '2.0', id: body.id, result });
+    const [first] = body.params;
+    switch (body.method) {
+      case 'getMultipleAccounts':
+        return reply({
+          context: { slot: 1 },
+          value: first.map(address => {
+            if (address === mint) return account(mintData(), TOKEN_PROGRAM_ID);
+            if (address === tokenAccount) return account(tokenAccountData(HOLDER_TOKENS), TOKEN_PROGRAM_ID);
+            if (address === wallet) return account(Buffer.alloc(0), SYSTEM_PROGRAM_ID, WALLET_LAMPORTS);
+            return null;
+          })
+        });
+      case 'getTokenLargestAccounts':
+        return reply({ context: { slot: 1 }, value: [{ address: tokenAccount, amount: String(HOLDER_TOKENS), decimals: 6 }] });
+      case 'getBalance':
+        return reply({ context: { slot: 1 }, value: WALLET_LAMPORTS });
+      case 'simulateTransaction': {
+        const side = Buffer.from(first, 'base64').toString();
+        if (side === 'buy') {
+          const delivered = BigInt(Math.round(BUY_OUT * (1 - (scenario.buyTax || 0))));
+          return reply({ context: { slot: 1 }, value: { err: null, logs: [], accounts: [account(tokenAccountData(HOLDER_TOKENS + delivered), TOKEN_PROGRAM_ID)] } });
+        }
+        if (scenario.sellReverts) {
+          return reply({
+            context: { slot: 1 },
+            value: { err: { InstructionError: [3, { Custom: 6001 }] }, logs: ['Program log: Error: transfers are paused', 'Program failed'], accounts: [null] }
+          });
+        }
+        const received = Math.round(SELL_OUT * (1 - (scenario.sellTax || 0))) - 5000;
+        return reply({ context: { slot: 1 }, value: { err: null, logs: [], accounts: [account(Buffer.alloc(0), SYSTEM_PROGRAM_ID, WALLET_LAMPORTS + received)] } });
+      }
+      default:
+        return sendJson(res, 200, { jsonrpc: '2.0', id: body.id, error: { code: -32601, message: `Method not found: ${body.method}` } });
+    }
+  });
+}
+
+async function simulate(t, scenario) {
+  const standIn = await startStandIn(scenario);
+  t.after(() => standIn.close());
+  const simulator = new SellSimulator({
+    rpc: new SolanaRpc({ url: `${standIn.url}/rpc` }),
+    swapBase: standIn.url,
+    buyLamports: 50_000_000
+  });
+  return simulator.simulate(mint, { dex: 'raydium' });
+}
+
+test('a sellable token simulates ok with no taxes', async t => {
+  const result = await simulate(t, {});
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.wallet, wallet);
+  assert.strictEqual(result.buyTax, 0);
+  assert.strictEqual(result.sellTax, 0);
+  assert.strictEqual(result.priceImpact, 0.02);
+});
+
+test('hidden buy and sell taxes are measured against the quotes', async t => {
+  const result = await simulate(t, { buyTax: 0.05, sellTax: 0.2 });
+  assert.strictEqual(result.status, 'ok');
+  assert.strictEqual(result.buyTax, 0.05);
+  assert.strictEqual(result.sellTax, 0.2);
+});
+
+test('a sell that reverts in simulation is sell_failed', async t => {
+  const result = await simulate(t, { sellReverts: true });
+  assert.strictEqual(result.status, 'sell_failed');
+  assert.match(result.error, /Custom/);
+  assert.match(result.error, /transfers are paused/);
+});
+
+test('a Jupiter 400 on the sell quote is inconclusive, not a honeypot', async t => {
+  const result = await simulate(t, { sellQuote: 'http_400' });
+  assert.strictEqual(result.status, 'no_sell_quote');
+});
+
+test('a sell quote without outAmount is inconclusive, not a honeypot', async t => {
+  const result = await simulate(t, { sellQuote: 'no_out_amount' });
+  assert.strictEqual(result.status, 'no_sell_quote');
+});
+
+test('only a reverted sell floors the rug score', t => {
+  const { dir, cleanup } = createTestDb();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    cleanup();
+  });
+  const { EnhancedRugRiskScorerWorker } = require(path.join(__dirname, '../workers/enhanced-rug-risk-scorer-worker'));
+  const scorer = new EnhancedRugRiskScorerWorker();
+
+  assert.strictEqual(scorer.calculateSellSimulationRisk({ sell_simulation_status: 'sell_failed' }).floor, 95);
+
+  const inconclusive = scorer.calculateSellSimulationRisk({ sell_simulation_status: 'no_sell_quote' });
+  assert.strictEqual(inconclusive.floor, 0);
+  assert.deepStrictEqual(inconclusive.flags, ['sell_sim_no_sell_quote']);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createTestDb, loadFixture } = require('./helpers');
+const { analyzeMintAccount, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID } = require('../lib/token-extensions');
+
+// Mint accounts encoded with @solana/spl-token's own layouts
+const mints = loadFixture('token-extensions/mints.json');
+const mintData = name => Buffer.from(mints[name], 'base64');
+
+test('a plain SPL Token mint has authorities and no extensions', () => {
+  const analysis = analyzeMintAccount(mintData('splTokenMint'), TOKEN_PROGRAM_ID);
+  assert.strictEqual(analysis.tokenProgram, 'spl-token');
+  assert.strictEqual(analysis.mintAuthority, '3BcvnbvZ7tn4ioGE88Nq3CpUmQCNTXn1PG3AMkhF5fob');
+  assert.strictEqual(analysis.freezeAuthority, null);
+  assert.deepStrictEqual(analysis.extensions, []);
+  assert.strictEqual(analysis.transferFee, null);
+});
+
+test('transfer fee, permanent delegate and transfer hook decode from the TLV entries', () => {
+  const analysis = analyzeMintAccount(mintData('transferFeeDelegateHookMint'), TOKEN_2022_PROGRAM_ID);
+  assert.strictEqual(analysis.tokenProgram, 'token-2022');
+  assert.strictEqual(analysis.mintAuthority, null);
+  assert.deepStrictEqual(analysis.extensions, ['transferFeeConfig', 'permanentDelegate', 'transferHook']);
+  assert.deepStrictEqual(analysis.transferFee, {
+    authority: 'kVEFdgdjnELB5PQ8TabbegmQ5SQmYCszyVTWPnZMaDo',
+    withdrawAuthority: 'G7ynFdoFpLwwSeL8MEsoxR1RGApGZJLsV4jK4mQwLERs',
+    older: { epoch: 700, maximumFee: 5000000000n, basisPoints: 100 },
+    newer: { epoch: 812, maximumFee: 5000000000n, basisPoints: 300 },
+    basisPoints: 300
+  });
+  assert.strictEqual(analysis.permanentDelegate, '3mFHCEN4X5caiqVJfBP6K5KY9Tp1WK7gKqgP9GhrLn2F');
+  assert.deepStrictEqual(analysis.transferHook, {
+    authority: '2JY1ngA26ftcLpm1WadLngd41kpfzk8WztA3HNQ1sQwo',
+    programId: 'DTj1n78xLgdSo3rT4tktx9Q8oJpmVn1Yt9qTj9s3QbRg'
+  });
+  assert.strictEqual(analysis.defaultAccountState, null);
+});
+
+test('default account state, non-transferable and pausable decode and other extensions are still listed', () => {
+  const analysis = analyzeMintAccount(mintData('frozenNonTransferablePausableMint'), TOKEN_2022_PROGRAM_ID);
+  assert.deepStrictEqual(analysis.extensions, ['defaultAccountState', 'nonTransferable', 'pausableConfig', 'metadataPointer']);
+  assert.strictEqual(analysis.defaultAccountState, 'frozen');
+  assert.strictEqual(analysis.nonTransferable, true);
+  assert.deepStrictEqual(analysis.pausable, { authority: '3mbjx4FjDg8c6Uvdh64G3Fjpte9m5Fmn5YpGTK64qQtg', paused: true });
+  assert.strictEqual(analysis.permanentDelegate, null);
+  assert.strictEqual(analysis.transferHook, null);
+});
+
+test('a small transfer fee, a fee authority and pausable raise the authority score', async t => {
+  const { dir, cleanup } = createTestDb();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    cleanup();
+  });
+  const { EnhancedRugRiskScorerWorker } = require(path.join(__dirname, '../workers/enhanced-rug-risk-scorer-worker'));
+  const scorer = new EnhancedRugRiskScorerWorker();
+
+  for (const authorities_revoked of [0, 1]) {
+    const plain = scorer.calculateAuthoritySafetyScore({ authorities_revoked, token_extensions: '[]' });
+    const risky = scorer.calculateAuthoritySafetyScore({
+      authorities_revoked,
+      token_extensions: JSON.stringify(['transferFeeConfig', 'pausableConfig']),
+      transfer_fee_bps: 100,
+      transfer_fee_authority: 'kVEFdgdjnELB5PQ8TabbegmQ5SQmYCszyVTWPnZMaDo'
+    });
+    assert.strictEqual(risky.score, plain.score + 30);
+    assert.deepStrictEqual(risky.flags.slice(1), ['transfer_fee_1%', 'transfer_fee_mutable', 'pausable']);
+    assert.strictEqual(risky.floor, 0);
+  }
+
+  assert.strictEqual(scorer.calculateAuthoritySafetyScore({ authorities_revoked: 1, token_extensions: '[]' }).score, 0);
+  assert.strictEqual(scorer.calculateAuthoritySafetyScore({ authorities_revoked: 0, token_extensions: '[]' }).score, 20);
+
+  const highFee = scorer.calculateAuthoritySafetyScore({ authorities_revoked: 0, token_extensions: '["transferFeeConfig"]', transfer_fee_bps: 500 });
+  assert.strictEqual(highFee.floor, 70);
+});
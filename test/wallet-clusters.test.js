@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createTestDb } = require('./helpers');
+const { clusterWallets, assignClusterIds, saveClusters } = require('../lib/wallet-clusters');
+
+// Three similar payouts a minute apart from one funder, a common-funder burst
+function burst(src, recipients) {
+  return recipients.map((dst, i) => ({ src, dst, ts: new Date(Date.UTC(2026, 0, 1, 12, i)).toISOString(), amountSol: 1.5 }));
+}
+
+test('a burst from an unknown high-fanout funder links its recipients', () => {
+  const edges = burst('funder', ['w1', 'w2', 'w3']);
+  const clusters = clusterWallets(edges, { maxFanout: 2 });
+  assert.strictEqual(clusters.length, 1);
+  assert.deepStrictEqual(clusters[0].members.map(m => [m.wallet, m.joinedVia]), [
+    ['w1', 'common_funder'], ['w2', 'common_funder'], ['w3', 'common_funder']
+  ]);
+});
+
+test('a burst from a known service links nobody', () => {
+  const edges = [
+    ...burst('exchange', ['w1', 'w2', 'w3']),
+    { src: 'w1', dst: 'w4', ts: '2026-01-01T13:00:00.000Z', amountSol: 0.2 }
+  ];
+  const clusters = clusterWallets(edges, { isService: wallet => wallet === 'exchange' });
+  assert.deepStrictEqual(clusters.map(c => c.members.map(m => m.wallet)), [['w1', 'w4']]);
+});
+
+test('a window without funding edges clears the stored clusters', async t => {
+  const { db, dir, cleanup } = createTestDb();
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    cleanup();
+  });
+  saveClusters(db, assignClusterIds(clusterWallets(burst('funder', ['w1', 'w2', 'w3']), { maxFanout: 2 }), new Map()));
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM wallet_cluster_members').get().n, 3);
+
+  const { WalletClusterWorker } = require(path.join(__dirname, '../workers/wallet-cluster-worker'));
+  const result = await new WalletClusterWorker().processClusters();
+
+  assert.strictEqual(result.edges, 0);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM wallet_clusters').get().n, 0);
+  assert.strictEqual(db.prepare('SELECT COUNT(*) AS n FROM wallet_cluster_members').get().n, 0);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+const { WebhookVerifier, signPayload } = require('../lib/webhook-auth');
+
+const NEW_SECRET = 'new-secret';
+const OLD_SECRET = 'old-secret';
+
+// Express-like request signed with `secrets` at now + offsetSec
+function signedRequest(body, secrets = [NEW_SECRET], offsetSec = 0) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const timestamp = Math.floor(Date.now() / 1000) + offsetSec;
+  return {
+    ip: '127.0.0.1',
+    body,
+    rawBody,
+    headers: {
+      'x-webhook-timestamp': String(timestamp),
+      'x-webhook-signature': secrets.map(secret => signPayload(secret, timestamp, rawBody)).join(',')
+    }
+  };
+}
+
+function verifier(options = {}) {
+  return new WebhookVerifier({ secrets: [NEW_SECRET, OLD_SECRET], toleranceSec: 300, allowStaticSecret: false, ...options });
+}
+
+test('any configured secret verifies during rotation and matches are counted per secret', () => {
+  const auth = verifier();
+  assert.strictEqual(auth.verify(signedRequest({ mint: 'm1', signature: 's1' }, [OLD_SECRET])).ok, true);
+  assert.strictEqual(auth.verify(signedRequest({ mint: 'm2', signature: 's2' }, ['stale-secret', NEW_SECRET])).ok, true);
+
+  const unknown = auth.verify(signedRequest({ mint: 'm3', signature: 's3' }, ['stale-secret']));
+  assert.deepStrictEqual([unknown.ok, unknown.status, unknown.reason], [false, 401, 'invalid_signature']);
+  assert.deepStrictEqual(auth.getMetrics().secret_matches, [1, 1]);
+});
+
+test('timestamps outside the tolerance window are rejected', () => {
+  const auth = verifier();
+  assert.strictEqual(auth.verify(signedRequest({ mint: 'm1', signature: 's1' }, [NEW_SECRET], -290)).ok, true);
+  assert.strictEqual(auth.verify(signedRequest({ mint: 'm2', signature: 's2' }, [NEW_SECRET], -310)).reason, 'stale_timestamp');
+  assert.strictEqual(auth.verify(signedRequest({ mint: 'm3', signature: 's3' }, [NEW_SECRET], 310)).reason, 'stale_timestamp');
+
+  const req = signedRequest({ mint: 'm4', signature: 's4' });
+  delete req.headers['x-webhook-timestamp'];
+  assert.strictEqual(auth.verify(req).reason, 'missing_timestamp');
+});
+
+test('a re-sent delivery is a replay as soon as the first one is verified, until it is released', () => {
+  const auth = verifier();
+  const first = auth.verify(signedRequest({ mint: 'm1', signature: 's1' }));
+  assert.deepStrictEqual(first.replayKeys, ['s1']);
+
+  // Concurrent re-send while the first delivery is still being stored
+  const resend = auth.verify(signedRequest({ mint: 'm1', signature: 's1' }));
+  assert.deepStrictEqual([resend.ok, resend.status, resend.reason], [false, 409, 'replay']);
+
+  // Storing failed: the sender's retry goes through
+  auth.release(first.replayKeys);
+  const retry = auth.verify(signedRequest({ mint: 'm1', signature: 's1' }));
+  assert.strictEqual(retry.ok, true);
+  auth.remember(retry.replayKeys);
+  assert.strictEqual(auth.verify(signedRequest({ mint: 'm1', signature: 's1' })).reason, 'replay');
+});
+
+test('transactions already delivered are dropped from a batch instead of rejecting it', () => {
+  const auth = verifier();
+  auth.remember(auth.verify(signedRequest([{ signature: 's1' }, { signature: 's2' }])).replayKeys);
+
+  const batch = auth.verify(signedRequest([{ signature: 's2' }, { signature: 's3' }, { signature: 's1' }]));
+  assert.strictEqual(batch.ok, true);
+  assert.deepStrictEqual(batch.body, [{ signature: 's3' }]);
+  assert.deepStrictEqual(batch.replayKeys, ['s3']);
+  assert.deepStrictEqual(batch.duplicates, ['s2', 's1']);
+  assert.strictEqual(auth.getMetrics().duplicate_transactions, 2);
+
+  assert.strictEqual(auth.verify(signedRequest([{ signature: 's3' }, { signature: 's1' }])).reason, 'replay');
+});
+
+test('a body without transaction signatures is remembered by its HMAC signature', () => {
+  const auth = verifier();
+  const req = signedRequest({ mint: 'm1', source: 'pump' });
+  const first = auth.verify(req);
+  assert.deepStrictEqual(first.replayKeys, [`hmac:${req.headers['x-webhook-signature']}`]);
+  assert.strictEqual(auth.verify(req).reason, 'replay');
+});
@@ -1,22 +1,25 @@
 const express = require('express');
-const fs = require('fs');
 const path = require('path');
 const dayjs = require('dayjs');
 const rateLimit = require('express-rate-limit');
-const { saveToken, saveEvent } = require('./db');
+const { getEventStats } = require('./db');
+const { IngestQueue } = require('./lib/ingest-queue');
+const { normalizePayload, toIntakeRows } = require('./lib/intake-normalizer');
+const { WebhookVerifier } = require('./lib/webhook-auth');
+const { createApiRouter, apiKeyAuth, parseApiKeys } = require('./lib/read-api');
+const { LiveStream } = require('./lib/live-stream');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Configuration - use environment variables
-const SHARED_SECRET = process.env.WEBHOOK_SECRET || 'your-secret-key-here';
+// Configuration - use environment variables (secrets: WEBHOOK_SECRETS / WEBHOOK_SECRET)
+const webhookVerifier = new WebhookVerifier();
 const DATA_DIR = path.join(__dirname, 'data', 'intake');
 const JSONL_FILE = path.join(DATA_DIR, 'new_tokens.jsonl');
 
-// Ensure data directory exists
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+// The intake JSONL doubles as the write-ahead log: deliveries are acknowledged
+// once appended and inserted into SQLite in batches (replayed after a restart)
+const ingestQueue = new IngestQueue({ file: JSONL_FILE }).open();
 
 // Structured logging
 function log(level, event, data = {}) {
@@ -36,8 +39,13 @@ app.use('/webhook', rateLimit({
     message: { ok: false, error: 'Too many requests' }
 }));
 
-// Body parsing with size limit
-app.use(express.json({ limit: '256kb' }));
+// Body parsing with size limit; keep the raw bytes for signature verification
+app.use(express.json({
+    limit: '256kb',
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // Content-Type validation middleware
 app.use('/webhook', (req, res, next) => {
@@ -54,97 +62,6 @@ app.use('/webhook', (req, res, next) => {
     next();
 });
 
-// Helper function to append to JSONL file
-function appendToJsonl(data) {
-    const jsonLine = JSON.stringify(data) + '\n';
-    fs.appendFileSync(JSONL_FILE, jsonLine, 'utf8');
-}
-
-// Helper function to validate shared secret
-function validateSecret(req) {
-    const providedSecret = req.headers['x-webhook-secret'] || req.headers['authorization'];
-    return providedSecret === SHARED_SECRET;
-}
-
-// Clock hygiene - normalize to ISO 8601 UTC
-function normalizeTimestamp(timestamp) {
-    if (!timestamp) return new Date().toISOString();
-    
-    try {
-        // If it's already ISO format, return as-is
-        if (typeof timestamp === 'string' && timestamp.includes('T')) {
-            return new Date(timestamp).toISOString();
-        }
-        
-        // If it's a number (Unix timestamp), convert
-        if (typeof timestamp === 'number') {
-            return new Date(timestamp * 1000).toISOString();
-        }
-        
-        // Default to current time
-        return new Date().toISOString();
-    } catch (e) {
-        return new Date().toISOString();
-    }
-}
-
-// Helius payload normalization
-function normalizeHelius(body) {
-    const out = { source: 'helius', type: body.type || 'unknown' };
-
-    // Try to find a mint address from enhanced events
-    const tokenEvt = body?.events?.token || {};
-    const defiEvt = body?.events?.defi || {};
-    const mint =
-        tokenEvt.mint ||
-        defiEvt.mint ||
-        body.mint ||
-        body.tokenAddress ||
-        body.token_address;
-
-    if (!mint) {
-        log('warn', 'no_mint_found', { source: 'helius', type: body.type });
-        return null;
-    }
-
-    out.mint = mint;
-    out.symbol = tokenEvt.symbol || body.symbol || null;
-    out.name = tokenEvt.name || body.name || null;
-    out.decimals = tokenEvt.decimals || body.decimals || null;
-    out.creator = tokenEvt.creator || body.creator || null;
-    out.launchTx = body.signature || body.tx || null;
-    out.createdAt = normalizeTimestamp(body.timestamp || body.createdAt);
-
-    return out;
-}
-
-// Generic payload normalization
-function normalizePayload(body) {
-    // Try Helius first
-    if (body.events || body.signature) {
-        return normalizeHelius(body);
-    }
-
-    // Generic fallback
-    const mint = body.mint || body.tokenAddress || body.token_address;
-    if (!mint) {
-        log('warn', 'no_mint_found', { source: body.source || 'unknown' });
-        return null;
-    }
-
-    return {
-        source: body.source || 'unknown',
-        type: body.type || 'unknown',
-        mint,
-        symbol: body.symbol || null,
-        name: body.name || null,
-        decimals: body.decimals || null,
-        creator: body.creator || null,
-        launchTx: body.signature || body.tx || null,
-        createdAt: normalizeTimestamp(body.timestamp || body.createdAt)
-    };
-}
-
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({ ok: true, timestamp: new Date().toISOString() });
@@ -153,32 +70,47 @@ app.get('/health', (req, res) => {
 // Stats endpoint
 app.get('/stats', (req, res) => {
     try {
-        const { getEventStats } = require('./db');
         const stats = getEventStats();
-        res.json({ ok: true, stats });
+        res.json({ ok: true, stats, webhook_auth: webhookVerifier.getMetrics(), ingest: ingestQueue.getStats() });
     } catch (error) {
         log('error', 'stats_failed', { error: error.message });
         res.status(500).json({ ok: false, error: 'Failed to get stats' });
     }
 });
 
+// Dashboard SPA (data comes from /api/v1 with the user's API key)
+app.use('/dashboard', express.static(path.join(__dirname, 'public', 'dashboard')));
+
+// Live event stream (SSE here, WebSocket on the same path via the upgrade handler below)
+const liveStream = new LiveStream();
+app.get('/api/v1/stream', apiKeyAuth(parseApiKeys()), (req, res) => liveStream.handleSse(req, res));
+
+// Read API for dashboards (API key required, see API_KEYS)
+app.use('/api/v1', createApiRouter());
+
 // Main webhook endpoint
-app.post('/webhook', (req, res) => {
+app.post('/webhook', async (req, res) => {
     const startTime = Date.now();
     
     try {
-        // Validate shared secret
-        if (!validateSecret(req)) {
-            log('warn', 'invalid_secret', { ip: req.ip });
-            return res.status(401).json({ 
+        // Verify HMAC signature / timestamp window and reject replays
+        const auth = webhookVerifier.verify(req);
+        if (!auth.ok) {
+            log('warn', 'webhook_rejected', { reason: auth.reason, ip: req.ip });
+            return res.status(auth.status).json({ 
                 ok: false, 
-                error: 'Invalid webhook secret' 
+                error: auth.error 
             });
         }
 
-        // Normalize payload
-        const normalized = normalizePayload(req.body);
-        if (!normalized) {
+        // Normalize payload; Helius posts a batch of transactions, of which
+        // the ones already delivered were dropped by verify()
+        const items = Array.isArray(auth.body) ? auth.body : [auth.body];
+        const normalizedItems = items
+            .map(item => ({ item, normalized: normalizePayload(item) }))
+            .filter(({ normalized }) => normalized);
+        if (normalizedItems.length === 0) {
+            webhookVerifier.release(auth.replayKeys);
             log('warn', 'invalid_payload', { 
                 ip: req.ip,
                 bodyKeys: Object.keys(req.body)
@@ -189,62 +121,52 @@ app.post('/webhook', (req, res) => {
             });
         }
 
-        const { mint, source, type } = normalized;
         const nowIso = new Date().toISOString();
 
-        // Create timestamped event
-        const timestampedEvent = {
-            timestamp: nowIso,
-            event_type: type,
-            token_address: mint,
-            source,
-            signature: normalized.launchTx ? normalized.launchTx.substring(0, 8) + '...' : 'none',
-            is_helius: !!(req.body.events || req.body.signature)
-        };
-
-        // Save to JSONL
-        appendToJsonl(timestampedEvent);
-
-        // Save to SQLite - Token upsert
-        const tokenResult = saveToken({
-            mint,
-            symbol: normalized.symbol,
-            name: normalized.name,
-            decimals: normalized.decimals,
-            creator: normalized.creator,
-            launch_tx: normalized.launchTx,
-            source,
-            first_seen_at: normalized.createdAt || nowIso,
-            last_updated_at: nowIso,
-        });
-
-        // Save to SQLite - Event insert with deduplication
-        const eventResult = saveEvent({
-            mint,
-            type,
-            source,
-            received_at: nowIso,
-            raw_json: JSON.stringify(req.body),
-            signature: normalized.launchTx || null
-        });
+        // Append to the intake log; tokens/token_events rows are written by the queue
+        try {
+            for (const { item, normalized } of normalizedItems) {
+                // Create timestamped event
+                const timestampedEvent = {
+                    timestamp: nowIso,
+                    event_type: normalized.type,
+                    token_address: normalized.mint,
+                    source: normalized.source,
+                    signature: normalized.launchTx ? normalized.launchTx.substring(0, 8) + '...' : 'none',
+                    is_helius: !!(item.events || item.signature)
+                };
+
+                await ingestQueue.enqueue({
+                    summary: timestampedEvent,
+                    ...toIntakeRows(normalized, nowIso),
+                    payload: item
+                });
+            }
+        } catch (error) {
+            webhookVerifier.release(auth.replayKeys);
+            throw error;
+        }
 
+        webhookVerifier.remember(auth.replayKeys);
         const processingTime = Date.now() - startTime;
+        const { mint, source, type, launchTx } = normalizedItems[0].normalized;
         
-        log('info', 'event_stored', {
+        log('info', 'event_queued', {
             source,
             mint: mint.substring(0, 8) + '...',
             type,
-            stored: eventResult.changes > 0,
-            duplicate: eventResult.changes === 0,
+            events: normalizedItems.length,
+            duplicates: auth.duplicates.length,
             processingTime
         });
 
         res.json({ 
             ok: true, 
-            stored: eventResult.changes > 0,
-            duplicate: eventResult.changes === 0,
-            timestamp: timestampedEvent.timestamp,
-            signature: normalized.launchTx
+            queued: true,
+            timestamp: nowIso,
+            signature: launchTx,
+            events: normalizedItems.length,
+            duplicates: auth.duplicates.length
         });
 
     } catch (error) {
@@ -262,10 +184,29 @@ app.post('/webhook', (req, res) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     log('info', 'server_started', { 
         port: PORT,
+        webhookSecrets: webhookVerifier.secrets.length,
+        staticSecretAllowed: webhookVerifier.allowStaticSecret,
         dataDir: DATA_DIR,
         jsonlFile: JSONL_FILE
     });
 });
+
+liveStream.attach(server, '/api/v1/stream');
+
+// Flush queued events before exiting (anything left is replayed on the next start)
+let shuttingDown = false;
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    log('info', 'shutting_down', { signal, pending: ingestQueue.getStats().pending });
+    server.close();
+    liveStream.close();
+    await ingestQueue.close();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -1,14 +1,19 @@
 // workers/alert-engine-worker.js - Task 9 Alert Engine v2
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 const { formatTokenDisplayWithHealth, formatHealthBadge } = require('../lib/visual-encoding');
+const { AlertDelivery } = require('../lib/alert-delivery');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'alert-engine');
 
 // --- Database Queries ---
+// Event-driven rules (safety regressions, dumps) are raised by the enhanced engine
 const getActiveAlertRules = db.prepare(`
-  SELECT * FROM alert_rules WHERE is_active = 1
+  SELECT * FROM alert_rules
+  WHERE is_active = 1 AND alert_type NOT IN ('safety_regression', 'dev_dump', 'insider_dump', 'model_drift')
 `);
 
 const getTokensForAlertCheck = db.prepare(`
@@ -53,6 +58,8 @@ const updateAlertStatus = db.prepare(`
   WHERE mint = ? AND alert_type = ? AND status = 'active'
 `);
 
+const alertDelivery = new AlertDelivery();
+
 // --- Alert Engine Functions ---
 
 /**
@@ -237,7 +244,7 @@ async function processTokenAlerts(token, rule) {
     
     // Insert alert
     const now = new Date().toISOString();
-    insertAlert.run(
+    const alertResult = insertAlert.run(
       mint,
       rule.alert_type,
       'high', // alert level
@@ -255,6 +262,19 @@ async function processTokenAlerts(token, rule) {
       health_score: token.health_score
     });
     
+    // Deliver to the rule's channels (skipped if the insert was a duplicate)
+    if (alertResult.changes > 0) {
+      await alertDelivery.deliverAlert({
+        id: alertResult.lastInsertRowid,
+        mint,
+        alert_type: rule.alert_type,
+        alert_level: 'high',
+        message,
+        triggered_at: now,
+        metadata
+      }, rule);
+    }
+    
   } catch (error) {
     logger.error('alert-engine', mint, 'alert_failed', `Failed to process alerts for ${symbol}: ${error.message}`);
   }
@@ -1,10 +1,12 @@
 // workers/backfill-sweeper-worker.js - Backfill sweeper for missing data
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'backfill-sweeper');
 
 // --- Database Queries ---
 const pickBackfillBatch = db.prepare(`
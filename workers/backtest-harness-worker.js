@@ -1,10 +1,12 @@
 // workers/backtest-harness-worker.js - Task 13 Backtest Harness for Model Evaluation
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 const FeatureEngineering = require('../lib/feature-engineering');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'backtest-harness');
 
 class BacktestHarnessWorker {
   constructor() {
@@ -1,11 +1,14 @@
 // workers/bundler-detector-worker.js - Bundler detection for Task 8
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const { fetchJson, sleep } = require('../lib/http');
 const logger = require('../lib/logger');
+const { getKnownServices } = require('../lib/known-services');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'bundler-detector');
 
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
 
@@ -96,10 +99,13 @@ function extractSOLTransfers(transactions) {
   return transfers;
 }
 
-function buildFundingGraph(transfers) {
+function buildFundingGraph(transfers, knownServices = new Map()) {
   const graph = new Map(); // wallet -> Set of funded wallets
   
   for (const transfer of transfers) {
+    // Exchange/bridge withdrawals fund unrelated users; they are not bundles
+    if (knownServices.has(transfer.from)) continue;
+
     if (!graph.has(transfer.from)) {
       graph.set(transfer.from, new Set());
     }
@@ -211,7 +217,7 @@ async function processTokenBundlerDetection(token) {
     }
     
     // 4. Build funding graph
-    const fundingGraph = buildFundingGraph(allTransfers);
+    const fundingGraph = buildFundingGraph(allTransfers, getKnownServices(db));
     
     // 5. Find bundlers
     const bundlers = findBundlers(fundingGraph, tokenBuyers, K_WALLETS);
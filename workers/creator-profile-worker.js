@@ -0,0 +1,56 @@
+// workers/creator-profile-worker.js - Creator launch history and reputation
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
+const logger = require('../lib/logger');
+const { buildCreatorProfiles } = require('../lib/creator-profiles');
+
+const db = new Database('db/agent.db');
+db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'creator-profile');
+
+class CreatorProfileWorker {
+  /**
+   * Rebuild every creator profile from tokens, clusters and labels
+   * @returns {object} { launches, creators, serial }
+   */
+  async processProfiles() {
+    logger.info('creator-profile', 'system', 'start', 'Rebuilding creator profiles');
+
+    const { launches, creators } = buildCreatorProfiles(db);
+    const serial = db.prepare('SELECT COUNT(*) AS n FROM creator_profiles WHERE launches >= 3').get().n;
+    const rugged = db.prepare('SELECT COUNT(*) AS n FROM creator_profiles WHERE rugged > 0').get().n;
+
+    logger.success('creator-profile', 'system', 'complete', `Profiled ${creators} creators from ${launches} launches`, {
+      serial_launchers: serial,
+      creators_with_rugs: rugged
+    });
+
+    return { launches, creators, serial };
+  }
+}
+
+// Export for CLI usage
+module.exports = {
+  CreatorProfileWorker,
+  processProfiles: async () => {
+    const worker = new CreatorProfileWorker();
+    return worker.processProfiles();
+  },
+  mainLoop: async () => {
+    const worker = new CreatorProfileWorker();
+    await worker.processProfiles();
+    logger.success('creator-profile', 'system', 'complete', 'Creator Profile Worker completed');
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  const worker = new CreatorProfileWorker();
+  worker.processProfiles().then(() => {
+    console.log('✅ Creator Profile Worker completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('❌ Creator Profile Worker failed:', error.message);
+    process.exit(1);
+  });
+}
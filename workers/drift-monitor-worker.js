@@ -0,0 +1,253 @@
+// workers/drift-monitor-worker.js - Compare live features and predictions with the champion models' training reference
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
+const logger = require('../lib/logger');
+const { FeatureStore, SNAPSHOT_OFFSET_MS } = require('../lib/feature-store');
+const { getChampion } = require('../lib/model-registry');
+const { psi, ks } = require('../lib/drift');
+const { EnhancedAlertEngine } = require('./enhanced-alert-engine-worker');
+
+const db = new Database('db/agent.db');
+db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'drift-monitor');
+
+const TARGETS = ['2x_24h', 'rug_24h'];
+
+// Used when the model_drift rule has been deleted
+const DEFAULT_THRESHOLDS = { psi: 0.25, ks: 0.2, features: 3, prediction_psi: 0.25 };
+
+// A rolling window covers one or two weekdays and every hour once, so
+// calendar features always look shifted against months of training data
+const CALENDAR_FEATURES = ['weekday', 'hour', 'is_weekend'];
+
+class DriftMonitorWorker {
+  constructor(options = {}) {
+    this.featureStore = options.featureStore || new FeatureStore(db);
+    this.alertEngine = options.alertEngine || new EnhancedAlertEngine();
+    this.windowHours = parseFloat(process.env.DRIFT_WINDOW_HOURS || '24');
+    this.minSamples = parseInt(process.env.DRIFT_MIN_SAMPLES || '30', 10);
+    this.maxTokens = parseInt(process.env.DRIFT_MAX_TOKENS || '500', 10);
+  }
+
+  getRule() {
+    return db.prepare(`SELECT * FROM alert_rules WHERE alert_type = 'model_drift' ORDER BY id LIMIT 1`).get() || null;
+  }
+
+  /**
+   * Point-in-time feature vectors of tokens whose T+30m snapshot falls in
+   * the window, read through the feature store (vectors scored live are
+   * reused as stored). Late vectors hold post-launch state and are skipped.
+   * @returns {Array} Vectors
+   */
+  getLiveVectors(windowStart, windowEnd) {
+    const tokens = db.prepare(`
+      SELECT mint, first_seen_at, source
+      FROM tokens
+      WHERE first_seen_at >= ? AND first_seen_at <= ? AND lp_exists = 1
+      ORDER BY first_seen_at DESC
+      LIMIT ?
+    `).all(
+      new Date(Date.parse(windowStart) - SNAPSHOT_OFFSET_MS).toISOString(),
+      new Date(Date.parse(windowEnd) - SNAPSHOT_OFFSET_MS).toISOString(),
+      this.maxTokens
+    );
+
+    const vectors = [];
+    for (const token of tokens) {
+      const vector = this.featureStore.getVector(token);
+      if (vector && vector.point_in_time) vectors.push(vector);
+    }
+    return vectors;
+  }
+
+  /**
+   * Champion probabilities written for snapshots in the window
+   * @returns {Array} Probabilities
+   */
+  getLivePredictions(target, modelId, windowStart, windowEnd) {
+    return db.prepare(`
+      SELECT prob FROM token_predictions
+      WHERE target = ? AND model_id = ? AND shadow = 0 AND ts >= ? AND ts <= ?
+    `).all(target, modelId, windowStart, windowEnd).map(row => row.prob);
+  }
+
+  /**
+   * PSI / KS of every reference feature and of the predictions for one
+   * target's champion, stored as a drift run
+   * @param {string} target - '2x_24h' | 'rug_24h'
+   * @param {object} window - { start, end }
+   * @param {Array} vectors - Live feature vectors
+   * @param {object} thresholds - { psi, ks, features, prediction_psi }
+   * @returns {object|null} { run, drifted } or null without a reference
+   */
+  checkTarget(target, window, vectors, thresholds) {
+    const champion = getChampion(db, target);
+    if (!champion || !champion.reference_profile) {
+      logger.info('drift-monitor', 'system', 'no_reference', `No ${target} champion with a training reference (retrain to record one)`);
+      return null;
+    }
+
+    const reference = JSON.parse(champion.reference_profile);
+    const predictions = this.getLivePredictions(target, champion.model_id, window.start, window.end);
+    const metrics = [];
+
+    const measure = (kind, name, profile, values) => {
+      const present = values.filter(v => v !== null);
+      const stat = { psi: psi(profile, values), ks: ks(profile, values) };
+      metrics.push({
+        kind,
+        name,
+        psi: stat.psi,
+        ks: stat.ks,
+        reference_missing_rate: profile.missing_rate,
+        live_missing_rate: values.length > 0 ? 1 - present.length / values.length : null,
+        live_count: values.length,
+        drifted: (stat.psi !== null && stat.psi >= thresholds.psi) || (stat.ks !== null && stat.ks >= thresholds.ks) ? 1 : 0
+      });
+    };
+
+    if (vectors.length >= this.minSamples) {
+      for (const [name, profile] of Object.entries(reference.features || {})) {
+        if (CALENDAR_FEATURES.includes(name)) continue;
+        measure('feature', name, profile, vectors.map(vector => {
+          const i = vector.names.indexOf(name);
+          return i < 0 || vector.mask[i] ? null : vector.values[i];
+        }));
+      }
+    }
+
+    let prediction = null;
+    if (reference.prediction && predictions.length >= this.minSamples) {
+      measure('prediction', 'prob', reference.prediction, predictions);
+      prediction = metrics[metrics.length - 1];
+    }
+
+    const features = metrics.filter(m => m.kind === 'feature');
+    const driftedFeatures = features.filter(m => m.drifted).length;
+    const predictionDrift = prediction && prediction.psi !== null && prediction.psi >= thresholds.prediction_psi;
+
+    let status = 'ok';
+    if (metrics.length === 0) {
+      status = 'insufficient_data';
+    } else if (driftedFeatures >= thresholds.features || predictionDrift) {
+      status = 'drift';
+    }
+
+    const run = {
+      target,
+      model_id: champion.model_id,
+      window_start: window.start,
+      window_end: window.end,
+      live_tokens: vectors.length,
+      live_predictions: predictions.length,
+      drifted_features: driftedFeatures,
+      max_feature_psi: features.length > 0 ? Math.max(...features.map(m => m.psi ?? 0)) : null,
+      prediction_psi: prediction ? prediction.psi : null,
+      prediction_ks: prediction ? prediction.ks : null,
+      status,
+      retrain_suggested: status === 'drift' ? 1 : 0
+    };
+
+    db.transaction(() => {
+      run.id = db.prepare(`
+        INSERT INTO drift_runs
+        (target, model_id, window_start, window_end, live_tokens, live_predictions, drifted_features,
+         max_feature_psi, prediction_psi, prediction_ks, status, retrain_suggested, created_at)
+        VALUES (@target, @model_id, @window_start, @window_end, @live_tokens, @live_predictions, @drifted_features,
+         @max_feature_psi, @prediction_psi, @prediction_ks, @status, @retrain_suggested, @created_at)
+      `).run({ ...run, created_at: new Date().toISOString() }).lastInsertRowid;
+
+      const insertMetric = db.prepare(`
+        INSERT INTO drift_metrics
+        (run_id, kind, name, psi, ks, reference_missing_rate, live_missing_rate, live_count, drifted)
+        VALUES (@run_id, @kind, @name, @psi, @ks, @reference_missing_rate, @live_missing_rate, @live_count, @drifted)
+      `);
+      for (const metric of metrics) insertMetric.run({ run_id: run.id, ...metric });
+    })();
+
+    const drifted = metrics.filter(m => m.drifted || (m.kind === 'prediction' && predictionDrift))
+      .sort((a, b) => (b.psi ?? 0) - (a.psi ?? 0));
+    return { run, drifted };
+  }
+
+  /**
+   * Check both targets over the rolling window and alert on drift
+   */
+  async processDrift() {
+    logger.info('drift-monitor', 'system', 'start', 'Starting drift monitoring');
+
+    const rule = this.getRule();
+    const thresholds = { ...DEFAULT_THRESHOLDS, ...(rule ? JSON.parse(rule.thresholds || '{}') : {}) };
+    const end = new Date();
+    const window = {
+      start: new Date(end.getTime() - this.windowHours * 60 * 60 * 1000).toISOString(),
+      end: end.toISOString()
+    };
+
+    const vectors = this.getLiveVectors(window.start, window.end);
+    const summary = { runs: 0, drifted: 0, alerts: 0 };
+
+    for (const target of TARGETS) {
+      try {
+        const result = this.checkTarget(target, window, vectors, thresholds);
+        if (!result) continue;
+        summary.runs++;
+
+        const { run, drifted } = result;
+        if (run.status === 'insufficient_data') {
+          logger.info('drift-monitor', 'system', 'insufficient_data',
+            `${target}: ${run.live_tokens} live tokens and ${run.live_predictions} scores, need ${this.minSamples}`);
+          continue;
+        }
+        if (run.status !== 'drift') {
+          logger.info('drift-monitor', 'system', 'stable',
+            `${target}: ${run.drifted_features} drifted features, prediction PSI ${run.prediction_psi?.toFixed(3) ?? '-'}`);
+          continue;
+        }
+
+        summary.drifted++;
+        logger.warning('drift-monitor', 'system', 'drift_detected',
+          `${target}: ${run.drifted_features} drifted features, prediction PSI ${run.prediction_psi?.toFixed(3) ?? '-'} - retrain suggested`);
+
+        if (rule && rule.is_active) {
+          const alertId = await this.alertEngine.processDriftAlert(run, drifted, rule);
+          if (alertId) {
+            db.prepare('UPDATE drift_runs SET alert_id = ? WHERE id = ?').run(alertId, run.id);
+            summary.alerts++;
+          }
+        }
+      } catch (error) {
+        logger.error('drift-monitor', 'system', 'drift_check_failed', `Drift check failed for ${target}: ${error.message}`);
+      }
+    }
+
+    logger.success('drift-monitor', 'system', 'complete', `Checked drift on ${vectors.length} live tokens`, summary);
+    return summary;
+  }
+}
+
+// Export for CLI usage
+module.exports = {
+  DriftMonitorWorker,
+  processDrift: async () => {
+    const worker = new DriftMonitorWorker();
+    return worker.processDrift();
+  },
+  mainLoop: async () => {
+    const worker = new DriftMonitorWorker();
+    await worker.processDrift();
+    logger.success('drift-monitor', 'system', 'complete', 'Drift Monitor Worker completed');
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  const worker = new DriftMonitorWorker();
+  worker.processDrift().then(() => {
+    console.log('✅ Drift Monitor Worker completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('❌ Drift Monitor Worker failed:', error.message);
+    process.exit(1);
+  });
+}
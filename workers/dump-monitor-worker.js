@@ -0,0 +1,263 @@
+// workers/dump-monitor-worker.js - Watch dev, insider and bundler wallets for sells and transfers out
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
+const logger = require('../lib/logger');
+const { SolanaRpc } = require('../lib/solana-rpc');
+const { decodeMint } = require('../lib/pool-discovery');
+const { extractWalletOutflow } = require('../lib/dump-detector');
+const { EnhancedAlertEngine } = require('./enhanced-alert-engine-worker');
+
+const db = new Database('db/agent.db');
+db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'dump-monitor');
+
+class DumpMonitorWorker {
+  constructor(options = {}) {
+    this.rpc = options.rpc || new SolanaRpc();
+    this.alertEngine = options.alertEngine || new EnhancedAlertEngine();
+    this.trackDays = parseFloat(process.env.DUMP_WATCH_DAYS || '3');
+    this.batchSize = parseInt(process.env.DUMP_WATCH_BATCH || '50', 10);
+    this.recheckMinutes = parseInt(process.env.DUMP_WATCH_RECHECK_MINUTES || '2', 10);
+    this.maxSignatures = parseInt(process.env.DUMP_WATCH_SIGNATURES || '50', 10);
+    this.maxPages = parseInt(process.env.DUMP_WATCH_PAGES || '10', 10);
+  }
+
+  /**
+   * Tracked tokens due for a pass, least recently checked first
+   * @returns {Array} Tokens
+   */
+  getTokensToWatch() {
+    return db.prepare(`
+      SELECT mint, symbol, dev_wallet, first_seen_at, pool_created_at, dump_checked_at
+      FROM tokens
+      WHERE first_seen_at >= ?
+        AND (dump_checked_at IS NULL OR dump_checked_at <= ?)
+      ORDER BY dump_checked_at IS NOT NULL, dump_checked_at ASC
+      LIMIT ?
+    `).all(
+      new Date(Date.now() - this.trackDays * 24 * 60 * 60 * 1000).toISOString(),
+      new Date(Date.now() - this.recheckMinutes * 60 * 1000).toISOString(),
+      this.batchSize
+    );
+  }
+
+  /**
+   * Add the dev wallet, insider holders and bundle wallets to the token's
+   * watch list. A wallet keeps the first role it was added with, so the dev
+   * stays 'dev' even when it is also flagged as an insider.
+   * @param {object} token - Token row
+   * @returns {Array} dump_watch rows
+   */
+  syncWatchList(token) {
+    const { mint, dev_wallet } = token;
+    const insert = db.prepare(`
+      INSERT INTO dump_watch (mint, wallet, role) VALUES (?, ?, ?)
+      ON CONFLICT(mint, wallet) DO NOTHING
+    `);
+
+    db.transaction(() => {
+      if (dev_wallet) insert.run(mint, dev_wallet, 'dev');
+      for (const { owner } of db.prepare('SELECT owner FROM holders WHERE mint = ? AND is_insider = 1').all(mint)) {
+        insert.run(mint, owner, 'insider');
+      }
+      const bundlers = db.prepare(`
+        SELECT owner AS wallet FROM holders WHERE mint = ? AND is_bundler = 1
+        UNION
+        SELECT recipient AS wallet FROM bundle_events WHERE mint = ?
+      `).all(mint, mint);
+      for (const { wallet } of bundlers) insert.run(mint, wallet, 'bundler');
+    })();
+
+    return db.prepare('SELECT * FROM dump_watch WHERE mint = ?').all(mint);
+  }
+
+  /**
+   * Page backwards through a wallet's signatures, newest first, until the
+   * checkpoint (or, on the first pass, the launch) is reached. Stops after
+   * DUMP_WATCH_PAGES pages; the scan then resumes from its oldest signature.
+   * @param {object} watch - dump_watch row
+   * @param {number} launchedMs - Launch time (first pass only)
+   * @returns {object} { signatures (newest first), complete }
+   */
+  async readSignatures(watch, launchedMs) {
+    const signatures = [];
+    let before = watch.scan_before || undefined;
+
+    for (let page = 0; page < this.maxPages; page++) {
+      const batch = await this.rpc.getSignaturesForAddress(watch.wallet, {
+        before,
+        until: watch.last_signature || undefined,
+        limit: this.maxSignatures
+      });
+      const inRange = watch.last_signature
+        ? batch
+        : batch.filter(s => !s.blockTime || s.blockTime * 1000 >= launchedMs);
+      signatures.push(...inRange);
+
+      if (batch.length < this.maxSignatures || inRange.length < batch.length) {
+        return { signatures, complete: true };
+      }
+      before = batch[batch.length - 1].signature;
+    }
+    return { signatures, complete: false };
+  }
+
+  /**
+   * Read a watched wallet's new transactions and record its outflows of the
+   * mint. The first pass starts at the token's launch. The checkpoint only
+   * moves once the scan has reached it, so no signature range is skipped.
+   * @param {object} watch - dump_watch row
+   * @param {object} token - Token row
+   * @param {object} mintInfo - Decoded mint (supply, decimals)
+   * @param {Set} watched - Every watched wallet of the token
+   * @returns {number} New dump events
+   */
+  async watchWallet(watch, token, mintInfo, watched) {
+    const launchedMs = Date.parse(token.pool_created_at || token.first_seen_at);
+    const { signatures, complete } = await this.readSignatures(watch, launchedMs);
+
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO dump_events
+      (mint, wallet, role, kind, signature, ts, token_amount, supply_pct, destination, sol_received)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let added = 0;
+    // Oldest first so the timeline and checkpoint advance together
+    for (const { signature, blockTime } of signatures.filter(s => !s.err).reverse()) {
+      const outflow = extractWalletOutflow(await this.rpc.getTransaction(signature), watch.wallet, token.mint);
+      if (!outflow) continue;
+
+      // Moves between watched wallets are counted when the receiver dumps
+      const kind = outflow.kind === 'transfer' && watched.has(outflow.destination) ? 'internal' : outflow.kind;
+      const supplyPct = mintInfo && mintInfo.supply > 0n
+        ? Number(outflow.amount * 1000000n / mintInfo.supply) / 10000
+        : null;
+
+      const result = insert.run(
+        token.mint, watch.wallet, watch.role, kind, outflow.signature || signature,
+        outflow.ts || new Date(blockTime * 1000).toISOString(),
+        Number(outflow.amount) / Math.pow(10, mintInfo ? mintInfo.decimals : 0),
+        supplyPct, outflow.destination, outflow.solReceived
+      );
+      added += result.changes;
+    }
+
+    // A resumed scan keeps the newest signature it started from
+    const newest = watch.scan_before ? watch.scan_newest : signatures[0]?.signature || null;
+    if (complete) {
+      db.prepare(`
+        UPDATE dump_watch SET last_signature = COALESCE(?, last_signature), scan_before = NULL, scan_newest = NULL, checked_at = ?
+        WHERE mint = ? AND wallet = ?
+      `).run(newest, new Date().toISOString(), token.mint, watch.wallet);
+    } else {
+      db.prepare('UPDATE dump_watch SET scan_before = ?, scan_newest = ?, checked_at = ? WHERE mint = ? AND wallet = ?')
+        .run(signatures[signatures.length - 1].signature, newest, new Date().toISOString(), token.mint, watch.wallet);
+      logger.info('dump-monitor', token.mint, 'scan_continues',
+        `${watch.wallet}: read ${signatures.length} signatures, resuming older ones next pass`);
+    }
+    return added;
+  }
+
+  /**
+   * Refresh the token's cumulative dumped share of supply
+   * @param {string} mint - Token mint
+   */
+  updateTokenDumpPct(mint) {
+    db.prepare(`
+      UPDATE tokens SET
+        dev_dump_pct = (
+          SELECT SUM(supply_pct) FROM dump_events WHERE mint = ? AND role = 'dev' AND kind != 'internal'
+        ),
+        insider_dump_pct = (
+          SELECT SUM(supply_pct) FROM dump_events WHERE mint = ? AND role IN ('insider', 'bundler') AND kind != 'internal'
+        ),
+        dump_checked_at = ?
+      WHERE mint = ?
+    `).run(mint, mint, new Date().toISOString(), mint);
+  }
+
+  /**
+   * Watch every due token, then hand new dumps to the alert engine
+   */
+  async processDumps() {
+    logger.info('dump-monitor', 'system', 'start', 'Starting dump monitoring');
+
+    if (!this.rpc.isConfigured()) {
+      logger.warning('dump-monitor', 'system', 'rpc_not_configured', 'Set SOLANA_RPC_URL or HELIUS_API_KEY to watch wallet outflows');
+      return { checked: 0, wallets: 0, events: 0, alerts: 0 };
+    }
+
+    const tokens = this.getTokensToWatch();
+    if (tokens.length === 0) {
+      logger.info('dump-monitor', 'system', 'no_tokens', 'No tokens due for dump monitoring');
+      return { checked: 0, wallets: 0, events: 0, alerts: 0 };
+    }
+
+    // One batched read for every mint's supply and decimals
+    const accounts = await this.rpc.getMultipleAccounts(tokens.map(t => t.mint));
+
+    let wallets = 0;
+    let events = 0;
+    for (const token of tokens) {
+      try {
+        const mintInfo = accounts.has(token.mint) ? decodeMint(accounts.get(token.mint).data) : null;
+        const watchList = this.syncWatchList(token);
+        const watched = new Set(watchList.map(w => w.wallet));
+
+        let added = 0;
+        for (const watch of watchList) {
+          try {
+            added += await this.watchWallet(watch, token, mintInfo, watched);
+          } catch (error) {
+            logger.error('dump-monitor', token.mint, 'watch_wallet_failed', `Failed to watch ${watch.wallet}: ${error.message}`);
+          }
+        }
+        this.updateTokenDumpPct(token.mint);
+
+        wallets += watchList.length;
+        events += added;
+        if (added > 0) {
+          logger.warning('dump-monitor', token.mint, 'dumps_detected', `${token.symbol || token.mint}: ${added} new outflows from watched wallets`);
+        }
+      } catch (error) {
+        logger.error('dump-monitor', token.mint, 'watch_failed', `Dump monitoring failed: ${error.message}`);
+      }
+    }
+
+    const alerts = events > 0 ? await this.alertEngine.processDumpAlerts() : 0;
+
+    logger.success('dump-monitor', 'system', 'complete', `Watched ${wallets} wallets across ${tokens.length} tokens`, {
+      events,
+      alerts
+    });
+
+    return { checked: tokens.length, wallets, events, alerts };
+  }
+}
+
+// Export for CLI usage
+module.exports = {
+  DumpMonitorWorker,
+  processDumps: async () => {
+    const worker = new DumpMonitorWorker();
+    return worker.processDumps();
+  },
+  mainLoop: async () => {
+    const worker = new DumpMonitorWorker();
+    await worker.processDumps();
+    logger.success('dump-monitor', 'system', 'complete', 'Dump Monitor Worker completed');
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  const worker = new DumpMonitorWorker();
+  worker.processDumps().then(() => {
+    console.log('✅ Dump Monitor Worker completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('❌ Dump Monitor Worker failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -1,17 +1,22 @@
 // workers/enhanced-alert-engine-worker.js - Enhanced Alert Engine with Quality Gates
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 const { formatTokenDisplayWithHealth, formatHealthBadge } = require('../lib/visual-encoding');
 const EnhancedHealthScoring = require('../lib/enhanced-health-scoring');
+const { AlertDelivery } = require('../lib/alert-delivery');
+const { summarizeDumpWindows, crossedWindow, DUMP_WINDOWS, ROLE_GROUPS } = require('../lib/dump-detector');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'enhanced-alert-engine');
 
 class EnhancedAlertEngine {
   constructor() {
     this.healthScoring = new EnhancedHealthScoring();
     this.alertCooldowns = new Map(); // Track alert cooldowns per mint
     this.priceFeeds = new Map(); // Track price feed conflicts
+    this.alertDelivery = new AlertDelivery();
   }
 
   /**
@@ -430,7 +435,7 @@ Fresh ${(features.freshPct * 100).toFixed(0)}% • Snipers ${(features.sniperPct
 
       // Insert alert
       const now = new Date().toISOString();
-      db.prepare(`
+      const alertResult = db.prepare(`
         INSERT OR IGNORE INTO alerts 
         (mint, alert_type, alert_level, message, triggered_at, metadata)
         VALUES (?, ?, ?, ?, ?, ?)
@@ -445,11 +450,308 @@ Fresh ${(features.freshPct * 100).toFixed(0)}% • Snipers ${(features.sniperPct
         health_score: token.health_score
       });
 
+      // Deliver to the rule's channels (skipped if the insert was a duplicate)
+      if (alertResult.changes > 0) {
+        await this.alertDelivery.deliverAlert({
+          id: alertResult.lastInsertRowid,
+          mint,
+          alert_type: rule.alert_type,
+          alert_level: 'high',
+          message,
+          triggered_at: now,
+          metadata
+        }, rule);
+      }
+
     } catch (error) {
       logger.error('alert-engine', mint, 'alert_failed', `Failed to process enhanced alerts for ${symbol}: ${error.message}`);
     }
   }
 
+  /**
+   * Describe one safety transition recorded by the safety watcher
+   * @param {object} change - rug_risk_history row (change_type, previous_value, current_value)
+   * @returns {string} Human-readable line
+   */
+  describeSafetyChange(change) {
+    const short = value => value && value.length > 12 ? `${value.slice(0, 4)}…${value.slice(-4)}` : (value || 'none');
+    switch (change.change_type) {
+      case 'mint_authority_enabled':
+        return `Mint authority re-enabled (${short(change.current_value)})`;
+      case 'freeze_authority_enabled':
+        return `Freeze authority re-enabled (${short(change.current_value)})`;
+      case 'lp_unlocked':
+        return `LP lock released (${change.previous_value} → ${change.current_value})`;
+      default:
+        return `${change.change_type} (${change.previous_value} → ${change.current_value})`;
+    }
+  }
+
+  /**
+   * Raise one safety_regression alert per mint for the safe → unsafe
+   * transitions the safety watcher recorded and no alert has covered yet.
+   * These bypass the cooldown and quality gates: the transition itself is the signal.
+   * @returns {number} Alerts raised
+   */
+  async processSafetyRegressions() {
+    const rule = db.prepare(`
+      SELECT * FROM alert_rules WHERE alert_type = 'safety_regression' AND is_active = 1 LIMIT 1
+    `).get();
+    if (!rule) return 0;
+
+    const changes = db.prepare(`
+      SELECT r.id, r.mint, r.timestamp, r.change_type, r.previous_value, r.current_value, r.rug_risk_score,
+             t.symbol, t.health_score, t.liquidity_usd
+      FROM rug_risk_history r
+      LEFT JOIN tokens t ON r.mint = t.mint
+      WHERE r.is_regression = 1 AND r.alerted_at IS NULL
+      ORDER BY r.id
+    `).all();
+    if (changes.length === 0) return 0;
+
+    const byMint = new Map();
+    for (const change of changes) {
+      if (!byMint.has(change.mint)) byMint.set(change.mint, []);
+      byMint.get(change.mint).push(change);
+    }
+
+    const insertAlert = db.prepare(`
+      INSERT OR IGNORE INTO alerts
+      (mint, alert_type, alert_level, message, triggered_at, metadata)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const markAlerted = db.prepare('UPDATE rug_risk_history SET alerted_at = ? WHERE id = ?');
+
+    let raised = 0;
+    for (const [mint, mintChanges] of byMint) {
+      const token = mintChanges[0];
+      const tokenDisplay = formatTokenDisplayWithHealth(token.symbol, mint, token.health_score ?? null, false);
+      const lines = mintChanges.map(change => `• ${this.describeSafetyChange(change)}`);
+      const message = `🚨 ${tokenDisplay} • Safety regression\n${lines.join('\n')}`;
+      const metadata = JSON.stringify({
+        rule_name: rule.rule_name,
+        changes: mintChanges.map(change => ({
+          change_type: change.change_type,
+          previous_value: change.previous_value,
+          current_value: change.current_value,
+          detected_at: change.timestamp
+        })),
+        rug_risk_score: token.rug_risk_score,
+        liquidity_usd: token.liquidity_usd
+      });
+
+      const now = new Date().toISOString();
+      const alertResult = db.transaction(() => {
+        const result = insertAlert.run(mint, rule.alert_type, 'critical', message, now, metadata);
+        for (const change of mintChanges) markAlerted.run(now, change.id);
+        return result;
+      })();
+
+      logger.success('alert-engine', mint, 'alert_triggered', `Safety regression alert triggered for ${token.symbol || mint}`, {
+        alert_type: rule.alert_type,
+        changes: mintChanges.map(change => change.change_type)
+      });
+
+      if (alertResult.changes > 0) {
+        raised++;
+        await this.alertDelivery.deliverAlert({
+          id: alertResult.lastInsertRowid,
+          mint,
+          alert_type: rule.alert_type,
+          alert_level: 'critical',
+          message,
+          triggered_at: now,
+          metadata
+        }, rule);
+      }
+    }
+
+    return raised;
+  }
+
+  /**
+   * Raise dev_dump / insider_dump alerts for mints whose watched wallets
+   * dumped at least a rule threshold of supply within a rolling window.
+   * Windows end at the newest dump not yet covered by an alert, so a late
+   * pass still sees the burst as it happened. Like safety regressions these
+   * skip the quality gates, but repeat alerts respect the rule's debounce.
+   * @returns {number} Alerts raised
+   */
+  async processDumpAlerts() {
+    const rules = db.prepare(`
+      SELECT * FROM alert_rules WHERE alert_type IN ('dev_dump', 'insider_dump') AND is_active = 1
+    `).all();
+    if (rules.length === 0) return 0;
+
+    const longestWindowMs = Math.max(...Object.values(DUMP_WINDOWS)) * 60 * 1000;
+    const insertAlert = db.prepare(`
+      INSERT OR IGNORE INTO alerts
+      (mint, alert_type, alert_level, message, triggered_at, metadata)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    let raised = 0;
+    for (const rule of rules) {
+      const roles = Object.keys(ROLE_GROUPS).filter(role => ROLE_GROUPS[role] === rule.alert_type);
+      const roleList = roles.map(() => '?').join(', ');
+      const thresholds = JSON.parse(rule.thresholds || '{}');
+
+      const pending = db.prepare(`
+        SELECT mint, MAX(ts) AS as_of
+        FROM dump_events
+        WHERE alerted_at IS NULL AND kind != 'internal' AND role IN (${roleList})
+        GROUP BY mint
+      `).all(...roles);
+
+      for (const { mint, as_of: asOf } of pending) {
+        const lastAlert = db.prepare(`
+          SELECT triggered_at FROM alerts WHERE mint = ? AND alert_type = ? ORDER BY triggered_at DESC LIMIT 1
+        `).get(mint, rule.alert_type);
+        if (lastAlert && Date.now() - Date.parse(lastAlert.triggered_at) < (rule.debounce_minutes || 0) * 60 * 1000) {
+          continue;
+        }
+
+        const events = db.prepare(`
+          SELECT id, wallet, role, kind, ts, supply_pct, sol_received, alerted_at
+          FROM dump_events
+          WHERE mint = ? AND role IN (${roleList}) AND kind != 'internal' AND ts <= ? AND ts >= ?
+          ORDER BY ts ASC
+        `).all(mint, ...roles, asOf, new Date(Date.parse(asOf) - longestWindowMs).toISOString());
+
+        const windows = summarizeDumpWindows(events, asOf);
+        const window = crossedWindow(windows, thresholds);
+        if (!window) continue;
+
+        const token = db.prepare(`
+          SELECT symbol, health_score, liquidity_usd, dev_dump_pct, insider_dump_pct FROM tokens WHERE mint = ?
+        `).get(mint) || {};
+        const inWindow = events.filter(e => Date.parse(asOf) - Date.parse(e.ts) <= DUMP_WINDOWS[window] * 60 * 1000);
+        const sells = inWindow.filter(e => e.kind === 'sell');
+        const transfers = inWindow.filter(e => e.kind === 'transfer');
+        const wallets = [...new Set(inWindow.map(e => e.wallet))];
+        const totalPct = rule.alert_type === 'dev_dump' ? token.dev_dump_pct : token.insider_dump_pct;
+
+        const label = rule.alert_type === 'dev_dump' ? 'Dev dump' : 'Insider dump';
+        const tokenDisplay = formatTokenDisplayWithHealth(token.symbol, mint, token.health_score ?? null, false);
+        const lines = [
+          `• ${windows[window].toFixed(2)}% of supply out in ${window} (threshold ${thresholds[window]}%)`,
+          `• ${sells.length} sells (${sells.reduce((sum, e) => sum + (e.sol_received || 0), 0).toFixed(2)} SOL), ${transfers.length} transfers from ${wallets.length} wallet${wallets.length === 1 ? '' : 's'}`
+        ];
+        if (totalPct !== null && totalPct !== undefined) lines.push(`• Total since launch: ${totalPct.toFixed(2)}%`);
+        const message = `🚨 ${tokenDisplay} • ${label}\n${lines.join('\n')}`;
+        const metadata = JSON.stringify({
+          rule_name: rule.rule_name,
+          window,
+          windows,
+          thresholds,
+          wallets,
+          roles: [...new Set(inWindow.map(e => e.role))],
+          total_pct: totalPct ?? null,
+          as_of: asOf,
+          liquidity_usd: token.liquidity_usd
+        });
+
+        const now = new Date().toISOString();
+        const alertResult = db.transaction(() => {
+          const result = insertAlert.run(mint, rule.alert_type, 'critical', message, now, metadata);
+          db.prepare(`
+            UPDATE dump_events SET alerted_at = ?
+            WHERE mint = ? AND alerted_at IS NULL AND role IN (${roleList}) AND ts <= ?
+          `).run(now, mint, ...roles, asOf);
+          return result;
+        })();
+
+        logger.success('alert-engine', mint, 'alert_triggered', `${label} alert triggered for ${token.symbol || mint}`, {
+          alert_type: rule.alert_type,
+          window,
+          dumped_pct: windows[window]
+        });
+
+        if (alertResult.changes > 0) {
+          raised++;
+          await this.alertDelivery.deliverAlert({
+            id: alertResult.lastInsertRowid,
+            mint,
+            alert_type: rule.alert_type,
+            alert_level: 'critical',
+            message,
+            triggered_at: now,
+            metadata
+          }, rule);
+        }
+      }
+    }
+
+    return raised;
+  }
+
+  /**
+   * Raise a system model_drift alert for a drift run that crossed the rule
+   * thresholds, suggesting a retrain. Alerts are per target and respect the
+   * rule's debounce; they carry mint 'system' since no token is involved.
+   * @param {object} run - drift_runs row
+   * @param {Array} drifted - Drifted drift_metrics rows, worst first
+   * @param {object} rule - model_drift alert rule
+   * @returns {number|null} Alert id, null when debounced
+   */
+  async processDriftAlert(run, drifted, rule) {
+    const lastAlert = db.prepare(`
+      SELECT triggered_at FROM alerts
+      WHERE mint = 'system' AND alert_type = 'model_drift' AND json_extract(metadata, '$.target') = ?
+      ORDER BY triggered_at DESC LIMIT 1
+    `).get(run.target);
+    if (lastAlert && Date.now() - Date.parse(lastAlert.triggered_at) < (rule.debounce_minutes || 0) * 60 * 1000) {
+      logger.info('alert-engine', 'system', 'drift_alert_debounced', `Model drift on ${run.target} already alerted recently`);
+      return null;
+    }
+
+    const thresholds = JSON.parse(rule.thresholds || '{}');
+    const features = drifted.filter(m => m.kind === 'feature');
+    const fmt = value => (value === null || value === undefined ? '-' : value.toFixed(2));
+    const lines = [
+      `• ${features.length} feature${features.length === 1 ? '' : 's'} drifted (PSI ≥ ${thresholds.psi} or KS ≥ ${thresholds.ks})` +
+        (features.length > 0 ? `: ${features.slice(0, 5).map(m => `${m.name} PSI ${fmt(m.psi)} KS ${fmt(m.ks)}`).join(', ')}` : ''),
+      `• Predictions PSI ${fmt(run.prediction_psi)}, KS ${fmt(run.prediction_ks)} over ${run.live_predictions} live scores`,
+      `• Window ${run.window_start.substring(0, 16)} → ${run.window_end.substring(0, 16)}, ${run.live_tokens} tokens`,
+      '• Retrain suggested: npm run cli -- train --cv'
+    ];
+    const message = `📉 Model drift • ${run.target} (${run.model_id})\n${lines.join('\n')}`;
+    const metadata = JSON.stringify({
+      rule_name: rule.rule_name,
+      run_id: run.id,
+      target: run.target,
+      model_id: run.model_id,
+      thresholds,
+      drifted: drifted.map(m => ({ kind: m.kind, name: m.name, psi: m.psi, ks: m.ks }))
+    });
+
+    const now = new Date().toISOString();
+    const result = db.prepare(`
+      INSERT OR IGNORE INTO alerts
+      (mint, alert_type, alert_level, message, triggered_at, metadata)
+      VALUES ('system', 'model_drift', 'high', ?, ?, ?)
+    `).run(message, now, metadata);
+    if (result.changes === 0) return null;
+
+    logger.warning('alert-engine', 'system', 'alert_triggered', `Model drift alert triggered for ${run.target}`, {
+      alert_type: 'model_drift',
+      drifted_features: run.drifted_features,
+      prediction_psi: run.prediction_psi
+    });
+
+    await this.alertDelivery.deliverAlert({
+      id: result.lastInsertRowid,
+      mint: 'system',
+      alert_type: 'model_drift',
+      alert_level: 'high',
+      message,
+      triggered_at: now,
+      metadata
+    }, rule);
+
+    return result.lastInsertRowid;
+  }
+
   /**
    * Get known actor information for a token
    * @param {string} mint - Token mint
@@ -624,8 +926,15 @@ Fresh ${(features.freshPct * 100).toFixed(0)}% • Snipers ${(features.sniperPct
     logger.info('alert-engine', 'system', 'start', 'Starting enhanced alert processing');
     
     try {
+      // Safety regressions and dumps are event-driven, not evaluated per token like the other rules
+      await this.processSafetyRegressions();
+      await this.processDumpAlerts();
+
       // Get active alert rules
-      const rules = db.prepare('SELECT * FROM alert_rules WHERE is_active = 1').all();
+      const rules = db.prepare(`
+        SELECT * FROM alert_rules
+        WHERE is_active = 1 AND alert_type NOT IN ('safety_regression', 'dev_dump', 'insider_dump', 'model_drift')
+      `).all();
       if (rules.length === 0) {
         logger.warning('alert-engine', 'system', 'no_rules', 'No active alert rules found');
         return;
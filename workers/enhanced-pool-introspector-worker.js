@@ -1,26 +1,19 @@
 // workers/enhanced-pool-introspector-worker.js - Task 11 Enhanced Pool Introspection
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
+const { PoolDiscovery, savePools } = require('../lib/pool-discovery');
+const { LPLockDetector, saveLocks, summarizeLocks } = require('../lib/lp-lock-detector');
+const { getLPTokenAccounts, lpOwnershipDistribution, lpBurnStatus } = require('../lib/lp-holders');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'enhanced-pool-introspector');
 
 class EnhancedPoolIntrospectorWorker {
   constructor() {
-    this.burnAddress = '1nc1nerator11111111111111111111111111111111';
-    this.knownLockContracts = {
-      // High confidence lock contracts
-      'high': [
-        'LocktDzaV1W2Bm9DeZeiyz4J9zs4fRqNiYqQyracRXw', // Meteora
-        'TimeLock1111111111111111111111111111111111111', // Generic timelock
-        'LockerX1111111111111111111111111111111111111'  // LockerX
-      ],
-      // Low confidence lock contracts (heuristic)
-      'low': [
-        'Vault1111111111111111111111111111111111111111', // Generic vault
-        'Lock1111111111111111111111111111111111111111'   // Generic lock
-      ]
-    };
+    this.poolDiscovery = new PoolDiscovery();
+    this.lockDetector = new LPLockDetector({ rpc: this.poolDiscovery.rpc });
   }
 
   /**
@@ -36,6 +29,7 @@ class EnhancedPoolIntrospectorWorker {
         FROM tokens t
         WHERE t.lp_exists = 1
           AND t.lp_token_mint IS NULL
+          AND (t.pools_checked_at IS NULL OR (julianday('now') - julianday(t.pools_checked_at)) * 24 * 60 >= 30)
           AND t.first_seen_at IS NOT NULL
           AND (julianday('now') - julianday(t.first_seen_at)) * 24 * 60 <= 2880
         ORDER BY t.first_seen_at DESC
@@ -50,30 +44,32 @@ class EnhancedPoolIntrospectorWorker {
   }
 
   /**
-   * Find pool information for a token mint
+   * Discover the token's pools on-chain, store them and return the primary one
    * @param {string} mint - Token mint address
-   * @returns {object} Pool information
+   * @returns {object|null} Pool information
    */
   async findPoolForMint(mint) {
     try {
-      // Simulate DEX API calls to find pool
-      // In production, this would call Raydium/Meteora/Orca APIs
-      const mockPoolData = {
-        poolAddress: `pool_${mint.slice(0, 8)}`,
-        lpTokenMint: `lp_${mint.slice(0, 8)}`,
-        dexName: 'Raydium', // or 'Meteora', 'Orca', etc.
-        baseMint: mint,
-        quoteMint: 'So11111111111111111111111111111111111111112', // SOL
-        totalSupply: Math.random() * 1000000 + 100000,
-        isActive: true
-      };
+      const pools = await this.poolDiscovery.findPools(mint);
+      savePools(db, mint, pools);
 
-      // Simulate some pools not being found
-      if (Math.random() < 0.1) {
+      const primary = pools[0];
+      if (!primary) {
         return null;
       }
 
-      return mockPoolData;
+      return {
+        poolAddress: primary.address,
+        lpTokenMint: primary.lpMint,
+        dexName: primary.dex,
+        baseMint: primary.baseMint,
+        quoteMint: primary.quoteMint,
+        totalSupply: primary.lpSupply,
+        issuedSupply: primary.lpIssued,
+        baseReserve: primary.baseReserve,
+        quoteReserve: primary.quoteReserve,
+        isActive: primary.status === 'active'
+      };
     } catch (error) {
       logger.error('enhanced-pool-introspector', mint, 'find_pool_failed', `Failed to find pool: ${error.message}`);
       return null;
@@ -81,138 +77,72 @@ class EnhancedPoolIntrospectorWorker {
   }
 
   /**
-   * Get LP token holders and calculate ownership distribution
+   * Largest LP token accounts with the wallet that owns each one
    * @param {string} lpTokenMint - LP token mint address
-   * @param {number} totalSupply - Total LP token supply
-   * @param {string} creatorWallet - Creator wallet address
-   * @returns {object} Ownership distribution
+   * @returns {Array|null} { address, owner, amount } in UI units, null when the read failed
    */
-  async getLPOwnershipDistribution(lpTokenMint, totalSupply, creatorWallet) {
+  async getLPTokenAccounts(lpTokenMint) {
     try {
-      // Simulate SPL Token account lookup
-      // In production, this would call getTokenAccountsByMint
-      const mockHolders = [];
-      const numHolders = Math.floor(Math.random() * 20) + 5; // 5-25 holders
-
-      for (let i = 0; i < numHolders; i++) {
-        const amount = Math.random() * (totalSupply * 0.3); // Up to 30% per holder
-        const owner = `owner_${i}_${lpTokenMint.slice(0, 8)}`;
-        const isCreator = creatorWallet && owner.includes(creatorWallet.slice(0, 8));
-        
-        mockHolders.push({
-          owner: owner,
-          amount: amount,
-          isCreator: isCreator || false
-        });
-      }
-
-      // Sort by amount descending
-      mockHolders.sort((a, b) => b.amount - a.amount);
-
-      // Calculate percentages and add ranks
-      const holdersWithRanks = mockHolders.map((holder, index) => ({
-        ...holder,
-        pct: totalSupply > 0 ? holder.amount / totalSupply : 0,
-        rank: index + 1
-      }));
-
-      const top1Amount = holdersWithRanks[0]?.amount || 0;
-      const top5Amount = holdersWithRanks.slice(0, 5).reduce((sum, holder) => sum + holder.amount, 0);
-
-      const top1Pct = totalSupply > 0 ? top1Amount / totalSupply : 0;
-      const top5Pct = totalSupply > 0 ? top5Amount / totalSupply : 0;
-
-      // Check if creator is top holder
-      const topHolder = holdersWithRanks[0];
-      const isCreatorTopHolder = topHolder && topHolder.isCreator;
-
-      return {
-        holders: holdersWithRanks,
-        top1Pct: Math.round(top1Pct * 10000) / 10000,
-        top5Pct: Math.round(top5Pct * 10000) / 10000,
-        isCreatorTopHolder
-      };
+      return await getLPTokenAccounts(this.poolDiscovery.rpc, lpTokenMint);
     } catch (error) {
       logger.error('enhanced-pool-introspector', lpTokenMint, 'get_holders_failed', `Failed to get holders: ${error.message}`);
-      return {
-        holders: [],
-        top1Pct: 0,
-        top5Pct: 0,
-        isCreatorTopHolder: false
-      };
+      return null;
     }
   }
 
   /**
-   * Check LP burn status with percentage calculation
-   * @param {string} lpTokenMint - LP token mint address
+   * LP ownership distribution by owner wallet (see lpOwnershipDistribution)
+   * @param {Array|null} lpAccounts - getLPTokenAccounts() result
    * @param {number} totalSupply - Total LP token supply
-   * @returns {object} Burn status and percentage
+   * @param {string} creatorWallet - Creator wallet address
+   * @returns {object} Ownership distribution (nulls when unknown)
    */
-  async checkLPBurnStatus(lpTokenMint, totalSupply) {
-    try {
-      // Simulate checking for burns
-      // In production, this would check transaction history for burns
-      const burnType = Math.random();
-      
-      if (burnType < 0.3) {
-        // Fully burned
-        return { isBurned: true, burnPct: 1.0 };
-      } else if (burnType < 0.6) {
-        // Partially burned
-        const burnPct = Math.random() * 0.8 + 0.1; // 10-90% burned
-        return { isBurned: true, burnPct: Math.round(burnPct * 100) / 100 };
-      } else {
-        // Not burned
-        return { isBurned: false, burnPct: 0.0 };
-      }
-    } catch (error) {
-      logger.error('enhanced-pool-introspector', lpTokenMint, 'check_burn_failed', `Failed to check burn status: ${error.message}`);
-      return { isBurned: null, burnPct: null };
-    }
+  getLPOwnershipDistribution(lpAccounts, totalSupply, creatorWallet) {
+    return lpOwnershipDistribution(lpAccounts, totalSupply, creatorWallet);
   }
 
   /**
-   * Check LP lock status with confidence level
-   * @param {string} poolAddress - Pool address
-   * @returns {object} Lock status, confidence, and provider
+   * Burned share of the LP ever issued (see lpBurnStatus)
+   * @param {Array|null} lpAccounts - getLPTokenAccounts() result
+   * @param {number} totalSupply - Current LP mint supply
+   * @param {number|null} issuedSupply - LP issued according to the pool account
+   * @returns {object} Burn status and percentage (nulls when unknown)
    */
-  async checkLPLockStatus(poolAddress) {
+  checkLPBurnStatus(lpAccounts, totalSupply, issuedSupply) {
+    return lpBurnStatus(lpAccounts, totalSupply, issuedSupply);
+  }
+
+  /**
+   * Find LP held by locker programs and store the unlock schedule
+   * @param {string} mint - Token mint address
+   * @param {string} lpTokenMint - LP token mint address
+   * @param {number} totalSupply - Total LP token supply
+   * @returns {object} Lock status, confidence, provider, locked share and unlock times
+   */
+  async checkLPLockStatus(mint, lpTokenMint, totalSupply) {
     try {
-      // Simulate checking for locks
-      // In production, this would check known lock contracts
-      const lockType = Math.random();
-      
-      if (lockType < 0.1) {
-        // High confidence lock
-        const provider = this.knownLockContracts.high[Math.floor(Math.random() * this.knownLockContracts.high.length)];
-        return { 
-          isLocked: true, 
-          confidence: 2, 
-          provider: provider 
-        };
-      } else if (lockType < 0.2) {
-        // Low confidence lock
-        const provider = this.knownLockContracts.low[Math.floor(Math.random() * this.knownLockContracts.low.length)];
-        return { 
-          isLocked: true, 
-          confidence: 1, 
-          provider: provider 
-        };
-      } else {
-        // Not locked
-        return { 
-          isLocked: false, 
-          confidence: 0, 
-          provider: null 
-        };
-      }
+      const locks = await this.lockDetector.findLocks(lpTokenMint);
+      saveLocks(db, mint, lpTokenMint, locks, totalSupply);
+
+      const summary = summarizeLocks(locks, totalSupply);
+      const iso = sec => sec ? new Date(sec * 1000).toISOString() : null;
+      return {
+        isLocked: summary.isLocked,
+        confidence: summary.confidence,
+        provider: summary.provider,
+        lockedPct: summary.lockedPct,
+        nextUnlockAt: iso(summary.nextUnlockAt),
+        unlockCompleteAt: iso(summary.unlockCompleteAt)
+      };
     } catch (error) {
-      logger.error('enhanced-pool-introspector', poolAddress, 'check_lock_failed', `Failed to check lock status: ${error.message}`);
+      logger.error('enhanced-pool-introspector', lpTokenMint, 'check_lock_failed', `Failed to check lock status: ${error.message}`);
       return { 
         isLocked: null, 
         confidence: 0, 
-        provider: null 
+        provider: null,
+        lockedPct: null,
+        nextUnlockAt: null,
+        unlockCompleteAt: null
       };
     }
   }
@@ -270,28 +200,26 @@ class EnhancedPoolIntrospectorWorker {
         return;
       }
 
-      // Update token with LP token mint
-      db.prepare(`
-        UPDATE tokens 
-        SET lp_token_mint = ?
-        WHERE mint = ?
-      `).run(poolInfo.lpTokenMint, mint);
+      // Bonding curves, DLMM and Whirlpool positions have no LP mint to analyse
+      if (!poolInfo.lpTokenMint) {
+        logger.info('enhanced-pool-introspector', mint, 'no_lp_mint', `${poolInfo.dexName} pool ${poolInfo.poolAddress} has no LP mint`);
+        return;
+      }
 
       // Get LP ownership distribution
-      const ownership = await this.getLPOwnershipDistribution(
-        poolInfo.lpTokenMint, 
-        poolInfo.totalSupply, 
-        dev_wallet
-      );
-      
-      // Store LP holders snapshot
-      this.storeLPHoldersSnapshot(poolInfo.lpTokenMint, ownership.holders);
+      const lpAccounts = await this.getLPTokenAccounts(poolInfo.lpTokenMint);
+      const ownership = this.getLPOwnershipDistribution(lpAccounts, poolInfo.totalSupply, dev_wallet);
+
+      // Store LP holders snapshot (kept as-is when the holder read failed)
+      if (lpAccounts) {
+        this.storeLPHoldersSnapshot(poolInfo.lpTokenMint, ownership.holders);
+      }
 
       // Check LP burn status
-      const burnStatus = await this.checkLPBurnStatus(poolInfo.lpTokenMint, poolInfo.totalSupply);
+      const burnStatus = this.checkLPBurnStatus(lpAccounts, poolInfo.totalSupply, poolInfo.issuedSupply);
 
       // Check LP lock status
-      const lockStatus = await this.checkLPLockStatus(poolInfo.poolAddress);
+      const lockStatus = await this.checkLPLockStatus(mint, poolInfo.lpTokenMint, poolInfo.totalSupply);
 
       // Update token with enhanced pool information
       db.prepare(`
@@ -302,29 +230,38 @@ class EnhancedPoolIntrospectorWorker {
           lp_burn_pct = ?,
           lp_locked_confidence = ?,
           lp_lock_provider = ?,
+          lp_locked_pct = ?,
+          lp_next_unlock_at = ?,
+          lp_unlock_complete_at = ?,
           lp_owner_top1_pct = ?,
           lp_owner_top5_pct = ?,
           lp_owner_is_creator = ?
         WHERE mint = ?
       `).run(
-        burnStatus.isBurned ? 1 : 0,
+        burnStatus.isBurned === null ? null : burnStatus.isBurned ? 1 : 0,
         lockStatus.isLocked ? 1 : 0,
         burnStatus.burnPct,
         lockStatus.confidence,
         lockStatus.provider,
+        lockStatus.lockedPct,
+        lockStatus.nextUnlockAt,
+        lockStatus.unlockCompleteAt,
         ownership.top1Pct,
         ownership.top5Pct,
-        ownership.isCreatorTopHolder ? 1 : 0
+        ownership.isCreatorTopHolder === null ? null : ownership.isCreatorTopHolder ? 1 : 0,
+        mint
       );
 
       logger.success('enhanced-pool-introspector', mint, 'complete', `Enhanced pool introspection completed for ${symbol}`, {
         lpTokenMint: poolInfo.lpTokenMint,
         dexName: poolInfo.dexName,
-        top1Pct: (ownership.top1Pct * 100).toFixed(1) + '%',
-        top5Pct: (ownership.top5Pct * 100).toFixed(1) + '%',
-        burnPct: burnStatus.burnPct ? (burnStatus.burnPct * 100).toFixed(1) + '%' : 'N/A',
+        top1Pct: ownership.top1Pct !== null ? (ownership.top1Pct * 100).toFixed(1) + '%' : 'N/A',
+        top5Pct: ownership.top5Pct !== null ? (ownership.top5Pct * 100).toFixed(1) + '%' : 'N/A',
+        burnPct: burnStatus.burnPct !== null ? (burnStatus.burnPct * 100).toFixed(1) + '%' : 'N/A',
         lockConfidence: lockStatus.confidence,
         lockProvider: lockStatus.provider || 'N/A',
+        lockedPct: lockStatus.lockedPct !== null ? (lockStatus.lockedPct * 100).toFixed(1) + '%' : 'N/A',
+        nextUnlockAt: lockStatus.nextUnlockAt || 'N/A',
         isCreatorTopHolder: ownership.isCreatorTopHolder
       });
 
@@ -339,6 +276,11 @@ class EnhancedPoolIntrospectorWorker {
   async processPoolIntrospection() {
     logger.info('enhanced-pool-introspector', 'system', 'start', 'Starting enhanced pool introspection');
 
+    if (!this.poolDiscovery.rpc.isConfigured()) {
+      logger.warning('enhanced-pool-introspector', 'system', 'rpc_not_configured', 'Skipping pool introspection (set SOLANA_RPC_URL or HELIUS_API_KEY)');
+      return;
+    }
+
     try {
       const tokens = this.getTokensForPoolIntrospection();
       
@@ -1,9 +1,12 @@
 // workers/enhanced-rug-risk-scorer-worker.js - Task 11 Enhanced Rug Risk Scoring
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
+const { loadLocks, summarizeLocks } = require('../lib/lp-lock-detector');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'enhanced-rug-risk-scorer');
 
 class EnhancedRugRiskScorerWorker {
   constructor() {
@@ -18,6 +21,33 @@ class EnhancedRugRiskScorerWorker {
     // Cool-off settings
     this.coolOffMinutes = 10;
     this.coolOffThreshold = 80;
+
+    // Locks that expire soon protect little
+    this.lockExpiryPenalties = [
+      { withinHours: 24, penalty: 15, flag: 'lp_unlock_24h' },
+      { withinHours: 24 * 7, penalty: 8, flag: 'lp_unlock_7d' }
+    ];
+    this.minLockedPct = 0.5;
+
+    // Token-2022 extensions that let the issuer seize, trap or tax holders'
+    // tokens floor the final score instead of being diluted by the weights
+    this.extensionRiskFloors = {
+      permanentDelegate: 85,
+      nonTransferable: 90,
+      defaultFrozen: 80,
+      transferHook: 70,
+      highTransferFee: 70
+    };
+    this.highTransferFeeBps = 500;
+
+    // Buy/sell simulation outcomes that floor the final score
+    this.sellSimulationFloors = {
+      sellFailed: 95,
+      sellTaxHigh: 80,   // >= 10% hidden sell tax
+      sellTaxMedium: 50, // >= 3%
+      buyTaxHigh: 60,    // >= 10% hidden buy tax
+      extremeSlippage: 60 // >= 50% lost on a small round trip
+    };
   }
 
   /**
@@ -30,9 +60,14 @@ class EnhancedRugRiskScorerWorker {
         SELECT 
           t.mint, t.symbol, t.name, t.lp_exists, t.lp_burned, t.lp_locked,
           t.lp_burn_pct, t.lp_locked_confidence, t.lp_lock_provider,
+          t.lp_locked_pct, t.lp_next_unlock_at,
           t.lp_owner_top1_pct, t.lp_owner_top5_pct, t.lp_owner_is_creator,
           t.liquidity_usd, t.liquidity_usd_5m_delta, t.liquidity_usd_15m_delta,
           t.authorities_revoked, t.health_score, t.rug_risk_score,
+          t.token_extensions, t.transfer_fee_bps, t.transfer_fee_authority,
+          t.permanent_delegate, t.transfer_hook_program, t.default_account_state,
+          t.sell_simulation_status, t.sell_simulation_buy_tax, t.sell_simulation_sell_tax,
+          t.sell_simulation_round_trip_loss,
           t.rug_flags, t.rug_breakdown
         FROM tokens t
         WHERE t.lp_exists = 1
@@ -83,19 +118,34 @@ class EnhancedRugRiskScorerWorker {
       }
 
       // LP lock check with confidence
-      if (token.lp_locked_confidence >= 2) {
+      const lock = this.getLockStatus(token);
+      if (lock.confidence >= 2) {
         // High confidence lock - no penalty
-        flags.push(`lp_locked_high_${token.lp_lock_provider || 'unknown'}`);
-      } else if (token.lp_locked_confidence === 1) {
+        flags.push(`lp_locked_high_${lock.provider || 'unknown'}`);
+      } else if (lock.confidence === 1) {
         // Low confidence lock - small penalty
         score += 10;
-        flags.push(`lp_locked_low_${token.lp_lock_provider || 'unknown'}`);
+        flags.push(`lp_locked_low_${lock.provider || 'unknown'}`);
       } else {
         // Not locked or unknown - penalty
         score += 20;
         flags.push('lp_unlocked');
       }
 
+      if (lock.confidence > 0) {
+        if (lock.lockedPct !== null && lock.lockedPct < this.minLockedPct) {
+          score += 10;
+          flags.push(`lp_lock_partial_${Math.round(lock.lockedPct * 100)}%`);
+        }
+
+        const hoursToUnlock = lock.nextUnlockAt !== null ? (lock.nextUnlockAt - Date.now()) / 3600000 : null;
+        const expiry = hoursToUnlock !== null && this.lockExpiryPenalties.find(p => hoursToUnlock <= p.withinHours);
+        if (expiry) {
+          score += expiry.penalty;
+          flags.push(expiry.flag);
+        }
+      }
+
       return { score: Math.min(score, 60), flags };
     } catch (error) {
       logger.error('enhanced-rug-risk-scorer', token.mint, 'lp_safety_failed', `Failed to calculate LP safety: ${error.message}`);
@@ -104,31 +154,137 @@ class EnhancedRugRiskScorerWorker {
   }
 
   /**
-   * Calculate authority safety score
+   * Current lock state. Stored schedules are re-evaluated so locks that
+   * expired since the last introspection no longer count.
    * @param {object} token - Token data
-   * @returns {object} Authority safety score and flags
+   * @returns {object} { confidence, provider, lockedPct, nextUnlockAt (ms) }
+   */
+  getLockStatus(token) {
+    const locks = loadLocks(db, token.mint);
+    if (locks.length > 0) {
+      const summary = summarizeLocks(locks, locks[0].lpSupply);
+      return {
+        confidence: summary.confidence,
+        provider: summary.provider,
+        lockedPct: summary.lockedPct,
+        nextUnlockAt: summary.nextUnlockAt !== null ? summary.nextUnlockAt * 1000 : null
+      };
+    }
+
+    return {
+      confidence: token.lp_locked_confidence || 0,
+      provider: token.lp_lock_provider,
+      lockedPct: token.lp_locked_pct ?? null,
+      nextUnlockAt: token.lp_next_unlock_at ? new Date(token.lp_next_unlock_at).getTime() : null
+    };
+  }
+
+  /**
+   * Calculate authority safety score, including Token-2022 extensions
+   * @param {object} token - Token data
+   * @returns {object} Authority safety score, flags and hard floor for the final score
    */
   calculateAuthoritySafetyScore(token) {
     let score = 0;
+    let floor = 0;
     const flags = [];
+    const hard = (flag, minimum) => {
+      flags.push(flag);
+      floor = Math.max(floor, minimum);
+    };
 
     try {
-      // Authorities check (20 points max)
+      // Authorities check (20 points max): like the other components this is a
+      // risk penalty, so an active mint or freeze authority adds the points
       if (token.authorities_revoked === 1) {
-        score += 20;
         flags.push('authorities_revoked');
       } else {
-        score += 0;
+        score += 20;
         flags.push('authorities_active');
       }
 
-      return { score: Math.min(score, 20), flags };
+      // Softer extension risks (30 points max) add to the authorities check instead of sharing its cap
+      let extensionScore = 0;
+
+      const extensions = token.token_extensions ? JSON.parse(token.token_extensions) : [];
+
+      if (token.permanent_delegate) hard('permanent_delegate', this.extensionRiskFloors.permanentDelegate);
+      if (extensions.includes('nonTransferable')) hard('non_transferable', this.extensionRiskFloors.nonTransferable);
+      if (token.default_account_state === 'frozen') hard('default_frozen', this.extensionRiskFloors.defaultFrozen);
+      if (token.transfer_hook_program) hard('transfer_hook', this.extensionRiskFloors.transferHook);
+
+      if (token.transfer_fee_bps > 0) {
+        const flag = `transfer_fee_${token.transfer_fee_bps / 100}%`;
+        if (token.transfer_fee_bps >= this.highTransferFeeBps) {
+          hard(flag, this.extensionRiskFloors.highTransferFee);
+        } else {
+          extensionScore += 10;
+          flags.push(flag);
+        }
+      }
+
+      // The fee authority can raise the fee after launch
+      if (token.transfer_fee_authority) {
+        extensionScore += 10;
+        flags.push('transfer_fee_mutable');
+      }
+
+      if (extensions.includes('pausableConfig')) {
+        extensionScore += 10;
+        flags.push('pausable');
+      }
+
+      return { score: Math.min(score, 20) + extensionScore, flags, floor };
     } catch (error) {
       logger.error('enhanced-rug-risk-scorer', token.mint, 'authority_safety_failed', `Failed to calculate authority safety: ${error.message}`);
-      return { score: 0, flags: ['authority_safety_error'] };
+      return { score: 0, flags: ['authority_safety_error'], floor: 0 };
     }
   }
 
+  /**
+   * Turn the stored buy/sell simulation into flags and a floor for the final score
+   * @param {object} token - Token data
+   * @returns {object} Flags and hard floor
+   */
+  calculateSellSimulationRisk(token) {
+    const flags = [];
+    let floor = 0;
+    const hard = (flag, minimum) => {
+      flags.push(flag);
+      floor = Math.max(floor, minimum);
+    };
+    const pct = value => `${Math.round(value * 100)}%`;
+
+    switch (token.sell_simulation_status) {
+      case 'sell_failed':
+        hard('honeypot_sell_failed', this.sellSimulationFloors.sellFailed);
+        break;
+      case 'ok':
+        if (token.sell_simulation_sell_tax >= 0.10) {
+          hard(`sell_tax_${pct(token.sell_simulation_sell_tax)}`, this.sellSimulationFloors.sellTaxHigh);
+        } else if (token.sell_simulation_sell_tax >= 0.03) {
+          hard(`sell_tax_${pct(token.sell_simulation_sell_tax)}`, this.sellSimulationFloors.sellTaxMedium);
+        }
+        if (token.sell_simulation_buy_tax >= 0.10) {
+          hard(`buy_tax_${pct(token.sell_simulation_buy_tax)}`, this.sellSimulationFloors.buyTaxHigh);
+        }
+        if (token.sell_simulation_round_trip_loss >= 0.50) {
+          hard('extreme_slippage', this.sellSimulationFloors.extremeSlippage);
+        }
+        break;
+      case 'buy_failed':
+        flags.push('sell_sim_buy_failed');
+        break;
+      case 'no_sell_quote':
+        flags.push('sell_sim_no_sell_quote');
+        break;
+      default:
+        break; // Not simulated or inconclusive
+    }
+
+    return { flags, floor };
+  }
+
   /**
    * Calculate liquidity drain score with EMA smoothing and normalization
    * @param {object} token - Token data
@@ -272,6 +428,7 @@ class EnhancedRugRiskScorerWorker {
       const authoritySafety = this.calculateAuthoritySafetyScore(token);
       const liquidityDrain = this.calculateLiquidityDrainScore(token);
       const ownerConcentration = this.calculateOwnerConcentrationScore(token);
+      const sellSimulation = this.calculateSellSimulationRisk(token);
 
       // Calculate weighted total score
       const totalScore = 
@@ -280,10 +437,14 @@ class EnhancedRugRiskScorerWorker {
         (liquidityDrain.score * this.weights.drains) +
         (ownerConcentration.score * this.weights.concentration);
 
+      // Hard Token-2022 and honeypot risks override the weighted total
+      const hardFloor = Math.max(authoritySafety.floor, sellSimulation.floor);
+      const flooredScore = Math.max(totalScore, hardFloor);
+
       // Check for cool-off period
-      const finalScore = this.isInCoolOffPeriod(token.mint, totalScore) 
-        ? Math.max(totalScore, this.coolOffThreshold)
-        : totalScore;
+      const finalScore = this.isInCoolOffPeriod(token.mint, flooredScore) 
+        ? Math.max(flooredScore, this.coolOffThreshold)
+        : flooredScore;
 
       const clampedScore = Math.max(0, Math.min(100, finalScore));
 
@@ -292,7 +453,8 @@ class EnhancedRugRiskScorerWorker {
         ...lpSafety.flags,
         ...authoritySafety.flags,
         ...liquidityDrain.flags,
-        ...ownerConcentration.flags
+        ...ownerConcentration.flags,
+        ...sellSimulation.flags
       ];
 
       // Create breakdown
@@ -301,6 +463,7 @@ class EnhancedRugRiskScorerWorker {
         authorities: Math.round(authoritySafety.score * this.weights.authorities),
         drains: Math.round(liquidityDrain.score * this.weights.drains),
         concentration: Math.round(ownerConcentration.score * this.weights.concentration),
+        hard_floor: hardFloor,
         total: Math.round(clampedScore)
       };
 
@@ -448,9 +611,14 @@ class EnhancedRugRiskScorerWorker {
         SELECT 
           t.mint, t.symbol, t.rug_risk_score, t.rug_flags, t.rug_breakdown,
           t.lp_burned, t.lp_locked, t.lp_burn_pct, t.lp_locked_confidence, t.lp_lock_provider,
+          t.lp_locked_pct, t.lp_next_unlock_at, t.lp_unlock_complete_at,
           t.lp_owner_top1_pct, t.lp_owner_top5_pct, t.lp_owner_is_creator,
           t.liquidity_usd, t.liquidity_usd_5m_delta, t.liquidity_usd_15m_delta,
-          t.authorities_revoked
+          t.authorities_revoked, t.token_program, t.token_extensions, t.transfer_fee_bps,
+          t.transfer_fee_authority, t.permanent_delegate, t.transfer_hook_program, t.default_account_state,
+          t.sell_simulation_status, t.sell_simulation_buy_tax, t.sell_simulation_sell_tax,
+          t.sell_simulation_price_impact, t.sell_simulation_round_trip_loss, t.sell_simulation_error,
+          t.sell_simulation_at
         FROM tokens t
         WHERE t.mint = ?
       `).get(mint);
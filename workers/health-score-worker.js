@@ -1,10 +1,12 @@
 // workers/health-score-worker.js - Health score calculation for Task 8
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'health-score');
 
 // --- Database Queries ---
 const pickTokensForHealthScore = db.prepare(`
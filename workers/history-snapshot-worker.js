@@ -1,10 +1,12 @@
 // workers/history-snapshot-worker.js - Time-series snapshots for momentum tracking
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'history-snapshot');
 
 // --- Configuration ---
 const SNAPSHOT_CADENCES = [
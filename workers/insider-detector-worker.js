@@ -1,11 +1,14 @@
 // workers/insider-detector-worker.js - Insider detection for Task 8
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const { fetchJson, sleep } = require('../lib/http');
 const logger = require('../lib/logger');
+const { getKnownServices } = require('../lib/known-services');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'insider-detector');
 
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
 
@@ -39,6 +42,11 @@ const getFundingEdges = db.prepare(`
   ORDER BY timestamp DESC
 `);
 
+// Clusters span every token, so they catch shared funders outside the dev's own edges
+const getClusterId = db.prepare(`
+  SELECT cluster_id FROM wallet_cluster_members WHERE wallet = ?
+`);
+
 const updateHolderType = db.prepare(`
   UPDATE holders
   SET holder_type = CASE 
@@ -75,7 +83,7 @@ function buildFundingLineageGraph(fundingEdges) {
   return graph;
 }
 
-function findUpstreamFunders(wallet, fundingGraph, maxHops = HOPS) {
+function findUpstreamFunders(wallet, fundingGraph, maxHops = HOPS, knownServices = new Map()) {
   const upstreamFunders = new Set();
   const visited = new Set();
   const queue = [{ wallet, hops: 0 }];
@@ -85,6 +93,9 @@ function findUpstreamFunders(wallet, fundingGraph, maxHops = HOPS) {
     
     if (visited.has(currentWallet) || hops > maxHops) continue;
     visited.add(currentWallet);
+
+    // An exchange or bridge funds strangers: neither a shared funder nor a path to one
+    if (hops > 0 && knownServices.has(currentWallet)) continue;
     
     if (hops > 0) {
       upstreamFunders.add(currentWallet);
@@ -109,17 +120,17 @@ function calculateWalletAge(firstSeenAt) {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24)); // days
 }
 
-function isInsider(holder, devWallet, fundingGraph, topHolders) {
+function isInsider(holder, devWallet, fundingGraph, topHolders, devClusterId = null, knownServices = new Map()) {
   const flags = {
-    F1: false, // Shares upstream funder with dev wallet
+    F1: false, // Shares upstream funder (or wallet cluster) with dev wallet
     F2: false, // Wallet age <= AGE_FRESH_DAYS
     F3: false  // Top 10 holder OR received tokens pre/at mint
   };
   
   // F1: Check if shares upstream funder with dev wallet
   if (devWallet) {
-    const holderUpstream = findUpstreamFunders(holder.owner, fundingGraph, HOPS);
-    const devUpstream = findUpstreamFunders(devWallet, fundingGraph, HOPS);
+    const holderUpstream = findUpstreamFunders(holder.owner, fundingGraph, HOPS, knownServices);
+    const devUpstream = findUpstreamFunders(devWallet, fundingGraph, HOPS, knownServices);
     
     // Check for intersection
     for (const funder of holderUpstream) {
@@ -128,6 +139,10 @@ function isInsider(holder, devWallet, fundingGraph, topHolders) {
         break;
       }
     }
+
+    if (!flags.F1 && devClusterId && getClusterId.get(holder.owner)?.cluster_id === devClusterId) {
+      flags.F1 = true;
+    }
   }
   
   // F2: Check wallet age
@@ -169,10 +184,12 @@ async function processTokenInsiderDetection(token) {
     const fundingGraph = buildFundingLineageGraph(fundingEdges);
     
     // 4. Analyze each top holder for insider signals
+    const devClusterId = getClusterId.get(dev_wallet)?.cluster_id || null;
+    const knownServices = getKnownServices(db);
     const insiders = [];
     
     for (const holder of topHolders) {
-      if (isInsider(holder, dev_wallet, fundingGraph, topHolders)) {
+      if (isInsider(holder, dev_wallet, fundingGraph, topHolders, devClusterId, knownServices)) {
         insiders.push(holder);
       }
     }
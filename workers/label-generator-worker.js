@@ -1,9 +1,11 @@
 // workers/label-generator-worker.js - Task 13 Label Generation for Training
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'label-generator');
 
 class LabelGeneratorWorker {
   constructor() {
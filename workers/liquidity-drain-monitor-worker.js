@@ -1,9 +1,11 @@
 // workers/liquidity-drain-monitor-worker.js - Task 11 Liquidity Drain Monitoring
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'liquidity-drain-monitor');
 
 class LiquidityDrainMonitorWorker {
   constructor() {
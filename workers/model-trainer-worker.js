@@ -1,114 +1,146 @@
 // workers/model-trainer-worker.js - Task 13 Model Training with Calibration
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
-const FeatureEngineering = require('../lib/feature-engineering');
+const { FeatureStore } = require('../lib/feature-store');
+const { GradientBoostedTrees } = require('../lib/gradient-boosting');
+const {
+  walkForwardFolds, timeSplit, gridCandidates, randomCandidates, SEARCH_SPACES, DEFAULT_EMBARGO_HOURS
+} = require('../lib/walk-forward');
+const { buildProfile } = require('../lib/drift');
+const { getModel, getChampion, promoteModel, shadowModel, promotionGate } = require('../lib/model-registry');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
-
-class ModelTrainerWorker {
-  constructor() {
-    this.isRunning = false;
-    this.featureEngineering = new FeatureEngineering();
-    this.models = {};
+assertSchemaCurrent(db, 'model-trainer');
+
+/**
+ * Simple Logistic Regression implementation
+ */
+class LogisticRegression {
+  constructor(learningRate = 0.01, maxIterations = 1000) {
+    this.learningRate = learningRate;
+    this.maxIterations = maxIterations;
+    this.weights = null;
+    this.bias = 0;
   }
 
-  /**
-   * Simple Logistic Regression implementation
-   */
-  class LogisticRegression {
-    constructor(learningRate = 0.01, maxIterations = 1000) {
-      this.learningRate = learningRate;
-      this.maxIterations = maxIterations;
-      this.weights = null;
-      this.bias = 0;
-    }
-
-    sigmoid(z) {
-      return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, z))));
-    }
+  sigmoid(z) {
+    return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, z))));
+  }
 
-    fit(X, y) {
-      const nSamples = X.length;
-      const nFeatures = X[0].length;
-      
-      this.weights = new Array(nFeatures).fill(0);
-      this.bias = 0;
-
-      for (let iter = 0; iter < this.maxIterations; iter++) {
-        let totalLoss = 0;
-        const gradWeights = new Array(nFeatures).fill(0);
-        let gradBias = 0;
-
-        for (let i = 0; i < nSamples; i++) {
-          const z = this.bias + this.weights.reduce((sum, w, j) => sum + w * X[i][j], 0);
-          const prediction = this.sigmoid(z);
-          const error = prediction - y[i];
-          
-          totalLoss += y[i] * Math.log(Math.max(prediction, 1e-15)) + 
-                      (1 - y[i]) * Math.log(Math.max(1 - prediction, 1e-15));
-
-          for (let j = 0; j < nFeatures; j++) {
-            gradWeights[j] += error * X[i][j];
-          }
-          gradBias += error;
-        }
+  fit(X, y) {
+    const nSamples = X.length;
+    const nFeatures = X[0].length;
+    
+    this.weights = new Array(nFeatures).fill(0);
+    this.bias = 0;
+
+    for (let iter = 0; iter < this.maxIterations; iter++) {
+      let totalLoss = 0;
+      const gradWeights = new Array(nFeatures).fill(0);
+      let gradBias = 0;
+
+      for (let i = 0; i < nSamples; i++) {
+        const z = this.bias + this.weights.reduce((sum, w, j) => sum + w * X[i][j], 0);
+        const prediction = this.sigmoid(z);
+        const error = prediction - y[i];
+        
+        totalLoss += y[i] * Math.log(Math.max(prediction, 1e-15)) + 
+                    (1 - y[i]) * Math.log(Math.max(1 - prediction, 1e-15));
 
-        // Update weights
         for (let j = 0; j < nFeatures; j++) {
-          this.weights[j] -= this.learningRate * gradWeights[j] / nSamples;
+          gradWeights[j] += error * X[i][j];
         }
-        this.bias -= this.learningRate * gradBias / nSamples;
+        gradBias += error;
+      }
 
-        if (iter % 100 === 0) {
-          logger.debug('model-trainer', 'system', 'training_progress', 
-            `Iteration ${iter}, Loss: ${(-totalLoss / nSamples).toFixed(4)}`);
-        }
+      // Update weights
+      for (let j = 0; j < nFeatures; j++) {
+        this.weights[j] -= this.learningRate * gradWeights[j] / nSamples;
       }
+      this.bias -= this.learningRate * gradBias / nSamples;
 
-      logger.info('model-trainer', 'system', 'training_completed', 
-        `Trained with ${nSamples} samples, ${nFeatures} features`);
+      if (iter % 100 === 0) {
+        logger.debug('model-trainer', 'system', 'training_progress', 
+          `Iteration ${iter}, Loss: ${(-totalLoss / nSamples).toFixed(4)}`);
+      }
     }
 
-    predict(X) {
-      return X.map(x => {
-        const z = this.bias + this.weights.reduce((sum, w, j) => sum + w * x[j], 0);
-        return this.sigmoid(z);
-      });
-    }
+    logger.info('model-trainer', 'system', 'training_completed', 
+      `Trained with ${nSamples} samples, ${nFeatures} features`);
+  }
 
-    getFeatureWeights() {
-      return this.weights;
-    }
+  predict(X) {
+    return X.map(x => {
+      const z = this.bias + this.weights.reduce((sum, w, j) => sum + w * x[j], 0);
+      return this.sigmoid(z);
+    });
   }
 
-  /**
-   * Platt scaling for calibration
-   */
-  class PlattScaling {
-    constructor() {
-      this.A = 1;
-      this.B = 0;
-    }
+  getFeatureWeights() {
+    return this.weights;
+  }
 
-    fit(predictions, labels) {
-      // Simple implementation - in practice, use more sophisticated method
-      const meanPred = predictions.reduce((sum, p) => sum + p, 0) / predictions.length;
-      const meanLabel = labels.reduce((sum, l) => sum + l, 0) / labels.length;
-      
-      this.A = meanLabel / Math.max(meanPred, 1e-15);
-      this.B = 0;
-      
-      logger.debug('model-trainer', 'system', 'platt_scaling', 
-        `A: ${this.A.toFixed(4)}, B: ${this.B.toFixed(4)}`);
-    }
+  toJSON() {
+    return { weights: this.weights, bias: this.bias };
+  }
+}
 
-    transform(predictions) {
-      return predictions.map(p => {
-        const scaled = this.A * p + this.B;
-        return Math.max(0, Math.min(1, scaled));
-      });
-    }
+/**
+ * Platt scaling for calibration
+ */
+class PlattScaling {
+  constructor() {
+    this.A = 1;
+    this.B = 0;
+  }
+
+  fit(predictions, labels) {
+    // Simple implementation - in practice, use more sophisticated method
+    const meanPred = predictions.reduce((sum, p) => sum + p, 0) / predictions.length;
+    const meanLabel = labels.reduce((sum, l) => sum + l, 0) / labels.length;
+    
+    this.A = meanLabel / Math.max(meanPred, 1e-15);
+    this.B = 0;
+    
+    logger.debug('model-trainer', 'system', 'platt_scaling', 
+      `A: ${this.A.toFixed(4)}, B: ${this.B.toFixed(4)}`);
+  }
+
+  transform(predictions) {
+    return predictions.map(p => {
+      const scaled = this.A * p + this.B;
+      return Math.max(0, Math.min(1, scaled));
+    });
+  }
+}
+
+// Model family per target: 'logistic' or 'gbdt'
+const MODEL_TYPES = ['logistic', 'gbdt'];
+
+class ModelTrainerWorker {
+  constructor(options = {}) {
+    this.isRunning = false;
+    this.featureStore = new FeatureStore(db);
+    this.models = {};
+    this.modelTypes = {
+      '2x_24h': process.env.MODEL_TYPE_2X_24H || 'logistic',
+      'rug_24h': process.env.MODEL_TYPE_RUG_24H || 'logistic'
+    };
+    this.gbdtParams = {
+      nTrees: parseInt(process.env.GBDT_TREES || '100', 10),
+      maxDepth: parseInt(process.env.GBDT_MAX_DEPTH || '3', 10),
+      learningRate: parseFloat(process.env.GBDT_LEARNING_RATE || '0.1'),
+      minSamplesLeaf: parseInt(process.env.GBDT_MIN_LEAF || '10', 10)
+    };
+    this.embargoHours = options.embargoHours ?? parseFloat(process.env.MODEL_EMBARGO_HOURS || String(DEFAULT_EMBARGO_HOURS));
+    this.cv = {
+      enabled: process.env.MODEL_CV === '1',
+      folds: parseInt(process.env.MODEL_CV_FOLDS || '5', 10),
+      search: process.env.MODEL_SEARCH || 'random',
+      iterations: parseInt(process.env.MODEL_SEARCH_ITER || '10', 10)
+    };
   }
 
   /**
@@ -136,6 +168,7 @@ class ModelTrainerWorker {
     const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
     const f1 = precision + recall > 0 ? 2 * (precision * recall) / (precision + recall) : 0;
     const auroc = this.calculateAUROC(predictions, labels);
+    const auprc = this.calculateAUPRC(predictions, labels);
     const brier = brierSum / n;
 
     return {
@@ -143,6 +176,7 @@ class ModelTrainerWorker {
       recall,
       f1,
       auroc,
+      auprc,
       brier,
       tp, fp, tn, fn
     };
@@ -180,53 +214,77 @@ class ModelTrainerWorker {
     return totalPos > 0 && totalNeg > 0 ? auc / (totalPos * totalNeg) : 0.5;
   }
 
+  /**
+   * Calculate AUPRC (average precision: precision at each positive, ranked by prediction)
+   */
+  calculateAUPRC(predictions, labels) {
+    const sorted = predictions.map((p, i) => ({ pred: p, label: labels[i] }))
+      .sort((a, b) => b.pred - a.pred);
+    const totalPos = labels.reduce((sum, l) => sum + l, 0);
+    if (totalPos === 0) return 0;
+
+    let tp = 0;
+    let sum = 0;
+    sorted.forEach((item, i) => {
+      if (item.label === 1) {
+        tp++;
+        sum += tp / (i + 1);
+      }
+    });
+
+    return sum / totalPos;
+  }
+
   /**
    * Prepare training data
    */
   prepareTrainingData() {
     try {
-      const { features, labels } = this.featureEngineering.generateTrainingFeatures();
+      const rows = this.featureStore.getTrainingSet();
       
-      if (features.length === 0) {
-        logger.warn('model-trainer', 'system', 'no_training_data', 'No training data available');
+      if (rows.length === 0) {
+        logger.warning('model-trainer', 'system', 'no_training_data', 'No training data available');
         return null;
       }
 
-      // Convert to arrays
-      const X = features.map(f => {
-        const featureArray = [];
-        Object.values(f.features).forEach(value => {
-          if (typeof value === 'number' && !isNaN(value)) {
-            featureArray.push(value);
-          } else {
-            featureArray.push(0);
-          }
-        });
-        return featureArray;
-      });
+      // Feature-store vectors in schema order; the registry stores the
+      // column names and schema version so scoring reads the same columns
+      const X = rows.map(row => this.featureStore.toModelInput(row.vector));
+      const yWinner = rows.map(row => row.winner_2x_24h);
+      const yRug = rows.map(row => row.rug_24h);
+      const timestamps = rows.map(row => row.first_seen_at);
 
-      const yWinner = labels.winner;
-      const yRug = labels.rug;
+      // Time-based split: validate on the newest 30%, train on tokens
+      // launched at least the embargo before it
+      const split = timeSplit(timestamps, { trainFraction: 0.7, embargoHours: this.embargoHours });
+      const pick = (values, indices) => indices.map(i => values[i]);
 
-      // Time-based split (70% train, 30% validation)
-      const splitIndex = Math.floor(features.length * 0.7);
-      
       const trainData = {
-        X: X.slice(0, splitIndex),
-        yWinner: yWinner.slice(0, splitIndex),
-        yRug: yRug.slice(0, splitIndex)
+        X: pick(X, split.train),
+        yWinner: pick(yWinner, split.train),
+        yRug: pick(yRug, split.train),
+        timestamps: pick(timestamps, split.train),
+        window: split.train.length > 0
+          ? `${timestamps[split.train[0]].split('T')[0]} to ${timestamps[split.train[split.train.length - 1]].split('T')[0]}`
+          : null
       };
 
       const valData = {
-        X: X.slice(splitIndex),
-        yWinner: yWinner.slice(splitIndex),
-        yRug: yRug.slice(splitIndex)
+        X: pick(X, split.val),
+        yWinner: pick(yWinner, split.val),
+        yRug: pick(yRug, split.val),
+        timestamps: pick(timestamps, split.val)
       };
 
       logger.info('model-trainer', 'system', 'data_prepared', 
-        `Training: ${trainData.X.length}, Validation: ${valData.X.length}`);
+        `Training: ${trainData.X.length}, Validation: ${valData.X.length} (embargo ${this.embargoHours}h)`);
 
-      return { trainData, valData, featureNames: this.featureEngineering.featureNames };
+      if (trainData.X.length === 0 || valData.X.length === 0) {
+        logger.warning('model-trainer', 'system', 'split_too_small', 'Not enough labelled history for a time split');
+        return null;
+      }
+
+      return { trainData, valData, featureNames: this.featureStore.columnNames() };
     } catch (error) {
       logger.error('model-trainer', 'system', 'data_preparation_failed', `Failed to prepare training data: ${error.message}`);
       return null;
@@ -234,48 +292,299 @@ class ModelTrainerWorker {
   }
 
   /**
-   * Train winner model
+   * Hyperparameters used when no search has picked any
+   * @param {string} type - 'logistic' | 'gbdt'
+   * @returns {object} Parameters
    */
-  trainWinnerModel(trainData, valData, featureNames) {
+  defaultParams(type) {
+    return type === 'gbdt' ? { ...this.gbdtParams } : { learningRate: 0.01, maxIterations: 1000 };
+  }
+
+  /**
+   * Fresh, unfitted model of the family configured for a target
+   * @param {string} target - '2x_24h' | 'rug_24h'
+   * @param {object} params - Hyperparameters (defaults when omitted)
+   * @returns {object} { type, model, params }
+   */
+  createModel(target, params = null) {
+    const type = this.modelTypes[target];
+    if (!MODEL_TYPES.includes(type)) {
+      throw new Error(`Unknown model type "${type}" for ${target} (expected ${MODEL_TYPES.join(' or ')})`);
+    }
+    const resolved = { ...this.defaultParams(type), ...(params || {}) };
+    return {
+      type,
+      params: resolved,
+      model: type === 'gbdt'
+        ? new GradientBoostedTrees(resolved)
+        : new LogisticRegression(resolved.learningRate, resolved.maxIterations)
+    };
+  }
+
+  /**
+   * Walk-forward cross-validation of every hyperparameter candidate for a
+   * target. Folds are time-ordered on first_seen_at with the embargo between
+   * training and validation; the candidate with the best mean AUROC wins
+   * (lower Brier breaks ties). Fold metrics are on uncalibrated predictions.
+   * @param {string} target - '2x_24h' | 'rug_24h'
+   * @param {Array} X - Feature vectors, oldest launch first
+   * @param {Array} y - Labels
+   * @param {Array} timestamps - first_seen_at per sample
+   * @param {object} options - { folds, search: 'grid'|'random'|'none', iterations }
+   * @returns {object|null} CV report, null when there is too little history
+   */
+  crossValidate(target, X, y, timestamps, options = {}) {
+    const type = this.modelTypes[target];
+    const folds = walkForwardFolds(timestamps, {
+      folds: options.folds || this.cv.folds,
+      embargoHours: this.embargoHours
+    });
+    if (folds.length === 0) {
+      logger.warning('model-trainer', 'system', 'cv_skipped', `Not enough history for walk-forward folds (${target})`);
+      return null;
+    }
+
+    const search = options.search || this.cv.search;
+    let candidates;
+    if (search === 'grid') {
+      candidates = gridCandidates(SEARCH_SPACES[type]);
+    } else if (search === 'random') {
+      candidates = randomCandidates(SEARCH_SPACES[type], options.iterations || this.cv.iterations);
+    } else {
+      candidates = [this.defaultParams(type)];
+    }
+
+    const mean = (rows, key) => rows.reduce((sum, row) => sum + row[key], 0) / rows.length;
+    const results = candidates.map(candidate => {
+      const foldMetrics = folds.map(fold => {
+        const { model } = this.createModel(target, candidate);
+        model.fit(fold.train.map(i => X[i]), fold.train.map(i => y[i]));
+        const labels = fold.val.map(i => y[i]);
+        const metrics = this.calculateMetrics(model.predict(fold.val.map(i => X[i])), labels);
+        return {
+          fold: fold.fold,
+          train_size: fold.train.length,
+          val_size: fold.val.length,
+          val_positives: labels.reduce((sum, l) => sum + l, 0),
+          train_end: fold.trainEnd,
+          val_start: fold.valStart,
+          val_end: fold.valEnd,
+          auroc: metrics.auroc,
+          auprc: metrics.auprc,
+          brier: metrics.brier
+        };
+      });
+
+      const summary = { auroc: mean(foldMetrics, 'auroc'), auprc: mean(foldMetrics, 'auprc'), brier: mean(foldMetrics, 'brier') };
+      logger.debug('model-trainer', 'system', 'cv_candidate', 
+        `${target} ${JSON.stringify(candidate)}: AUROC ${summary.auroc.toFixed(3)}, Brier ${summary.brier.toFixed(3)}`);
+      return { params: this.createModel(target, candidate).params, folds: foldMetrics, mean: summary };
+    });
+
+    const best = results.reduce((a, b) => (
+      b.mean.auroc > a.mean.auroc || (b.mean.auroc === a.mean.auroc && b.mean.brier < a.mean.brier) ? b : a
+    ));
+
+    logger.info('model-trainer', 'system', 'cv_completed', 
+      `${target}: best of ${results.length} candidates over ${folds.length} folds, AUROC ${best.mean.auroc.toFixed(3)}`, {
+        params: best.params
+      });
+
+    return {
+      model_type: type,
+      search,
+      embargo_hours: this.embargoHours,
+      folds: best.folds,
+      mean: best.mean,
+      params: best.params,
+      candidates: results.map(r => ({ params: r.params, mean: r.mean }))
+    };
+  }
+
+  /**
+   * Fit, calibrate and register one target's model
+   * @param {string} target - '2x_24h' | 'rug_24h'
+   * @param {string} prefix - Model id prefix ('win' | 'rug')
+   * @param {object} train - { X, y }
+   * @param {object} val - { X, y, timestamps } holdout, oldest first
+   * @param {Array} featureNames - Vector column names
+   * @param {object} options - { params, cv (report stored with the model), trainWindow }
+   * @returns {object} { model, calibrator, modelId, modelType, params, metrics, cv }
+   */
+  trainModel(target, prefix, train, val, featureNames, options = {}) {
+    const { type, model, params } = this.createModel(target, options.params);
+    model.fit(train.X, train.y);
+
+    // Predict on validation set
+    const valPredictions = model.predict(val.X);
+
+    // Calibrate on the older half of the holdout and score on the newer half,
+    // with the same embargo as the train/holdout split. The champion's
+    // calibrator was fitted on an earlier holdout, so neither has seen the
+    // rows the promotion gate compares them on.
+    const slices = timeSplit(val.timestamps, { trainFraction: 0.5, embargoHours: this.embargoHours });
+    const pick = (values, indices) => indices.map(i => values[i]);
+    const test = { X: pick(val.X, slices.val), y: pick(val.y, slices.val) };
+
+    const calibrator = new PlattScaling();
+    if (slices.train.length > 0) {
+      calibrator.fit(pick(valPredictions, slices.train), pick(val.y, slices.train));
+    } else {
+      logger.warning('model-trainer', 'system', 'calibration_skipped', `${target}: holdout too short for a calibration slice, predictions left uncalibrated`);
+    }
+    const calibratedPredictions = calibrator.transform(valPredictions);
+    const calibratedMetrics = this.calculateMetrics(pick(calibratedPredictions, slices.val), test.y);
+    calibratedMetrics.calibration_size = slices.train.length;
+    calibratedMetrics.test_size = slices.val.length;
+
+    // The champion scored on this same test slice, for the promotion gate
+    const champion = getChampion(db, target);
+    const championMetrics = champion ? this.evaluateChampion(champion, test, featureNames) : null;
+    if (championMetrics) calibratedMetrics.champion = championMetrics;
+
+    // Registered models are never overwritten, so a same-day retrain gets a suffix
+    const version = type === 'gbdt' ? 'gbdt_v1' : 'v1';
+    const baseId = `${prefix}_${version}_${new Date().toISOString().split('T')[0]}`;
+    let modelId = baseId;
+    const exists = db.prepare('SELECT 1 FROM model_registry WHERE model_id = ?');
+    for (let n = 2; exists.get(modelId); n++) modelId = `${baseId}_${n}`;
+
+    // Store in registry as a candidate
+    db.prepare(`
+      INSERT INTO model_registry 
+      (model_id, target, features, train_window, metrics, calibration, model_type, model_params,
+       hyperparams, cv_metrics, feature_schema_version, reference_profile, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      modelId,
+      target,
+      JSON.stringify(featureNames),
+      options.trainWindow || `${new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]} to ${new Date().toISOString().split('T')[0]}`,
+      JSON.stringify(calibratedMetrics),
+      JSON.stringify({ method: 'platt_scaling', A: calibrator.A, B: calibrator.B }),
+      type,
+      JSON.stringify(model.toJSON()),
+      JSON.stringify(params),
+      options.cv ? JSON.stringify(options.cv) : null,
+      this.featureStore.version,
+      JSON.stringify(this.buildReferenceProfile(train.X, featureNames, calibratedPredictions)),
+      new Date().toISOString()
+    );
+
+    if (type === 'gbdt') {
+      const top = model.featureImportance()
+        .map((importance, i) => ({ feature: featureNames[i], importance }))
+        .sort((a, b) => b.importance - a.importance)
+        .slice(0, 5)
+        .map(f => `${f.feature} ${(f.importance * 100).toFixed(0)}%`);
+      logger.info('model-trainer', 'system', 'feature_importance', `${modelId} top features: ${top.join(', ')}`);
+    }
+
+    const status = this.routeCandidate(modelId, target, champion);
+
+    return { model, calibrator, modelId, modelType: type, params, status, metrics: calibratedMetrics, cv: options.cv || null };
+  }
+
+  /**
+   * Training reference for the drift monitor: the distribution of every
+   * feature over the training rows (masked values count as missing) and of
+   * the calibrated holdout predictions, which is what live scores look like
+   * @param {Array} X - Training model inputs
+   * @param {Array} featureNames - Column names of X
+   * @param {Array} predictions - Calibrated holdout predictions
+   * @returns {object} { features: { name: profile }, prediction: profile }
+   */
+  buildReferenceProfile(X, featureNames, predictions) {
+    const features = {};
+    featureNames.forEach((name, j) => {
+      if (name.startsWith('is_missing_')) return;
+      const maskColumn = featureNames.indexOf(`is_missing_${name}`);
+      features[name] = buildProfile(X.map(x => (maskColumn >= 0 && x[maskColumn] === 1 ? null : x[j])));
+    });
+    return { features, prediction: buildProfile(predictions) };
+  }
+
+  /**
+   * Calibrated metrics of the current champion on a new holdout. Features are
+   * matched by name, so a champion trained on an older feature set still
+   * scores; rows without fitted parameters are skipped.
+   * @param {object} champion - Parsed model_registry row
+   * @param {object} val - { X, y }
+   * @param {Array} featureNames - Column names of val.X
+   * @returns {object|null} { model_id, auroc, auprc, brier }
+   */
+  evaluateChampion(champion, val, featureNames) {
+    if (!champion.model_params) return null;
+
     try {
-      logger.info('model-trainer', 'system', 'training_winner', 'Training winner model');
+      const params = JSON.parse(champion.model_params);
+      let model;
+      if (champion.model_type === 'gbdt') {
+        model = GradientBoostedTrees.fromJSON(params);
+      } else {
+        model = new LogisticRegression();
+        model.weights = params.weights;
+        model.bias = params.bias;
+      }
 
-      const model = new this.LogisticRegression(0.01, 1000);
-      model.fit(trainData.X, trainData.yWinner);
+      const columns = champion.features.map(name => featureNames.indexOf(name));
+      const X = val.X.map(x => columns.map(j => (j >= 0 ? x[j] : 0)));
+      const calibration = JSON.parse(champion.calibration);
+      const calibrator = new PlattScaling();
+      calibrator.A = calibration.A ?? 1;
+      calibrator.B = calibration.B ?? 0;
 
-      // Predict on validation set
-      const valPredictions = model.predict(valData.X);
-      const metrics = this.calculateMetrics(valPredictions, valData.yWinner);
+      const metrics = this.calculateMetrics(calibrator.transform(model.predict(X)), val.y);
+      return { model_id: champion.model_id, auroc: metrics.auroc, auprc: metrics.auprc, brier: metrics.brier };
+    } catch (error) {
+      logger.warning('model-trainer', 'system', 'champion_eval_failed', `Could not score ${champion.model_id} on the holdout: ${error.message}`);
+      return null;
+    }
+  }
 
-      // Calibrate
-      const calibrator = new this.PlattScaling();
-      calibrator.fit(valPredictions, valData.yWinner);
-      const calibratedPredictions = calibrator.transform(valPredictions);
-      const calibratedMetrics = this.calculateMetrics(calibratedPredictions, valData.yWinner);
+  /**
+   * A target's first model goes live as champion. Later models become the
+   * shadow challenger when they pass the promotion gate and otherwise stay
+   * candidates; promotion to champion is left to `cli.js model promote`.
+   * @returns {string} Resulting status
+   */
+  routeCandidate(modelId, target, champion) {
+    if (!champion) {
+      promoteModel(db, modelId, { reason: `first ${target} model` });
+      logger.info('model-trainer', 'system', 'model_promoted', `${modelId} is the first ${target} model and goes live as champion`);
+      return 'champion';
+    }
 
-      const modelId = `win_v1_${new Date().toISOString().split('T')[0]}`;
-      
-      // Store in registry
-      db.prepare(`
-        INSERT OR REPLACE INTO model_registry 
-        (model_id, target, features, train_window, metrics, calibration, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        modelId,
-        '2x_24h',
-        JSON.stringify(featureNames),
-        `${new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]} to ${new Date().toISOString().split('T')[0]}`,
-        JSON.stringify(calibratedMetrics),
-        JSON.stringify({ method: 'platt_scaling', A: calibrator.A, B: calibrator.B }),
-        new Date().toISOString()
-      );
-
-      this.models.winner = { model, calibrator, modelId, metrics: calibratedMetrics };
+    const gate = promotionGate(getModel(db, modelId), champion);
+    if (!gate.passed) {
+      logger.info('model-trainer', 'system', 'model_candidate', 
+        `${modelId} stays a candidate: ${gate.reasons.join('; ')}`);
+      return 'candidate';
+    }
+
+    shadowModel(db, modelId, `beat ${champion.model_id} on ${gate.basis.replace('_', ' ')}`);
+    logger.info('model-trainer', 'system', 'model_shadowed', 
+      `${modelId} beat ${champion.model_id} (AUROC ${gate.model.auroc.toFixed(3)} vs ${gate.champion.auroc.toFixed(3)}) and is scored in shadow`);
+    return 'shadow';
+  }
+
+  /**
+   * Train winner model
+   */
+  trainWinnerModel(trainData, valData, featureNames, options = {}) {
+    try {
+      logger.info('model-trainer', 'system', 'training_winner', `Training winner model (${this.modelTypes['2x_24h']})`);
+
+      const result = this.trainModel('2x_24h', 'win',
+        { X: trainData.X, y: trainData.yWinner },
+        { X: valData.X, y: valData.yWinner, timestamps: valData.timestamps },
+        featureNames, { ...options, trainWindow: trainData.window });
+      this.models.winner = result;
 
       logger.info('model-trainer', 'system', 'winner_trained', 
-        `Winner model trained: AUROC ${calibratedMetrics.auroc.toFixed(3)}, Brier ${calibratedMetrics.brier.toFixed(3)}`);
+        `Winner model ${result.modelId} trained (${result.status}): AUROC ${result.metrics.auroc.toFixed(3)}, Brier ${result.metrics.brier.toFixed(3)}`);
 
-      return { model, calibrator, modelId, metrics: calibratedMetrics };
+      return result;
     } catch (error) {
       logger.error('model-trainer', 'system', 'winner_training_failed', `Failed to train winner model: ${error.message}`);
       return null;
@@ -285,46 +594,20 @@ class ModelTrainerWorker {
   /**
    * Train rug model
    */
-  trainRugModel(trainData, valData, featureNames) {
+  trainRugModel(trainData, valData, featureNames, options = {}) {
     try {
-      logger.info('model-trainer', 'system', 'training_rug', 'Training rug model');
-
-      const model = new this.LogisticRegression(0.01, 1000);
-      model.fit(trainData.X, trainData.yRug);
-
-      // Predict on validation set
-      const valPredictions = model.predict(valData.X);
-      const metrics = this.calculateMetrics(valPredictions, valData.yRug);
+      logger.info('model-trainer', 'system', 'training_rug', `Training rug model (${this.modelTypes['rug_24h']})`);
 
-      // Calibrate
-      const calibrator = new this.PlattScaling();
-      calibrator.fit(valPredictions, valData.yRug);
-      const calibratedPredictions = calibrator.transform(valPredictions);
-      const calibratedMetrics = this.calculateMetrics(calibratedPredictions, valData.yRug);
-
-      const modelId = `rug_v1_${new Date().toISOString().split('T')[0]}`;
-      
-      // Store in registry
-      db.prepare(`
-        INSERT OR REPLACE INTO model_registry 
-        (model_id, target, features, train_window, metrics, calibration, created_at)
-        VALUES (?, ?, ?, ?, ?, ?, ?)
-      `).run(
-        modelId,
-        'rug_24h',
-        JSON.stringify(featureNames),
-        `${new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]} to ${new Date().toISOString().split('T')[0]}`,
-        JSON.stringify(calibratedMetrics),
-        JSON.stringify({ method: 'platt_scaling', A: calibrator.A, B: calibrator.B }),
-        new Date().toISOString()
-      );
-
-      this.models.rug = { model, calibrator, modelId, metrics: calibratedMetrics };
+      const result = this.trainModel('rug_24h', 'rug',
+        { X: trainData.X, y: trainData.yRug },
+        { X: valData.X, y: valData.yRug, timestamps: valData.timestamps },
+        featureNames, { ...options, trainWindow: trainData.window });
+      this.models.rug = result;
 
       logger.info('model-trainer', 'system', 'rug_trained', 
-        `Rug model trained: AUROC ${calibratedMetrics.auroc.toFixed(3)}, Brier ${calibratedMetrics.brier.toFixed(3)}`);
+        `Rug model ${result.modelId} trained (${result.status}): AUROC ${result.metrics.auroc.toFixed(3)}, Brier ${result.metrics.brier.toFixed(3)}`);
 
-      return { model, calibrator, modelId, metrics: calibratedMetrics };
+      return result;
     } catch (error) {
       logger.error('model-trainer', 'system', 'rug_training_failed', `Failed to train rug model: ${error.message}`);
       return null;
@@ -333,8 +616,10 @@ class ModelTrainerWorker {
 
   /**
    * Main training process
+   * @param {object} options - { cv, folds, search, iterations } (defaults from MODEL_CV* env)
+   * @returns {object|undefined} { winner, rug } training results
    */
-  async train() {
+  async train(options = {}) {
     if (this.isRunning) {
       return;
     }
@@ -345,15 +630,23 @@ class ModelTrainerWorker {
     try {
       const data = this.prepareTrainingData();
       if (!data) {
-        logger.warn('model-trainer', 'system', 'no_data', 'No training data available');
+        logger.warning('model-trainer', 'system', 'no_data', 'No training data available');
         return;
       }
 
       const { trainData, valData, featureNames } = data;
+      const useCv = options.cv ?? this.cv.enabled;
+
+      // Walk-forward folds stay inside the training portion so the holdout
+      // is untouched by the search; the winning parameters are refit on it
+      const tune = (target, y) => {
+        if (!useCv) return {};
+        const cv = this.crossValidate(target, trainData.X, y, trainData.timestamps, options);
+        return cv ? { params: cv.params, cv } : {};
+      };
 
-      // Train both models
-      const winnerResult = this.trainWinnerModel(trainData, valData, featureNames);
-      const rugResult = this.trainRugModel(trainData, valData, featureNames);
+      const winnerResult = this.trainWinnerModel(trainData, valData, featureNames, tune('2x_24h', trainData.yWinner));
+      const rugResult = this.trainRugModel(trainData, valData, featureNames, tune('rug_24h', trainData.yRug));
 
       if (winnerResult && rugResult) {
         logger.info('model-trainer', 'system', 'training_completed', 
@@ -362,6 +655,8 @@ class ModelTrainerWorker {
         logger.error('model-trainer', 'system', 'training_failed', 'Model training failed');
       }
 
+      return { winner: winnerResult, rug: rugResult };
+
     } catch (error) {
       logger.error('model-trainer', 'system', 'training_failed', `Training failed: ${error.message}`);
     } finally {
@@ -1,19 +1,19 @@
 // workers/pool-introspector-worker.js - Task 11 Pool Introspection
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
+const { PoolDiscovery, savePools } = require('../lib/pool-discovery');
+const { LPLockDetector, saveLocks, summarizeLocks } = require('../lib/lp-lock-detector');
+const { getLPTokenAccounts, lpOwnershipDistribution, lpBurnStatus } = require('../lib/lp-holders');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'pool-introspector');
 
 class PoolIntrospectorWorker {
   constructor() {
-    this.burnAddress = '1nc1nerator11111111111111111111111111111111';
-    this.knownLockContracts = [
-      // Meteora lock contracts (example addresses)
-      'LocktDzaV1W2Bm9DeZeiyz4J9zs4fRqNiYqQyracRXw',
-      'TimeLock1111111111111111111111111111111111111',
-      // Add more known lock contract addresses as needed
-    ];
+    this.poolDiscovery = new PoolDiscovery();
+    this.lockDetector = new LPLockDetector({ rpc: this.poolDiscovery.rpc });
   }
 
   /**
@@ -29,6 +29,7 @@ class PoolIntrospectorWorker {
         FROM tokens t
         WHERE t.lp_exists = 1
           AND t.lp_token_mint IS NULL
+          AND (t.pools_checked_at IS NULL OR (julianday('now') - julianday(t.pools_checked_at)) * 24 * 60 >= 30)
           AND t.first_seen_at IS NOT NULL
           AND (julianday('now') - julianday(t.first_seen_at)) * 24 * 60 <= 1440
         ORDER BY t.first_seen_at DESC
@@ -43,30 +44,32 @@ class PoolIntrospectorWorker {
   }
 
   /**
-   * Find pool information for a token mint
+   * Discover the token's pools on-chain, store them and return the primary one
    * @param {string} mint - Token mint address
-   * @returns {object} Pool information
+   * @returns {object|null} Pool information
    */
   async findPoolForMint(mint) {
     try {
-      // Simulate DEX API calls to find pool
-      // In production, this would call Raydium/Meteora/Orca APIs
-      const mockPoolData = {
-        poolAddress: `pool_${mint.slice(0, 8)}`,
-        lpTokenMint: `lp_${mint.slice(0, 8)}`,
-        dexName: 'Raydium', // or 'Meteora', 'Orca', etc.
-        baseMint: mint,
-        quoteMint: 'So11111111111111111111111111111111111111112', // SOL
-        totalSupply: Math.random() * 1000000 + 100000,
-        isActive: true
-      };
+      const pools = await this.poolDiscovery.findPools(mint);
+      savePools(db, mint, pools);
 
-      // Simulate some pools not being found
-      if (Math.random() < 0.1) {
+      const primary = pools[0];
+      if (!primary) {
         return null;
       }
 
-      return mockPoolData;
+      return {
+        poolAddress: primary.address,
+        lpTokenMint: primary.lpMint,
+        dexName: primary.dex,
+        baseMint: primary.baseMint,
+        quoteMint: primary.quoteMint,
+        totalSupply: primary.lpSupply,
+        issuedSupply: primary.lpIssued,
+        baseReserve: primary.baseReserve,
+        quoteReserve: primary.quoteReserve,
+        isActive: primary.status === 'active'
+      };
     } catch (error) {
       logger.error('pool-introspector', mint, 'find_pool_failed', `Failed to find pool: ${error.message}`);
       return null;
@@ -74,91 +77,67 @@ class PoolIntrospectorWorker {
   }
 
   /**
-   * Get LP token holders and calculate ownership distribution
+   * Largest LP token accounts with the wallet that owns each one
    * @param {string} lpTokenMint - LP token mint address
-   * @param {number} totalSupply - Total LP token supply
-   * @returns {object} Ownership distribution
+   * @returns {Array|null} { address, owner, amount } in UI units, null when the read failed
    */
-  async getLPOwnershipDistribution(lpTokenMint, totalSupply) {
+  async getLPTokenAccounts(lpTokenMint) {
     try {
-      // Simulate SPL Token account lookup
-      // In production, this would call getTokenAccountsByMint
-      const mockHolders = [];
-      const numHolders = Math.floor(Math.random() * 20) + 5; // 5-25 holders
-
-      for (let i = 0; i < numHolders; i++) {
-        const amount = Math.random() * (totalSupply * 0.3); // Up to 30% per holder
-        mockHolders.push({
-          owner: `owner_${i}_${lpTokenMint.slice(0, 8)}`,
-          amount: amount
-        });
-      }
-
-      // Sort by amount descending
-      mockHolders.sort((a, b) => b.amount - a.amount);
-
-      // Calculate percentages
-      const top1Amount = mockHolders[0]?.amount || 0;
-      const top5Amount = mockHolders.slice(0, 5).reduce((sum, holder) => sum + holder.amount, 0);
-
-      const top1Pct = totalSupply > 0 ? top1Amount / totalSupply : 0;
-      const top5Pct = totalSupply > 0 ? top5Amount / totalSupply : 0;
-
-      return {
-        holders: mockHolders,
-        top1Pct: Math.round(top1Pct * 10000) / 10000, // Round to 4 decimal places
-        top5Pct: Math.round(top5Pct * 10000) / 10000
-      };
+      return await getLPTokenAccounts(this.poolDiscovery.rpc, lpTokenMint);
     } catch (error) {
       logger.error('pool-introspector', lpTokenMint, 'get_holders_failed', `Failed to get holders: ${error.message}`);
-      return {
-        holders: [],
-        top1Pct: 0,
-        top5Pct: 0
-      };
+      return null;
     }
   }
 
   /**
-   * Check if LP tokens are burned
+   * LP ownership distribution by owner wallet
+   * @param {Array|null} lpAccounts - getLPTokenAccounts() result
+   * @param {number} totalSupply - Total LP token supply
+   * @returns {object} Ownership distribution (nulls when unknown)
+   */
+  getLPOwnershipDistribution(lpAccounts, totalSupply) {
+    return lpOwnershipDistribution(lpAccounts, totalSupply);
+  }
+
+  /**
+   * Check if LP tokens are burned (incinerated or burned from wallets)
    * @param {string} lpTokenMint - LP token mint address
-   * @returns {boolean} True if LP tokens are burned
+   * @param {Array|null} lpAccounts - getLPTokenAccounts() result
+   * @param {number} totalSupply - Current LP mint supply
+   * @param {number|null} issuedSupply - LP issued according to the pool account
+   * @returns {boolean|null} True if LP tokens are burned, null when unknown
    */
-  async checkLPBurned(lpTokenMint) {
-    try {
-      // Simulate checking for burns
-      // In production, this would check transaction history for burns
-      const isBurned = Math.random() < 0.3; // 30% chance of being burned
-      
-      if (isBurned) {
-        logger.debug('pool-introspector', lpTokenMint, 'lp_burned', 'LP tokens detected as burned');
-      }
-      
-      return isBurned;
-    } catch (error) {
-      logger.error('pool-introspector', lpTokenMint, 'check_burned_failed', `Failed to check burn status: ${error.message}`);
-      return false;
+  checkLPBurned(lpTokenMint, lpAccounts, totalSupply, issuedSupply) {
+    const { isBurned, burnPct } = lpBurnStatus(lpAccounts, totalSupply, issuedSupply);
+
+    if (isBurned) {
+      logger.debug('pool-introspector', lpTokenMint, 'lp_burned', `${(burnPct * 100).toFixed(1)}% of LP tokens burned`);
     }
+
+    return isBurned;
   }
 
   /**
-   * Check if LP tokens are locked
-   * @param {string} poolAddress - Pool address
+   * Check if LP tokens are held by a locker program
+   * @param {string} mint - Token mint address
+   * @param {string} lpTokenMint - LP token mint address
+   * @param {number} totalSupply - Total LP token supply
    * @returns {boolean} True if LP tokens are locked
    */
-  async checkLPLocked(poolAddress) {
+  async checkLPLocked(mint, lpTokenMint, totalSupply) {
     try {
-      // Simulate checking for locks
-      // In production, this would check known lock contracts
-      const isLocked = Math.random() < 0.1; // 10% chance of being locked
+      const locks = await this.lockDetector.findLocks(lpTokenMint);
+      saveLocks(db, mint, lpTokenMint, locks, totalSupply);
+      const { isLocked } = summarizeLocks(locks, totalSupply);
       
       if (isLocked) {
-        logger.debug('pool-introspector', poolAddress, 'lp_locked', 'LP tokens detected as locked');
+        logger.debug('pool-introspector', lpTokenMint, 'lp_locked', 'LP tokens detected as locked');
       }
       
       return isLocked;
     } catch (error) {
-      logger.error('pool-introspector', poolAddress, 'check_locked_failed', `Failed to check lock status: ${error.message}`);
+      logger.error('pool-introspector', lpTokenMint, 'check_locked_failed', `Failed to check lock status: ${error.message}`);
       return false;
     }
   }
@@ -214,22 +193,24 @@ class PoolIntrospectorWorker {
         return;
       }
 
-      // Update token with LP token mint
-      db.prepare(`
-        UPDATE tokens 
-        SET lp_token_mint = ?
-        WHERE mint = ?
-      `).run(poolInfo.lpTokenMint, mint);
+      // Bonding curves, DLMM and Whirlpool positions have no LP mint to analyse
+      if (!poolInfo.lpTokenMint) {
+        logger.info('pool-introspector', mint, 'no_lp_mint', `${poolInfo.dexName} pool ${poolInfo.poolAddress} has no LP mint`);
+        return;
+      }
 
       // Get LP ownership distribution
-      const ownership = await this.getLPOwnershipDistribution(poolInfo.lpTokenMint, poolInfo.totalSupply);
-      
-      // Store LP holders snapshot
-      this.storeLPHoldersSnapshot(poolInfo.lpTokenMint, ownership.holders);
+      const lpAccounts = await this.getLPTokenAccounts(poolInfo.lpTokenMint);
+      const ownership = this.getLPOwnershipDistribution(lpAccounts, poolInfo.totalSupply);
+
+      // Store LP holders snapshot (kept as-is when the holder read failed)
+      if (lpAccounts) {
+        this.storeLPHoldersSnapshot(poolInfo.lpTokenMint, ownership.holders);
+      }
 
       // Check LP safety
-      const isBurned = await this.checkLPBurned(poolInfo.lpTokenMint);
-      const isLocked = await this.checkLPLocked(poolInfo.poolAddress);
+      const isBurned = this.checkLPBurned(poolInfo.lpTokenMint, lpAccounts, poolInfo.totalSupply, poolInfo.issuedSupply);
+      const isLocked = await this.checkLPLocked(mint, poolInfo.lpTokenMint, poolInfo.totalSupply);
 
       // Update token with pool information
       db.prepare(`
@@ -241,7 +222,7 @@ class PoolIntrospectorWorker {
           lp_owner_top5_pct = ?
         WHERE mint = ?
       `).run(
-        isBurned ? 1 : 0,
+        isBurned === null ? null : isBurned ? 1 : 0,
         isLocked ? 1 : 0,
         ownership.top1Pct,
         ownership.top5Pct,
@@ -251,8 +232,8 @@ class PoolIntrospectorWorker {
       logger.success('pool-introspector', mint, 'complete', `Pool introspection completed for ${symbol}`, {
         lpTokenMint: poolInfo.lpTokenMint,
         dexName: poolInfo.dexName,
-        top1Pct: (ownership.top1Pct * 100).toFixed(1) + '%',
-        top5Pct: (ownership.top5Pct * 100).toFixed(1) + '%',
+        top1Pct: ownership.top1Pct !== null ? (ownership.top1Pct * 100).toFixed(1) + '%' : 'N/A',
+        top5Pct: ownership.top5Pct !== null ? (ownership.top5Pct * 100).toFixed(1) + '%' : 'N/A',
         isBurned,
         isLocked
       });
@@ -268,6 +249,11 @@ class PoolIntrospectorWorker {
   async processPoolIntrospection() {
     logger.info('pool-introspector', 'system', 'start', 'Starting pool introspection');
 
+    if (!this.poolDiscovery.rpc.isConfigured()) {
+      logger.warning('pool-introspector', 'system', 'rpc_not_configured', 'Skipping pool introspection (set SOLANA_RPC_URL or HELIUS_API_KEY)');
+      return;
+    }
+
     try {
       const tokens = this.getTokensForPoolIntrospection();
       
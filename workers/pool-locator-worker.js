@@ -1,11 +1,13 @@
 // workers/pool-locator-worker.js - Pool creation detection for Task 8
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const { fetchJson, sleep } = require('../lib/http');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'pool-locator');
 
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
 
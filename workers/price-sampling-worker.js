@@ -1,13 +1,16 @@
 // workers/price-sampling-worker.js - Task 10 Price Sampling
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
+const { PriceFeed } = require('../lib/price-sources');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'price-sampling');
 
 class PriceSamplingWorker {
   constructor() {
-    this.source = 'dexscreener'; // Single source for v1
+    this.priceFeed = new PriceFeed();
     this.granularities = ['10m', '30m', '60m', '6h', '24h'];
   }
 
@@ -83,34 +86,13 @@ class PriceSamplingWorker {
   }
 
   /**
-   * Fetch price data from Dexscreener (simulated for v1)
+   * Fetch price data from the configured price sources (priority order with fallback)
    * @param {string} mint - Token mint
-   * @returns {object} Price data
+   * @returns {object} Price data including the source that answered
    */
   async fetchPriceData(mint) {
     try {
-      // Simulate Dexscreener API call
-      // In production, this would make actual API calls
-      const mockPriceData = {
-        price_usd: Math.random() * 0.01 + 0.001, // $0.001 - $0.011
-        price_sol: Math.random() * 0.0001 + 0.00001, // 0.00001 - 0.00011 SOL
-        liquidity_usd: Math.random() * 50000 + 5000, // $5k - $55k
-        pair_id: `pair_${mint.slice(0, 8)}`,
-        status: 'live'
-      };
-
-      // Simulate some tokens having no pair
-      if (Math.random() < 0.1) {
-        return {
-          price_usd: null,
-          price_sol: null,
-          liquidity_usd: null,
-          pair_id: null,
-          status: 'no_pair'
-        };
-      }
-
-      return mockPriceData;
+      return await this.priceFeed.fetchPrice(mint);
     } catch (error) {
       logger.error('price-sampling', mint, 'fetch_failed', `Failed to fetch price: ${error.message}`);
       return {
@@ -118,7 +100,8 @@ class PriceSamplingWorker {
         price_sol: null,
         liquidity_usd: null,
         pair_id: null,
-        status: 'error'
+        status: 'error',
+        source: 'none'
       };
     }
   }
@@ -143,7 +126,7 @@ class PriceSamplingWorker {
         priceData.price_usd,
         priceData.price_sol,
         priceData.liquidity_usd,
-        this.source,
+        priceData.source,
         priceData.pair_id,
         granularity,
         priceData.status
@@ -177,7 +160,8 @@ class PriceSamplingWorker {
 
       logger.success('price-sampling', mint, 'sampled', `Price sampled for ${symbol} at ${current_granularity}`, {
         price_usd: priceData.price_usd,
-        status: priceData.status
+        status: priceData.status,
+        source: priceData.source
       });
 
     } catch (error) {
@@ -1,53 +1,88 @@
 // workers/probability-scorer-worker.js - Task 13 Online Probability Scoring
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
-const FeatureEngineering = require('../lib/feature-engineering');
+const { FeatureStore } = require('../lib/feature-store');
+const { GradientBoostedTrees } = require('../lib/gradient-boosting');
+const { getChampion, getShadows } = require('../lib/model-registry');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'probability-scorer');
+
+/**
+ * Simple Logistic Regression for inference
+ */
+class LogisticRegressionInference {
+  constructor(weights, bias) {
+    this.weights = weights;
+    this.bias = bias;
+  }
+
+  sigmoid(z) {
+    return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, z))));
+  }
+
+  predict(X) {
+    return X.map(x => {
+      const z = this.bias + this.weights.reduce((sum, w, j) => sum + w * x[j], 0);
+      return this.sigmoid(z);
+    });
+  }
+}
+
+/**
+ * Platt scaling for calibration
+ */
+class PlattScalingInference {
+  constructor(A, B) {
+    this.A = A;
+    this.B = B;
+  }
+
+  transform(predictions) {
+    return predictions.map(p => {
+      const scaled = this.A * p + this.B;
+      return Math.max(0, Math.min(1, scaled));
+    });
+  }
+}
 
 class ProbabilityScorerWorker {
   constructor() {
     this.isRunning = false;
-    this.featureEngineering = new FeatureEngineering();
+    this.featureStore = new FeatureStore(db);
     this.models = {};
+    this.shadows = { winner: [], rug: [] };
   }
 
   /**
-   * Load latest models from registry
+   * Load each target's champion, plus its shadow challengers
    */
-  loadLatestModels() {
+  loadActiveModels() {
     try {
-      const winnerModel = db.prepare(`
-        SELECT * FROM model_registry 
-        WHERE target = '2x_24h' 
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `).get();
-
-      const rugModel = db.prepare(`
-        SELECT * FROM model_registry 
-        WHERE target = 'rug_24h' 
-        ORDER BY created_at DESC 
-        LIMIT 1
-      `).get();
+      const winnerModel = getChampion(db, '2x_24h');
+      const rugModel = getChampion(db, 'rug_24h');
 
+      this.models = {};
       if (winnerModel) {
-        this.models.winner = {
-          modelId: winnerModel.model_id,
-          calibration: JSON.parse(winnerModel.calibration),
-          features: JSON.parse(winnerModel.features)
-        };
-        logger.info('probability-scorer', 'system', 'winner_model_loaded', `Loaded ${winnerModel.model_id}`);
+        this.models.winner = this.buildModel(winnerModel);
+        logger.info('probability-scorer', 'system', 'winner_model_loaded', `Loaded champion ${winnerModel.model_id} (${this.models.winner.modelType})`);
       }
 
       if (rugModel) {
-        this.models.rug = {
-          modelId: rugModel.model_id,
-          calibration: JSON.parse(rugModel.calibration),
-          features: JSON.parse(rugModel.features)
-        };
-        logger.info('probability-scorer', 'system', 'rug_model_loaded', `Loaded ${rugModel.model_id}`);
+        this.models.rug = this.buildModel(rugModel);
+        logger.info('probability-scorer', 'system', 'rug_model_loaded', `Loaded champion ${rugModel.model_id} (${this.models.rug.modelType})`);
+      }
+
+      // Challengers without fitted parameters have nothing to score with
+      this.shadows = {
+        winner: getShadows(db, '2x_24h').map(row => this.buildModel(row)).filter(m => m.model),
+        rug: getShadows(db, 'rug_24h').map(row => this.buildModel(row)).filter(m => m.model)
+      };
+      const shadowIds = [...this.shadows.winner, ...this.shadows.rug].map(m => m.modelId);
+      if (shadowIds.length > 0) {
+        logger.info('probability-scorer', 'system', 'shadow_models_loaded', `Shadow scoring ${shadowIds.join(', ')}`);
       }
 
       return winnerModel && rugModel;
@@ -58,41 +93,52 @@ class ProbabilityScorerWorker {
   }
 
   /**
-   * Simple Logistic Regression for inference
+   * Rebuild a registry row's fitted model. Rows registered before model
+   * parameters were stored have no model and fall back to the heuristic.
+   * @param {object} row - model_registry row (raw or parsed by lib/model-registry)
+   * @returns {object} { modelId, modelType, calibration, features, model, calibrator }
    */
-  class LogisticRegressionInference {
-    constructor(weights, bias) {
-      this.weights = weights;
-      this.bias = bias;
+  buildModel(row) {
+    const calibration = typeof row.calibration === 'string' ? JSON.parse(row.calibration) : row.calibration;
+    const params = row.model_params ? JSON.parse(row.model_params) : null;
+    const modelType = row.model_type || 'logistic';
+
+    let model = null;
+    if (params && modelType === 'gbdt') {
+      model = GradientBoostedTrees.fromJSON(params);
+    } else if (params && modelType === 'logistic') {
+      model = new LogisticRegressionInference(params.weights, params.bias);
     }
 
-    sigmoid(z) {
-      return 1 / (1 + Math.exp(-Math.max(-500, Math.min(500, z))));
-    }
-
-    predict(X) {
-      return X.map(x => {
-        const z = this.bias + this.weights.reduce((sum, w, j) => sum + w * x[j], 0);
-        return this.sigmoid(z);
-      });
-    }
+    return {
+      modelId: row.model_id,
+      modelType,
+      calibration,
+      features: typeof row.features === 'string' ? JSON.parse(row.features) : row.features,
+      model,
+      calibrator: new PlattScalingInference(calibration.A ?? 1, calibration.B ?? 0)
+    };
   }
 
   /**
-   * Platt scaling for calibration
+   * Calibrated probability and top contributors from a fitted model
+   * @param {object} loaded - buildModel() result
+   * @param {object} features - Named features
+   * @returns {object} { prob, explain }
    */
-  class PlattScalingInference {
-    constructor(A, B) {
-      this.A = A;
-      this.B = B;
-    }
-
-    transform(predictions) {
-      return predictions.map(p => {
-        const scaled = this.A * p + this.B;
-        return Math.max(0, Math.min(1, scaled));
-      });
-    }
+  scoreWithModel(loaded, features) {
+    const vector = loaded.features.map(name => {
+      const value = features[name];
+      return typeof value === 'number' && !isNaN(value) ? value : 0;
+    });
+    const prob = loaded.calibrator.transform(loaded.model.predict([vector]))[0];
+
+    // Log-odds contributions: weight × value, or the trees' path attribution
+    const contributions = loaded.modelType === 'gbdt'
+      ? loaded.model.explain(vector).contributions
+      : loaded.model.weights.map((weight, i) => weight * vector[i]);
+
+    return { prob, explain: this.formatContributions(contributions, loaded.features) };
   }
 
   /**
@@ -122,18 +168,23 @@ class ProbabilityScorerWorker {
    * Generate explainability string
    */
   generateExplainability(features, weights, featureNames, topN = 3) {
+    return this.formatContributions(weights.map((weight, i) => weight * (features[i] || 0)), featureNames, topN);
+  }
+
+  /**
+   * Top contributors by absolute log-odds contribution, e.g. "sniper_pct +0.42, lp_burned -0.31"
+   */
+  formatContributions(contributions, featureNames, topN = 3) {
     try {
-      const contributions = weights.map((weight, i) => ({
+      const ranked = contributions.map((contribution, i) => ({
         feature: featureNames[i] || `feature_${i}`,
-        weight: weight,
-        value: features[i] || 0,
-        contribution: weight * (features[i] || 0)
+        contribution
       }));
 
       // Sort by absolute contribution
-      contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+      ranked.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
 
-      const topContributors = contributions.slice(0, topN);
+      const topContributors = ranked.slice(0, topN);
       const explainParts = topContributors.map(c => 
         `${c.feature} ${c.contribution >= 0 ? '+' : ''}${c.contribution.toFixed(2)}`
       );
@@ -152,15 +203,15 @@ class ProbabilityScorerWorker {
     try {
       logger.info('probability-scorer', mint, 'scoring_started', 'Starting probability scoring');
 
-      // Generate features
-      const features = this.featureEngineering.generateInferenceFeatures(mint);
-      if (!features) {
-        logger.warn('probability-scorer', mint, 'no_features', 'No features available');
+      // Same stored vector the trainer reads for this snapshot
+      const vector = this.featureStore.getVector({ mint, first_seen_at: token.first_seen_at, source: token.source });
+      if (!vector) {
+        logger.warning('probability-scorer', mint, 'no_features', 'No features available');
         return;
       }
 
-      const featureArray = Object.values(features).filter(v => typeof v === 'number' && !isNaN(v));
-      const snapshotTime = new Date(new Date(token.first_seen_at).getTime() + 30 * 60 * 1000).toISOString();
+      const features = this.featureStore.toNamed(vector);
+      const snapshotTime = vector.snapshot_ts;
 
       let prob2x24h = 0;
       let probRug24h = 0;
@@ -168,10 +219,15 @@ class ProbabilityScorerWorker {
       let explainRug = '';
 
       // Score winner probability
-      if (this.models.winner) {
+      if (this.models.winner?.model) {
+        try {
+          ({ prob: prob2x24h, explain: explainWin } = this.scoreWithModel(this.models.winner, features));
+        } catch (error) {
+          logger.error('probability-scorer', mint, 'winner_scoring_failed', `Failed to score winner: ${error.message}`);
+        }
+      } else if (this.models.winner) {
         try {
-          // In a real implementation, you would load the actual trained model
-          // For now, we'll simulate with a simple heuristic
+          // Registry row without model parameters: simple heuristic
           const healthScore = features.health_30m || 0;
           const freshPct = features.fresh_pct || 0;
           const liquidityLog = features.liquidity_usd_log || 0;
@@ -194,8 +250,15 @@ class ProbabilityScorerWorker {
       }
 
       // Score rug probability
-      if (this.models.rug) {
+      if (this.models.rug?.model) {
         try {
+          ({ prob: probRug24h, explain: explainRug } = this.scoreWithModel(this.models.rug, features));
+        } catch (error) {
+          logger.error('probability-scorer', mint, 'rug_scoring_failed', `Failed to score rug: ${error.message}`);
+        }
+      } else if (this.models.rug) {
+        try {
+          // Registry row without model parameters: simple heuristic
           const rugRiskScore = features.rug_risk_score_30m || 0;
           const badActorScore = features.bad_actor_score || 0;
           const liquidityLog = features.liquidity_usd_log || 0;
@@ -218,7 +281,7 @@ class ProbabilityScorerWorker {
       // Store predictions
       const featuresHash = require('crypto')
         .createHash('md5')
-        .update(JSON.stringify(features))
+        .update(JSON.stringify([vector.schema_version, vector.values, vector.mask]))
         .digest('hex');
 
       // Store winner prediction
@@ -245,6 +308,23 @@ class ProbabilityScorerWorker {
         );
       }
 
+      // Challengers score the same snapshot; only the champion reaches the tokens table
+      const storeShadow = db.prepare(`
+        INSERT OR REPLACE INTO token_predictions 
+        (mint, ts, model_id, target, prob, features_hash, explainability, shadow, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 1, ?)
+      `);
+      for (const [key, target] of [['winner', '2x_24h'], ['rug', 'rug_24h']]) {
+        for (const shadow of this.shadows[key]) {
+          try {
+            const { prob, explain } = this.scoreWithModel(shadow, features);
+            storeShadow.run(mint, snapshotTime, shadow.modelId, target, prob, featuresHash, explain, new Date().toISOString());
+          } catch (error) {
+            logger.error('probability-scorer', mint, 'shadow_scoring_failed', `Failed to shadow score ${shadow.modelId}: ${error.message}`);
+          }
+        }
+      }
+
       // Update tokens table
       db.prepare(`
         UPDATE tokens 
@@ -277,9 +357,9 @@ class ProbabilityScorerWorker {
     logger.info('probability-scorer', 'system', 'worker_started', 'Starting probability scorer worker');
 
     try {
-      // Load latest models
-      if (!this.loadLatestModels()) {
-        logger.warn('probability-scorer', 'system', 'no_models', 'No models available for scoring');
+      // Load champion and shadow models
+      if (!this.loadActiveModels()) {
+        logger.warning('probability-scorer', 'system', 'no_models', 'No models available for scoring');
         return;
       }
 
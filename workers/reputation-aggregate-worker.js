@@ -1,15 +1,34 @@
 // workers/reputation-aggregate-worker.js - Task 12 Wallet Reputation Aggregation
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
+const { getKnownServices } = require('../lib/known-services');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'reputation-aggregate');
 
 class ReputationAggregateWorker {
   constructor() {
     this.isRunning = false;
     this.WINDOW_DAYS = 30;
     this.DECAY_HALF_LIFE_DAYS = 14;
+    this.knownServices = null; // Loaded once per run
+  }
+
+  /**
+   * Exchange, bridge, router or market-maker entry for a wallet
+   */
+  getKnownService(wallet) {
+    if (!this.knownServices) {
+      try {
+        this.knownServices = getKnownServices(db);
+      } catch (error) {
+        logger.error('reputation-aggregate', 'system', 'known_services_failed', `Failed to load known services: ${error.message}`);
+        this.knownServices = new Map();
+      }
+    }
+    return this.knownServices.get(wallet) || null;
   }
 
   /**
@@ -25,7 +44,7 @@ class ReputationAggregateWorker {
   }
 
   /**
-   * Check if wallet is tagged as market maker
+   * Check if wallet is tagged or registered as market maker
    */
   isMarketMaker(wallet) {
     try {
@@ -33,7 +52,7 @@ class ReputationAggregateWorker {
         SELECT 1 FROM wallet_tags WHERE wallet = ? AND tag = 'market_maker'
       `).get(wallet);
       
-      return !!result;
+      return !!result || this.getKnownService(wallet)?.category === 'market_maker';
     } catch (error) {
       logger.error('reputation-aggregate', 'system', 'market_maker_check_failed', `Failed to check market maker status for ${wallet}: ${error.message}`);
       return false;
@@ -178,7 +197,9 @@ class ReputationAggregateWorker {
   calculateReputationScore(wallet) {
     try {
       const isMM = this.isMarketMaker(wallet);
-      const penaltyFactor = isMM ? 0.25 : 1.0;
+      const knownService = this.getKnownService(wallet);
+      // Exchanges, bridges and routers are neutral nodes: they touch everyone
+      const penaltyFactor = knownService && !isMM ? 0 : isMM ? 0.25 : 1.0;
 
       // Get all events
       const sniperEvents = this.getSniperEvents(wallet);
@@ -215,7 +236,8 @@ class ReputationAggregateWorker {
         S_rug: Math.round(S_rug * 100) / 100,
         S_reward: Math.round(S_reward * 100) / 100,
         penalty_factor: penaltyFactor,
-        is_market_maker: isMM
+        is_market_maker: isMM,
+        known_service: knownService ? knownService.category : null
       };
 
       return {
@@ -312,6 +334,7 @@ class ReputationAggregateWorker {
     }
 
     this.isRunning = true;
+    this.knownServices = null;
     logger.info('reputation-aggregate', 'system', 'worker_started', 'Starting reputation aggregation worker');
 
     try {
@@ -1,9 +1,11 @@
 // workers/return-labels-worker.js - Task 10 Return Labels Calculator
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'return-labels');
 
 class ReturnLabelsWorker {
   constructor() {
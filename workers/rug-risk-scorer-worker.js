@@ -1,9 +1,11 @@
 // workers/rug-risk-scorer-worker.js - Task 11 Rug Risk Scoring
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'rug-risk-scorer');
 
 class RugRiskScorerWorker {
   constructor() {
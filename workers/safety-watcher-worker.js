@@ -0,0 +1,310 @@
+// workers/safety-watcher-worker.js - Re-check mint/freeze authority and LP locks for tracked tokens
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
+const logger = require('../lib/logger');
+const { SolanaRpc } = require('../lib/solana-rpc');
+const { decodeMint } = require('../lib/pool-discovery');
+const { analyzeMintAccount, saveMintExtensions } = require('../lib/token-extensions');
+const { LPLockDetector, saveLocks, summarizeLocks } = require('../lib/lp-lock-detector');
+const { EnhancedAlertEngine } = require('./enhanced-alert-engine-worker');
+
+const db = new Database('db/agent.db');
+db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'safety-watcher');
+
+class SafetyWatcherWorker {
+  constructor(options = {}) {
+    this.rpc = options.rpc || new SolanaRpc();
+    this.lockDetector = new LPLockDetector({ rpc: this.rpc });
+    this.alertEngine = options.alertEngine || new EnhancedAlertEngine();
+    this.trackDays = parseFloat(process.env.SAFETY_WATCH_DAYS || '7');
+    this.batchSize = parseInt(process.env.SAFETY_WATCH_BATCH || '200', 10);
+    this.recheckMinutes = parseInt(process.env.SAFETY_WATCH_RECHECK_MINUTES || '10', 10);
+    this.minLockedPct = 0.5; // Same floor the enhanced rug-risk scorer penalizes below
+  }
+
+  /**
+   * Tracked tokens due for a re-check, least recently checked first
+   * @returns {Array} Tokens with their last known safety state
+   */
+  getTokensToWatch() {
+    return db.prepare(`
+      SELECT mint, symbol, authorities_revoked, mint_authority, freeze_authority, safety_checked_at,
+             lp_token_mint, lp_locked, lp_locked_pct, lp_burned, rug_risk_score, liquidity_usd
+      FROM tokens
+      WHERE first_seen_at >= ?
+        AND (safety_checked_at IS NULL OR safety_checked_at <= ?)
+      ORDER BY safety_checked_at IS NOT NULL, safety_checked_at ASC
+      LIMIT ?
+    `).all(
+      new Date(Date.now() - this.trackDays * 24 * 60 * 60 * 1000).toISOString(),
+      new Date(Date.now() - this.recheckMinutes * 60 * 1000).toISOString(),
+      this.batchSize
+    );
+  }
+
+  /**
+   * Compare an authority before/after. The first watcher pass has no stored
+   * address, so it falls back to enrichment's authorities_revoked flag.
+   * @param {string} kind - 'mint_authority' | 'freeze_authority'
+   * @param {object} token - Stored token row
+   * @param {string|null} current - Authority now on-chain (null = revoked)
+   * @returns {object|null} Transition
+   */
+  compareAuthority(kind, token, current) {
+    let previous;
+    if (token.safety_checked_at) {
+      previous = token[kind];
+    } else if (token.authorities_revoked === 1) {
+      previous = null;
+    } else {
+      return null; // No trusted baseline yet
+    }
+
+    if (previous === current) return null;
+
+    if (previous === null) {
+      return { changeType: `${kind}_enabled`, previous: 'revoked', current, regression: true };
+    }
+    if (current === null) {
+      return { changeType: `${kind}_revoked`, previous, current: 'revoked', regression: false };
+    }
+    return { changeType: `${kind}_changed`, previous, current, regression: false };
+  }
+
+  /**
+   * Re-scan the LP locks and compare with the stored lock state. Locked means
+   * at least minLockedPct of the LP supply (or any amount when supply is unknown).
+   * @param {object} token - Stored token row
+   * @param {number|null} lpSupply - LP supply in UI units
+   * @returns {object} { status, transition }
+   */
+  async checkLock(token, lpSupply) {
+    // strict: a failed locker scan must not read as a released lock
+    const locks = await this.lockDetector.findLocks(token.lp_token_mint, { strict: true });
+    saveLocks(db, token.mint, token.lp_token_mint, locks, lpSupply);
+
+    const summary = summarizeLocks(locks, lpSupply);
+    const iso = sec => sec ? new Date(sec * 1000).toISOString() : null;
+    const status = {
+      isLocked: summary.isLocked,
+      confidence: summary.confidence,
+      provider: summary.provider,
+      lockedPct: summary.lockedPct,
+      nextUnlockAt: iso(summary.nextUnlockAt),
+      unlockCompleteAt: iso(summary.unlockCompleteAt)
+    };
+
+    const isSafe = (locked, pct) => locked === 1 && (pct === null || pct >= this.minLockedPct);
+    const describe = (locked, pct) => {
+      if (locked !== 1) return 'unlocked';
+      return pct === null ? 'locked' : `locked ${(pct * 100).toFixed(1)}%`;
+    };
+
+    // lp_locked is NULL until the pool introspector has checked the token once
+    if (token.lp_locked === null || token.lp_burned === 1) return { status, transition: null };
+
+    const wasSafe = isSafe(token.lp_locked, token.lp_locked_pct);
+    const nowSafe = isSafe(status.isLocked ? 1 : 0, status.lockedPct);
+    if (wasSafe === nowSafe) return { status, transition: null };
+
+    return {
+      status,
+      transition: {
+        changeType: nowSafe ? 'lp_locked' : 'lp_unlocked',
+        previous: describe(token.lp_locked, token.lp_locked_pct),
+        current: describe(status.isLocked ? 1 : 0, status.lockedPct),
+        regression: wasSafe && !nowSafe
+      }
+    };
+  }
+
+  /**
+   * Append transitions to rug_risk_history, carrying the last score and flags
+   * so the row does not read as a risk band change or a new set of flags
+   */
+  recordTransitions(token, transitions) {
+    const last = db.prepare(`
+      SELECT rug_risk_score, rug_flags FROM rug_risk_history WHERE mint = ? ORDER BY id DESC LIMIT 1
+    `).get(token.mint);
+    const score = token.rug_risk_score ?? last?.rug_risk_score ?? 0;
+    const now = new Date().toISOString();
+
+    const insert = db.prepare(`
+      INSERT INTO rug_risk_history
+      (mint, timestamp, rug_risk_score, rug_flags, liquidity_usd,
+       change_type, previous_value, current_value, is_regression)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const transition of transitions) {
+      insert.run(
+        token.mint, now, score, last?.rug_flags ?? null, token.liquidity_usd,
+        transition.changeType, transition.previous, transition.current, transition.regression ? 1 : 0
+      );
+    }
+  }
+
+  /**
+   * Re-check one token
+   * @param {object} token - Stored token row
+   * @param {object|null} mintInfo - analyzeMintAccount() result
+   * @param {object|null} lpMintInfo - Decoded LP mint account
+   * @returns {Array} Transitions recorded
+   */
+  async watchToken(token, mintInfo, lpMintInfo) {
+    const transitions = [];
+    const mintAuthority = mintInfo ? mintInfo.mintAuthority : token.mint_authority;
+    const freezeAuthority = mintInfo ? mintInfo.freezeAuthority : token.freeze_authority;
+
+    if (mintInfo) {
+      transitions.push(
+        this.compareAuthority('mint_authority', token, mintInfo.mintAuthority),
+        this.compareAuthority('freeze_authority', token, mintInfo.freezeAuthority)
+      );
+    } else {
+      logger.warning('safety-watcher', token.mint, 'mint_missing', 'Mint account not found, authorities not re-checked');
+    }
+
+    let lockStatus = null;
+    if (token.lp_token_mint) {
+      const lpSupply = lpMintInfo ? Number(lpMintInfo.supply) / Math.pow(10, lpMintInfo.decimals) : null;
+      try {
+        const lock = await this.checkLock(token, lpSupply);
+        lockStatus = lock.status;
+        transitions.push(lock.transition);
+      } catch (error) {
+        logger.warning('safety-watcher', token.mint, 'lock_check_failed', `LP lock re-check failed: ${error.message}`);
+      }
+    }
+
+    const changed = transitions.filter(Boolean);
+
+    db.transaction(() => {
+      if (changed.length > 0) this.recordTransitions(token, changed);
+
+      db.prepare(`
+        UPDATE tokens
+        SET mint_authority = ?,
+            freeze_authority = ?,
+            authorities_revoked = ?,
+            safety_checked_at = COALESCE(?, safety_checked_at)
+        WHERE mint = ?
+      `).run(
+        mintAuthority,
+        freezeAuthority,
+        mintInfo ? (mintAuthority === null && freezeAuthority === null ? 1 : 0) : token.authorities_revoked,
+        // Only a decoded mint makes the stored authorities a baseline for the next pass
+        mintInfo ? new Date().toISOString() : null,
+        token.mint
+      );
+
+      // Fee and delegate settings can be changed by their authorities after launch
+      if (mintInfo) saveMintExtensions(db, token.mint, mintInfo);
+
+      if (lockStatus) {
+        db.prepare(`
+          UPDATE tokens
+          SET lp_locked = ?,
+              lp_locked_confidence = ?,
+              lp_lock_provider = ?,
+              lp_locked_pct = ?,
+              lp_next_unlock_at = ?,
+              lp_unlock_complete_at = ?
+          WHERE mint = ?
+        `).run(
+          lockStatus.isLocked ? 1 : 0,
+          lockStatus.confidence,
+          lockStatus.provider,
+          lockStatus.lockedPct,
+          lockStatus.nextUnlockAt,
+          lockStatus.unlockCompleteAt,
+          token.mint
+        );
+      }
+    })();
+
+    for (const transition of changed) {
+      const level = transition.regression ? 'warning' : 'info';
+      logger[level]('safety-watcher', token.mint, transition.changeType,
+        `${token.symbol || token.mint}: ${transition.previous} → ${transition.current}`);
+    }
+
+    return changed;
+  }
+
+  /**
+   * Re-check every due token, then hand regressions to the alert engine
+   */
+  async processSafetyChecks() {
+    logger.info('safety-watcher', 'system', 'start', 'Starting safety re-checks');
+
+    if (!this.rpc.isConfigured()) {
+      logger.warning('safety-watcher', 'system', 'rpc_not_configured', 'Set SOLANA_RPC_URL or HELIUS_API_KEY to re-check authorities');
+      return { checked: 0, transitions: 0, regressions: 0, alerts: 0 };
+    }
+
+    const tokens = this.getTokensToWatch();
+    if (tokens.length === 0) {
+      logger.info('safety-watcher', 'system', 'no_tokens', 'No tokens due for a safety re-check');
+      return { checked: 0, transitions: 0, regressions: 0, alerts: 0 };
+    }
+
+    // One batched read covers every mint and LP mint in this pass
+    const accounts = await this.rpc.getMultipleAccounts([
+      ...tokens.map(t => t.mint),
+      ...tokens.map(t => t.lp_token_mint)
+    ]);
+    const decoded = address => accounts.has(address) ? decodeMint(accounts.get(address).data) : null;
+    const analyzed = address => accounts.has(address)
+      ? analyzeMintAccount(accounts.get(address).data, accounts.get(address).owner)
+      : null;
+
+    let transitions = 0;
+    let regressions = 0;
+    for (const token of tokens) {
+      try {
+        const changed = await this.watchToken(token, analyzed(token.mint), decoded(token.lp_token_mint));
+        transitions += changed.length;
+        regressions += changed.filter(c => c.regression).length;
+      } catch (error) {
+        logger.error('safety-watcher', token.mint, 'watch_failed', `Safety re-check failed: ${error.message}`);
+      }
+    }
+
+    const alerts = regressions > 0 ? await this.alertEngine.processSafetyRegressions() : 0;
+
+    logger.success('safety-watcher', 'system', 'complete', `Re-checked ${tokens.length} tokens`, {
+      transitions,
+      regressions,
+      alerts
+    });
+
+    return { checked: tokens.length, transitions, regressions, alerts };
+  }
+}
+
+// Export for CLI usage
+module.exports = {
+  SafetyWatcherWorker,
+  processSafetyChecks: async () => {
+    const worker = new SafetyWatcherWorker();
+    return worker.processSafetyChecks();
+  },
+  mainLoop: async () => {
+    const worker = new SafetyWatcherWorker();
+    await worker.processSafetyChecks();
+    logger.success('safety-watcher', 'system', 'complete', 'Safety Watcher Worker completed');
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  const worker = new SafetyWatcherWorker();
+  worker.processSafetyChecks().then(() => {
+    console.log('✅ Safety Watcher Worker completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('❌ Safety Watcher Worker failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -1,9 +1,11 @@
 // workers/score-snapshot-worker.js - Task 9 Score Snapshotting
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'score-snapshot');
 
 // --- Database Queries ---
 const getTokensForSnapshot = db.prepare(`
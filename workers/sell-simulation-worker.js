@@ -0,0 +1,154 @@
+// workers/sell-simulation-worker.js - Honeypot vetting: simulate a buy and a sell for located pools
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
+const logger = require('../lib/logger');
+const { SellSimulator } = require('../lib/sell-simulator');
+
+const db = new Database('db/agent.db');
+db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'sell-simulation');
+
+class SellSimulationWorker {
+  constructor(options = {}) {
+    this.simulator = options.simulator || new SellSimulator();
+    this.batchSize = parseInt(process.env.SELL_SIM_BATCH || '25', 10);
+    this.recheckMinutes = parseInt(process.env.SELL_SIM_RECHECK_MINUTES || '60', 10);
+  }
+
+  /**
+   * Tokens with a located pool, seen in the last 48h, not simulated recently
+   * @returns {Array} Tokens with their primary pool
+   */
+  getTokensToSimulate() {
+    return db.prepare(`
+      SELECT t.mint, t.symbol, p.dex, p.base_vault, p.quote_vault
+      FROM tokens t
+      JOIN pools p ON p.address = t.pool_address
+      WHERE p.status = 'active'
+        AND t.first_seen_at >= ?
+        AND (t.sell_simulation_at IS NULL OR t.sell_simulation_at <= ?)
+      ORDER BY t.sell_simulation_at IS NOT NULL, t.sell_simulation_at ASC, t.liquidity_usd DESC
+      LIMIT ?
+    `).all(
+      new Date(Date.now() - 48 * 60 * 60 * 1000).toISOString(),
+      new Date(Date.now() - this.recheckMinutes * 60 * 1000).toISOString(),
+      this.batchSize
+    );
+  }
+
+  saveSimulation(mint, simulation) {
+    db.prepare(`
+      UPDATE tokens
+      SET sell_simulation_status = ?,
+          sell_simulation_buy_tax = ?,
+          sell_simulation_sell_tax = ?,
+          sell_simulation_price_impact = ?,
+          sell_simulation_round_trip_loss = ?,
+          sell_simulation_wallet = ?,
+          sell_simulation_error = ?,
+          sell_simulation_at = ?
+      WHERE mint = ?
+    `).run(
+      simulation.status,
+      simulation.buyTax,
+      simulation.sellTax,
+      simulation.priceImpact,
+      simulation.roundTripLoss,
+      simulation.wallet,
+      simulation.error,
+      new Date().toISOString(),
+      mint
+    );
+  }
+
+  /**
+   * Simulate one token; RPC/API failures are stored as status 'error'
+   * @param {object} token - Token with pool columns
+   * @returns {object} Simulation result
+   */
+  async simulateToken(token) {
+    let simulation;
+    try {
+      simulation = await this.simulator.simulate(token.mint, {
+        dex: token.dex,
+        baseVault: token.base_vault,
+        quoteVault: token.quote_vault
+      });
+    } catch (error) {
+      simulation = { status: 'error', error: error.message.slice(0, 300) };
+    }
+
+    this.saveSimulation(token.mint, {
+      buyTax: null,
+      sellTax: null,
+      priceImpact: null,
+      roundTripLoss: null,
+      wallet: null,
+      ...simulation
+    });
+
+    if (simulation.status === 'sell_failed') {
+      logger.warning('sell-simulation', token.mint, 'sell_failed', `${token.symbol || token.mint} cannot be sold: ${simulation.error}`);
+    } else if (simulation.status === 'ok') {
+      logger.info('sell-simulation', token.mint, 'simulated', `${token.symbol || token.mint} sellable`, {
+        buy_tax: simulation.buyTax,
+        sell_tax: simulation.sellTax,
+        round_trip_loss: simulation.roundTripLoss
+      });
+    } else {
+      logger.debug('sell-simulation', token.mint, simulation.status, simulation.error || 'Simulation inconclusive');
+    }
+
+    return simulation;
+  }
+
+  async processSellSimulations() {
+    logger.info('sell-simulation', 'system', 'start', 'Starting buy/sell simulations');
+
+    if (!this.simulator.rpc.isConfigured()) {
+      logger.warning('sell-simulation', 'system', 'rpc_not_configured', 'Set SOLANA_RPC_URL or HELIUS_API_KEY to simulate swaps');
+      return { simulated: 0, sellFailed: 0 };
+    }
+
+    const tokens = this.getTokensToSimulate();
+    if (tokens.length === 0) {
+      logger.info('sell-simulation', 'system', 'no_tokens', 'No tokens due for simulation');
+      return { simulated: 0, sellFailed: 0 };
+    }
+
+    let sellFailed = 0;
+    for (const token of tokens) {
+      const simulation = await this.simulateToken(token);
+      if (simulation.status === 'sell_failed') sellFailed++;
+    }
+
+    logger.success('sell-simulation', 'system', 'complete', `Simulated ${tokens.length} tokens`, { sell_failed: sellFailed });
+    return { simulated: tokens.length, sellFailed };
+  }
+}
+
+// Export for CLI usage
+module.exports = {
+  SellSimulationWorker,
+  processSellSimulations: async () => {
+    const worker = new SellSimulationWorker();
+    return worker.processSellSimulations();
+  },
+  mainLoop: async () => {
+    const worker = new SellSimulationWorker();
+    await worker.processSellSimulations();
+    logger.success('sell-simulation', 'system', 'complete', 'Sell Simulation Worker completed');
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  const worker = new SellSimulationWorker();
+  worker.processSellSimulations().then(() => {
+    console.log('✅ Sell Simulation Worker completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('❌ Sell Simulation Worker failed:', error.message);
+    process.exit(1);
+  });
+}
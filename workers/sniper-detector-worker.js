@@ -1,20 +1,26 @@
 // workers/sniper-detector-worker.js - Sniper detection for Task 8
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const { fetchJson, sleep } = require('../lib/http');
 const logger = require('../lib/logger');
+const { SolanaRpc } = require('../lib/solana-rpc');
+const { decodeMint } = require('../lib/pool-discovery');
+const { detectLaunchBundles, saveLaunchBundles } = require('../lib/bundle-detector');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'sniper-detector');
 
 const HELIUS_API_KEY = process.env.HELIUS_API_KEY;
+const rpc = new SolanaRpc();
 
 // --- Configuration ---
 const N_BLOCKS = 2; // Sniper window: first N blocks after pool creation
 
 // --- Database Queries ---
 const pickTokensForSniperDetection = db.prepare(`
-  SELECT mint, symbol, pool_created_at, pool_signature, sniper_count
+  SELECT mint, symbol, pool_created_at, pool_signature, sniper_count, dev_wallet, bundles_checked_at
   FROM tokens
   WHERE pool_created_at IS NOT NULL 
     AND pool_signature IS NOT NULL
@@ -135,9 +141,44 @@ function findSniperTransactions(transactions, poolBlock, sniperWindowEnd) {
   return sniperBuyers;
 }
 
+/**
+ * Launch bundles from the pool block and the N_BLOCKS after it, read once
+ * per token (blocks do not change)
+ */
+async function processTokenBundles(token, poolBlock) {
+  const { mint, symbol, pool_created_at, pool_signature, dev_wallet } = token;
+
+  const blocks = [];
+  for (let slot = poolBlock; slot <= poolBlock + N_BLOCKS; slot++) {
+    blocks.push({ slot, block: await rpc.getBlock(slot) });
+  }
+
+  const mintAccount = (await rpc.getMultipleAccounts([mint])).get(mint);
+  const mintInfo = mintAccount ? decodeMint(mintAccount.data) : null;
+
+  const result = detectLaunchBundles({
+    blocks,
+    poolSlot: poolBlock,
+    poolSignature: pool_signature,
+    devWallet: dev_wallet,
+    mint,
+    supply: mintInfo ? mintInfo.supply : 0n,
+    decimals: mintInfo ? mintInfo.decimals : 0
+  });
+  saveLaunchBundles(db, mint, result, pool_created_at);
+
+  if (result.bundles.length > 0) {
+    logger.warning('sniper-detector', mint, 'launch_bundles', `${symbol || mint}: ${result.bundles.length} launch bundles hold ${result.supplyPct}% of supply`, {
+      reasons: [...new Set(result.bundles.flatMap(b => b.reasons))],
+      buyers: result.bundles.reduce((sum, b) => sum + b.buys.length, 0)
+    });
+  }
+  return result;
+}
+
 // --- Main Processing Function ---
 async function processTokenSniperDetection(token) {
-  const { mint, symbol, pool_created_at, pool_signature } = token;
+  const { mint, symbol, pool_created_at, pool_signature, dev_wallet, bundles_checked_at } = token;
   
   logger.info('sniper-detector', mint, 'start', `Processing sniper detection for ${symbol} (${mint})`);
   
@@ -155,6 +196,15 @@ async function processTokenSniperDetection(token) {
     }
     
     const poolBlock = poolInfo.pool_block;
+
+    // Atomically bundled buys come straight from the blocks, so they need RPC rather than Helius
+    if (!bundles_checked_at && rpc.isConfigured()) {
+      try {
+        await processTokenBundles({ mint, symbol, pool_created_at, pool_signature, dev_wallet }, poolBlock);
+      } catch (error) {
+        logger.warning('sniper-detector', mint, 'bundle_check_failed', `Launch bundle check failed: ${error.message}`);
+      }
+    }
     
     // 2. Calculate sniper window (pool block + N blocks)
     const sniperWindowEnd = poolBlock + N_BLOCKS;
@@ -263,4 +313,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { mainLoop, processTokenSniperDetection };
+module.exports = { mainLoop, processTokenSniperDetection, processTokenBundles };
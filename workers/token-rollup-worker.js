@@ -1,9 +1,11 @@
 // workers/token-rollup-worker.js - Task 12 Token Bad Actor Rollup
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'token-rollup');
 
 class TokenRollupWorker {
   constructor() {
@@ -1,6 +1,9 @@
 const fetch = require('node-fetch');
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
+const { analyzeMintAccount, saveMintExtensions } = require('../lib/token-extensions');
 const db = new Database('db/agent.db');
+assertSchemaCurrent(db, 'vetting');
 const HELIUS_KEY = process.env.HELIUS_API_KEY || '';
 const BIRDEYE_KEY = process.env.BIRDEYE_API_KEY || ''; // optional
 
@@ -29,16 +32,17 @@ async function heliusMintInfo(mint){
     return {};
   }
   const url = `https://mainnet.helius-rpc.com/?api-key=${HELIUS_KEY}`;
+  // Raw mint account: authorities plus Token-2022 extensions (getAsset's authority is the update authority)
   const body = {
-    jsonrpc:"2.0", id:"1", method:"getAsset", params:{ id: mint }
+    jsonrpc:"2.0", id:"1", method:"getAccountInfo", params:[mint, { encoding: 'base64' }]
   };
   try {
     const r = await fetch(url,{method:'POST', headers:{'Content-Type':'application/json'}, body:JSON.stringify(body)});
     const j = await r.json();
-    const asset = j?.result || {};
-    const mintAuth = asset?.authority || null;
-    const freezeAuth = asset?.freezeAuthority || null;
-    return { mintAuth, freezeAuth };
+    const account = j?.result?.value;
+    if (!account) return {};
+    const mintInfo = analyzeMintAccount(Buffer.from(account.data[0], 'base64'), account.owner);
+    return { mintAuth: mintInfo.mintAuthority, freezeAuth: mintInfo.freezeAuthority, mintInfo };
   } catch (e) {
     console.log(`⚠️  Helius API error for ${mint}:`, e.message);
     return {};
@@ -69,11 +73,14 @@ async function vetMint(mint){
 
   // 1) Authorities
   let authorities_revoked = null;
+  let mintInfo = null;
   try {
-    const { mintAuth, freezeAuth } = await heliusMintInfo(mint);
+    const info = await heliusMintInfo(mint);
+    const { mintAuth, freezeAuth } = info;
     if (mintAuth !== undefined || freezeAuth !== undefined){
       authorities_revoked = (mintAuth == null && freezeAuth == null) ? 1 : 0;
     }
+    mintInfo = info.mintInfo || null;
   } catch (e) {
     console.log(`⚠️  Authority check failed for ${mint}:`, e.message);
   }
@@ -92,7 +99,9 @@ async function vetMint(mint){
   }
 
   upd.run({ mint, authorities_revoked, lp_exists, lp_burned, liquidity_usd, now });
-  console.log(`✓ Vetted ${mint}: auth=${authorities_revoked} lp=${lp_exists} $liq=${liquidity_usd ?? 'n/a'}`);
+  if (mintInfo) saveMintExtensions(db, mint, mintInfo);
+  const ext = mintInfo?.extensions.length ? ` ext=${mintInfo.extensions.join(',')}` : '';
+  console.log(`✓ Vetted ${mint}: auth=${authorities_revoked} lp=${lp_exists} $liq=${liquidity_usd ?? 'n/a'}${ext}`);
 }
 
 (async () => {
@@ -1,10 +1,12 @@
 // workers/wallet-class-calculator-worker.js - Calculate wallet class counts and percentages
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'wallet-class-calculator');
 
 // --- Database Queries ---
 const pickTokensForClassCalculation = db.prepare(`
@@ -0,0 +1,93 @@
+// workers/wallet-cluster-worker.js - Cluster wallets across tokens from funding_edges
+const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
+const logger = require('../lib/logger');
+const { getKnownServices } = require('../lib/known-services');
+const {
+  loadFundingEdges,
+  clusterWallets,
+  assignClusterIds,
+  saveClusters,
+  DEFAULT_OPTIONS
+} = require('../lib/wallet-clusters');
+
+const db = new Database('db/agent.db');
+db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'wallet-cluster');
+
+class WalletClusterWorker {
+  constructor(options = {}) {
+    this.options = {
+      ...DEFAULT_OPTIONS,
+      windowDays: parseFloat(process.env.CLUSTER_WINDOW_DAYS || String(DEFAULT_OPTIONS.windowDays)),
+      maxFanout: parseInt(process.env.CLUSTER_MAX_FANOUT || String(DEFAULT_OPTIONS.maxFanout), 10),
+      burstSeconds: parseInt(process.env.CLUSTER_BURST_SECONDS || String(DEFAULT_OPTIONS.burstSeconds), 10),
+      burstMinWallets: parseInt(process.env.CLUSTER_BURST_MIN_WALLETS || String(DEFAULT_OPTIONS.burstMinWallets), 10),
+      ...options
+    };
+  }
+
+  /**
+   * Rebuild every cluster from the funding edges inside the window
+   * @returns {object} { edges, clusters, wallets, tokenLinks }
+   */
+  async processClusters() {
+    logger.info('wallet-cluster', 'system', 'start', 'Starting wallet clustering');
+
+    const since = new Date(Date.now() - this.options.windowDays * 24 * 60 * 60 * 1000).toISOString();
+    const edges = loadFundingEdges(db, since);
+    if (edges.length === 0) {
+      // Nothing links wallets inside the window any more, so the stored clusters are stale
+      saveClusters(db, []);
+      logger.info('wallet-cluster', 'system', 'no_edges', `No funding edges in the last ${this.options.windowDays} days, cleared stored clusters`);
+      return { edges: 0, clusters: 0, wallets: 0, tokenLinks: 0 };
+    }
+
+    // Known services are hubs whose payouts link nobody, not even through a common-funder burst
+    const knownServices = getKnownServices(db);
+    const options = { ...this.options, isService: wallet => knownServices.has(wallet) || this.options.isService(wallet) };
+
+    const previous = new Map(
+      db.prepare('SELECT wallet, cluster_id FROM wallet_cluster_members').all().map(r => [r.wallet, r.cluster_id])
+    );
+    const clusters = assignClusterIds(clusterWallets(edges, options), previous);
+    const tokenLinks = saveClusters(db, clusters);
+
+    const wallets = clusters.reduce((sum, c) => sum + c.members.length, 0);
+    const multiToken = db.prepare('SELECT COUNT(*) AS n FROM wallet_clusters WHERE token_count >= 2').get().n;
+
+    logger.success('wallet-cluster', 'system', 'complete', `Built ${clusters.length} clusters from ${edges.length} edges`, {
+      wallets,
+      token_links: tokenLinks,
+      multi_token_clusters: multiToken
+    });
+
+    return { edges: edges.length, clusters: clusters.length, wallets, tokenLinks };
+  }
+}
+
+// Export for CLI usage
+module.exports = {
+  WalletClusterWorker,
+  processClusters: async () => {
+    const worker = new WalletClusterWorker();
+    return worker.processClusters();
+  },
+  mainLoop: async () => {
+    const worker = new WalletClusterWorker();
+    await worker.processClusters();
+    logger.success('wallet-cluster', 'system', 'complete', 'Wallet Cluster Worker completed');
+  }
+};
+
+// Run if called directly
+if (require.main === module) {
+  const worker = new WalletClusterWorker();
+  worker.processClusters().then(() => {
+    console.log('✅ Wallet Cluster Worker completed');
+    process.exit(0);
+  }).catch(error => {
+    console.error('❌ Wallet Cluster Worker failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -1,6 +1,7 @@
 // workers/wallet-profiling-worker.js - Main orchestrator for Task 8: Wallet Profiling v1
 require('dotenv').config();
 const Database = require('better-sqlite3');
+const { assertSchemaCurrent } = require('../db/migrator');
 const logger = require('../lib/logger');
 const { 
   formatCLITableHeader, 
@@ -21,6 +22,7 @@ const historySnapshot = require('./history-snapshot-worker');
 
 const db = new Database('db/agent.db');
 db.pragma('journal_mode = WAL');
+assertSchemaCurrent(db, 'wallet-profiling');
 
 // --- Database Queries ---
 const getTokenSummary = db.prepare(`